@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: AGPL-3.0-only
+pragma solidity ^0.8.24;
+
+import "../utils/LiquidityBootstrapLib.sol";
+
+/// @dev exposes LiquidityBootstrapLib and WeightedMathLib to compare them with helpers/lbp_math.js,
+/// the block.timestamp the pool was evaluated at is returned with every result
+contract LiquidityBootstrapLibMock {
+    using LiquidityBootstrapLib for Pool;
+
+    function computeReservesAndWeights(Pool memory args)
+    external
+    view
+    returns (uint256 assetReserve, uint256 shareReserve, uint256 assetWeight, uint256 shareWeight, uint256 timestamp)
+    {
+        (assetReserve, shareReserve, assetWeight, shareWeight) = args.computeReservesAndWeights();
+        timestamp = block.timestamp;
+    }
+
+    function previewAssetsIn(Pool memory args, uint256 sharesOut) external view returns (uint256, uint256) {
+        return (args.previewAssetsIn(sharesOut), block.timestamp);
+    }
+
+    function previewSharesOut(Pool memory args, uint256 assetsIn) external view returns (uint256, uint256) {
+        return (args.previewSharesOut(assetsIn), block.timestamp);
+    }
+
+    function previewSharesIn(Pool memory args, uint256 assetsOut) external view returns (uint256, uint256) {
+        return (args.previewSharesIn(assetsOut), block.timestamp);
+    }
+
+    function previewAssetsOut(Pool memory args, uint256 sharesIn) external view returns (uint256, uint256) {
+        return (args.previewAssetsOut(sharesIn), block.timestamp);
+    }
+
+    function powWad(uint256 x, uint256 y) external pure returns (uint256) {
+        return WeightedMathLib.powWad(x, y);
+    }
+
+    function powWadUp(uint256 x, uint256 y) external pure returns (uint256) {
+        return WeightedMathLib.powWadUp(x, y);
+    }
+}
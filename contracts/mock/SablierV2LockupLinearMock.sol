@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@sablier/v2-core/src/types/DataTypes.sol";
+
+/// @dev stands in for SablierV2LockupLinear in the tests and on local networks, where the deploy pipeline
+/// deploys it for the pool factories. createWithRange takes the deposit from the caller and records the stream
+/// with the checks of Sablier, the recipient withdraws what has streamed. The broker fee, cancel and the NFT
+/// are left out, the recipient of a stream can't change
+contract SablierV2LockupLinearMock {
+    using SafeERC20 for IERC20;
+
+    struct Stream {
+        address sender;
+        address recipient;
+        IERC20 asset;
+        uint128 depositAmount;
+        uint128 withdrawnAmount;
+        uint40 startTime;
+        uint40 cliffTime;
+        uint40 endTime;
+        bool cancelable;
+        bool transferable;
+    }
+
+    uint256 public nextStreamId = 1;
+
+    mapping(uint256 => Stream) public streams;
+
+    event CreateLockupLinearStream(
+        uint256 streamId,
+        address indexed funder,
+        address indexed sender,
+        address indexed recipient,
+        uint128 depositAmount,
+        IERC20 asset,
+        LockupLinear.Range range
+    );
+
+    event WithdrawFromLockupStream(uint256 indexed streamId, address indexed to, IERC20 indexed asset, uint128 amount);
+
+    error SablierV2Lockup_Null(uint256 streamId);
+    error SablierV2Lockup_Unauthorized(uint256 streamId, address caller);
+    error SablierV2Lockup_InvalidSenderWithdrawal(uint256 streamId, address sender, address to);
+    error SablierV2Lockup_WithdrawToZeroAddress();
+    error SablierV2Lockup_WithdrawAmountZero(uint256 streamId);
+    error SablierV2Lockup_Overdraw(uint256 streamId, uint128 amount, uint128 withdrawableAmount);
+    error SablierV2Lockup_DepositAmountZero();
+    error SablierV2LockupLinear_StartTimeGreaterThanCliffTime(uint40 startTime, uint40 cliffTime);
+    error SablierV2LockupLinear_CliffTimeNotLessThanEndTime(uint40 cliffTime, uint40 endTime);
+    error SablierV2LockupLinear_EndTimeNotInTheFuture(uint40 currentTime, uint40 endTime);
+
+    modifier notNull(uint256 streamId) {
+        if (streams[streamId].sender == address(0)) {
+            revert SablierV2Lockup_Null(streamId);
+        }
+        _;
+    }
+
+    function createWithRange(LockupLinear.CreateWithRange calldata params) external returns (uint256 streamId) {
+        if (params.totalAmount == 0) {
+            revert SablierV2Lockup_DepositAmountZero();
+        }
+        if (params.range.start > params.range.cliff) {
+            revert SablierV2LockupLinear_StartTimeGreaterThanCliffTime(params.range.start, params.range.cliff);
+        }
+        if (params.range.cliff >= params.range.end) {
+            revert SablierV2LockupLinear_CliffTimeNotLessThanEndTime(params.range.cliff, params.range.end);
+        }
+        if (params.range.end <= block.timestamp) {
+            revert SablierV2LockupLinear_EndTimeNotInTheFuture(uint40(block.timestamp), params.range.end);
+        }
+
+        streamId = nextStreamId++;
+
+        streams[streamId] = Stream({
+            sender: params.sender,
+            recipient: params.recipient,
+            asset: params.asset,
+            depositAmount: params.totalAmount,
+            withdrawnAmount: 0,
+            startTime: params.range.start,
+            cliffTime: params.range.cliff,
+            endTime: params.range.end,
+            cancelable: params.cancelable,
+            transferable: params.transferable
+        });
+
+        params.asset.safeTransferFrom(msg.sender, address(this), params.totalAmount);
+
+        emit CreateLockupLinearStream(
+            streamId, msg.sender, params.sender, params.recipient, params.totalAmount, params.asset, params.range
+        );
+    }
+
+    /// @notice withdraws from a stream, the sender may only withdraw to the recipient
+    function withdraw(uint256 streamId, address to, uint128 amount) public notNull(streamId) {
+        Stream storage stream = streams[streamId];
+
+        if (msg.sender != stream.sender && msg.sender != stream.recipient) {
+            revert SablierV2Lockup_Unauthorized(streamId, msg.sender);
+        }
+        if (msg.sender == stream.sender && to != stream.recipient) {
+            revert SablierV2Lockup_InvalidSenderWithdrawal(streamId, msg.sender, to);
+        }
+        if (to == address(0)) {
+            revert SablierV2Lockup_WithdrawToZeroAddress();
+        }
+        if (amount == 0) {
+            revert SablierV2Lockup_WithdrawAmountZero(streamId);
+        }
+        uint128 withdrawableAmount = withdrawableAmountOf(streamId);
+        if (amount > withdrawableAmount) {
+            revert SablierV2Lockup_Overdraw(streamId, amount, withdrawableAmount);
+        }
+
+        stream.withdrawnAmount += amount;
+        stream.asset.safeTransfer(to, amount);
+
+        emit WithdrawFromLockupStream(streamId, to, stream.asset, amount);
+    }
+
+    function withdrawMax(uint256 streamId, address to) external {
+        withdraw(streamId, to, withdrawableAmountOf(streamId));
+    }
+
+    function getRecipient(uint256 streamId) external view notNull(streamId) returns (address) {
+        return streams[streamId].recipient;
+    }
+
+    function getDepositedAmount(uint256 streamId) external view notNull(streamId) returns (uint128) {
+        return streams[streamId].depositAmount;
+    }
+
+    function getWithdrawnAmount(uint256 streamId) external view notNull(streamId) returns (uint128) {
+        return streams[streamId].withdrawnAmount;
+    }
+
+    /// @notice nothing before the cliff, then linear from the start to the end of the stream, rounded down
+    /// in two steps like the UD60x18 math of Sablier so the amounts match to the wei
+    function streamedAmountOf(uint256 streamId) public view notNull(streamId) returns (uint128) {
+        Stream storage stream = streams[streamId];
+
+        if (stream.cliffTime > block.timestamp) {
+            return 0;
+        }
+        if (block.timestamp >= stream.endTime) {
+            return stream.depositAmount;
+        }
+
+        uint256 elapsedPercentage =
+            (block.timestamp - stream.startTime) * 1e18 / (stream.endTime - stream.startTime);
+        uint256 streamedAmount = elapsedPercentage * stream.depositAmount / 1e18;
+
+        return uint128(streamedAmount);
+    }
+
+    function withdrawableAmountOf(uint256 streamId) public view notNull(streamId) returns (uint128) {
+        return streamedAmountOf(streamId) - streams[streamId].withdrawnAmount;
+    }
+}
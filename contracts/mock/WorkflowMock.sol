@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../interfaces/labs/IWorkflow.sol";
+
+/// @dev reference IWorkflow for the tests and local networks. Every instantiate creates a new instance numbered
+/// from 1, so that the 0 of LabsRegistry.accelerationWorkflows means none, and keeps who created it and its name tag
+contract WorkflowMock is IWorkflow {
+
+    struct Instance {
+        address creator;
+        string nameTag;
+    }
+
+    uint256 public instanceCount;
+
+    mapping(uint256 => Instance) public instances;
+
+    event Instantiated(uint256 indexed instance, address indexed creator, string nameTag);
+
+    error EmptyNameTag();
+
+    function instantiate(string memory _nameTag) external returns (uint256 _instance) {
+        if (bytes(_nameTag).length == 0) revert EmptyNameTag();
+
+        _instance = ++instanceCount;
+        instances[_instance] = Instance(msg.sender, _nameTag);
+
+        emit Instantiated(_instance, msg.sender, _nameTag);
+    }
+}
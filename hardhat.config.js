@@ -3,6 +3,25 @@ require("@nomicfoundation/hardhat-verify");
 require("@nomiclabs/hardhat-web3");
 require('@openzeppelin/hardhat-upgrades');
 require('dotenv').config()
+require("./tasks/upgrade");
+require("./tasks/whitelist");
+require("./tasks/fixed_pool");
+require("./tasks/lbp");
+require("./tasks/rewards");
+require("./tasks/treasury");
+require("./tasks/safe");
+require("./tasks/labs");
+require("./tasks/staking");
+require("./tasks/vesting");
+require("./tasks/audit");
+require("./tasks/score");
+const { extendEnvironment } = require("hardhat/config");
+const { hardhatNetworks, explorerConfig, requireProfile } = require("./helpers/networks");
+
+// the deploy scripts and tasks can't run against a network whose profile is incomplete
+extendEnvironment((hre) => {
+  requireProfile(hre.network.name);
+});
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -13,29 +32,9 @@ module.exports = {
       runs: 1000,
     },
   },
-  etherscan: {
-    apiKey: process.env.ETHERSCAN_API_KEY,
-  },
+  etherscan: explorerConfig(),
   sourcify: {
     enabled: false
   },
-  networks: {
-    hardhat: {
-      allowUnlimitedContractSize: true,
-    },
-    localhost: {
-      //url: ``,
-      sabler: '0x7a43F8a888fa15e68C103E18b0439Eb1e98E4301',
-    },
-    sepolia: {
-      url: `https://sepolia.infura.io/v3/${process.env.INFURA_API_KEY}`,
-      accounts: [process.env.SEPOLIA_PRIVATE_KEY],
-      sabler: '0x7a43F8a888fa15e68C103E18b0439Eb1e98E4301',
-    },
-    mainnet: {
-      url: `https://mainnet.infura.io/v3/${process.env.INFURA_API_KEY}`,
-      accounts: [process.env.MAINNET_PRIVATE_KEY],
-      sabler: '0xB10daee1FCF62243aE27776D7a92D39dC8740f95',
-    }
-  },
+  networks: hardhatNetworks(),
 };
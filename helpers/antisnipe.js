@@ -0,0 +1,57 @@
+const { Contract } = require("ethers");
+
+/**
+ * @dev Anti-snipe signatures of FixedPricePool purchases. BasePool._validateAntisnipe recovers
+ * getDigest(sharesOut, recipient, deadline) against delegateSigner(), the digest commits to
+ * nonces[recipient] + 1 so a signature can only be used for the next purchase of the recipient.
+ */
+
+const POOL_ABI = [
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function nonces(address user) view returns (uint32)",
+  "function delegateSigner() view returns (address)",
+  "function antiSnipeEnabled() view returns (bool)",
+  "function shareDecimals() view returns (uint8)",
+];
+
+/// FixedPricePool.typeHash()
+const BUY_EXACT_SHARES_TYPES = {
+  BuyExactShares: [
+    { name: "sharesOut", type: "uint256" },
+    { name: "recipient", type: "address" },
+    { name: "nonce", type: "uint32" },
+    { name: "deadline", type: "uint64" },
+  ],
+};
+
+/// @notice reads the EIP-712 domain of a pool, every pool clone is its own verifying contract
+async function getPoolDomain(pool) {
+  const { name, version, chainId, verifyingContract } = await pool.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/// @notice signs a buyExactShares purchase of `sharesOut` for `recipient`, valid until `deadline`
+/// @param signer the delegate signer of the pool factory
+/// @param poolAddress FixedPricePool clone
+/// @return signature, plus the nonce and deadline it commits to
+async function signBuyExactShares(signer, poolAddress, { sharesOut, recipient, deadline }) {
+  const pool = new Contract(poolAddress, POOL_ABI, signer.provider);
+  const domain = await getPoolDomain(pool);
+  const nonce = (await pool.nonces(recipient)) + 1n;
+
+  const signature = await signer.signTypedData(domain, BUY_EXACT_SHARES_TYPES, {
+    sharesOut,
+    recipient,
+    nonce,
+    deadline,
+  });
+
+  return { signature, nonce, deadline };
+}
+
+module.exports = {
+  POOL_ABI,
+  BUY_EXACT_SHARES_TYPES,
+  getPoolDomain,
+  signBuyExactShares,
+};
@@ -0,0 +1,229 @@
+const { Contract, getAddress, keccak256, dataSlice } = require("ethers");
+const { fetchTreasuryEvents, replayRecipients, formatPercentage } = require("./treasury");
+const { stringifyJSON } = require("./json");
+
+/**
+ * @dev Configuration drift audit of a deployment. Reads what scripts/deploy.js and the later admin transactions
+ * are meant to leave on chain (fees, Treasury split, owners, proxy implementations, staking settings) and compares
+ * it with the network profile and the deployment manifest. Runtime bytecode is compared with the compiled artifacts
+ * once the immutables and the linked libraries, which differ from one deployment to another, are zeroed on both
+ * sides, so a mismatch means the deployed sources are not the ones of this tree.
+ */
+
+// EIP-1967 slots of the transparent proxies
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+/// contracts of scripts/deploy.js by manifest name, the name of their artifact too
+const AUDITED = [
+  "Treasury",
+  "FjordMath",
+  "FixedPricePoolFactory",
+  "FixedPricePool",
+  "LiquidityBootstrapPool",
+  "LiquidityBootstrapPoolFactory",
+  "SuprimeToken",
+  "SuprimeStaking",
+  "SuprimeStakingView",
+  "LabsRegistry",
+];
+// the contracts scripts/stages/handoff.js hands over to MAIN
+const OWNED = ["Treasury", "LiquidityBootstrapPoolFactory", "LabsRegistry", "SuprimeStaking"];
+const TWO_STEP = ["SuprimeStaking"];
+const PROXIES = ["SuprimeStaking", "SuprimeStakingView"];
+const LBP_FEES = ["platformFee", "referrerFee", "swapFee"];
+
+const ABI = [
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function factorySettings() view returns (address feeRecipient, uint48 platformFee, uint48 referrerFee, " +
+    "uint48 swapFee)",
+  "function FIXED_PRICE_IMPL() view returns (address)",
+  "function feeRecipient() view returns (address)",
+  "function blocksPerDay() view returns (uint256)",
+  "function uri(uint256 tokenId) view returns (string)",
+];
+
+/// -----------------------------------------------------------------------
+/// Bytecode
+/// -----------------------------------------------------------------------
+
+/// @notice zeroes the byte ranges of `code`
+function maskCode(code, ranges) {
+  let hex = code.slice(2);
+  for (const { start, length } of ranges) {
+    hex = hex.slice(0, start * 2) + "0".repeat(length * 2) + hex.slice((start + length) * 2);
+  }
+  return `0x${hex}`;
+}
+
+/// @notice runtime bytecode of an artifact with the ranges of its immutables and linked libraries
+/// @param artifacts hre.artifacts
+async function compiledCode(artifacts, contractName) {
+  const artifact = await artifacts.readArtifact(contractName);
+  const buildInfo = await artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  if (!buildInfo) {
+    throw new Error(`No build info for ${contractName}, run npx hardhat compile`);
+  }
+  const { evm } = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  const ranges = [
+    ...Object.values(evm.deployedBytecode.immutableReferences || {}).flat(),
+    ...Object.values(artifact.deployedLinkReferences || {}).flatMap(libraries => Object.values(libraries).flat()),
+  ];
+  // a library starts with PUSH20 <its own address> ADDRESS EQ to refuse delegate calls, zero in the artifact
+  if (/^0x73(00){20}3014/.test(artifact.deployedBytecode)) {
+    ranges.push({ start: 1, length: 20 });
+  }
+  return { code: artifact.deployedBytecode, ranges };
+}
+
+/// @notice hashes of the compiled and of the deployed runtime bytecode, immutables and libraries zeroed
+async function codeHashes(provider, artifacts, contractName, address) {
+  const { code, ranges } = await compiledCode(artifacts, contractName);
+  const deployed = await provider.getCode(address);
+  return {
+    expected: keccak256(maskCode(code, ranges)),
+    actual: deployed === "0x" ? "no code" : keccak256(maskCode(deployed, ranges)),
+  };
+}
+
+const slotAddress = value => getAddress(dataSlice(value, 12));
+
+/// -----------------------------------------------------------------------
+/// Audit
+/// -----------------------------------------------------------------------
+
+const splitLines = (recipients, percentages) =>
+  recipients.map(recipient => `${getAddress(recipient)} ${formatPercentage(percentages[recipient])}`);
+
+/// @notice the lines of `expected` missing from `actual` prefixed with -, the unexpected ones with +
+function diffValues(expected, actual) {
+  if (!Array.isArray(expected)) {
+    return [`- ${expected}`, `+ ${actual}`];
+  }
+  const diff = [
+    ...expected.filter(line => !actual.includes(line)).map(line => `- ${line}`),
+    ...actual.filter(line => !expected.includes(line)).map(line => `+ ${line}`),
+  ];
+  return diff.length > 0 ? diff : ["~ the same lines in another order"];
+}
+
+/// @notice reads the live configuration of a deployment and compares it with what is expected
+/// @param options.artifacts hre.artifacts, the runtime bytecode is compared with them
+/// @param options.entries manifest entries by name, the missing contracts fail
+/// @param options.expected {main, blocksPerDay, lbpFees, treasurySplit, stakingBaseURI}, treasurySplit being the
+/// {recipients, percentages} of helpers/treasury.planSplit. stakingBaseURI is not checked when undefined
+/// @return the checks in order, {contract, check, expected, actual, pass, diff}
+async function auditDeployment({ provider, artifacts, entries, expected }) {
+  const checks = [];
+  const add = (contract, check, expectedValue, actualValue) => {
+    const pass = Array.isArray(expectedValue)
+      ? expectedValue.join("\n") === actualValue.join("\n")
+      : String(expectedValue) === String(actualValue);
+    checks.push({
+      contract,
+      check,
+      expected: expectedValue,
+      actual: actualValue,
+      pass,
+      diff: pass ? [] : diffValues(expectedValue, actualValue),
+    });
+  };
+  const main = getAddress(expected.main);
+  const at = name => new Contract(entries[name].address, ABI, provider);
+
+  for (const name of AUDITED) {
+    const entry = entries[name];
+    if (!entry) {
+      add(name, "deployed", "in the deployment manifest", "missing");
+      continue;
+    }
+    let { address } = entry;
+    if (PROXIES.includes(name)) {
+      const implementation = slotAddress(await provider.getStorage(address, IMPLEMENTATION_SLOT));
+      add(name, "implementation", entry.proxy ? getAddress(entry.proxy.implementation) : "a proxy", implementation);
+      address = implementation;
+    }
+    const { expected: compiled, actual: deployed } = await codeHashes(provider, artifacts, name, address);
+    add(name, "bytecode", compiled, deployed);
+  }
+
+  for (const name of OWNED.filter(name => entries[name])) {
+    const contract = at(name);
+    const owner = getAddress(await contract.owner());
+    let actual = owner;
+    if (TWO_STEP.includes(name) && owner !== main && getAddress(await contract.pendingOwner()) === main) {
+      actual = `${owner}, ${main} pending acceptOwnership()`;
+    }
+    add(name, "owner", main, actual);
+  }
+  for (const name of PROXIES.filter(name => entries[name])) {
+    const admin = slotAddress(await provider.getStorage(entries[name].address, ADMIN_SLOT));
+    add(`${name} ProxyAdmin`, "owner", main, getAddress(await new Contract(admin, ABI, provider).owner()));
+  }
+
+  const treasury = entries.Treasury && getAddress(entries.Treasury.address);
+  if (entries.LiquidityBootstrapPoolFactory) {
+    const settings = await at("LiquidityBootstrapPoolFactory").factorySettings();
+    add("LiquidityBootstrapPoolFactory", "feeRecipient", treasury, getAddress(settings.feeRecipient));
+    for (const fee of LBP_FEES) {
+      add("LiquidityBootstrapPoolFactory", fee, expected.lbpFees[fee], settings[fee]);
+    }
+  }
+  if (entries.FixedPricePoolFactory) {
+    const factory = at("FixedPricePoolFactory");
+    add("FixedPricePoolFactory", "feeRecipient", treasury, getAddress(await factory.feeRecipient()));
+    add("FixedPricePoolFactory", "FIXED_PRICE_IMPL",
+      entries.FixedPricePool ? getAddress(entries.FixedPricePool.address) : "in the deployment manifest",
+      getAddress(await factory.FIXED_PRICE_IMPL()));
+  }
+
+  if (entries.Treasury) {
+    // the recipients are private, they are replayed from the FeeRecipientUpdated events
+    const events = await fetchTreasuryEvents(provider, treasury, entries.Treasury.blockNumber || 0);
+    const current = replayRecipients(events, entries.Treasury.args[0]).at(-1);
+    const percentages = Object.fromEntries(expected.treasurySplit.recipients
+      .map((recipient, i) => [recipient, expected.treasurySplit.percentages[i]]));
+    add("Treasury", "recipients",
+      splitLines(expected.treasurySplit.recipients, percentages),
+      splitLines(current.recipients, current.percentages));
+  }
+
+  if (entries.SuprimeStaking) {
+    const staking = at("SuprimeStaking");
+    add("SuprimeStaking", "blocksPerDay", expected.blocksPerDay, await staking.blocksPerDay());
+    if (expected.stakingBaseURI !== undefined) {
+      // uri() appends the token id to the base URI
+      add("SuprimeStaking", "baseURI", expected.stakingBaseURI, (await staking.uri(0)).slice(0, -1));
+    }
+  }
+  return checks;
+}
+
+/// @notice the checks as PASS/FAIL lines followed by the diff of each mismatch
+function formatReport(checks) {
+  const lines = [];
+  for (const { contract, check, pass, diff } of checks) {
+    lines.push(`${pass ? "PASS" : "FAIL"}  ${contract} ${check}`);
+    lines.push(...diff.map(line => `      ${line}`));
+  }
+  const failed = checks.filter(check => !check.pass).length;
+  lines.push(failed === 0
+    ? `All ${checks.length} checks passed`
+    : `${failed} of ${checks.length} checks failed`);
+  return lines.join("\n") + "\n";
+}
+
+/// @notice the checks with bigints as decimal strings
+function toJSON(checks) {
+  return stringifyJSON(checks);
+}
+
+module.exports = {
+  AUDITED,
+  maskCode,
+  compiledCode,
+  auditDeployment,
+  formatReport,
+  toJSON,
+};
@@ -0,0 +1,17 @@
+/**
+ * @dev JSON output of the tasks and services. The uint256 values come back from ethers as BigInt, which
+ * JSON.stringify refuses, they are written as decimal strings.
+ */
+
+/// @notice JSON.stringify replacer writing the bigints as decimal strings
+const bigintReplacer = (key, value) => typeof value === "bigint" ? value.toString() : value;
+
+/// @notice indented JSON with bigints as decimal strings
+function stringifyJSON(value) {
+  return JSON.stringify(value, bigintReplacer, 2);
+}
+
+module.exports = {
+  bigintReplacer,
+  stringifyJSON,
+};
@@ -0,0 +1,93 @@
+const { isAddress, getAddress, ZeroAddress } = require("ethers");
+
+/**
+ * @dev LabsRegistry management. The registry keeps one seed and one public raise per acceleration and the
+ * last instance of each workflow, the workflows of an acceleration and their name tags only show in the
+ * NewWorkflowForAcceleration events and the addWorkflowsToAcceleration calls.
+ */
+
+/// @notice parses "<workflow>:<name tag>, ..." where the workflow is an address or a manifest name
+/// @param resolve async manifest name => address
+/// @return the addWorkflowsToAcceleration arguments
+async function parseWorkflows(text, resolve) {
+  const parts = String(text).split(",").map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) {
+    throw new Error("No workflows, expected \"<workflow>:<name tag>, ...\"");
+  }
+
+  const workflows = [];
+  const names = [];
+  for (const part of parts) {
+    const separator = part.indexOf(":");
+    const workflow = part.slice(0, separator).trim();
+    const name = part.slice(separator + 1).trim();
+    if (separator === -1 || !workflow || !name) {
+      throw new Error(`Can't parse "${part}", expected "<workflow>:<name tag>"`);
+    }
+    const address = isAddress(workflow) ? getAddress(workflow) : await resolve(workflow);
+    if (workflows.includes(address)) {
+      throw new Error(`${workflow} (${address}) is listed twice, the registry only keeps its last instance`);
+    }
+    workflows.push(address);
+    names.push(name);
+  }
+  return { workflows, names };
+}
+
+/// @notice name tags of the workflows added by a transaction, when it called the registry directly
+function nameTagsOf(registry, address, tx) {
+  if (!tx || !tx.to || getAddress(tx.to) !== address) {
+    return {};
+  }
+  const call = registry.interface.parseTransaction(tx);
+  if (!call || call.name !== "addWorkflowsToAcceleration") {
+    return {};
+  }
+  const [, workflows, names] = call.args;
+  return Object.fromEntries(workflows.map((workflow, i) => [workflow, names[i]]));
+}
+
+/// @notice the acceleration of `proposal`, its raises and the workflow instances added to it
+/// @param registry LabsRegistry contract with a provider
+/// @param options.fromBlock first block of the events, the deployment block of the registry
+/// @return undefined if nothing was registered for the proposal. `name` of a workflow is undefined when it was added
+/// through another contract (a Safe), `current` is false for instances replaced by a later one
+async function readAcceleration(registry, proposal, { fromBlock = 0 } = {}) {
+  const { owner, seedRaise, publicRaise } = await registry.accelerations(proposal);
+  if ([owner, seedRaise, publicRaise].every(address => address === ZeroAddress)) {
+    return;
+  }
+  const address = getAddress(await registry.getAddress());
+
+  const events = (await registry.queryFilter(registry.filters.NewWorkflowForAcceleration(), fromBlock))
+    .filter(event => event.args.proposal === BigInt(proposal));
+  const tags = {};
+  const workflows = [];
+  for (const event of events) {
+    const { workflow, workflowInstance } = event.args;
+    if (!tags[event.transactionHash]) {
+      tags[event.transactionHash] = nameTagsOf(registry, address, await event.getTransaction());
+    }
+    workflows.push({
+      workflow,
+      instance: workflowInstance,
+      name: tags[event.transactionHash][workflow],
+      current: await registry.accelerationWorkflows(proposal, workflow) === workflowInstance,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    });
+  }
+
+  return {
+    proposal: BigInt(proposal),
+    owner: owner === ZeroAddress ? undefined : owner,
+    seedRaise: seedRaise === ZeroAddress ? undefined : seedRaise,
+    publicRaise: publicRaise === ZeroAddress ? undefined : publicRaise,
+    workflows,
+  };
+}
+
+module.exports = {
+  parseWorkflows,
+  readAcceleration,
+};
@@ -0,0 +1,303 @@
+/**
+ * @dev BigInt port of the LiquidityBootstrapPool math: WeightedMathLib, LiquidityBootstrapLib and the
+ * solady FixedPointMathLib functions they use. Results match the contracts to the wei, including
+ * rounding, so the planner can simulate a sale before it is created.
+ * Reverts of the contracts are thrown as errors named after the Solidity custom error.
+ */
+
+const WAD = 10n ** 18n;
+const UINT256_MAX = (1n << 256n) - 1n;
+
+/// WeightedMathLib
+const MAX_POW_RELATIVE_ERROR = 10000n;
+const MAX_PERCENTAGE_IN = 3n * 10n ** 17n;
+const MAX_PERCENTAGE_OUT = 3n * 10n ** 17n;
+
+function revert(error) {
+  const e = new Error(error);
+  e.name = error;
+  throw e;
+}
+
+/// -----------------------------------------------------------------------
+/// FixedPointMathLib
+/// -----------------------------------------------------------------------
+
+function mulWad(x, y) {
+  if (y !== 0n && x > UINT256_MAX / y) revert("MulWadFailed");
+  return (x * y) / WAD;
+}
+
+function mulWadUp(x, y) {
+  if (y !== 0n && x > UINT256_MAX / y) revert("MulWadFailed");
+  return (x * y) / WAD + ((x * y) % WAD === 0n ? 0n : 1n);
+}
+
+function divWad(x, y) {
+  if (y === 0n || x > UINT256_MAX / WAD) revert("DivWadFailed");
+  return (x * WAD) / y;
+}
+
+function divWadUp(x, y) {
+  if (y === 0n || x > UINT256_MAX / WAD) revert("DivWadFailed");
+  return (x * WAD) / y + ((x * WAD) % y === 0n ? 0n : 1n);
+}
+
+function mulDiv(x, y, d) {
+  if (d === 0n || (y !== 0n && x > UINT256_MAX / y)) revert("MulDivFailed");
+  return (x * y) / d;
+}
+
+const min = (x, y) => x < y ? x : y;
+
+/// @dev BigInt `/` truncates towards zero like sdiv, `>>` is an arithmetic shift like sar
+function expWad(x) {
+  if (x <= -41446531673892822313n) return 0n;
+  if (x >= 135305999368893231589n) revert("ExpOverflow");
+
+  x = (x << 78n) / 5n ** 18n;
+
+  const k = ((x << 96n) / 54916777467707473351141471128n + 2n ** 95n) >> 96n;
+  x = x - k * 54916777467707473351141471128n;
+
+  let y = x + 1346386616545796478920950773328n;
+  y = ((y * x) >> 96n) + 57155421227552351082224309758442n;
+  let p = y + x - 94201549194550492254356042504812n;
+  p = ((p * y) >> 96n) + 28719021644029726153956944680412240n;
+  p = p * x + (4385272521454847904659076985693276n << 96n);
+
+  let q = x - 2855989394907223263936484059900n;
+  q = ((q * x) >> 96n) + 50020603652535783019961831881945n;
+  q = ((q * x) >> 96n) - 533845033583426703283633433725380n;
+  q = ((q * x) >> 96n) + 3604857256930695427073651918091429n;
+  q = ((q * x) >> 96n) - 14423608567350463180887372962807573n;
+  q = ((q * x) >> 96n) + 26449188498355588339934803723976023n;
+
+  const r = p / q;
+  return (r * 3822833074963236453042738258902158003155416615667n) >> (195n - k);
+}
+
+function lnWad(x) {
+  const lt = (a, b) => a < b ? 1n : 0n;
+  let r = lt(0xffffffffffffffffffffffffffffffffn, x) << 7n;
+  r |= lt(0xffffffffffffffffn, x >> r) << 6n;
+  r |= lt(0xffffffffn, x >> r) << 5n;
+  r |= lt(0xffffn, x >> r) << 4n;
+  r |= lt(0xffn, x >> r) << 3n;
+  if (x <= 0n) revert("LnWadUndefined");
+
+  const index = (0x8421084210842108cc6318c6db6d54ben >> (x >> r)) & 0x1fn;
+  r ^= (0xf8f9f9faf9fdfafbf9fdfcfdfafbfcfef9fafdfafcfcfbfefafafcfbffffffffn >> (8n * (31n - index))) & 0xffn;
+
+  x = ((x << r) & UINT256_MAX) >> 159n;
+
+  let p = (((((((3273285459638523848632254066296n + x) * x) >> 96n)
+    + 24828157081833163892658089445524n) * x >> 96n)
+    + 43456485725739037958740375743393n) * x >> 96n) - 11111509109440967052023855526967n;
+  p = ((p * x) >> 96n) - 45023709667254063763336534515857n;
+  p = ((p * x) >> 96n) - 14706773417378608786704636184526n;
+  p = p * x - (795164235651350426258249787498n << 96n);
+
+  let q = 5573035233440673466300451813936n + x;
+  q = 71694874799317883764090561454958n + ((x * q) >> 96n);
+  q = 283447036172924575727196451306956n + ((x * q) >> 96n);
+  q = 401686690394027663651624208769553n + ((x * q) >> 96n);
+  q = 204048457590392012362485061816622n + ((x * q) >> 96n);
+  q = 31853899698501571402653359427138n + ((x * q) >> 96n);
+  q = 909429971244387300277376558375n + ((x * q) >> 96n);
+
+  p = p / q;
+  p = 1677202110996718588342820967067443963516166n * p;
+  p = 16597577552685614221487285958193947469193820559219878177908093499208371n * (159n - r) + p;
+  p = 600920179829731861736702779321621459595472258049074101567377883020018308n + p;
+  return p >> 174n;
+}
+
+/// @notice FixedPointMathLib.powWad(int256, int256)
+function powWadSigned(x, y) {
+  return expWad((lnWad(x) * y) / WAD);
+}
+
+/// -----------------------------------------------------------------------
+/// WeightedMathLib
+/// -----------------------------------------------------------------------
+
+function toUint256(x) {
+  if (x < 0n) revert("Overflow");
+  return x;
+}
+
+function powWad(x, y) {
+  if (y === WAD) {
+    return x;
+  } else if (y === 2n * WAD) {
+    return mulWad(x, x);
+  } else if (y === 4n * WAD) {
+    const square = mulWad(x, x);
+    return mulWad(square, square);
+  }
+  return toUint256(powWadSigned(x, y));
+}
+
+function powWadUp(x, y) {
+  if (y === WAD) {
+    return x;
+  } else if (y === 2n * WAD) {
+    return mulWadUp(x, x);
+  } else if (y === 4n * WAD) {
+    const square = mulWadUp(x, x);
+    return mulWadUp(square, square);
+  }
+  const power = toUint256(powWadSigned(x, y));
+  return power + mulWadUp(power, MAX_POW_RELATIVE_ERROR) + 1n;
+}
+
+function getSpotPrice(reserveIn, reserveOut, weightIn, weightOut) {
+  return divWad(divWad(reserveIn, weightIn), divWad(reserveOut, weightOut));
+}
+
+function getAmountIn(amountOut, reserveIn, reserveOut, weightIn, weightOut) {
+  if (amountOut > mulWad(reserveOut, MAX_PERCENTAGE_OUT)) revert("AmountOutTooLarge");
+  // unchecked in the contract
+  const power = powWadUp(divWadUp(reserveOut, reserveOut - amountOut), divWadUp(weightOut, weightIn));
+  return mulWadUp(reserveIn, (power - WAD) & UINT256_MAX);
+}
+
+function getAmountOut(amountIn, reserveIn, reserveOut, weightIn, weightOut) {
+  if (amountIn > mulWad(reserveIn, MAX_PERCENTAGE_IN)) revert("AmountInTooLarge");
+  const power = powWadUp(divWadUp(reserveIn, reserveIn + amountIn), divWad(weightIn, weightOut));
+  return mulWad(reserveOut, (WAD - power) & UINT256_MAX);
+}
+
+function linearInterpolation(x, y, i, n) {
+  return x > y
+    ? x - mulDiv(x - y, min(i, n), n)
+    : x + mulDiv(y - x, min(i, n), n);
+}
+
+/// -----------------------------------------------------------------------
+/// LiquidityBootstrapLib
+/// -----------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Pool
+ * LiquidityBootstrapLib Pool struct, with the token decimals instead of the token addresses
+ * @property {number} assetDecimals
+ * @property {number} shareDecimals
+ * @property {bigint} assets
+ * @property {bigint} shares
+ * @property {bigint} virtualAssets
+ * @property {bigint} virtualShares
+ * @property {bigint} weightStart
+ * @property {bigint} weightEnd
+ * @property {bigint} saleStart
+ * @property {bigint} saleEnd
+ * @property {bigint} totalPurchased
+ * @property {bigint} maxSharePrice
+ */
+
+function scaleTokenBefore(decimals, amount) {
+  if (decimals < 18) return amount * 10n ** BigInt(18 - decimals);
+  if (decimals > 18) return amount / 10n ** BigInt(decimals - 18);
+  return amount;
+}
+
+function scaleTokenAfter(decimals, amount) {
+  if (decimals < 18) return amount / 10n ** BigInt(18 - decimals);
+  if (decimals > 18) return amount * 10n ** BigInt(decimals - 18);
+  return amount;
+}
+
+/// @param timestamp block.timestamp the pool is evaluated at
+function computeReservesAndWeights(pool, timestamp) {
+  const assetReserve = pool.assets + pool.virtualAssets;
+  const shareReserve = pool.shares + pool.virtualShares - pool.totalPurchased;
+  const totalSeconds = pool.saleEnd - pool.saleStart;
+  const secondsElapsed = timestamp > pool.saleStart ? timestamp - pool.saleStart : 0n;
+
+  const assetWeight = linearInterpolation(pool.weightStart, pool.weightEnd, secondsElapsed, totalSeconds);
+  const shareWeight = WAD - assetWeight;
+  return { assetReserve, shareReserve, assetWeight, shareWeight };
+}
+
+function scaledState(pool, timestamp) {
+  const { assetReserve, shareReserve, assetWeight, shareWeight } = computeReservesAndWeights(pool, timestamp);
+  return {
+    assetReserve: scaleTokenBefore(pool.assetDecimals, assetReserve),
+    shareReserve: scaleTokenBefore(pool.shareDecimals, shareReserve),
+    assetWeight,
+    shareWeight,
+  };
+}
+
+function previewAssetsIn(pool, sharesOut, timestamp) {
+  const s = scaledState(pool, timestamp);
+  const sharesOutScaled = scaleTokenBefore(pool.shareDecimals, sharesOut);
+
+  let assetsIn = getAmountIn(sharesOutScaled, s.assetReserve, s.shareReserve, s.assetWeight, s.shareWeight);
+  if (divWad(assetsIn, sharesOutScaled) > pool.maxSharePrice) {
+    assetsIn = divWad(sharesOutScaled, pool.maxSharePrice);
+  }
+  return scaleTokenAfter(pool.assetDecimals, assetsIn);
+}
+
+function previewSharesOut(pool, assetsIn, timestamp) {
+  const s = scaledState(pool, timestamp);
+  const assetsInScaled = scaleTokenBefore(pool.assetDecimals, assetsIn);
+
+  let sharesOut = getAmountOut(assetsInScaled, s.assetReserve, s.shareReserve, s.assetWeight, s.shareWeight);
+  if (divWad(assetsInScaled, sharesOut) > pool.maxSharePrice) {
+    sharesOut = mulWad(assetsInScaled, pool.maxSharePrice);
+  }
+  return scaleTokenAfter(pool.shareDecimals, sharesOut);
+}
+
+function previewSharesIn(pool, assetsOut, timestamp) {
+  const s = scaledState(pool, timestamp);
+  const assetsOutScaled = scaleTokenBefore(pool.assetDecimals, assetsOut);
+
+  let sharesIn = getAmountIn(assetsOutScaled, s.shareReserve, s.assetReserve, s.shareWeight, s.assetWeight);
+  if (divWad(assetsOutScaled, sharesIn) > pool.maxSharePrice) {
+    sharesIn = divWad(assetsOutScaled, pool.maxSharePrice);
+  }
+  return scaleTokenAfter(pool.shareDecimals, sharesIn);
+}
+
+function previewAssetsOut(pool, sharesIn, timestamp) {
+  const s = scaledState(pool, timestamp);
+  const sharesInScaled = scaleTokenBefore(pool.shareDecimals, sharesIn);
+
+  let assetsOut = getAmountOut(sharesInScaled, s.shareReserve, s.assetReserve, s.shareWeight, s.assetWeight);
+  if (divWad(assetsOut, sharesInScaled) > pool.maxSharePrice) {
+    assetsOut = mulWad(sharesInScaled, pool.maxSharePrice);
+  }
+  return scaleTokenAfter(pool.assetDecimals, assetsOut);
+}
+
+/// @notice spot price in assets per share (WAD, 18 decimals scaled), capped at maxSharePrice
+function spotPrice(pool, timestamp) {
+  const s = scaledState(pool, timestamp);
+  return min(getSpotPrice(s.assetReserve, s.shareReserve, s.assetWeight, s.shareWeight), pool.maxSharePrice);
+}
+
+module.exports = {
+  WAD,
+  mulWad,
+  mulWadUp,
+  divWad,
+  divWadUp,
+  expWad,
+  lnWad,
+  powWad,
+  powWadUp,
+  getSpotPrice,
+  getAmountIn,
+  getAmountOut,
+  linearInterpolation,
+  computeReservesAndWeights,
+  previewAssetsIn,
+  previewSharesOut,
+  previewSharesIn,
+  previewAssetsOut,
+  spotPrice,
+};
@@ -0,0 +1,268 @@
+const { formatUnits, isHexString, id, ZeroAddress, ZeroHash } = require("ethers");
+const { SpecErrors, toTimestamp, toDuration, toWadPercent, toAmount, toAddress } = require("./pool_spec");
+const {
+  mulWad,
+  previewSharesOut,
+  previewAssetsOut,
+  computeReservesAndWeights,
+  spotPrice,
+} = require("./lbp_math");
+
+/**
+ * @dev Simulates a LiquidityBootstrapPool sale under buy/sell flows, applying the same accounting as
+ * LiquidityBootstrapPool._swapAssetsForShares/_swapSharesForAssets: swap fees are kept out of the
+ * reserves, buys add to totalPurchased and sells remove from it.
+ */
+
+const UINT88_MAX = (1n << 88n) - 1n;
+const MIN_WEIGHT = 10n ** 16n;
+const MAX_WEIGHT = 99n * 10n ** 16n;
+const MIN_SALE_PERIOD = 86400;
+
+/**
+ * @typedef {Object} Flow
+ * @property {"buy"|"sell"} side
+ * @property {bigint} amount assets in for a buy, shares in for a sell (token units)
+ * @property {number} every seconds between two swaps
+ * @property {number} from seconds after saleStart of the first swap
+ * @property {number} to seconds after saleStart after which the flow stops
+ */
+
+function swap(pool, state, flow, timestamp) {
+  if (flow.side === "buy") {
+    const swapFees = mulWad(flow.amount, state.swapFee);
+    const sharesOut = previewSharesOut(pool, flow.amount - swapFees, timestamp);
+
+    if (pool.assets + flow.amount - swapFees >= state.maxTotalAssetsIn) throw new Error("AssetsInExceeded");
+    const totalPurchasedAfter = pool.totalPurchased + sharesOut;
+    if (totalPurchasedAfter >= state.maxTotalSharesOut || totalPurchasedAfter >= pool.shares) {
+      throw new Error("SharesOutExceeded");
+    }
+
+    pool.assets += flow.amount - swapFees;
+    pool.totalPurchased = totalPurchasedAfter;
+    state.held += sharesOut;
+    state.fees += swapFees;
+    return;
+  }
+
+  if (!state.sellingAllowed) throw new Error("SellingDisallowed");
+  // flows only sell what they bought
+  const sharesIn = flow.amount < state.held ? flow.amount : state.held;
+  if (sharesIn === 0n) throw new Error("NothingToSell");
+
+  const swapFees = mulWad(sharesIn, state.swapFee);
+  const assetsOut = previewAssetsOut(pool, sharesIn - swapFees, timestamp);
+
+  if (pool.assets >= state.maxTotalAssetsIn) throw new Error("AssetsInExceeded");
+  if (pool.totalPurchased >= state.maxTotalSharesOut || pool.totalPurchased >= pool.shares) {
+    throw new Error("SharesOutExceeded");
+  }
+
+  pool.assets -= assetsOut;
+  pool.shares -= swapFees;
+  pool.totalPurchased -= sharesIn;
+  state.held -= sharesIn;
+}
+
+/// @notice runs the flows over the sale window and samples the pool every `step` seconds. Every swap is applied at
+/// its own timestamp, a row shows the pool after the swaps in [timestamp, timestamp + step)
+/// @param settings.pool initial Pool (see helpers/lbp_math.js)
+/// @param settings.swapFee swap fee of the factory, WAD
+/// @param settings.maxTotalSharesOut PoolSettings.maxSharesOut
+/// @param settings.maxTotalAssetsIn PoolSettings.maxAssetsIn
+/// @param settings.sellingAllowed PoolSettings.sellingAllowed
+/// @param {Flow[]} flows
+/// @param step seconds between two rows
+function simulate(settings, flows, step) {
+  const pool = { ...settings.pool };
+  const state = { ...settings, held: 0n, fees: 0n };
+  const rows = [];
+  const rejected = {};
+
+  const start = Number(pool.saleStart);
+  const duration = Number(pool.saleEnd - pool.saleStart);
+  // seconds after saleStart of the next swap of each flow
+  const next = flows.map(flow => flow.from);
+
+  for (let offset = 0; offset < duration; offset += step) {
+    const timestamp = BigInt(start + offset);
+    const end = Math.min(offset + step, duration);
+    let swaps = 0;
+
+    for (;;) {
+      // the earliest swap of the step, the first flow on a tie
+      let index = -1;
+      for (let i = 0; i < flows.length; i++) {
+        const to = flows[i].to === undefined ? duration : flows[i].to;
+        if (next[i] < end && next[i] < to && (index === -1 || next[i] < next[index])) {
+          index = i;
+        }
+      }
+      if (index === -1) {
+        break;
+      }
+      try {
+        swap(pool, state, flows[index], BigInt(start + next[index]));
+        swaps++;
+      } catch (e) {
+        rejected[e.message] = (rejected[e.message] || 0) + 1;
+      }
+      next[index] += flows[index].every;
+    }
+
+    const { assetWeight } = computeReservesAndWeights(pool, timestamp);
+    rows.push({
+      timestamp: start + offset,
+      assetWeight,
+      price: spotPrice(pool, timestamp),
+      assets: pool.assets,
+      totalPurchased: pool.totalPurchased,
+      swaps,
+    });
+  }
+
+  return {
+    rows,
+    summary: {
+      raised: pool.assets - settings.pool.assets,
+      sold: pool.totalPurchased,
+      swapFees: state.fees,
+      finalPrice: rows.length > 0 ? rows[rows.length - 1].price : 0n,
+      rejected,
+    },
+  };
+}
+
+/// @notice converts a LBP spec to the createLiquidityBootstrapPool arguments and the simulated scenarios
+/// @param decimals.share decimals of the share token
+/// @param decimals.asset decimals of the asset token
+/// @param whitelistMerkleRoot root of the spec allowlist, built by the caller
+/// @return settings PoolSettings, shares, assets, salt, ipfsData and scenarios, amounts in token units
+function convertLbpSpec(spec, decimals, whitelistMerkleRoot = ZeroHash) {
+  const errors = new SpecErrors();
+  const { share, asset } = decimals;
+
+  const amount = (field, value, tokenDecimals) =>
+    errors.convert(field, () => toAmount(value || 0, tokenDecimals)) || 0n;
+  // unset limits are the largest uint88, they can't be reached
+  const uint88 = (field, value, tokenDecimals) => {
+    const converted = value === undefined ? UINT88_MAX : amount(field, value, tokenDecimals);
+    errors.check(converted <= UINT88_MAX, field, "doesn't fit in uint88");
+    return converted;
+  };
+  const timestamp = (field) => spec[field] ? errors.convert(field, () => toTimestamp(spec[field])) || 0 : 0;
+
+  const settings = {
+    asset: errors.convert("assetToken", () => toAddress(spec.assetToken)) || ZeroAddress,
+    share: errors.convert("shareToken", () => toAddress(spec.shareToken)) || ZeroAddress,
+    creator: errors.convert("creator", () => toAddress(spec.creator)) || ZeroAddress,
+    virtualAssets: uint88("virtualAssets", spec.virtualAssets || 0, asset),
+    virtualShares: uint88("virtualShares", spec.virtualShares || 0, share),
+    // the pool compares the price scaled to 18 decimals
+    maxSharePrice: uint88("maxSharePrice", spec.maxSharePrice, 18),
+    maxSharesOut: uint88("maxSharesOut", spec.maxSharesOut, share),
+    maxAssetsIn: uint88("maxAssetsIn", spec.maxAssetsIn, asset),
+    weightStart: errors.convert("weightStart", () => toWadPercent(spec.weightStart)) || 0n,
+    weightEnd: errors.convert("weightEnd", () => toWadPercent(spec.weightEnd)) || 0n,
+    saleStart: timestamp("saleStart"),
+    saleEnd: timestamp("saleEnd"),
+    vestCliff: timestamp("vestCliff"),
+    vestEnd: timestamp("vestEnd"),
+    sellingAllowed: Boolean(spec.sellingAllowed),
+    whitelistMerkleRoot,
+  };
+
+  const scenarios = (spec.scenarios || [{ name: "no swaps", flows: [] }]).map((scenario, i) => ({
+    name: scenario.name || `scenario ${i}`,
+    flows: (scenario.flows || []).map((flow, j) => {
+      const field = `scenarios[${i}].flows[${j}]`;
+      errors.check(["buy", "sell"].includes(flow.side), field, `side must be buy or sell`);
+      return {
+        side: flow.side,
+        amount: amount(`${field}.amount`, flow.amount, flow.side === "sell" ? share : asset),
+        every: errors.convert(`${field}.every`, () => toDuration(flow.every)) || 1,
+        from: errors.convert(`${field}.from`, () => toDuration(flow.from || 0)) || 0,
+        to: flow.to === undefined ? undefined : errors.convert(`${field}.to`, () => toDuration(flow.to)),
+      };
+    }),
+  }));
+
+  const step = spec.step ? errors.convert("step", () => toDuration(spec.step)) : undefined;
+  const salt = spec.salt && isHexString(spec.salt, 32) ? spec.salt : id(String(spec.salt || spec.name || ""));
+
+  errors.throwIfAny();
+
+  return {
+    settings,
+    shares: amount("shares", spec.shares, share),
+    assets: amount("assets", spec.assets, asset),
+    salt,
+    ipfsData: spec.ipfsData || "",
+    step,
+    scenarios,
+  };
+}
+
+/// @notice runs the checks of LiquidityBootstrapPoolFactory.createLiquidityBootstrapPool, reporting every failed one
+/// @param timestamp block.timestamp the pool would be created at
+function validateLbpArgs({ settings, assets }, timestamp) {
+  const errors = new SpecErrors();
+  errors.check(settings.share !== settings.asset && settings.share !== ZeroAddress && settings.asset !== ZeroAddress,
+    "InvalidAssetOrShare", "shareToken and assetToken must be set and different");
+  errors.check(timestamp + MIN_SALE_PERIOD <= settings.saleEnd, "SalePeriodLow",
+    "saleEnd must be at least 1 day after the pool creation");
+  errors.check(settings.saleEnd - settings.saleStart >= MIN_SALE_PERIOD, "SalePeriodLow",
+    "the sale must last at least 1 day");
+  if (settings.saleEnd < settings.vestEnd) {
+    errors.check(settings.saleEnd <= settings.vestCliff, "InvalidVestCliff", "vestCliff must be after saleEnd");
+    errors.check(settings.vestCliff < settings.vestEnd, "InvalidVestEnd", "vestEnd must be after vestCliff");
+  }
+  for (const field of ["weightStart", "weightEnd"]) {
+    errors.check(settings[field] >= MIN_WEIGHT && settings[field] <= MAX_WEIGHT, "InvalidWeightConfig",
+      `${field} must be between 1% and 99%`);
+  }
+  errors.check(assets > 0n || settings.virtualAssets > 0n, "InvalidAssetValue",
+    "assets or virtualAssets must be set");
+  errors.throwIfAny();
+}
+
+/// @notice the Pool the created LiquidityBootstrapPool starts with, see helpers/lbp_math.js
+function toPool({ settings, shares, assets }, decimals) {
+  return {
+    assetDecimals: decimals.asset,
+    shareDecimals: decimals.share,
+    assets,
+    shares,
+    virtualAssets: settings.virtualAssets,
+    virtualShares: settings.virtualShares,
+    weightStart: settings.weightStart,
+    weightEnd: settings.weightEnd,
+    saleStart: BigInt(settings.saleStart),
+    saleEnd: BigInt(settings.saleEnd),
+    totalPurchased: 0n,
+    maxSharePrice: settings.maxSharePrice,
+  };
+}
+
+/// @notice rows formatted for console.table, with a bar chart of the spot price
+function formatRows(rows, { assetDecimals, shareDecimals }, width = 40) {
+  const maxPrice = rows.reduce((max, row) => row.price > max ? row.price : max, 1n);
+  return rows.map(row => ({
+    time: new Date(row.timestamp * 1000).toISOString().replace(".000Z", "Z"),
+    assetWeight: `${formatUnits(row.assetWeight * 100n, 18)}%`,
+    price: formatUnits(row.price, 18),
+    chart: "#".repeat(Number(row.price * BigInt(width) / maxPrice)),
+    assets: formatUnits(row.assets, assetDecimals),
+    sold: formatUnits(row.totalPurchased, shareDecimals),
+    swaps: row.swaps,
+  }));
+}
+
+module.exports = {
+  convertLbpSpec,
+  validateLbpArgs,
+  toPool,
+  simulate,
+  formatRows,
+};
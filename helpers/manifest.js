@@ -0,0 +1,108 @@
+const fs = require("fs");
+const path = require("path");
+const { profileConfig } = require("./networks");
+const { stringifyJSON } = require("./json");
+
+/**
+ * @dev Deployment manifest, one directory per network: deployments/<network>_<chainId>/
+ *  - config.json optionally overrides the external inputs of the network profile (MAIN multisig, Sablier, fee
+ *    recipient...) for this deployment, see helpers/networks.js
+ *  - <ContractName>.json holds one entry per deployed contract
+ */
+
+const CONFIG_FILE = "config.json";
+
+async function getDeploymentsDir(hre) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return path.join(hre.config.paths.root, "deployments", `${hre.network.name}_${chainId}`);
+}
+
+function toJSON(value) {
+  return stringifyJSON(value) + "\n";
+}
+
+function readJSON(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : undefined;
+}
+
+function isSetAddress(value) {
+  return typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value);
+}
+
+async function readEntry(hre, name) {
+  return readJSON(path.join(await getDeploymentsDir(hre), `${name}.json`));
+}
+
+async function writeEntry(hre, name, entry) {
+  const dir = await getDeploymentsDir(hre);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${name}.json`), toJSON(entry));
+}
+
+/// @notice returns the address of a deployed contract, refuses to go on if it's not in the manifest
+async function requireAddress(hre, name) {
+  const entry = await readEntry(hre, name);
+  if (!entry || !isSetAddress(entry.address)) {
+    throw new Error(
+      `${name} address is missing in the deployment manifest of ${hre.network.name}, deploy it first`
+    );
+  }
+  return entry.address;
+}
+
+/// @notice returns a value of the network config.json, or of the network profile when config.json doesn't set it,
+/// refuses to go on if it's missing or still "TODO"
+async function requireConfig(hre, key, { address = true } = {}) {
+  const config = readJSON(path.join(await getDeploymentsDir(hre), CONFIG_FILE)) || {};
+  const value = config[key] !== undefined ? config[key] : profileConfig(hre.network.name, key);
+  const valid = address ? isSetAddress(value) : value !== undefined && value !== "TODO";
+  if (!valid) {
+    throw new Error(
+      `${key} is not configured for ${hre.network.name} (got "${value}"), set it in its network profile ` +
+      `or ${CONFIG_FILE}`
+    );
+  }
+  return value;
+}
+
+/// @notice records a freshly deployed contract
+/// @param options.args constructor or initializer args
+/// @param options.libraries linked libraries
+/// @param options.proxy true if the address is a transparent proxy deployed with the upgrades plugin
+/// @param options.deployTransaction the transaction that created the contract, if not deployed directly
+/// @param options.metadata extra fields of the entry (e.g. the ipfsData of a pool)
+async function recordDeployment(hre, name, contract, options = {}) {
+  const address = await contract.getAddress();
+  const tx = options.deployTransaction || contract.deploymentTransaction();
+  const receipt = tx ? await tx.wait() : undefined;
+  const { abi } = await hre.artifacts.readArtifact(options.contractName || name);
+
+  const entry = {
+    address,
+    txHash: receipt ? receipt.hash : undefined,
+    blockNumber: receipt ? receipt.blockNumber : undefined,
+    args: options.args || [],
+    libraries: options.libraries || {},
+  };
+  if (options.proxy) {
+    entry.proxy = {
+      kind: "transparent",
+      implementation: await hre.upgrades.erc1967.getImplementationAddress(address),
+      admin: await hre.upgrades.erc1967.getAdminAddress(address),
+    };
+  }
+  Object.assign(entry, options.metadata);
+  entry.abi = abi;
+
+  await writeEntry(hre, name, entry);
+  return entry;
+}
+
+module.exports = {
+  getDeploymentsDir,
+  readEntry,
+  writeEntry,
+  requireAddress,
+  requireConfig,
+  recordDeployment,
+};
@@ -0,0 +1,148 @@
+const { getAddress, isAddress, keccak256, concat, solidityPackedKeccak256, ZeroHash } = require("ethers");
+
+/**
+ * @dev JS port of contracts/utils/Merkle.sol (Murky): pairs are sorted before hashing and the last
+ * node of an odd level is paired with bytes32(0). The proofs are accepted by solady MerkleProofLib,
+ * which BasePool._validateWhitelist and LiquidityBootstrapPool.onlyWhitelisted use on-chain.
+ */
+
+/// @notice leaf of an address, keccak256(abi.encodePacked(recipient))
+function getLeaf(address) {
+  return solidityPackedKeccak256(["address"], [address]);
+}
+
+/// @notice leaf of a score, keccak256(abi.encodePacked(user, score)), 52 bytes that can't be taken for a pair
+function getScoreLeaf(user, score) {
+  return solidityPackedKeccak256(["address", "uint256"], [user, score]);
+}
+
+/// ascending sort and concat prior to hashing
+function hashLeafPairs(left, right) {
+  return BigInt(left) < BigInt(right)
+    ? keccak256(concat([left, right]))
+    : keccak256(concat([right, left]));
+}
+
+function hashLevel(data) {
+  const result = [];
+  for (let i = 0; i < data.length - 1; i += 2) {
+    result.push(hashLeafPairs(data[i], data[i + 1]));
+  }
+  if (data.length % 2 === 1) {
+    result.push(hashLeafPairs(data[data.length - 1], ZeroHash));
+  }
+  return result;
+}
+
+/// @dev unlike Murky a single leaf is its own root, with an empty proof
+function getRoot(leaves) {
+  if (leaves.length === 0) {
+    throw new Error("won't generate root for an empty whitelist");
+  }
+  let data = leaves;
+  while (data.length > 1) {
+    data = hashLevel(data);
+  }
+  return data[0];
+}
+
+function getProof(leaves, node) {
+  const proof = [];
+  let data = leaves;
+  while (data.length > 1) {
+    if (node % 2 === 1) {
+      proof.push(data[node - 1]);
+    } else if (node + 1 === data.length) {
+      proof.push(ZeroHash);
+    } else {
+      proof.push(data[node + 1]);
+    }
+    node = Math.floor(node / 2);
+    data = hashLevel(data);
+  }
+  return proof;
+}
+
+function verifyProof(root, proof, leaf) {
+  return proof.reduce((hash, sibling) => hashLeafPairs(hash, sibling), leaf) === root;
+}
+
+/// @notice validates the addresses of an allowlist and dedupes them
+/// @dev mixed-case addresses must have a valid checksum, lowercase ones are checksummed
+/// @return addresses checksummed and sorted, so the root doesn't depend on the order of the input
+function normalizeAddresses(entries) {
+  const errors = [];
+  const seen = new Set();
+  const duplicates = [];
+
+  entries.forEach(({ value, line }) => {
+    const raw = String(value).trim();
+    if (!isAddress(raw)) {
+      errors.push(`line ${line}: "${raw}" is not a valid address (or has a bad checksum)`);
+      return;
+    }
+    const address = getAddress(raw);
+    if (seen.has(address)) {
+      duplicates.push(address);
+      return;
+    }
+    seen.add(address);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid allowlist:\n  ${errors.join("\n  ")}`);
+  }
+
+  const addresses = [...seen].sort((a, b) => a.toLowerCase() < b.toLowerCase() ? -1 : 1);
+  return { addresses, duplicates };
+}
+
+// first column names of an allowlist CSV header, any other first row is an address to validate
+const CSV_HEADERS = ["address", "wallet", "account"];
+
+/// @notice parses a CSV (address in the first column, optional header) or a JSON allowlist
+/// (array of addresses or of objects with an `address` field)
+function parseAllowlist(content, format) {
+  if (format === "json") {
+    const list = JSON.parse(content);
+    if (!Array.isArray(list)) {
+      throw new Error("JSON allowlist must be an array");
+    }
+    return normalizeAddresses(list.map((item, i) => ({
+      value: typeof item === "object" && item !== null ? item.address : item,
+      line: i + 1,
+    })));
+  }
+
+  const entries = [];
+  content.split(/\r?\n/).forEach((row, i) => {
+    const value = row.split(",")[0].trim();
+    if (value === "" || (i === 0 && CSV_HEADERS.includes(value.toLowerCase()))) {
+      return;
+    }
+    entries.push({ value, line: i + 1 });
+  });
+  return normalizeAddresses(entries);
+}
+
+/// @notice builds the whitelistMerkleRoot of BaseCreationParams / PoolSettings and the proof of every address
+function buildWhitelist(addresses) {
+  const leaves = addresses.map(getLeaf);
+  const root = getRoot(leaves);
+  const proofs = {};
+  addresses.forEach((address, i) => {
+    proofs[address] = getProof(leaves, i);
+  });
+  return { root, proofs };
+}
+
+module.exports = {
+  getLeaf,
+  getScoreLeaf,
+  hashLeafPairs,
+  getRoot,
+  getProof,
+  verifyProof,
+  parseAllowlist,
+  buildWhitelist,
+};
@@ -0,0 +1,274 @@
+/**
+ * @dev Network profiles, the per chain settings of hardhat.config.js and of the deployment: where the RPC url and
+ * the deployer key come from, the block time SuprimeStaking is initialized with, the Sablier LockupLinear the pools
+ * stream vested shares through, the MAIN multisig, the Treasury fee recipient and the explorer contracts are verified
+ * on. A live network can't be used until its profile is complete, "TODO" marks a value still to be decided.
+ * The fees, the Treasury split and the staking base URI are what the deployment sets and audit-config expects. The
+ * Treasury is deployed owned by its fee recipient: when that is the deployer, the split is set and the handoff stage
+ * then hands it over to MAIN, otherwise the split call is printed and the recipient keeps it.
+ */
+
+const DAY = 86400;
+
+/// @notice settings of every profile unless it sets its own
+const DEFAULTS = {
+  // LiquidityBootstrapPoolFactory fees in bips
+  lbpFees: { platformFee: 400, referrerFee: 0, swapFee: 300 },
+  // "<percent>% <recipient>" parts of helpers/treasury.planSplit, 100% to the fee recipient when not set
+  treasurySplit: undefined,
+  // SuprimeStaking.setBaseURI, not checked when not set
+  stakingBaseURI: undefined,
+};
+
+/// @notice profiles by hardhat network name, the env vars are named, never read here
+const PROFILES = {
+  // in-process and `npx hardhat node`, the pipeline deploys a SablierV2LockupLinearMock
+  hardhat: {
+    chainId: 31337,
+    local: true,
+    blockTime: 12,
+    blocksPerDay: 7200,
+    main: "0x0cF8689FC575e1eB67D55b7842456e4825b01b1a",
+    treasuryFeeRecipient: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
+  },
+  localhost: {
+    chainId: 31337,
+    local: true,
+    rpc: { env: "LOCALHOST_RPC_URL", url: "http://127.0.0.1:8545" },
+    blockTime: 12,
+    blocksPerDay: 7200,
+    main: "0x0cF8689FC575e1eB67D55b7842456e4825b01b1a",
+    treasuryFeeRecipient: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
+  },
+  sepolia: {
+    chainId: 11155111,
+    testnet: true,
+    rpc: { env: "SEPOLIA_RPC_URL", infura: "sepolia" },
+    accounts: "SEPOLIA_PRIVATE_KEY",
+    blockTime: 12,
+    blocksPerDay: 7200,
+    sablier: "0x7a43F8a888fa15e68C103E18b0439Eb1e98E4301",
+    main: "0x0cF8689FC575e1eB67D55b7842456e4825b01b1a",
+    treasuryFeeRecipient: "0xC6AC25a9edefb3368710c0Aef5fC387691CA0e3A",
+    stakingBaseURI: "https://protocol.mypinata.cloud/ipfs/QmXggm4Qfgjbx3owiZtzE5DVXBKGeCAPn6J4DwXwxuRvhL/",
+    explorer: {
+      apiKey: "ETHERSCAN_API_KEY",
+      apiURL: "https://api-sepolia.etherscan.io/api",
+      browserURL: "https://sepolia.etherscan.io",
+    },
+  },
+  mainnet: {
+    chainId: 1,
+    rpc: { env: "MAINNET_RPC_URL", infura: "mainnet" },
+    accounts: "MAINNET_PRIVATE_KEY",
+    blockTime: 12,
+    blocksPerDay: 7200,
+    sablier: "0xB10daee1FCF62243aE27776D7a92D39dC8740f95",
+    main: "0x0cF8689FC575e1eB67D55b7842456e4825b01b1a",
+    treasuryFeeRecipient: "TODO",
+    explorer: {
+      apiKey: "ETHERSCAN_API_KEY",
+      apiURL: "https://api.etherscan.io/api",
+      browserURL: "https://etherscan.io",
+    },
+  },
+  base: {
+    chainId: 8453,
+    rpc: { env: "BASE_RPC_URL", url: "https://mainnet.base.org" },
+    accounts: "BASE_PRIVATE_KEY",
+    blockTime: 2,
+    blocksPerDay: 43200,
+    sablier: "TODO",
+    main: "TODO",
+    treasuryFeeRecipient: "TODO",
+    explorer: {
+      apiKey: "BASESCAN_API_KEY",
+      apiURL: "https://api.basescan.org/api",
+      browserURL: "https://basescan.org",
+    },
+  },
+  bsc: {
+    chainId: 56,
+    rpc: { env: "BSC_RPC_URL", url: "https://bsc-dataseed.bnbchain.org" },
+    accounts: "BSC_PRIVATE_KEY",
+    blockTime: 0.75,
+    blocksPerDay: 115200,
+    sablier: "TODO",
+    main: "TODO",
+    treasuryFeeRecipient: "TODO",
+    explorer: {
+      apiKey: "BSCSCAN_API_KEY",
+      apiURL: "https://api.bscscan.com/api",
+      browserURL: "https://bscscan.com",
+    },
+  },
+  polygon: {
+    chainId: 137,
+    rpc: { env: "POLYGON_RPC_URL", url: "https://polygon-rpc.com" },
+    accounts: "POLYGON_PRIVATE_KEY",
+    blockTime: 2,
+    blocksPerDay: 43200,
+    sablier: "TODO",
+    main: "TODO",
+    treasuryFeeRecipient: "TODO",
+    explorer: {
+      apiKey: "POLYGONSCAN_API_KEY",
+      apiURL: "https://api.polygonscan.com/api",
+      browserURL: "https://polygonscan.com",
+    },
+  },
+};
+
+/// config.json keys of the deployment manifest and the profile fields they override
+const CONFIG_KEYS = {
+  MAIN: "main",
+  SABLIER: "sablier",
+  TREASURY_FEE_RECIPIENT: "treasuryFeeRecipient",
+  BLOCKS_PER_DAY: "blocksPerDay",
+};
+
+const isSetAddress = value => typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value);
+
+/// @notice the profile of a hardhat network, completed with the defaults
+function profileOf(name) {
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new Error(`No network profile for ${name}, expected one of ${Object.keys(PROFILES).join(", ")}`);
+  }
+  return { ...DEFAULTS, ...profile };
+}
+
+/// @notice name of the live network of a chain ID, undefined for the local chains and the unknown ones
+function networkOfChain(chainId) {
+  return Object.keys(PROFILES).find(name => !PROFILES[name].local && PROFILES[name].chainId === Number(chainId));
+}
+
+/// @notice RPC url of a profile: its env var, then Infura when INFURA_API_KEY is set, then its public url
+function rpcUrl(profile, env = process.env) {
+  const { rpc = {} } = profile;
+  if (rpc.env && env[rpc.env]) {
+    return env[rpc.env];
+  }
+  if (rpc.infura && env.INFURA_API_KEY) {
+    return `https://${rpc.infura}.infura.io/v3/${env.INFURA_API_KEY}`;
+  }
+  return rpc.url;
+}
+
+/// @notice what is missing for a network to be used
+/// @param options.deployment also requires the deployer key and the explorer API key the deploy scripts use
+/// @return one line per missing or inconsistent value, empty for a complete profile
+function checkProfile(name, { env = process.env, deployment = false } = {}) {
+  const profile = profileOf(name);
+  const problems = [];
+  const address = (field, label) => {
+    if (!isSetAddress(profile[field])) {
+      problems.push(`${label} is not an address (got "${profile[field]}")`);
+    }
+  };
+
+  if (!Number.isInteger(profile.chainId)) {
+    problems.push("the chain ID is not set");
+  }
+  if (!(profile.blockTime > 0) || !Number.isInteger(profile.blocksPerDay) ||
+    profile.blockTime * profile.blocksPerDay !== DAY) {
+    problems.push(`${profile.blocksPerDay} blocks per day don't match a ${profile.blockTime}s block time`);
+  }
+  address("main", "the MAIN multisig");
+  address("treasuryFeeRecipient", "the Treasury fee recipient");
+  if (profile.local) {
+    return problems;
+  }
+
+  address("sablier", "the Sablier LockupLinear");
+  if (!rpcUrl(profile, env)) {
+    problems.push(`no RPC url, set ${profile.rpc && profile.rpc.env}` +
+      (profile.rpc && profile.rpc.infura ? " or INFURA_API_KEY" : ""));
+  }
+  const { explorer } = profile;
+  if (!profile.accounts || !explorer || !explorer.apiKey || !explorer.apiURL || !explorer.browserURL) {
+    problems.push("the deployer key env var or the explorer settings are not set");
+  } else if (deployment) {
+    if (!env[profile.accounts]) {
+      problems.push(`no deployer key, set ${profile.accounts}`);
+    }
+    if (!env[explorer.apiKey]) {
+      problems.push(`no explorer API key, set ${explorer.apiKey}`);
+    }
+  }
+  return problems;
+}
+
+/// @notice throws the missing values of an incomplete profile
+/// @param options same as checkProfile
+function requireProfile(name, options) {
+  const problems = checkProfile(name, options);
+  if (problems.length > 0) {
+    throw new Error(`The ${name} network profile is incomplete, complete it in helpers/networks.js or the env:\n` +
+      problems.map(problem => `  - ${problem}`).join("\n"));
+  }
+  return profileOf(name);
+}
+
+/// @notice value of a profile for a config.json key of the deployment manifest
+function profileConfig(name, key) {
+  const profile = PROFILES[name];
+  return profile && CONFIG_KEYS[key] ? profile[CONFIG_KEYS[key]] : undefined;
+}
+
+/// -----------------------------------------------------------------------
+/// hardhat.config.js
+/// -----------------------------------------------------------------------
+
+/// @notice the `networks` of hardhat.config.js, the live networks are checked once one is selected
+function hardhatNetworks(env = process.env) {
+  const networks = {
+    hardhat: {
+      allowUnlimitedContractSize: true,
+    },
+  };
+  for (const [name, profile] of Object.entries(PROFILES)) {
+    if (name === "hardhat") {
+      continue;
+    }
+    networks[name] = {
+      url: rpcUrl(profile, env) || "",
+      chainId: profile.chainId,
+    };
+    if (profile.accounts) {
+      networks[name].accounts = env[profile.accounts] ? [env[profile.accounts]] : [];
+    }
+  }
+  return networks;
+}
+
+/// @notice the `etherscan` settings of hardhat-verify, one API key per network
+function explorerConfig(env = process.env) {
+  const apiKey = {};
+  const customChains = [];
+  for (const [name, { chainId, explorer }] of Object.entries(PROFILES)) {
+    if (!explorer) {
+      continue;
+    }
+    apiKey[name] = env[explorer.apiKey] || "";
+    customChains.push({
+      network: name,
+      chainId,
+      urls: { apiURL: explorer.apiURL, browserURL: explorer.browserURL },
+    });
+  }
+  return { apiKey, customChains };
+}
+
+module.exports = {
+  DEFAULTS,
+  PROFILES,
+  profileOf,
+  networkOfChain,
+  rpcUrl,
+  checkProfile,
+  requireProfile,
+  profileConfig,
+  hardhatNetworks,
+  explorerConfig,
+};
@@ -0,0 +1,56 @@
+const { bigintReplacer } = require("./json");
+
+/**
+ * @dev Notifiers of the service alerts. A notifier is any object with an async notify(alert), every alert has a
+ * `level` and a `message`, the rest depends on the service raising it.
+ */
+
+/// @notice prints the alerts, prefixed with the service and the level
+/// @param source name of the service in the prefix, "rewards", "keeper"...
+function createConsoleNotifier(source, log = console.log) {
+  return {
+    async notify({ level, message }) {
+      log(`[${source} ${level}] ${message}`);
+    },
+  };
+}
+
+/// @notice posts the alerts as JSON, `text` holds the message for Slack and Discord style webhooks
+function createWebhookNotifier(url, { fetch = globalThis.fetch } = {}) {
+  return {
+    async notify(alert) {
+      const body = JSON.stringify({ text: alert.message, ...alert }, bigintReplacer);
+      const response = await fetch(url, { method: "POST", headers: { "content-type": "application/json" }, body });
+      if (!response.ok) {
+        throw new Error(`The webhook answered ${response.status} to the ${alert.level} alert`);
+      }
+    },
+  };
+}
+
+/// @notice keeps the alerts, for the tests and dry runs
+function createMemoryNotifier() {
+  const alerts = [];
+  return {
+    alerts,
+    async notify(alert) {
+      alerts.push(alert);
+    },
+  };
+}
+
+/// @notice every notifier gets the alerts
+function combineNotifiers(...notifiers) {
+  return {
+    async notify(alert) {
+      await Promise.all(notifiers.map(notifier => notifier.notify(alert)));
+    },
+  };
+}
+
+module.exports = {
+  createConsoleNotifier,
+  createWebhookNotifier,
+  createMemoryNotifier,
+  combineNotifiers,
+};
@@ -0,0 +1,214 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  getDeploymentsDir,
+  readEntry,
+  requireAddress,
+  requireConfig,
+  recordDeployment,
+} = require("./manifest");
+const { profileOf, requireProfile } = require("./networks");
+
+// wait for the explorer to index freshly deployed bytecode before verifying it
+const VERIFICATION_DELAY = 45000;
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+function isLocalNetwork(hre) {
+  return LOCAL_NETWORKS.includes(hre.network.name);
+}
+
+function loadCheckpoint(file) {
+  if (!fs.existsSync(file)) {
+    return { stages: {}, verified: {}, steps: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveCheckpoint(file, checkpoint) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(checkpoint, null, 2) + "\n");
+}
+
+/// @dev a manifest address is only reused if there is still code behind it,
+/// so a restarted local node does not resume into a wiped chain
+async function isDeployed(hre, address) {
+  if (!address) {
+    return false;
+  }
+  return (await hre.ethers.provider.getCode(address)) !== "0x";
+}
+
+function createContext(hre, deployer, checkpoint, save) {
+  let deployedInThisRun = false;
+
+  const existing = async (name) => {
+    const entry = await readEntry(hre, name);
+    if (entry && await isDeployed(hre, entry.address)) {
+      console.log(`${name} already deployed to ${entry.address}, skipping`);
+      return entry.address;
+    }
+  };
+
+  const onDeployed = (name, address) => {
+    deployedInThisRun = true;
+    // one-off steps of a redeployed contract must run again
+    for (const step of Object.keys(checkpoint.steps)) {
+      if (step.startsWith(`${name}.`)) {
+        delete checkpoint.steps[step];
+      }
+    }
+    save();
+    console.log(`${name} deployed to ${address}`);
+  };
+
+  const ctx = {
+    hre,
+    deployer,
+    /// chain settings of the network, see helpers/networks.js
+    profile: profileOf(hre.network.name),
+
+    /// @notice address of a contract from the deployment manifest
+    address: (name) => requireAddress(hre, name),
+
+    /// @notice value from the network config.json of the deployment manifest
+    config: (key, options) => requireConfig(hre, key, options),
+
+    /// @notice deploys a contract once, a resumed run attaches to the address from the manifest
+    async deploy(name, contractName, args = [], options = {}) {
+      const address = await existing(name);
+      if (address) {
+        return hre.ethers.getContractAt(contractName, address, deployer);
+      }
+
+      const contract = await hre.ethers.deployContract(contractName, args, {
+        signer: deployer,
+        libraries: options.libraries,
+      });
+      await contract.waitForDeployment();
+
+      await recordDeployment(hre, name, contract, {
+        contractName,
+        args,
+        libraries: options.libraries,
+      });
+      onDeployed(name, contract.target);
+      return contract;
+    },
+
+    /// @notice deploys a transparent proxy once, a resumed run attaches to the proxy from the manifest
+    async deployProxy(name, contractName, args, options) {
+      const address = await existing(name);
+      if (address) {
+        return hre.ethers.getContractAt(contractName, address, deployer);
+      }
+
+      const factory = await hre.ethers.getContractFactory(contractName, deployer);
+      const proxy = await hre.upgrades.deployProxy(factory, args, options);
+      await proxy.waitForDeployment();
+
+      await recordDeployment(hre, name, proxy, {
+        contractName,
+        args,
+        proxy: true,
+      });
+      onDeployed(name, await proxy.getAddress());
+      return proxy;
+    },
+
+    /// @notice records a contract created by another contract (e.g. a pool implementation)
+    async record(name, contractName, address, options = {}) {
+      const contract = await hre.ethers.getContractAt(contractName, address, deployer);
+      await recordDeployment(hre, name, contract, { contractName, ...options });
+      return contract;
+    },
+
+    /// @notice verifies a contract of the manifest on the explorer, skipped on local networks
+    async verify(name, verifyArgs = {}) {
+      if (isLocalNetwork(hre)) {
+        return;
+      }
+
+      const address = await requireAddress(hre, name);
+      if (checkpoint.verified[name] === address) {
+        return;
+      }
+
+      if (deployedInThisRun) {
+        console.log("Waiting before verification....");
+        await delay(VERIFICATION_DELAY);
+        deployedInThisRun = false;
+      }
+
+      await hre.run("verify:verify", { ...verifyArgs, address });
+      checkpoint.verified[name] = address;
+      save();
+    },
+
+    /// @notice runs a one-off transaction (e.g. setRewards) exactly once across resumed runs
+    /// @dev keys are prefixed with the contract name, e.g. "SuprimeStaking.setRewards"
+    async once(key, fn) {
+      if (checkpoint.steps[key]) {
+        console.log(`${key} already done, skipping`);
+        return;
+      }
+      await fn();
+      checkpoint.steps[key] = true;
+      save();
+    },
+  };
+
+  return ctx;
+}
+
+/// @notice runs the deployment stages in order, each stage resolves the addresses
+/// deployed by the previous ones from the deployment manifest
+/// @dev progress is checkpointed to deployments/<network>_<chainId>/checkpoint.json,
+/// re-running the pipeline after a failure resumes from the failed stage
+async function runPipeline(hre, stages) {
+  // the profile is checked up front, an incomplete one fails before anything is deployed
+  requireProfile(hre.network.name, { deployment: true });
+  const [deployer] = await hre.ethers.getSigners();
+  const file = path.join(await getDeploymentsDir(hre), "checkpoint.json");
+  const checkpoint = loadCheckpoint(file);
+  const save = () => saveCheckpoint(file, checkpoint);
+
+  const ctx = createContext(hre, deployer, checkpoint, save);
+  const outputs = {};
+
+  for (const stage of stages) {
+    const done = checkpoint.stages[stage.name];
+    if (done && done.status === "done" && await stageStillDeployed(hre, done.outputs)) {
+      console.log(`Stage "${stage.name}" already completed, skipping`);
+      Object.assign(outputs, done.outputs);
+      continue;
+    }
+
+    console.log(`Running stage "${stage.name}"`);
+    checkpoint.stages[stage.name] = { status: "pending" };
+    save();
+
+    const stageOutputs = (await stage.run(ctx)) || {};
+
+    checkpoint.stages[stage.name] = { status: "done", outputs: stageOutputs };
+    save();
+    Object.assign(outputs, stageOutputs);
+  }
+
+  return outputs;
+}
+
+async function stageStillDeployed(hre, outputs = {}) {
+  for (const address of Object.values(outputs)) {
+    if (!await isDeployed(hre, address)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+module.exports = {
+  runPipeline,
+  isLocalNetwork,
+};
@@ -0,0 +1,44 @@
+/**
+ * @dev Polling loop of the services. The next run is scheduled once the previous one is done, a slow node
+ * delays the runs instead of piling them up.
+ */
+
+/// @notice creates the start() and stop() of a service, spread them into the service
+/// @param run async function run on every poll
+/// @param callback name of the start() option called with the result of every run, onSync, onCheck...
+function createPoller(run, callback) {
+  let timer;
+  let stopped = true;
+
+  return {
+    /// @notice runs every `interval` seconds until stop()
+    /// @param options[callback] called with the result of every run that returned one
+    /// @param options.onError called with the errors of a run, the next one is still scheduled
+    start(interval, { [callback]: onResult = () => {}, onError = console.error } = {}) {
+      stopped = false;
+      const poll = async () => {
+        try {
+          const result = await run();
+          if (result !== undefined) {
+            onResult(result);
+          }
+        } catch (e) {
+          onError(e);
+        }
+        if (!stopped) {
+          timer = setTimeout(poll, interval * 1000);
+        }
+      };
+      poll();
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+module.exports = {
+  createPoller,
+};
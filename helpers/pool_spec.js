@@ -0,0 +1,241 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { parseUnits, isAddress, getAddress, ZeroAddress, ZeroHash } = require("ethers");
+
+/**
+ * @dev Human-readable spec of a FixedPricePool sale, converted to the arguments of
+ * FixedPricePoolFactory.createFixedPricePool. Amounts are in whole tokens, fees in percent,
+ * dates are ISO strings (or unix seconds) and durations are seconds or "30m", "12h", "7d".
+ */
+
+const MAX_TIERS = 80;
+const MAX_REDEMPTION_DELAY = 86400 * 30;
+const MIN_SALE_DURATION = 10 * 60;
+const WAD = 10n ** 18n;
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+function loadSpec(file) {
+  const content = fs.readFileSync(file, "utf8");
+  return [".yaml", ".yml"].includes(path.extname(file).toLowerCase())
+    ? yaml.load(content)
+    : JSON.parse(content);
+}
+
+class SpecErrors {
+  constructor() {
+    this.errors = [];
+  }
+
+  /// @dev runs a conversion, collects its error instead of stopping at the first one
+  convert(field, fn) {
+    try {
+      return fn();
+    } catch (e) {
+      this.errors.push(`${field}: ${e.message}`);
+    }
+  }
+
+  /// @param error the custom error the factory would revert with
+  check(condition, error, message) {
+    if (!condition) {
+      this.errors.push(`${error}: ${message}`);
+    }
+  }
+
+  throwIfAny() {
+    if (this.errors.length > 0) {
+      throw new Error(`Invalid pool spec:\n  ${this.errors.join("\n  ")}`);
+    }
+  }
+}
+
+function toTimestamp(value) {
+  // YAML parses unquoted dates to Date objects
+  const date = value instanceof Date ? value : /^[0-9]+$/.test(String(value)) ? new Date(Number(value) * 1000) : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`"${value}" is not a date`);
+  }
+  return Math.floor(date.getTime() / 1000);
+}
+
+function toDuration(value) {
+  const match = /^([0-9]+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`"${value}" is not a duration`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+}
+
+/// @notice "2.5%", "2.5" or 2.5 to a WAD fraction
+function toWadPercent(value) {
+  return parseUnits(String(value).replace("%", "").trim(), 16);
+}
+
+function toAmount(value, decimals) {
+  return parseUnits(String(value), decimals);
+}
+
+function toAddress(value) {
+  if (!isAddress(value)) {
+    throw new Error(`"${value}" is not an address`);
+  }
+  return getAddress(value);
+}
+
+/// FjordMath.mandatoryMinimumSwapIn
+function mandatoryMinimumSwapIn(shareDecimals, assetDecimals) {
+  return shareDecimals > assetDecimals ? 10n ** BigInt(shareDecimals - assetDecimals + 2) : 0n;
+}
+
+/// @notice FixedPricePoolFactory._verifyBaseArgs
+function verifyBaseArgs(args, errors) {
+  errors.check(args.owner !== ZeroAddress, "ZeroAddress", "owner is not set");
+  errors.check(args.platformFeeWAD <= WAD && args.swapFeeWAD <= WAD, "FeeTooHigh", "fees can't be above 100%");
+  errors.check(args.saleEnd > args.saleStart, "InvalidPoolDuration", "saleEnd must be after saleStart");
+  errors.check(args.saleEnd - args.saleStart >= MIN_SALE_DURATION, "InvalidPoolDuration",
+    "the sale must last at least 10 minutes");
+  errors.check(args.redemptionDelay <= MAX_REDEMPTION_DELAY, "InvalidRedemptionDelay",
+    "redemptionDelay can't be above 30 days");
+
+  const vestingEnabled = args.vestEnd !== 0 && args.vestCliff !== 0;
+  if (vestingEnabled) {
+    errors.check(args.shareToken !== ZeroAddress, "InvalidVestingConfig", "vesting requires a shareToken");
+    errors.check(args.vestCliff < args.vestEnd, "InvalidVestingConfig", "vestCliff must be before vestEnd");
+    errors.check(args.saleEnd < args.vestCliff, "InvalidVestingConfig", "vestCliff must be after saleEnd");
+  } else {
+    errors.check(args.vestCliff === 0 && args.vestEnd === 0, "InvalidVestingConfig",
+      "vestCliff and vestEnd must be set together");
+  }
+
+  if (args.maximumTokensPerUser > 0n) {
+    errors.check(args.minimumTokensPerUser <= args.maximumTokensPerUser, "InvalidPoolLimits",
+      "minimumTokensPerUser is above maximumTokensPerUser");
+  }
+}
+
+/// @notice FixedPricePoolFactory._verifyFixedArgs
+function verifyFixedArgs(args, assetsPerShare, assetDecimals, shareDecimals, tiers, errors) {
+  errors.check(tiers.length > 0 || assetsPerShare > 0n, "InvalidAssetPrice", "pricePerShare or tiers must be set");
+  if (args.minimumTokensPerUser > 0n) {
+    errors.check(args.sharesForSale >= args.minimumTokensPerUser, "InvalidMinimumPurchaseAmount",
+      "minimumTokensPerUser is above sharesForSale");
+  }
+  errors.check(args.minimumTokensForSale <= args.sharesForSale, "InvalidMinimumPurchaseAmount",
+    "minimumTokensForSale is above sharesForSale");
+  if (args.maximumTokensPerUser > 0n) {
+    const minimumSwapIn = mandatoryMinimumSwapIn(shareDecimals, assetDecimals);
+    errors.check(args.maximumTokensPerUser >= minimumSwapIn, "InvalidMinimumSwapThreshold",
+      `maximumTokensPerUser is below the minimum swap of ${minimumSwapIn} share units`);
+  }
+
+  errors.check(tiers.length <= MAX_TIERS, "InvalidTierLength", `at most ${MAX_TIERS} tiers`);
+  if (tiers.length === 0) {
+    return;
+  }
+
+  errors.check(args.minimumTokensPerUser === 0n, "InvalidTierMinimums",
+    "minimumTokensPerUser must be set per tier");
+  let totalAmountForSaleInTiers = 0n;
+  tiers.forEach((tier, i) => {
+    if (args.maximumTokensPerUser !== 0n) {
+      errors.check(args.maximumTokensPerUser >= tier.minimumPerUser, "InvalidTierMaximums",
+        `tier ${i} minimumPerUser is above maximumTokensPerUser`);
+    }
+    errors.check(tier.amountForSale > 0n, "InvalidTierAmountsSold", `tier ${i} amountForSale is 0`);
+    errors.check(tier.pricePerShare > 0n, "InvalidAssetPrice", `tier ${i} pricePerShare is 0`);
+    errors.check(tier.minimumPerUser <= tier.amountForSale, "InvalidTierMinimums",
+      `tier ${i} minimumPerUser is above amountForSale`);
+    if (tier.maximumPerUser > 0n) {
+      errors.check(tier.minimumPerUser <= tier.maximumPerUser, "InvalidTierMaximums",
+        `tier ${i} minimumPerUser is above maximumPerUser`);
+      errors.check(tier.maximumPerUser <= tier.amountForSale, "InvalidTierMaximums",
+        `tier ${i} maximumPerUser is above amountForSale`);
+    }
+    totalAmountForSaleInTiers += tier.amountForSale;
+  });
+  errors.check(args.sharesForSale === totalAmountForSaleInTiers, "InvalidTierAmountsSold",
+    `sharesForSale (${args.sharesForSale}) must be the sum of the tiers (${totalAmountForSaleInTiers})`);
+}
+
+/// @notice converts a spec to the createFixedPricePool arguments, without the factory checks
+/// @param decimals.share decimals of the share token (18 if there is none)
+/// @param decimals.asset decimals of the asset token
+/// @param whitelistMerkleRoot root of the spec allowlist, built by the caller
+/// @return params BaseCreationParams, assetsPerShare, tiers and ipfsData, amounts in token units
+function convertSpec(spec, decimals, whitelistMerkleRoot = ZeroHash) {
+  const errors = new SpecErrors();
+  const { share, asset } = decimals;
+
+  const amount = (field, value, tokenDecimals) =>
+    errors.convert(field, () => toAmount(value || 0, tokenDecimals)) || 0n;
+
+  const tiers = (spec.tiers || []).map((tier, i) => ({
+    amountForSale: amount(`tiers[${i}].amountForSale`, tier.amountForSale, share),
+    pricePerShare: amount(`tiers[${i}].pricePerShare`, tier.pricePerShare, asset),
+    maximumPerUser: amount(`tiers[${i}].maximumPerUser`, tier.maximumPerUser, share),
+    minimumPerUser: amount(`tiers[${i}].minimumPerUser`, tier.minimumPerUser, share),
+  }));
+
+  // with tiers the amount for sale is the sum of the tiers
+  const sharesForSale = spec.sharesForSale === undefined && tiers.length > 0
+    ? tiers.reduce((sum, tier) => sum + tier.amountForSale, 0n)
+    : amount("sharesForSale", spec.sharesForSale, share);
+
+  const params = {
+    owner: errors.convert("owner", () => toAddress(spec.owner)) || ZeroAddress,
+    shareToken: spec.shareToken ? errors.convert("shareToken", () => toAddress(spec.shareToken)) : ZeroAddress,
+    assetToken: errors.convert("assetToken", () => toAddress(spec.assetToken)) || ZeroAddress,
+    sharesForSale,
+    minimumTokensForSale: amount("minimumTokensForSale", spec.minimumTokensForSale, share),
+    maximumTokensPerUser: amount("maximumTokensPerUser", spec.maximumTokensPerUser, share),
+    minimumTokensPerUser: amount("minimumTokensPerUser", spec.minimumTokensPerUser, share),
+    swapFeeWAD: errors.convert("swapFee", () => toWadPercent(spec.swapFee || 0)) || 0n,
+    platformFeeWAD: errors.convert("platformFee", () => toWadPercent(spec.platformFee || 0)) || 0n,
+    saleStart: errors.convert("saleStart", () => toTimestamp(spec.saleStart)) || 0,
+    saleEnd: errors.convert("saleEnd", () => toTimestamp(spec.saleEnd)) || 0,
+    redemptionDelay: errors.convert("redemptionDelay", () => toDuration(spec.redemptionDelay || 0)) || 0,
+    vestEnd: spec.vestEnd ? errors.convert("vestEnd", () => toTimestamp(spec.vestEnd)) || 0 : 0,
+    vestCliff: spec.vestCliff ? errors.convert("vestCliff", () => toTimestamp(spec.vestCliff)) || 0 : 0,
+    antiSnipeEnabled: spec.antiSnipe ? 1 : 0,
+    whitelistMerkleRoot,
+  };
+  const assetsPerShare = amount("pricePerShare", spec.pricePerShare, asset);
+
+  errors.throwIfAny();
+
+  return { params, assetsPerShare, tiers, ipfsData: spec.ipfsData || "" };
+}
+
+/// @notice runs the checks of FixedPricePoolFactory.createFixedPricePool, reporting every failed one
+function validatePoolArgs({ params, assetsPerShare, tiers }, decimals) {
+  const errors = new SpecErrors();
+  const { share, asset } = decimals;
+  errors.check(asset >= 2 && asset <= 18, "InvalidDecimals", `asset token has ${asset} decimals`);
+  errors.check(share <= 18, "InvalidDecimals", `share token has ${share} decimals`);
+  verifyBaseArgs(params, errors);
+  verifyFixedArgs(params, assetsPerShare, asset, share, tiers, errors);
+  errors.throwIfAny();
+}
+
+/// @notice converts a spec to the createFixedPricePool arguments and validates them like the factory does
+function buildPoolArgs(spec, decimals, whitelistMerkleRoot = ZeroHash) {
+  const args = convertSpec(spec, decimals, whitelistMerkleRoot);
+  validatePoolArgs(args, decimals);
+  return args;
+}
+
+module.exports = {
+  SpecErrors,
+  toTimestamp,
+  toDuration,
+  toWadPercent,
+  toAmount,
+  toAddress,
+  loadSpec,
+  convertSpec,
+  validatePoolArgs,
+  buildPoolArgs,
+  mandatoryMinimumSwapIn,
+};
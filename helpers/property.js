@@ -0,0 +1,192 @@
+/**
+ * @dev Property-based testing of a contract as a state machine. Random sequences of steps run against a fresh
+ * deployment and the invariants are checked after every step. A failing sequence is shrunk to a minimal
+ * reproduction, steps are dropped and their arguments moved towards the lower bound of their range as long as
+ * the sequence still fails the same way.
+ */
+
+/**
+ * @typedef {Object} Action
+ * @property {number} [weight] how often the action is picked, 1 by default
+ * @property {Object<string, number[]>} [args] argument name => [min, max], integers drawn uniformly
+ * @property {function(Object, Object): Promise} run runs the step against the world returned by setup
+ */
+
+/**
+ * @typedef {Object} Invariant
+ * @property {string} name
+ * @property {function(Object): Promise} check throws when the invariant does not hold
+ */
+
+/// @notice mulberry32 generator, the same seed draws the same sequences
+function createRandom(seed) {
+  let a = seed >>> 0;
+
+  function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    next,
+    /// @notice integer in [min, max]
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    /// @notice key of `weights` picked in proportion to its weight
+    weighted(weights) {
+      const entries = Object.entries(weights);
+      let left = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+      for (const [key, weight] of entries) {
+        left -= weight;
+        if (left < 0) {
+          return key;
+        }
+      }
+      return entries[entries.length - 1][0];
+    },
+  };
+}
+
+function generateSequence(random, actions, length) {
+  const weights = {};
+  for (const [name, action] of Object.entries(actions)) {
+    weights[name] = action.weight ?? 1;
+  }
+
+  const sequence = [];
+  for (let i = 0; i < length; i++) {
+    const action = random.weighted(weights);
+    const step = { action };
+    for (const [arg, [min, max]] of Object.entries(actions[action].args || {})) {
+      step[arg] = random.int(min, max);
+    }
+    sequence.push(step);
+  }
+  return sequence;
+}
+
+function formatStep({ action, ...args }) {
+  return `${action}(${Object.entries(args).map(([arg, value]) => `${arg}: ${value}`).join(", ")})`;
+}
+
+/// @notice runs `sequence` on a fresh world
+/// @return undefined when every step passed, otherwise the failure with the index of the failing step
+/// and `key`, the invariant or the action that failed, which shrinking preserves
+async function runSequence({ setup, actions, invariants }, sequence) {
+  const world = await setup();
+
+  for (let index = 0; index < sequence.length; index++) {
+    const step = sequence[index];
+    try {
+      await actions[step.action].run(world, step);
+    } catch (error) {
+      return { index, key: `${step.action} failed`, error };
+    }
+    for (const invariant of invariants) {
+      try {
+        await invariant.check(world);
+      } catch (error) {
+        return { index, key: invariant.name, error };
+      }
+    }
+  }
+}
+
+/// @notice shrinks a failing sequence, keeping every candidate that still fails with the same key
+/// @param maxAttempts runs of candidate sequences before giving up on a smaller one
+async function shrinkSequence(property, sequence, failure, maxAttempts = 200) {
+  let attempts = 0;
+  // the steps after the failing one never ran
+  let shrunk = sequence.slice(0, failure.index + 1);
+  let shrunkFailure = failure;
+
+  async function tryCandidate(candidate) {
+    if (attempts >= maxAttempts) {
+      return false;
+    }
+    attempts++;
+    const candidateFailure = await runSequence(property, candidate);
+    if (candidateFailure && candidateFailure.key === failure.key) {
+      shrunk = candidate.slice(0, candidateFailure.index + 1);
+      shrunkFailure = candidateFailure;
+      return true;
+    }
+    return false;
+  }
+
+  // drop chunks of steps, halving the chunk size down to single steps
+  for (let size = Math.floor(shrunk.length / 2) || 1; size >= 1; size = Math.floor(size / 2)) {
+    for (let start = shrunk.length - size; start >= 0; start--) {
+      const candidate = [...shrunk.slice(0, start), ...shrunk.slice(start + size)];
+      if (candidate.length !== 0 && await tryCandidate(candidate)) {
+        start = Math.min(start, shrunk.length - size + 1);
+      }
+    }
+  }
+
+  // move the arguments towards the lower bound of their range
+  for (let i = 0; i < shrunk.length; i++) {
+    const ranges = property.actions[shrunk[i].action].args || {};
+    for (const [arg, [min]] of Object.entries(ranges)) {
+      // a smaller argument may fail earlier and cut the sequence before this step
+      while (i < shrunk.length && shrunk[i][arg] > min) {
+        const value = shrunk[i][arg];
+        const candidates = [...new Set([min, min + Math.floor((value - min) / 2), value - 1])];
+        let moved = false;
+        for (const candidate of candidates) {
+          if (await tryCandidate(shrunk.map((step, j) => j === i ? { ...step, [arg]: candidate } : step))) {
+            moved = true;
+            break;
+          }
+        }
+        if (!moved) {
+          break;
+        }
+      }
+    }
+  }
+
+  return { sequence: shrunk, failure: shrunkFailure, attempts };
+}
+
+/// @notice checks the invariants over `runs` random sequences of `steps` steps each
+/// @dev `setup` must return a fresh world on every call, loadFixture does that by reverting to a snapshot.
+/// Throws with the seed and the shrunk sequence on the first failing run, replaying a failure only needs the seed
+/// @param property.actions {Object<string, Action>}
+/// @param property.invariants {Invariant[]}
+/// @param property.seed seed of the first run, fixed so that the same sequences run every time
+async function checkProperty({ setup, actions, invariants, runs = 10, steps = 30, seed = 1, maxShrinks }) {
+  const property = { setup, actions, invariants };
+
+  for (let run = 0; run < runs; run++) {
+    const runSeed = seed + run;
+    const sequence = generateSequence(createRandom(runSeed), actions, steps);
+    const failure = await runSequence(property, sequence);
+    if (!failure) {
+      continue;
+    }
+
+    const shrunk = await shrinkSequence(property, sequence, failure, maxShrinks);
+    const error = new Error(
+      `${failure.key} after ${failure.index + 1} steps (seed ${runSeed}), ` +
+      `shrunk to ${shrunk.sequence.length} steps in ${shrunk.attempts} runs:\n` +
+      shrunk.sequence.map((step, i) => `  ${i + 1}. ${formatStep(step)}`).join("\n") +
+      `\n${shrunk.failure.error.message}`
+    );
+    error.seed = runSeed;
+    error.sequence = shrunk.sequence;
+    error.key = failure.key;
+    throw error;
+  }
+}
+
+module.exports = {
+  createRandom,
+  generateSequence,
+  formatStep,
+  runSequence,
+  shrinkSequence,
+  checkProperty,
+};
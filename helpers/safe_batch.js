@@ -0,0 +1,362 @@
+const { Interface, parseEther, isAddress, getAddress, toQuantity, id } = require("ethers");
+const { planSplit, resolveRecipient } = require("./treasury");
+
+/**
+ * @dev Admin operations of the MAIN multisig as a Safe Transaction Builder batch. A list of actions like
+ * `{ action: setRewards, amount: 1290000, days: 180 }` is resolved to the owner-only calls of the deployed
+ * contracts, simulated from the Safe on a fork (or a snapshot of a local network) and exported as the JSON file
+ * the Transaction Builder app of the Safe imports. The batch runs through MultiSend, the first revert reverts it all.
+ */
+
+const TX_BUILDER_VERSION = "1.16.5";
+// enough ether for the impersonated Safe to pay the gas of the batch
+const SIMULATION_BALANCE = toQuantity(parseEther("1000"));
+
+const ERC20_TRANSFER = "event Transfer(address indexed from, address indexed to, uint256 value)";
+
+/// @notice actions of the batch: the contract they call, its arguments from the action fields and the views
+/// read before and after to show the state diff. `contract: "pool"` is a FixedPricePool or a
+/// LiquidityBootstrapPool picked with `pool`, a manifest name or an address
+const ADMIN_ACTIONS = {
+  setRewards: {
+    contract: "SuprimeStaking",
+    fields: ["amount", "days"],
+    // amount in whole SUPRIME
+    args: ({ amount, days }) => [parseEther(String(amount)), days],
+    reads: ["rewardPerBlock", "firstBlockWithReward", "lastBlockWithReward", "rewardTokensLocked"],
+  },
+  setBaseURI: {
+    contract: "SuprimeStaking",
+    fields: ["uri"],
+    args: ({ uri }) => [uri],
+    reads: [["uri", 1]],
+  },
+  recoverNonLockedRewardTokens: {
+    contract: "SuprimeStaking",
+    fields: [],
+    args: () => [],
+    reads: ["totalPool", "rewardTokensLocked"],
+  },
+  updateRecipients: {
+    contract: "Treasury",
+    fields: ["split"],
+    // "60% ops, 40% buyback" with the names of the batch, see helpers/treasury
+    args: ({ split }, { names }) => {
+      const { recipients, percentages } = planSplit(split, names);
+      return [recipients, percentages];
+    },
+    // the recipients are private, the FeeRecipientUpdated events show them
+    reads: [],
+  },
+  updateSwapFeeRecipient: {
+    contract: "Treasury",
+    fields: ["recipient"],
+    args: ({ recipient }, { names }) => [resolveRecipient(recipient, names)],
+    reads: [],
+  },
+  setPlatformFee: {
+    contract: "LiquidityBootstrapPoolFactory",
+    fields: ["fee"],
+    // fees in bips, like the factory
+    args: ({ fee }) => [fee],
+    reads: ["factorySettings"],
+  },
+  setSwapFee: {
+    contract: "LiquidityBootstrapPoolFactory",
+    fields: ["fee"],
+    args: ({ fee }) => [fee],
+    reads: ["factorySettings"],
+  },
+  whitelistPool: {
+    contract: "LiquidityBootstrapPoolFactory",
+    fields: ["pool"],
+    args: ({ pool }, { pools }) => [pools[pool]],
+    reads: [],
+  },
+  updateIPFS: {
+    contract: "LiquidityBootstrapPoolFactory",
+    fields: ["pool", "ipfs"],
+    args: ({ pool, ipfs }, { pools }) => [pools[pool], ipfs],
+    reads: [],
+  },
+  togglePause: {
+    contract: "pool",
+    fields: ["pool"],
+    args: () => [],
+    reads: { FixedPricePool: ["status"], LiquidityBootstrapPool: ["paused"] },
+  },
+  cancelSale: {
+    contract: "pool",
+    fields: ["pool"],
+    args: () => [],
+    reads: { FixedPricePool: ["status"] },
+  },
+};
+
+/// @dev FixedPricePool has a status, LiquidityBootstrapPool doesn't
+async function poolContract(provider, address) {
+  // a call to an account without code succeeds as well
+  if (await provider.getCode(address) === "0x") {
+    throw new Error(`${address} has no code, it isn't a pool`);
+  }
+  const pool = new Interface(["function status() view returns (uint8)"]);
+  try {
+    await provider.call({ to: address, data: pool.encodeFunctionData("status") });
+    return "FixedPricePool";
+  } catch (e) {
+    return "LiquidityBootstrapPool";
+  }
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatValue).join(", ")}]`;
+  }
+  return String(value);
+}
+
+/// @notice Transaction Builder input values, arrays are JSON strings of their elements
+function toInputValue(value) {
+  if (Array.isArray(value)) {
+    return JSON.stringify(value.map(toInputValue));
+  }
+  return String(value);
+}
+
+/// @notice resolves the actions to the calls of the batch
+/// @param options.provider reads the kind of the pools
+/// @param options.addressOf async manifest name => address
+/// @param options.loadAbi async contract name => ABI, the artifacts
+/// @param options.names recipient name => address of updateRecipients and updateSwapFeeRecipient
+/// @return one transaction per action, with its target, calldata and the views of its state diff
+async function resolveActions(actions, { provider, addressOf, loadAbi, names = {} }) {
+  const errors = [];
+  const transactions = [];
+
+  for (const [i, step] of actions.entries()) {
+    const label = `actions[${i}]${step.action ? ` (${step.action})` : ""}`;
+    const definition = ADMIN_ACTIONS[step.action];
+    if (!definition) {
+      errors.push(`${label}: unknown action, expected one of ${Object.keys(ADMIN_ACTIONS).join(", ")}`);
+      continue;
+    }
+    const missing = definition.fields.filter(field => step[field] === undefined);
+    if (missing.length > 0) {
+      errors.push(`${label}: missing ${missing.join(", ")}`);
+      continue;
+    }
+
+    try {
+      const pools = {};
+      if (step.pool !== undefined) {
+        pools[step.pool] = isAddress(step.pool) ? getAddress(step.pool) : await addressOf(step.pool);
+      }
+
+      let contract = definition.contract;
+      let to;
+      if (contract === "pool") {
+        to = pools[step.pool];
+        contract = await poolContract(provider, to);
+      } else {
+        to = await addressOf(contract);
+      }
+      const reads = Array.isArray(definition.reads) ? definition.reads : definition.reads[contract];
+      if (!reads) {
+        throw new Error(`${step.pool} is a ${contract}, it has no ${step.action}`);
+      }
+
+      const iface = new Interface(await loadAbi(contract));
+      const args = definition.args(step, { names, pools });
+      const fragment = iface.getFunction(step.action);
+      transactions.push({
+        action: step.action,
+        contract,
+        to,
+        value: 0n,
+        data: iface.encodeFunctionData(fragment, args),
+        fragment,
+        args,
+        reads,
+        iface,
+      });
+    } catch (e) {
+      errors.push(`${label}: ${e.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid actions:\n  ${errors.join("\n  ")}`);
+  }
+  return transactions;
+}
+
+/// -----------------------------------------------------------------------
+/// Transaction Builder file
+/// -----------------------------------------------------------------------
+
+/// @dev the JSON serialization the Transaction Builder hashes, keys sorted at every level
+function serialize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(serialize).join(",")}]`;
+  }
+  if (typeof value === "object" && value !== null) {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys)}${keys.map(key => `${serialize(value[key])},`).join("")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/// @notice checksum of a batch file without its meta.checksum, the name isn't part of it
+function calculateChecksum(batch) {
+  const { checksum, ...meta } = batch.meta;
+  return id(serialize({ ...batch, meta: { ...meta, name: null } }));
+}
+
+/// @notice the batch file the Transaction Builder imports
+function buildBatchFile(transactions, { chainId, safe, name, description = "", createdAt = Date.now() }) {
+  const batch = {
+    version: "1.0",
+    chainId: chainId.toString(),
+    createdAt,
+    meta: {
+      name: name || "Transactions Batch",
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: getAddress(safe),
+      createdFromOwnerAddress: "",
+    },
+    transactions: transactions.map(({ to, value, data, fragment, args }) => ({
+      to,
+      value: value.toString(),
+      data,
+      contractMethod: {
+        inputs: fragment.inputs.map(input => ({
+          internalType: input.type,
+          name: input.name,
+          type: input.type,
+        })),
+        name: fragment.name,
+        payable: fragment.payable,
+      },
+      contractInputsValues: Object.fromEntries(
+        fragment.inputs.map((input, i) => [input.name, toInputValue(args[i])])
+      ),
+    })),
+  };
+  batch.meta.checksum = calculateChecksum(batch);
+  return batch;
+}
+
+/// -----------------------------------------------------------------------
+/// Simulation
+/// -----------------------------------------------------------------------
+
+async function readState(provider, { to, iface, reads }) {
+  const state = {};
+  for (const read of reads) {
+    const [method, ...args] = Array.isArray(read) ? read : [read];
+    const label = args.length > 0 ? `${method}(${args.join(", ")})` : method;
+    const result = await provider.call({ to, data: iface.encodeFunctionData(method, args) });
+    const decoded = iface.decodeFunctionResult(method, result);
+    state[label] = formatValue(decoded.length === 1 ? decoded[0] : decoded);
+  }
+  return state;
+}
+
+function describeRevert(iface, error) {
+  const errorData = error.data ?? (error.error && error.error.data);
+  const data = typeof errorData === "string" ? errorData : errorData && errorData.data;
+  if (typeof data === "string" && data.length >= 10) {
+    try {
+      const revert = iface.parseError(data);
+      if (revert) {
+        return `${revert.name}(${revert.args.map(formatValue).join(", ")})`;
+      }
+    } catch (e) {
+      // not an error of the target, the message says more
+    }
+  }
+  return error.shortMessage || error.message;
+}
+
+function describeLogs(iface, logs) {
+  const events = new Interface([...iface.fragments.filter(fragment => fragment.type === "event"), ERC20_TRANSFER]);
+  return logs.map(log => {
+    let event;
+    try {
+      event = events.parseLog(log);
+    } catch (e) {
+      // same topic, other indexed fields
+    }
+    return event
+      ? `${event.name}(${event.args.map(formatValue).join(", ")}) from ${log.address}`
+      : `unknown event from ${log.address}`;
+  });
+}
+
+/// @notice sends the batch from the impersonated Safe and reverts everything once done
+/// @param provider ethers provider of a Hardhat network, a fork or a local node
+/// @return ok when every transaction went through, and per transaction its status, gas, events and the
+/// views before and after it. MultiSend is atomic, a revert fails the whole batch: the transactions after it are
+/// skipped and the ones before it are reported rolled back
+async function simulateBatch(provider, safe, transactions) {
+  const snapshot = await provider.send("evm_snapshot", []);
+  const results = [];
+  let ok = true;
+
+  try {
+    await provider.send("hardhat_impersonateAccount", [safe]);
+    await provider.send("hardhat_setBalance", [safe, SIMULATION_BALANCE]);
+
+    for (const tx of transactions) {
+      const result = { action: tx.action, contract: tx.contract, to: tx.to };
+      results.push(result);
+      if (!ok) {
+        result.status = "skipped";
+        continue;
+      }
+
+      const before = await readState(provider, tx);
+      try {
+        const hash = await provider.send("eth_sendTransaction", [{
+          from: safe,
+          to: tx.to,
+          data: tx.data,
+          value: toQuantity(tx.value),
+        }]);
+        const receipt = await provider.getTransactionReceipt(hash);
+        result.status = "success";
+        result.gasUsed = receipt.gasUsed;
+        result.events = describeLogs(tx.iface, receipt.logs);
+      } catch (e) {
+        ok = false;
+        result.status = "reverted";
+        result.error = describeRevert(tx.iface, e);
+        for (const executed of results.slice(0, -1)) {
+          executed.status = "rolled back";
+        }
+        continue;
+      }
+      const after = await readState(provider, tx);
+      result.diff = Object.keys(before).map(read => ({
+        read,
+        before: before[read],
+        after: after[read],
+        changed: before[read] !== after[read],
+      }));
+    }
+  } finally {
+    await provider.send("hardhat_stopImpersonatingAccount", [safe]);
+    await provider.send("evm_revert", [snapshot]);
+  }
+
+  return { ok, results };
+}
+
+module.exports = {
+  ADMIN_ACTIONS,
+  resolveActions,
+  buildBatchFile,
+  calculateChecksum,
+  simulateBatch,
+};
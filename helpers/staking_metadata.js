@@ -0,0 +1,137 @@
+const { formatEther } = require("ethers");
+const { PERIOD_DURATION, STAKED_MULTIPLIERS } = require("./staking_rewards");
+
+/**
+ * @dev ERC1155 metadata of the SuprimeStaking NFTs. SuprimeStaking.uri(id) is the base URI followed by the decimal
+ * id, so the metadata of a position is the JSON document named after its id. It follows the ERC1155 metadata JSON
+ * schema (name, description, image, decimals, properties) with the `attributes` of the marketplaces. Amounts in
+ * `properties` are wei decimal strings, the image is an SVG card of the position.
+ */
+
+const STATUS = {
+  locked: "Locked",
+  unlocked: "Unlocked",
+  withdrawn: "Withdrawn",
+};
+
+/// @notice whole SUPRIME with at most 2 decimals and thousand separators
+const formatSuprime = (amount) => Number(formatEther(amount)).toLocaleString("en-US", { maximumFractionDigits: 2 });
+
+const formatDate = (timestamp) => new Date(Number(timestamp) * 1000).toISOString().slice(0, 10);
+
+/// @notice status of the position at `timestamp`, withdraw is allowed once the end time is passed
+function statusOf(position, timestamp) {
+  if (position.withdrawn) {
+    return "withdrawn";
+  }
+  return position.endTime < BigInt(timestamp) ? "unlocked" : "locked";
+}
+
+/// @notice the position of a withdrawn NFT, SuprimeStaking deletes it when burning the NFT
+/// @param staked the Staked event of the NFT, the lock started in its block
+/// @param withdrawn the Withdrawn event
+function withdrawnPosition(tokenId, { lock, timestamp }, { amount, reward }) {
+  const startTime = BigInt(timestamp);
+  return {
+    tokenId: BigInt(tokenId),
+    staked: 0n,
+    startTime,
+    endTime: startTime + BigInt(lock) * PERIOD_DURATION,
+    rewards: 0n,
+    lockingPeriod: Number(lock),
+    stakingMultiplier: Number(STAKED_MULTIPLIERS[lock]),
+    withdrawn: { amount: BigInt(amount), reward: BigInt(reward) },
+  };
+}
+
+/// @notice SVG card of a position
+/// @param block the block the position was read at, {number, timestamp}
+function renderSVG(position, block) {
+  const status = statusOf(position, block.timestamp);
+  const lines = position.withdrawn
+    ? [
+      ["Withdrawn", `${formatSuprime(position.withdrawn.amount)} SUPRIME`],
+      ["Rewards paid", `${formatSuprime(position.withdrawn.reward)} SUPRIME`],
+    ]
+    : [
+      ["Staked", `${formatSuprime(position.staked)} SUPRIME`],
+      ["Rewards", `${formatSuprime(position.rewards)} SUPRIME`],
+    ];
+  lines.push(
+    ["Lock", `${position.lockingPeriod} months, x${position.stakingMultiplier}`],
+    [status === "locked" ? "Unlocks on" : "Unlocked on", formatDate(position.endTime)],
+  );
+  const color = { locked: "#7b61ff", unlocked: "#2fb67c", withdrawn: "#8a8a99" }[status];
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="350" height="350" viewBox="0 0 350 350">`,
+    `<rect width="350" height="350" rx="24" fill="#14121f"/>`,
+    `<text x="28" y="52" fill="#ffffff" font-family="monospace" font-size="20" font-weight="bold">` +
+      `SUPRIME STAKING</text>`,
+    `<text x="28" y="84" fill="#b9b6cc" font-family="monospace" font-size="16">#${position.tokenId}</text>`,
+    `<rect x="228" y="66" width="94" height="26" rx="13" fill="${color}"/>`,
+    `<text x="275" y="84" fill="#ffffff" font-family="monospace" font-size="13" text-anchor="middle">` +
+      `${STATUS[status]}</text>`,
+    ...lines.flatMap(([label, value], i) => [
+      `<text x="28" y="${140 + i * 48}" fill="#b9b6cc" font-family="monospace" font-size="12">${label}</text>`,
+      `<text x="28" y="${160 + i * 48}" fill="#ffffff" font-family="monospace" font-size="16">${value}</text>`,
+    ]),
+    `<text x="28" y="330" fill="#6f6c80" font-family="monospace" font-size="10">as of block ${block.number}</text>`,
+    `</svg>`,
+  ].join("");
+}
+
+const toDataURI = (svg) => `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`;
+
+/// @notice ERC1155 metadata JSON of a position
+/// @param position getStakingInfoByIndex of a minted NFT, or withdrawnPosition
+/// @param block the block the position was read at, {number, timestamp}
+/// @param options.image URI of the image, the SVG card as a data URI by default
+/// @return the metadata and the SVG card
+function buildMetadata(position, block, { image } = {}) {
+  const status = statusOf(position, block.timestamp);
+  const svg = renderSVG(position, block);
+  const amount = position.withdrawn ? position.withdrawn.amount : position.staked;
+
+  const metadata = {
+    name: `Suprime Staking #${position.tokenId}`,
+    description: `${formatSuprime(amount)} SUPRIME ${position.withdrawn ? "were" : "are"} staked for ` +
+      `${position.lockingPeriod} months with a x${position.stakingMultiplier} reward multiplier, ` +
+      `${status === "locked" ? "locked until" : "unlocked since"} ${formatDate(position.endTime)}.` +
+      `${position.withdrawn ? " The position was withdrawn and the NFT burned." : ""}`,
+    image: image || toDataURI(svg),
+    decimals: 0,
+    attributes: [
+      { trait_type: "Status", value: STATUS[status] },
+      { trait_type: "Lock period", value: `${position.lockingPeriod} months` },
+      { trait_type: "Multiplier", value: position.stakingMultiplier, display_type: "number" },
+      { trait_type: "Staked", value: Number(formatEther(position.staked)), display_type: "number" },
+      { trait_type: "Rewards", value: Number(formatEther(position.rewards)), display_type: "number" },
+      { trait_type: "Unlock date", value: Number(position.endTime), display_type: "date" },
+    ],
+    properties: {
+      tokenId: position.tokenId.toString(),
+      staked: position.staked.toString(),
+      rewards: position.rewards.toString(),
+      startTime: position.startTime.toString(),
+      endTime: position.endTime.toString(),
+      lockingPeriod: position.lockingPeriod,
+      stakingMultiplier: position.stakingMultiplier,
+      status,
+      blockNumber: block.number.toString(),
+    },
+  };
+  if (position.withdrawn) {
+    metadata.properties.withdrawn = position.withdrawn.amount.toString();
+    metadata.properties.rewardPaid = position.withdrawn.reward.toString();
+  }
+  return { metadata, svg };
+}
+
+module.exports = {
+  formatSuprime,
+  statusOf,
+  withdrawnPosition,
+  renderSVG,
+  buildMetadata,
+};
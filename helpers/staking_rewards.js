@@ -0,0 +1,532 @@
+/**
+ * @dev Off-chain model of the SuprimeStaking reward accounting. Every function applies the same integer math as
+ * AbstractStaking/SuprimeStaking/SuprimeStakingView at a given block, so a state driven through the same
+ * transactions as the contract holds the same values block by block.
+ */
+
+const DECIMALS18 = 10n ** 18n;
+const PERIOD_DURATION = 30n * 86400n;
+/// SuprimeStakingView._getAPY precision
+const APY_PRECISION = 10n ** 7n;
+
+/// AbstractStaking._setStakedMultiplier, lock in months => multiplier
+const STAKED_MULTIPLIERS = { 3: 1n, 6: 2n, 12: 3n, 24: 4n, 36: 5n };
+/// SuprimeStakingView.getDefaultAPY position
+const DEFAULT_APY_STAKE = 100n * DECIMALS18;
+
+function revert(error, message) {
+  const e = new Error(message ? `${error}: ${message}` : error);
+  e.name = error;
+  throw e;
+}
+
+/**
+ * @typedef {Object} Block
+ * @property {bigint} number block.number
+ * @property {bigint} timestamp block.timestamp
+ */
+
+/// @notice state of a freshly initialized SuprimeStaking
+/// @param balance SUPRIME balance of the staking, rewards must be funded before setRewards
+function createStakingState(blocksPerDay, balance = 0n) {
+  return {
+    blocksPerDay: BigInt(blocksPerDay),
+    balance: BigInt(balance),
+    totalPool: 0n,
+    totalPoolWithPower: 0n,
+    rewardPerBlock: 0n,
+    firstBlockWithReward: 0n,
+    lastBlockWithReward: 0n,
+    lastUpdateBlock: 0n,
+    rewardPerTokenStored: 0n,
+    rewardTokensLocked: 0n,
+    stakingIndex: 1n,
+    stakers: new Map(),
+  };
+}
+
+function getStaker(state, index) {
+  return state.stakers.get(BigInt(index)) ||
+    { staked: 0n, startTime: 0n, rewards: 0n, rewardPerTokenPaid: 0n, staker: undefined, lockingPeriod: 0 };
+}
+
+function multiplierOf(lockingPeriod) {
+  return STAKED_MULTIPLIERS[lockingPeriod] || 0n;
+}
+
+/// -----------------------------------------------------------------------
+/// RewardCalculator
+/// -----------------------------------------------------------------------
+
+function calculateBlocksLeft(from, to, blockNumber) {
+  if (blockNumber >= to) return 0n;
+  if (blockNumber < from) return to - from + 1n;
+  return to - blockNumber;
+}
+
+function getFutureRewardTokens(firstBlockWithReward, lastBlockWithReward, rewardPerBlock, blockNumber) {
+  return calculateBlocksLeft(firstBlockWithReward, lastBlockWithReward, blockNumber) * rewardPerBlock;
+}
+
+/// -----------------------------------------------------------------------
+/// AbstractStaking views
+/// -----------------------------------------------------------------------
+
+function blocksWithRewardsPassed(state, blockNumber) {
+  const from = state.lastUpdateBlock > state.firstBlockWithReward ? state.lastUpdateBlock : state.firstBlockWithReward;
+  const to = blockNumber < state.lastBlockWithReward ? blockNumber : state.lastBlockWithReward;
+  return from > to ? 0n : to - from;
+}
+
+function rewardPerToken(state, blockNumber) {
+  if (state.totalPoolWithPower === 0n) {
+    return state.rewardPerTokenStored;
+  }
+  const accumulatedReward =
+    blocksWithRewardsPassed(state, blockNumber) * state.rewardPerBlock * DECIMALS18 / state.totalPoolWithPower;
+  return state.rewardPerTokenStored + accumulatedReward;
+}
+
+function earned(state, index, blockNumber) {
+  const info = getStaker(state, index);
+  const rewardsDifference = rewardPerToken(state, blockNumber) - info.rewardPerTokenPaid;
+  return info.rewards + info.staked * multiplierOf(info.lockingPeriod) * rewardsDifference / DECIMALS18;
+}
+
+function getEndTime(state, index) {
+  const info = getStaker(state, index);
+  return info.startTime + BigInt(info.lockingPeriod) * PERIOD_DURATION;
+}
+
+function canWithdraw(state, index, timestamp) {
+  return getEndTime(state, index) < timestamp;
+}
+
+/// @notice IStaking.PublicStakingInfo of `index` at `blockNumber`
+function getStakingInfoByIndex(state, index, blockNumber) {
+  const info = getStaker(state, index);
+  return {
+    stakingId: BigInt(index),
+    staked: info.staked,
+    startTime: info.startTime,
+    endTime: getEndTime(state, index),
+    rewards: earned(state, index, blockNumber),
+    rewardPerTokenPaid: info.rewardPerTokenPaid,
+    lockingPeriod: info.lockingPeriod,
+    stakingMultiplier: multiplierOf(info.lockingPeriod),
+  };
+}
+
+/// -----------------------------------------------------------------------
+/// SuprimeStakingView
+/// -----------------------------------------------------------------------
+
+/// @notice SuprimeStakingView._getAPY, in APY_PRECISION (1e7 = 100%)
+/// @param isExpected adds the position to the pool, as getExpectedAPY does
+function getAPY(state, staked, multiplier, isExpected) {
+  staked = BigInt(staked);
+  const stakedByM = staked * BigInt(multiplier);
+  const totalPoolWithPower = isExpected ? state.totalPoolWithPower + stakedByM : state.totalPoolWithPower;
+  if (totalPoolWithPower === 0n || staked === 0n) {
+    revert("DivisionByZero");
+  }
+  return state.rewardPerBlock * (state.blocksPerDay * 365n) * APY_PRECISION * stakedByM / totalPoolWithPower / staked;
+}
+
+/// @notice SuprimeStakingView.getDefaultAPY, the APY of 100 SUPRIME staked for 36 months
+function getDefaultAPY(state) {
+  return getAPY(state, DEFAULT_APY_STAKE, STAKED_MULTIPLIERS[36], true);
+}
+
+/// @notice SuprimeStakingView.getPositionAPY
+function getPositionAPY(state, index) {
+  const info = getStaker(state, index);
+  return getAPY(state, info.staked, multiplierOf(info.lockingPeriod), false);
+}
+
+/// -----------------------------------------------------------------------
+/// Transactions, `block` is the block the transaction is mined in. The checks
+/// run before the state is modified since a thrown error doesn't revert it
+/// -----------------------------------------------------------------------
+
+function updateReward(state, index, block) {
+  const currentRewardPerToken = rewardPerToken(state, block.number);
+  if (index !== 0n) {
+    const info = getStaker(state, index);
+    info.rewards = earned(state, index, block.number);
+    info.rewardPerTokenPaid = currentRewardPerToken;
+    state.stakers.set(index, info);
+  }
+  state.rewardPerTokenStored = currentRewardPerToken;
+  state.lastUpdateBlock = block.number;
+}
+
+/// @notice SUPRIME sent to the staking outside of stake(), e.g. reward funding
+function fund(state, amount) {
+  state.balance += BigInt(amount);
+}
+
+/// @notice AbstractStaking.setRewards
+function setRewards(state, amount, days, block) {
+  const unlockedTokens = getFutureRewardTokens(
+    state.firstBlockWithReward, state.lastBlockWithReward, state.rewardPerBlock, block.number
+  );
+  const blocksLeft = calculateBlocksLeft(state.firstBlockWithReward, state.lastBlockWithReward, block.number);
+  // cover overlapping blocks
+  const blocksAmount = BigInt(days) * state.blocksPerDay + blocksLeft;
+
+  const rewardPerBlock = (BigInt(amount) + unlockedTokens) / blocksAmount;
+  const firstBlockWithReward = block.number;
+  const lastBlockWithReward = block.number + blocksAmount - 1n;
+  const lockedTokens = getFutureRewardTokens(firstBlockWithReward, lastBlockWithReward, rewardPerBlock, block.number);
+  const rewardTokensLocked = state.rewardTokensLocked - unlockedTokens + lockedTokens;
+
+  if (rewardTokensLocked > state.balance - state.totalPool) {
+    revert("InsufficientLiquidity", `${rewardTokensLocked} locked for ${state.balance - state.totalPool} available`);
+  }
+
+  updateReward(state, 0n, block);
+  Object.assign(state, { firstBlockWithReward, lastBlockWithReward, rewardPerBlock, rewardTokensLocked });
+}
+
+/// @notice SuprimeStaking.stake of a new position
+/// @return the minted NFT id
+function stake(state, staker, amount, lock, block) {
+  amount = BigInt(amount);
+  const index = state.stakingIndex;
+  if (!STAKED_MULTIPLIERS[lock]) {
+    revert("InvalidInput", `${lock} is not a locking period`);
+  }
+  if (amount === 0n) {
+    revert("InvalidInput", "0 staked");
+  }
+  updateReward(state, index, block);
+
+  state.totalPool += amount;
+  state.totalPoolWithPower += amount * multiplierOf(lock);
+  state.balance += amount;
+  state.stakers.set(index, {
+    ...getStaker(state, index),
+    staker,
+    staked: amount,
+    startTime: block.timestamp,
+    lockingPeriod: lock,
+  });
+  state.stakingIndex = index + 1n;
+  return index;
+}
+
+function addToStakeWithTransfer(state, index, amount, withTransfer, block) {
+  if (getStaker(state, index).staker === undefined) {
+    revert("Unauthorized", `${index} isn't staked`);
+  }
+  updateReward(state, index, block);
+  const info = getStaker(state, index);
+  state.totalPool += amount;
+  state.totalPoolWithPower += amount * multiplierOf(info.lockingPeriod);
+  info.staked += amount;
+  if (withTransfer) {
+    state.balance += amount;
+  }
+}
+
+/// @notice SuprimeStaking.stake to an existing position
+function addToStake(state, index, amount, block) {
+  addToStakeWithTransfer(state, BigInt(index), BigInt(amount), true, block);
+}
+
+function getReward(state, index) {
+  const info = getStaker(state, index);
+  const reward = info.rewards;
+  if (reward !== 0n) {
+    info.rewards = 0n;
+    state.rewardTokensLocked -= reward;
+  }
+  return reward;
+}
+
+function actualizeReward(state, index, block) {
+  if (getStaker(state, index).staker === undefined) {
+    revert("Unauthorized", `${index} isn't staked`);
+  }
+  updateReward(state, index, block);
+  return getReward(state, index);
+}
+
+/// @notice SuprimeStaking.claimReward
+/// @return the claimed reward
+function claimReward(state, index, block) {
+  const reward = actualizeReward(state, BigInt(index), block);
+  state.balance -= reward;
+  return reward;
+}
+
+/// @notice SuprimeStaking.restakeReward
+/// @return the restaked reward
+function restakeReward(state, index, block) {
+  index = BigInt(index);
+  const reward = actualizeReward(state, index, block);
+  if (reward !== 0n) {
+    addToStakeWithTransfer(state, index, reward, false, block);
+  }
+  return reward;
+}
+
+/// @notice SuprimeStaking.withdraw
+/// @return the withdrawn stake and reward
+function withdraw(state, index, block) {
+  index = BigInt(index);
+  if (getStaker(state, index).staker === undefined) {
+    revert("Unauthorized", `${index} isn't staked`);
+  }
+  if (!canWithdraw(state, index, block.timestamp)) {
+    revert("WithdrawNotReady", `${index} is locked until ${getEndTime(state, index)}`);
+  }
+  updateReward(state, index, block);
+  const info = getStaker(state, index);
+
+  const amount = info.staked;
+  state.totalPool -= amount;
+  state.totalPoolWithPower -= amount * multiplierOf(info.lockingPeriod);
+  const reward = getReward(state, index);
+  state.stakers.delete(index);
+  state.balance -= amount + reward;
+  return { amount, reward };
+}
+
+/// -----------------------------------------------------------------------
+/// Reward funding
+/// -----------------------------------------------------------------------
+
+/// @notice how long the rewards last at `blockNumber`
+/// @return scheduledDays until lastBlockWithReward, fundedDays how long the SUPRIME of the staking that isn't principal
+/// nor owed lasts at the current rewardPerBlock, `owed` the rewards emitted but not claimed yet, `unallocated`
+/// what setRewards can still lock and `pending` the rewards of the blocks since the last update
+function getRunway(state, blockNumber) {
+  const blocksLeft = calculateBlocksLeft(state.firstBlockWithReward, state.lastBlockWithReward, blockNumber);
+  const scheduled = blocksLeft * state.rewardPerBlock;
+  const unallocated = state.balance - state.totalPool - state.rewardTokensLocked;
+  const rewardsPerDay = state.rewardPerBlock * state.blocksPerDay;
+  return {
+    blocksLeft,
+    lastBlockWithReward: state.lastBlockWithReward,
+    scheduledDays: Number(blocksLeft) / Number(state.blocksPerDay),
+    fundedDays: rewardsPerDay === 0n ? 0 : Number(scheduled + unallocated) / Number(rewardsPerDay),
+    rewardsPerDay,
+    owed: state.rewardTokensLocked - scheduled,
+    unallocated,
+    pending: blocksWithRewardsPassed(state, blockNumber) * state.rewardPerBlock,
+  };
+}
+
+/// @notice setRewards(amount, days) mined in `block` after which getDefaultAPY is at least `targetAPY`
+/// @dev the amount is added to the rewards left, both are spread over `days` and the blocks left.
+/// If the rewards left already pay more than the target the amount is 0 and the APY stays above it
+/// @param targetAPY in APY_PRECISION
+/// @return the setRewards arguments, `topUp` the SUPRIME to send to the staking first for setRewards
+/// not to revert with InsufficientLiquidity, and the schedule and APY after it
+function planRewards(state, { targetAPY, days, block }) {
+  if (!(days > 0)) {
+    throw new Error(`setRewards needs at least a day, got ${days}`);
+  }
+  targetAPY = BigInt(targetAPY);
+  const blocksLeft = calculateBlocksLeft(state.firstBlockWithReward, state.lastBlockWithReward, block.number);
+  const unlockedTokens = blocksLeft * state.rewardPerBlock;
+  const blocksAmount = BigInt(days) * state.blocksPerDay + blocksLeft;
+
+  // getAPY rounds down, the smallest rewardPerBlock reaching the target
+  const apyOf = (rewardPerBlock) => getDefaultAPY({ ...state, rewardPerBlock });
+  const totalPoolWithPower = state.totalPoolWithPower + DEFAULT_APY_STAKE * STAKED_MULTIPLIERS[36];
+  const yearly = state.blocksPerDay * 365n * APY_PRECISION * STAKED_MULTIPLIERS[36];
+  let rewardPerBlock = (targetAPY * totalPoolWithPower + yearly - 1n) / yearly;
+  while (apyOf(rewardPerBlock) < targetAPY) {
+    rewardPerBlock++;
+  }
+  while (rewardPerBlock > 0n && apyOf(rewardPerBlock - 1n) >= targetAPY) {
+    rewardPerBlock--;
+  }
+
+  const needed = rewardPerBlock * blocksAmount;
+  const amount = needed > unlockedTokens ? needed - unlockedTokens : 0n;
+  const after = { ...state };
+  const available = state.balance - state.totalPool;
+  const locked = state.rewardTokensLocked - unlockedTokens +
+    (amount + unlockedTokens) / blocksAmount * (blocksAmount - 1n);
+  const topUp = locked > available ? locked - available : 0n;
+  fund(after, topUp);
+  setRewards(after, amount, days, block);
+
+  return {
+    amount,
+    days,
+    topUp,
+    rewardPerBlock: after.rewardPerBlock,
+    lastBlockWithReward: after.lastBlockWithReward,
+    defaultAPY: getDefaultAPY(after),
+  };
+}
+
+/// -----------------------------------------------------------------------
+/// Projection
+/// -----------------------------------------------------------------------
+
+const ACTIONS = {
+  fund: (state, event) => fund(state, event.amount),
+  setRewards: (state, event, block) => setRewards(state, event.amount, event.days, block),
+  stake: (state, event, block, ids) => ids.set(event.id, stake(state, event.id, event.amount, event.lock, block)),
+  addToStake: (state, event, block, ids) => addToStake(state, positionOf(ids, event), event.amount, block),
+  restake: (state, event, block, ids) => restakeReward(state, positionOf(ids, event), block),
+  claim: (state, event, block, ids) => claimReward(state, positionOf(ids, event), block),
+  withdraw: (state, event, block, ids) => withdraw(state, positionOf(ids, event), block).reward,
+};
+
+function positionOf(ids, event) {
+  if (!ids.has(event.id)) {
+    revert("UnknownPosition", `"${event.id}" wasn't staked`);
+  }
+  return ids.get(event.id);
+}
+
+/**
+ * @typedef {Object} RewardEvent
+ * @property {number} day days after the start, events of the same day are applied in their order
+ * @property {"fund"|"setRewards"|"stake"|"addToStake"|"restake"|"claim"|"withdraw"} action
+ * @property {string} id name of the position, set by its stake
+ * @property {bigint} amount SUPRIME, in wei
+ * @property {number} lock locking period of a stake, in months
+ * @property {number} days duration of setRewards
+ */
+
+/// @notice projects the rewards of a schedule of SuprimeStaking transactions
+/// @param scenario.state initial state, see createStakingState
+/// @param scenario.start {number, timestamp} block the schedule starts at
+/// @param {RewardEvent[]} scenario.events
+/// @param scenario.days projected days
+/// @param scenario.sampleEvery days between two rows, the last row is on the last day
+/// @param scenario.apyStake stake the APY of each lock period is computed for, as SuprimeStakingView.getExpectedAPY
+/// @return rows sampled over the projection, positions at the end, rejected events and the reward budget
+function simulateRewards({ state, start, events, days, sampleEvery = 7, apyStake = 100n * DECIMALS18 }) {
+  const ids = new Map();
+  const paid = new Map();
+  const rejected = [];
+  const rows = [];
+
+  const blockOf = (day) => ({
+    number: start.number + BigInt(Math.round(day * Number(state.blocksPerDay))),
+    timestamp: start.timestamp + BigInt(Math.round(day * 86400)),
+  });
+
+  const sample = (day) => {
+    const block = blockOf(day);
+    const apy = {};
+    for (const [lock, multiplier] of Object.entries(STAKED_MULTIPLIERS)) {
+      apy[lock] = getAPY(state, apyStake, multiplier, true);
+    }
+    const positions = {};
+    for (const [id, index] of ids) {
+      positions[id] = state.stakers.has(index) ? earned(state, index, block.number) : 0n;
+    }
+    rows.push({
+      day,
+      block: block.number,
+      timestamp: block.timestamp,
+      totalPool: state.totalPool,
+      rewardPerBlock: state.rewardPerBlock,
+      rewardsActive: block.number >= state.firstBlockWithReward && block.number < state.lastBlockWithReward,
+      apy,
+      positions,
+    });
+  };
+
+  const sorted = events.map((event, i) => ({ ...event, i })).sort((a, b) => a.day - b.day || a.i - b.i);
+  // the last day is sampled even when it isn't a multiple of sampleEvery
+  const sampleDays = [];
+  for (let day = 0; day < days; day += sampleEvery) {
+    sampleDays.push(day);
+  }
+  sampleDays.push(days);
+
+  let next = 0;
+  for (const day of sampleDays) {
+    for (; next < sorted.length && sorted[next].day <= day; next++) {
+      const event = sorted[next];
+      if (!ACTIONS[event.action]) {
+        throw new Error(`Unknown action "${event.action}" on day ${event.day}`);
+      }
+      try {
+        const reward = ACTIONS[event.action](state, event, blockOf(event.day), ids);
+        if (["claim", "withdraw"].includes(event.action)) {
+          paid.set(event.id, (paid.get(event.id) || 0n) + reward);
+        }
+      } catch (e) {
+        rejected.push({ day: event.day, action: event.action, id: event.id, error: e.message });
+      }
+    }
+    sample(day);
+  }
+  // not applied, the projection ends before them
+  for (const event of sorted.slice(next)) {
+    rejected.push({
+      day: event.day,
+      action: event.action,
+      id: event.id,
+      error: `after the last projected day ${days}`,
+    });
+  }
+
+  const end = blockOf(days);
+  const positions = {};
+  for (const [id, index] of ids) {
+    const info = state.stakers.get(index);
+    positions[id] = {
+      index,
+      staked: info ? info.staked : 0n,
+      lockingPeriod: info ? info.lockingPeriod : undefined,
+      pending: info ? earned(state, index, end.number) : 0n,
+      paid: paid.get(id) || 0n,
+      apy: info ? getPositionAPY(state, index) : 0n,
+    };
+  }
+
+  const lastDay = Number(state.lastBlockWithReward - start.number) / Number(state.blocksPerDay);
+  return {
+    rows,
+    positions,
+    rejected,
+    budget: {
+      lastBlockWithReward: state.lastBlockWithReward,
+      // day of the schedule the funded rewards run out
+      endsOnDay: state.rewardPerBlock === 0n ? undefined : lastDay,
+      rewardTokensLocked: state.rewardTokensLocked,
+      unallocated: state.balance - state.totalPool - state.rewardTokensLocked,
+    },
+  };
+}
+
+module.exports = {
+  DECIMALS18,
+  PERIOD_DURATION,
+  APY_PRECISION,
+  STAKED_MULTIPLIERS,
+  DEFAULT_APY_STAKE,
+  createStakingState,
+  calculateBlocksLeft,
+  blocksWithRewardsPassed,
+  rewardPerToken,
+  earned,
+  canWithdraw,
+  getStakingInfoByIndex,
+  getAPY,
+  getDefaultAPY,
+  getPositionAPY,
+  fund,
+  setRewards,
+  stake,
+  addToStake,
+  claimReward,
+  restakeReward,
+  withdraw,
+  getRunway,
+  planRewards,
+  simulateRewards,
+};
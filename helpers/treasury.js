@@ -0,0 +1,410 @@
+const { Contract, Interface, parseUnits, isAddress, getAddress, formatUnits } = require("ethers");
+const { stringifyJSON } = require("./json");
+
+/**
+ * @dev Fee split of the Treasury and the income it paid out. Treasury.updateRecipients wants percentages summing
+ * to exactly 1 ether, planSplit builds them from a human-readable split and gives the rounding dust to a single
+ * recipient. buildIncomeReport replays the Close/Closed/RaiseGoalNotMet events of the pools, computes what
+ * distributeFee owed to each recipient with the split of that time and reconciles it with the token transfers of the
+ * closing transaction.
+ */
+
+const WAD = 10n ** 18n;
+
+const TREASURY_ABI = [
+  "event FeeRecipientUpdated(address recipient, uint256 percentage)",
+  "function updateRecipients(address[] _recipients, uint256[] _percentages)",
+];
+const POOL_ABI = [
+  // FixedPricePool
+  "function assetToken() view returns (address)",
+  "function feeRecipient() view returns (address)",
+  // LiquidityBootstrapPool
+  "function asset() view returns (address)",
+  "function share() view returns (address)",
+  "function platform() view returns (address)",
+];
+const ERC20_ABI = ["event Transfer(address indexed from, address indexed to, uint256 value)"];
+
+const treasuryInterface = new Interface(TREASURY_ABI);
+const erc20Interface = new Interface(ERC20_ABI);
+
+/// FixedPointMathLib.mulWad, rounded down
+const mulWad = (x, y) => x * y / WAD;
+
+const formatPercentage = (percentage) => `${formatUnits(percentage, 16)}%`;
+
+/// -----------------------------------------------------------------------
+/// Split planner
+/// -----------------------------------------------------------------------
+
+/// @notice address of a recipient given by address or by a name of `names`
+function resolveRecipient(name, names = {}) {
+  if (isAddress(name)) {
+    return getAddress(name);
+  }
+  if (names[name] && isAddress(names[name])) {
+    return getAddress(names[name]);
+  }
+  throw new Error(`Unknown recipient "${name}", name an address or map the name to one`);
+}
+
+/// @notice parses "60% ops, 40% buyback", parts may also be fractions like "1/3 ops"
+/// @param names recipient name => address, parts may name an address directly
+/// @return the parts in order, `percentage` is a WAD rounded down
+function parseSplit(text, names = {}) {
+  const parts = String(text).split(/[,;\n]/).map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) {
+    throw new Error("The split is empty");
+  }
+
+  return parts.map((part) => {
+    const match = part.match(/^(\d+(?:\.\d+)?)\s*%\s+(\S+)$/) || part.match(/^(\d+)\s*\/\s*(\d+)\s+(\S+)$/);
+    if (!match) {
+      throw new Error(`Can't parse "${part}", expected "<percent>% <recipient>" or "<numerator>/<denominator> <recipient>"`);
+    }
+
+    let percentage;
+    let name;
+    if (match.length === 3) {
+      [, , name] = match;
+      const [whole, decimals = ""] = match[1].split(".");
+      // below 1e-16% a percentage can't be represented in WAD
+      percentage = parseUnits(`${whole}.${decimals.slice(0, 16) || "0"}`, 16);
+    } else {
+      const [, numerator, denominator] = match;
+      name = match[3];
+      if (BigInt(denominator) === 0n) {
+        throw new Error(`"${part}" divides by zero`);
+      }
+      percentage = WAD * BigInt(numerator) / BigInt(denominator);
+    }
+    if (percentage === 0n) {
+      throw new Error(`"${part}" is a 0% share, leave the recipient out`);
+    }
+
+    return { name, address: resolveRecipient(name, names), percentage };
+  });
+}
+
+/// @notice the exact updateRecipients arguments of a split
+/// @dev parts may add up to less than 100% by the rounding of fractions, at most a wei per part. That dust goes
+/// to the largest part, the first one listed on a tie, so that the same split always gives the same arrays
+function planSplit(text, names = {}) {
+  const parts = parseSplit(text, names);
+
+  const seen = new Set();
+  for (const { name, address } of parts) {
+    if (seen.has(address)) {
+      // feePercents keeps the last percentage of an address and distributeFee pays it for every listing
+      throw new Error(`${name} (${address}) is listed twice`);
+    }
+    seen.add(address);
+  }
+
+  const total = parts.reduce((sum, part) => sum + part.percentage, 0n);
+  if (total > WAD || WAD - total > BigInt(parts.length)) {
+    throw new Error(`The split adds up to ${formatPercentage(total)}, not 100%`);
+  }
+
+  const dust = WAD - total;
+  let largest = 0;
+  parts.forEach((part, i) => {
+    if (part.percentage > parts[largest].percentage) {
+      largest = i;
+    }
+  });
+  const percentages = parts.map((part, i) => i === largest ? part.percentage + dust : part.percentage);
+
+  return {
+    parts: parts.map((part, i) => ({ ...part, percentage: percentages[i] })),
+    recipients: parts.map(part => part.address),
+    percentages,
+    dust: { recipient: parts[largest].address, amount: dust },
+    calldata: treasuryInterface.encodeFunctionData("updateRecipients", [parts.map(part => part.address), percentages]),
+  };
+}
+
+/// @notice what distributeFee pays each recipient of `amount`, the rounding dust stays in the Treasury
+function previewDistribution(recipients, percentages, amount) {
+  const payouts = recipients.map((recipient, i) => ({ recipient, amount: mulWad(amount, percentages[i]) }));
+  const paid = payouts.reduce((sum, payout) => sum + payout.amount, 0n);
+  return { payouts, dust: amount - paid };
+}
+
+/// -----------------------------------------------------------------------
+/// Recipients history
+/// -----------------------------------------------------------------------
+
+/// @notice FeeRecipientUpdated events of the Treasury, ordered
+async function fetchTreasuryEvents(provider, treasury, fromBlock = 0, toBlock = "latest") {
+  const logs = await provider.getLogs({
+    address: treasury,
+    topics: [treasuryInterface.getEvent("FeeRecipientUpdated").topicHash],
+    fromBlock,
+    toBlock,
+  });
+  return logs.map((log) => {
+    const { args } = treasuryInterface.parseLog(log);
+    return {
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      transactionHash: log.transactionHash,
+      recipient: getAddress(args.recipient),
+      percentage: args.percentage,
+    };
+  }).sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/// @notice replays the recipients and the swap fee recipient of the Treasury
+/// @dev the constructor sets `initialRecipient` for both without an event. updateRecipients and
+/// updateSwapFeeRecipient emit the same event, a 0% event outside of a split that doesn't add up to 100% yet
+/// is read as updateSwapFeeRecipient, so a 0% recipient listed last in updateRecipients can't be told apart
+/// @return the settings after each update, the first entry being the initial ones
+function replayRecipients(events, initialRecipient) {
+  const initial = getAddress(initialRecipient);
+  let current = {
+    blockNumber: 0,
+    logIndex: -1,
+    recipients: [initial],
+    percentages: { [initial]: WAD },
+    swapFeeRecipient: initial,
+  };
+  const history = [current];
+
+  let pending;
+  let pendingTx;
+  for (const event of events) {
+    if (pending && pendingTx !== event.transactionHash) {
+      throw new Error(`The recipients set in ${pendingTx} add up to ${formatPercentage(pending.total)}`);
+    }
+
+    const at = { blockNumber: event.blockNumber, logIndex: event.logIndex };
+    if (!pending && event.percentage === 0n) {
+      current = { ...current, ...at, swapFeeRecipient: event.recipient };
+      history.push(current);
+      continue;
+    }
+
+    if (!pending) {
+      // feePercents of the previous recipients is not cleared, they are no longer listed though
+      pending = { recipients: [], percentages: { ...current.percentages }, total: 0n };
+      pendingTx = event.transactionHash;
+    }
+    pending.recipients.push(event.recipient);
+    pending.percentages[event.recipient] = event.percentage;
+    pending.total += event.percentage;
+    if (pending.total === WAD) {
+      current = { ...current, ...at, recipients: pending.recipients, percentages: pending.percentages };
+      history.push(current);
+      pending = undefined;
+    }
+  }
+  if (pending) {
+    throw new Error(`The recipients set in ${pendingTx} add up to ${formatPercentage(pending.total)}`);
+  }
+  return history;
+}
+
+/// @notice the Treasury settings in effect at a log
+function recipientsAt(history, blockNumber, logIndex) {
+  let settings = history[0];
+  for (const entry of history) {
+    if (entry.blockNumber < blockNumber || (entry.blockNumber === blockNumber && entry.logIndex < logIndex)) {
+      settings = entry;
+    }
+  }
+  return settings;
+}
+
+/// -----------------------------------------------------------------------
+/// Income report
+/// -----------------------------------------------------------------------
+
+/// @notice what each address should receive from the close of a pool, by address then token
+function expectedIncome(close, { treasury, settings, asset, share, payee }) {
+  const income = {};
+  const add = (role, recipient, token, amount) => {
+    const key = `${recipient}:${token}`;
+    income[key] = income[key] || { role, recipient, token, amount: 0n };
+    income[key].amount += amount;
+  };
+
+  if (close.event === "Closed") {
+    // FixedPricePool sends its fees to the fee recipient, the Treasury doesn't distribute them
+    add(payee === treasury ? "treasury" : "feeRecipient", payee, asset,
+      BigInt(close.args.platformFee) + BigInt(close.args.swapFee));
+    return Object.values(income);
+  }
+  if (close.event === "RaiseGoalNotMet") {
+    // only the swap fees are taken when the FixedPricePool sold less than its minimum
+    add(payee === treasury ? "treasury" : "feeRecipient", payee, asset, BigInt(close.args.feesGenerated));
+    return Object.values(income);
+  }
+
+  const platformFees = BigInt(close.args.platformFees);
+  const swapFeesAsset = BigInt(close.args.swapFeesAsset);
+  const swapFeesShare = BigInt(close.args.swapFeesShare);
+  if (payee !== treasury) {
+    add("platform", payee, asset, platformFees + swapFeesAsset);
+    add("platform", payee, share, swapFeesShare);
+    return Object.values(income);
+  }
+
+  // Treasury.distributeFee
+  const { payouts, dust } = previewDistribution(
+    settings.recipients,
+    settings.recipients.map(recipient => settings.percentages[recipient]),
+    platformFees
+  );
+  for (const payout of payouts) {
+    add("recipient", payout.recipient, asset, payout.amount);
+  }
+  add("swapFeeRecipient", settings.swapFeeRecipient, asset, swapFeesAsset);
+  add("swapFeeRecipient", settings.swapFeeRecipient, share, swapFeesShare);
+  add("treasury", treasury, asset, dust);
+  return Object.values(income);
+}
+
+/// @notice tokens `recipient` received for its role in the closing transaction: the Treasury pays the
+/// split, the pool pays the Treasury or the fee recipient, the Treasury keeps what it didn't pay out
+function receivedIn(transfers, { role, recipient, token }, { pool, treasury }) {
+  let received = 0n;
+  for (const { from, to, value, address } of transfers) {
+    if (address !== token) {
+      continue;
+    }
+    if (role === "recipient" || role === "swapFeeRecipient" || role === "unexpected") {
+      received += to === recipient && from === treasury ? value : 0n;
+    } else {
+      received += to === recipient && from === pool ? value : 0n;
+      if (role === "treasury" && from === treasury) {
+        received -= value;
+      }
+    }
+  }
+  return received;
+}
+
+function decodeTransfers(receipt) {
+  const transfers = [];
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = erc20Interface.parseLog(log);
+    } catch (e) {
+      // an ERC721 Transfer has the same topic, with the token id indexed
+    }
+    if (parsed && parsed.name === "Transfer") {
+      transfers.push({
+        address: getAddress(log.address),
+        from: getAddress(parsed.args.from),
+        to: getAddress(parsed.args.to),
+        value: parsed.args.value,
+      });
+    }
+  }
+  return transfers;
+}
+
+/// @notice income of every fee recipient from the pool closes indexed in `store`, reconciled with the
+/// transfers of the closing transactions, the Treasury payouts nobody was owed show up as "unexpected" rows
+/// @param options.store event database of services/indexer
+/// @param options.treasury address of the Treasury
+/// @param options.treasuryEvents FeeRecipientUpdated events of fetchTreasuryEvents
+/// @param options.initialRecipient the owner the Treasury was deployed with
+/// @return one row per close and recipient, the totals per recipient and token, and whether everything reconciles
+async function buildIncomeReport({ provider, store, treasury, treasuryEvents, initialRecipient }) {
+  treasury = getAddress(treasury);
+  const history = replayRecipients(treasuryEvents, initialRecipient);
+  const rows = [];
+
+  for (const close of store.events) {
+    if (!["Closed", "RaiseGoalNotMet", "Close"].includes(close.event)) {
+      continue;
+    }
+    const pool = new Contract(close.address, POOL_ABI, provider);
+    const at = { blockTag: close.blockNumber };
+    const tokens = close.event !== "Close"
+      ? { asset: await pool.assetToken(at), payee: await pool.feeRecipient(at) }
+      : { asset: await pool.asset(at), share: await pool.share(at), payee: await pool.platform(at) };
+    for (const key of Object.keys(tokens)) {
+      tokens[key] = getAddress(tokens[key]);
+    }
+
+    const settings = recipientsAt(history, close.blockNumber, close.logIndex);
+    const transfers = decodeTransfers(await provider.getTransactionReceipt(close.transactionHash));
+
+    const incomes = expectedIncome(close, { treasury, settings, ...tokens });
+    for (const { to, address } of transfers.filter(transfer => transfer.from === treasury)) {
+      if (!incomes.some(income => income.recipient === to && income.token === address)) {
+        incomes.push({ role: "unexpected", recipient: to, token: address, amount: 0n });
+      }
+    }
+
+    for (const income of incomes) {
+      const { role, recipient, token, amount } = income;
+      const actual = receivedIn(transfers, income, { pool: close.address, treasury });
+      if (amount === 0n && actual === 0n) {
+        continue;
+      }
+      rows.push({
+        blockNumber: close.blockNumber,
+        transactionHash: close.transactionHash,
+        pool: close.address,
+        contract: close.contract,
+        role,
+        recipient,
+        token,
+        expected: amount,
+        actual,
+        difference: actual - amount,
+      });
+    }
+  }
+
+  const totals = {};
+  for (const row of rows) {
+    const key = `${row.recipient}:${row.token}`;
+    totals[key] = totals[key] || { recipient: row.recipient, token: row.token, expected: 0n, actual: 0n, difference: 0n };
+    totals[key].expected += row.expected;
+    totals[key].actual += row.actual;
+    totals[key].difference += row.difference;
+  }
+
+  return {
+    rows,
+    totals: Object.values(totals),
+    reconciled: rows.every(row => row.difference === 0n),
+  };
+}
+
+const REPORT_COLUMNS = ["blockNumber", "transactionHash", "pool", "contract", "role", "recipient", "token",
+  "expected", "actual", "difference"];
+
+/// @notice CSV of the report rows, amounts in token units
+function toCsv(rows, columns = REPORT_COLUMNS) {
+  return [columns.join(","), ...rows.map(row => columns.map(column => String(row[column] ?? "")).join(","))]
+    .join("\n") + "\n";
+}
+
+/// @notice the report with bigints as decimal strings
+function toJSON(report) {
+  return stringifyJSON(report);
+}
+
+module.exports = {
+  WAD,
+  TREASURY_ABI,
+  resolveRecipient,
+  parseSplit,
+  planSplit,
+  previewDistribution,
+  formatPercentage,
+  fetchTreasuryEvents,
+  replayRecipients,
+  recipientsAt,
+  buildIncomeReport,
+  toCsv,
+  toJSON,
+};
@@ -0,0 +1,208 @@
+const { getAddress, isAddress, parseEther } = require("ethers");
+const { STAKED_MULTIPLIERS } = require("./staking_rewards");
+const { getScoreLeaf, getRoot, getProof, verifyProof } = require("./merkle");
+const { stringifyJSON } = require("./json");
+
+/**
+ * @dev Scores of the users: the staking power SuprimeStakingView.getScore sums over their NFTs (staked amount times
+ * the multiplier of the lock) plus the XP earned by off-chain actions times the XP weight. The XP of every action
+ * and how many times a user earns it are configured, see xp_actions.example.yaml. A leaderboard is committed to a
+ * Merkle root of getScoreLeaf(user, score) leaves, which solady MerkleProofLib verifies with the proof of the user
+ * like the sale whitelists.
+ */
+
+/// @notice validates the XP config, every error at once
+/// @param config {xpWeight, actions: {<name>: {xp, limit}}}, the weight of one XP in SUPRIME staked for 3 months
+/// (multiplier 1), 1 by default. An action without limit is earned any number of times
+/// @return {xpWeight, actions}, the weight in staking power
+function parseXpConfig(config) {
+  const errors = [];
+  const isCount = value => Number.isSafeInteger(value) && value > 0;
+
+  let xpWeight;
+  try {
+    xpWeight = parseEther(String(config.xpWeight ?? 1));
+    if (xpWeight < 0n) {
+      throw new Error("negative");
+    }
+  } catch (e) {
+    errors.push(`xpWeight: "${config.xpWeight}" is not an amount of SUPRIME`);
+  }
+
+  const actions = {};
+  if (typeof config.actions !== "object" || config.actions === null || Object.keys(config.actions).length === 0) {
+    errors.push("actions: no action configured");
+  } else {
+    for (const [name, action] of Object.entries(config.actions)) {
+      const { xp, limit } = action || {};
+      if (!isCount(xp)) {
+        errors.push(`actions.${name}.xp: ${xp} is not a positive integer`);
+      }
+      if (limit !== undefined && !isCount(limit)) {
+        errors.push(`actions.${name}.limit: ${limit} is not a positive integer`);
+      }
+      actions[name] = { xp, limit };
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid XP config:\n  ${errors.join("\n  ")}`);
+  }
+  return { xpWeight, actions };
+}
+
+/// @notice checks an award against the config and the awards already recorded
+/// @param award {id, user, action, timestamp}
+/// @return the award to record, the XP of its action and the user checksummed
+function checkAward({ actions }, awards, { id, user, action, timestamp }) {
+  if (id === undefined || id === null || String(id).trim() === "") {
+    throw new Error("The award has no id");
+  }
+  if (!isAddress(user)) {
+    throw new Error(`"${user}" is not a valid address (or has a bad checksum)`);
+  }
+  if (!actions[action]) {
+    throw new Error(`Unknown action ${action}, expected one of ${Object.keys(actions).join(", ")}`);
+  }
+  if (!Number.isSafeInteger(timestamp) || timestamp < 0) {
+    throw new Error(`${timestamp} is not a timestamp in seconds`);
+  }
+  user = getAddress(user);
+  const { xp, limit } = actions[action];
+  if (limit !== undefined &&
+    awards.filter(award => award.user === user && award.action === action).length >= limit) {
+    throw new Error(`${user} already earned ${action} ${limit} times`);
+  }
+  return { id: String(id).trim(), user, action, xp, timestamp };
+}
+
+/// @notice unix seconds of a timestamp in seconds or of an ISO date, undefined when empty
+function parseTimestamp(value) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return undefined;
+  }
+  const raw = String(value).trim();
+  return /^[0-9]+$/.test(raw) ? Number(raw) : Math.floor(Date.parse(raw) / 1000);
+}
+
+/// @notice parses the awards of a CSV (`id,user,action,timestamp` header, timestamp optional) or of a JSON array
+/// of {id, user, action, timestamp}, the timestamps in seconds or as ISO dates
+function parseAwards(content, format) {
+  if (format === "json") {
+    const list = JSON.parse(content);
+    if (!Array.isArray(list)) {
+      throw new Error("JSON awards must be an array");
+    }
+    return list.map(award => ({ ...award, timestamp: parseTimestamp(award.timestamp) }));
+  }
+
+  const [header, ...rows] = content.split(/\r?\n/).filter(row => row.trim() !== "");
+  const columns = (header || "").split(",").map(column => column.trim());
+  const missing = ["id", "user", "action"].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`The CSV header has no ${missing.join(", ")} column, expected id,user,action,timestamp`);
+  }
+  return rows.map(row => {
+    const values = row.split(",").map(value => value.trim());
+    const award = Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+    return { id: award.id, user: award.user, action: award.action, timestamp: parseTimestamp(award.timestamp) };
+  });
+}
+
+/// @notice XP of every user from the awards until `until` included
+/// @return user => xp
+function xpBalances(awards, { until = Infinity } = {}) {
+  const balances = new Map();
+  for (const { user, xp, timestamp } of awards) {
+    if (timestamp <= until) {
+      balances.set(user, (balances.get(user) || 0n) + BigInt(xp));
+    }
+  }
+  return balances;
+}
+
+/// @notice staking power of every staker replayed from the SuprimeStaking events of the indexer database, what
+/// SuprimeStakingView.getScore returns at `toBlock` since the NFTs can't be transferred
+/// @param events store.events of services/indexer
+/// @return user => staking power
+function stakingPowers(events, { toBlock = Infinity } = {}) {
+  const positions = new Map();
+  for (const { contract, event, args, blockNumber } of events) {
+    if (contract !== "SuprimeStaking" || blockNumber > toBlock) {
+      continue;
+    }
+    if (event === "Staked") {
+      positions.set(args.stakingIndex, { user: args.user, staked: BigInt(args.amount), lock: Number(args.lock) });
+    } else if (event === "AddedToStake" && positions.has(args.stakingIndex)) {
+      positions.get(args.stakingIndex).staked += BigInt(args.amount);
+    } else if (event === "Withdrawn") {
+      // the NFT is burned
+      positions.delete(args.stakingIndex);
+    }
+  }
+
+  const powers = new Map();
+  for (const { user, staked, lock } of positions.values()) {
+    powers.set(user, (powers.get(user) || 0n) + staked * (STAKED_MULTIPLIERS[lock] || 0n));
+  }
+  return powers;
+}
+
+/// @notice ranks the users by score, stakingPower + xp * xpWeight, the users without score are left out
+/// @param xp user => xp, see xpBalances
+/// @param powers user => staking power, see stakingPowers
+/// @return [{rank, user, score, stakingPower, xp}] by score then address, equal scores share their rank
+function buildLeaderboard({ xp, powers, xpWeight }) {
+  const users = new Set([...xp.keys(), ...powers.keys()].map(user => getAddress(user)));
+  const entries = [...users]
+    .map(user => {
+      const earned = xp.get(user) || 0n;
+      const stakingPower = powers.get(user) || 0n;
+      return { user, score: stakingPower + earned * xpWeight, stakingPower, xp: earned };
+    })
+    .filter(entry => entry.score > 0n)
+    .sort((a, b) => {
+      if (a.score !== b.score) {
+        return a.score > b.score ? -1 : 1;
+      }
+      return a.user.toLowerCase() < b.user.toLowerCase() ? -1 : 1;
+    });
+
+  entries.forEach((entry, i) => {
+    entry.rank = i > 0 && entries[i - 1].score === entry.score ? entries[i - 1].rank : i + 1;
+  });
+  return entries.map(({ rank, ...entry }) => ({ rank, ...entry }));
+}
+
+/// @notice Merkle root of the scores of a leaderboard and the proof of every user
+function commitScores(leaderboard) {
+  const leaves = leaderboard.map(({ user, score }) => getScoreLeaf(user, score));
+  const root = getRoot(leaves);
+  const proofs = {};
+  leaderboard.forEach(({ user }, i) => {
+    proofs[user] = getProof(leaves, i);
+  });
+  return { root, proofs };
+}
+
+/// @notice whether `score` is the one of `user` committed to `root`
+function verifyScore(root, proof, user, score) {
+  return verifyProof(root, proof, getScoreLeaf(user, score));
+}
+
+/// @notice a snapshot with bigints as decimal strings
+function toJSON(snapshot) {
+  return stringifyJSON(snapshot);
+}
+
+module.exports = {
+  parseXpConfig,
+  checkAward,
+  parseAwards,
+  xpBalances,
+  stakingPowers,
+  buildLeaderboard,
+  commitScores,
+  verifyScore,
+  toJSON,
+};
@@ -3,6 +3,7 @@ const {
   time
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { takeSnapshot, mineUpTo } = require("@nomicfoundation/hardhat-network-helpers");
+const { networkOfChain } = require("./networks");
 
 function toBN(number) {
   return new BigNumber(number);
@@ -82,15 +83,11 @@ function randomAddress() {
   return web3.utils.randomHex(20);
 }
 
+// names a network reached through another name after the profile of its chain ID
 function setNetworkName(network) {
-  let chainId = network.config.chainId;
-  if (chainId == 80000) {
-    network.name = "development";
-  } else if (chainId == 80002) {
-    network.name = "bsc_development";
-  }
-  if (chainId == 80003) {
-    network.name = "polygon_development";
+  const name = networkOfChain(network.config.chainId);
+  if (name) {
+    network.name = name;
   }
 }
 
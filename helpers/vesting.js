@@ -0,0 +1,233 @@
+const { Contract, Interface, getAddress } = require("ethers");
+const { stringifyJSON } = require("./json");
+
+/**
+ * @dev Vesting of the shares redeemed from the pools. When vesting is on (vestingEnabled of a FixedPricePool,
+ * vestShares of a LiquidityBootstrapPool) and vestEnd isn't passed, redeem() deposits the shares into a Sablier
+ * LockupLinear stream from saleEnd to vestEnd with its cliff at vestCliff. The Redeemed and Redeem events are the
+ * only link between the buyer and its stream ID. Unlocked amounts follow SablierV2LockupLinear: nothing before the
+ * cliff, then linear from the start to the end, rounded down like its UD60x18 math.
+ */
+
+const WAD = 10n ** 18n;
+
+const POOL_ABI = [
+  "function SABLIER() view returns (address)",
+  "function saleEnd() view returns (uint256)",
+  "function vestCliff() view returns (uint40)",
+  "function vestEnd() view returns (uint40)",
+];
+
+/// the ISablierV2LockupLinear functions used, also implemented by SablierV2LockupLinearMock
+const SABLIER_ABI = [
+  "function getRecipient(uint256 streamId) view returns (address)",
+  "function getDepositedAmount(uint256 streamId) view returns (uint128)",
+  "function getWithdrawnAmount(uint256 streamId) view returns (uint128)",
+  "function withdraw(uint256 streamId, address to, uint128 amount)",
+  "function withdrawMax(uint256 streamId, address to)",
+];
+
+const sablierInterface = new Interface(SABLIER_ABI);
+
+// redemption events of the pools in the indexer database, by event name
+const REDEMPTIONS = {
+  Redeemed: ({ recipient, shares, streamID }) => ({ user: recipient, shares, streamId: streamID }),
+  Redeem: ({ caller, shares, streamID }) => ({ user: caller, shares, streamId: streamID }),
+};
+
+/// -----------------------------------------------------------------------
+/// Sablier math
+/// -----------------------------------------------------------------------
+
+/// @notice SablierV2LockupLinear.streamedAmountOf at `timestamp`
+/// @param stream {depositAmount, startTime, cliffTime, endTime}
+function streamedAmount({ depositAmount, startTime, cliffTime, endTime }, timestamp) {
+  timestamp = BigInt(timestamp);
+  if (BigInt(cliffTime) > timestamp) {
+    return 0n;
+  }
+  if (timestamp >= BigInt(endTime)) {
+    return BigInt(depositAmount);
+  }
+  const elapsedPercentage = (timestamp - BigInt(startTime)) * WAD / (BigInt(endTime) - BigInt(startTime));
+  return elapsedPercentage * BigInt(depositAmount) / WAD;
+}
+
+/// @notice amounts of a stream at `timestamp`, `withdrawnAmount` is what the recipient withdrew so far
+/// @return unlocked, withdrawable and the still locked amounts
+function vestingAt(stream, timestamp) {
+  const unlocked = streamedAmount(stream, timestamp);
+  const withdrawn = BigInt(stream.withdrawnAmount || 0n);
+  return {
+    unlocked,
+    withdrawable: unlocked > withdrawn ? unlocked - withdrawn : 0n,
+    locked: BigInt(stream.depositAmount) - unlocked,
+  };
+}
+
+/// @notice unlocked amounts of a stream at its start, cliff, every `step` seconds after the cliff and its end
+/// @return rows of {timestamp, unlocked, locked}
+function buildSchedule(stream, { step = 30 * 86400 } = {}) {
+  const startTime = Number(stream.startTime);
+  const cliffTime = Number(stream.cliffTime);
+  const endTime = Number(stream.endTime);
+  if (!(step > 0)) {
+    throw new Error(`The schedule step must be a positive number of seconds, got ${step}`);
+  }
+
+  const timestamps = new Set([startTime, cliffTime]);
+  for (let timestamp = cliffTime + step; timestamp < endTime; timestamp += step) {
+    timestamps.add(timestamp);
+  }
+  timestamps.add(endTime);
+
+  return [...timestamps].sort((a, b) => a - b).map(timestamp => {
+    const { unlocked, locked } = vestingAt(stream, timestamp);
+    return { timestamp, unlocked, locked };
+  });
+}
+
+/// -----------------------------------------------------------------------
+/// Streams
+/// -----------------------------------------------------------------------
+
+/// @notice the Sablier streams created by the redemptions indexed in `store`, with their range and the amount
+/// withdrawn so far
+/// @param options.store event database of services/indexer
+/// @param options.user only the streams of this buyer
+/// @param options.pool only the streams of this pool
+/// @param options.blockTag block the withdrawn amounts are read at
+/// @return the streams in the order they were created
+async function fetchVestingStreams({ provider, store, user, pool, blockTag = "latest" }) {
+  user = user && getAddress(user);
+  pool = pool && getAddress(pool);
+  const ranges = new Map();
+  const streams = [];
+
+  for (const { address, contract, event, args, blockNumber, transactionHash } of store.events) {
+    if (!REDEMPTIONS[event] || (pool && address !== pool)) {
+      continue;
+    }
+    const redemption = REDEMPTIONS[event](args);
+    if (redemption.streamId === "0" || (user && getAddress(redemption.user) !== user)) {
+      continue;
+    }
+
+    // every stream of a pool vests over the same range
+    if (!ranges.has(address)) {
+      const vestingPool = new Contract(address, POOL_ABI, provider);
+      ranges.set(address, {
+        sablier: getAddress(await vestingPool.SABLIER()),
+        startTime: Number(await vestingPool.saleEnd()),
+        cliffTime: Number(await vestingPool.vestCliff()),
+        endTime: Number(await vestingPool.vestEnd()),
+      });
+    }
+    const range = ranges.get(address);
+    const sablier = new Contract(range.sablier, SABLIER_ABI, provider);
+    streams.push({
+      pool: address,
+      contract,
+      user: getAddress(redemption.user),
+      streamId: BigInt(redemption.streamId),
+      ...range,
+      depositAmount: await sablier.getDepositedAmount(redemption.streamId, { blockTag }),
+      withdrawnAmount: await sablier.getWithdrawnAmount(redemption.streamId, { blockTag }),
+      recipient: getAddress(await sablier.getRecipient(redemption.streamId, { blockTag })),
+      redeemedAt: blockNumber,
+      transactionHash,
+    });
+  }
+  return streams;
+}
+
+/// @notice the Sablier call withdrawing from a stream, for the recipient to send or to add to a Safe batch
+/// @param options.to receiver of the shares, the recipient of the stream by default. Only the recipient can
+/// withdraw to another address
+/// @param options.amount withdraws everything unlocked when not set
+/// @return {to, value, data} of the transaction and the amount withdrawn at `timestamp`, at least
+function buildWithdraw(stream, { to, amount, timestamp } = {}) {
+  to = getAddress(to || stream.recipient || stream.user);
+  const now = timestamp === undefined ? Math.floor(Date.now() / 1000) : timestamp;
+  const { withdrawable } = vestingAt(stream, now);
+  if (amount === undefined) {
+    if (withdrawable === 0n) {
+      throw new Error(`Nothing to withdraw from stream ${stream.streamId}, ${vestingAt(stream, now).unlocked} ` +
+        `unlocked and ${stream.withdrawnAmount} withdrawn`);
+    }
+    return {
+      to: stream.sablier,
+      value: "0",
+      data: sablierInterface.encodeFunctionData("withdrawMax", [stream.streamId, to]),
+      amount: withdrawable,
+    };
+  }
+
+  amount = BigInt(amount);
+  if (amount <= 0n || amount > withdrawable) {
+    throw new Error(`Can't withdraw ${amount} from stream ${stream.streamId}, ${withdrawable} is withdrawable`);
+  }
+  return {
+    to: stream.sablier,
+    value: "0",
+    data: sablierInterface.encodeFunctionData("withdraw", [stream.streamId, to, amount]),
+    amount,
+  };
+}
+
+/// -----------------------------------------------------------------------
+/// Exports
+/// -----------------------------------------------------------------------
+
+const SCHEDULE_COLUMNS = ["pool", "user", "streamId", "timestamp", "date", "unlocked", "locked", "withdrawable"];
+
+/// @notice the schedules of the streams as rows, amounts in share units. `withdrawable` is what the recipient
+/// can withdraw at that time if it doesn't withdraw before
+function scheduleRows(streams, { step } = {}) {
+  const rows = [];
+  for (const stream of streams) {
+    const withdrawn = BigInt(stream.withdrawnAmount);
+    for (const point of buildSchedule(stream, { step })) {
+      rows.push({
+        pool: stream.pool,
+        user: stream.user,
+        streamId: stream.streamId,
+        timestamp: point.timestamp,
+        date: new Date(point.timestamp * 1000).toISOString(),
+        unlocked: point.unlocked,
+        locked: point.locked,
+        withdrawable: point.unlocked > withdrawn ? point.unlocked - withdrawn : 0n,
+      });
+    }
+  }
+  return rows;
+}
+
+/// @notice CSV of the schedule rows
+function toCsv(rows, columns = SCHEDULE_COLUMNS) {
+  return [columns.join(","), ...rows.map(row => columns.map(column => String(row[column] ?? "")).join(","))]
+    .join("\n") + "\n";
+}
+
+/// @notice the streams, their state at `timestamp` and their schedules with bigints as decimal strings
+function toJSON(streams, { step, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const report = streams.map(stream => ({
+    ...stream,
+    ...vestingAt(stream, timestamp),
+    schedule: buildSchedule(stream, { step }),
+  }));
+  return stringifyJSON({ timestamp, streams: report });
+}
+
+module.exports = {
+  POOL_ABI,
+  SABLIER_ABI,
+  streamedAmount,
+  vestingAt,
+  buildSchedule,
+  fetchVestingStreams,
+  buildWithdraw,
+  scheduleRows,
+  toCsv,
+  toJSON,
+};
@@ -1,37 +0,0 @@
-module.exports.MAIN = {
-    localhost: "0x0cF8689FC575e1eB67D55b7842456e4825b01b1a",
-    sepolia: "0x0cF8689FC575e1eB67D55b7842456e4825b01b1a",
-    mainnet: "0x0cF8689FC575e1eB67D55b7842456e4825b01b1a",
-};
-
-module.exports.SABLER = {
-    localhost: "0x7a43F8a888fa15e68C103E18b0439Eb1e98E4301",
-    sepolia: "0x7a43F8a888fa15e68C103E18b0439Eb1e98E4301",
-    mainnet: "0xB10daee1FCF62243aE27776D7a92D39dC8740f95",
-};
-
-// DEPLOY IT FIRST!
-module.exports.TREASURY = {
-    localhost: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",    //random
-    sepolia: "0xBEaB712832112bd7664226db7CD025B153D3af55",
-    mainnet: "TODO",
-};
-
-module.exports.TREASURY_FEE_RECIPIENT = {
-    localhost: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",    //random
-    sepolia: "0xC6AC25a9edefb3368710c0Aef5fC387691CA0e3A",      //deployer
-    mainnet: "TODO",
-};
-
-module.exports.TREASURY_FEE_RECIPIENT = {
-    localhost: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",    //random
-    sepolia: "0xC6AC25a9edefb3368710c0Aef5fC387691CA0e3A",      //deployer
-    mainnet: "TODO",
-};
-
-module.exports.BLOCKS_PER_DAY = {
-    localhost: "7200",
-    sepolia: "7200",
-    mainnet: "7200",
-    base: "43200",
-};
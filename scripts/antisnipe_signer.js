@@ -0,0 +1,32 @@
+const hre = require("hardhat");
+const path = require("path");
+const { createSignerService } = require("../services/antisnipe_signer");
+
+// npx hardhat run --network sepolia scripts/antisnipe_signer.js
+async function main() {
+  if (!process.env.ANTISNIPE_SIGNER_KEY) {
+    throw new Error("ANTISNIPE_SIGNER_KEY is not set, it must be the key of the factory DELEGATE_SIGNER");
+  }
+  const signer = new hre.ethers.Wallet(process.env.ANTISNIPE_SIGNER_KEY, hre.ethers.provider);
+
+  const port = Number(process.env.ANTISNIPE_PORT || 8645);
+  const logFile = process.env.ANTISNIPE_LOG || path.join(hre.config.paths.root, "antisnipe_signatures.log");
+
+  const server = createSignerService({
+    signer,
+    maxShares: process.env.ANTISNIPE_MAX_SHARES || "100000",
+    rateLimit: Number(process.env.ANTISNIPE_RATE_LIMIT || 3),
+    rateWindow: Number(process.env.ANTISNIPE_RATE_WINDOW || 60),
+    deadlineWindow: Number(process.env.ANTISNIPE_DEADLINE_WINDOW || 120),
+    logFile,
+  });
+
+  server.listen(port, () => {
+    console.log(`Anti-snipe signer ${signer.address} listening on port ${port}, logging to ${logFile}`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
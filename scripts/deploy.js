@@ -0,0 +1,31 @@
+const hre = require("hardhat");
+const { runPipeline } = require("../helpers/pipeline");
+
+// stages run in dependency order, each one resolves the addresses deployed by the previous ones
+// from the deployment manifest (deployments/<network>_<chainId>/)
+const STAGES = [
+  require("./stages/treasury"),
+  // a LockupLinear mock on local networks only, the pools need one to stream vested shares
+  require("./stages/sablier"),
+  require("./stages/fjord_math"),
+  require("./stages/fixed_pool_factory"),
+  require("./stages/lbp_pool_factory"),
+  require("./stages/token_and_staking"),
+  require("./stages/labs"),
+  // ownership of everything goes to the MAIN multisig last
+  require("./stages/handoff"),
+];
+
+async function main() {
+  const outputs = await runPipeline(hre, STAGES);
+
+  console.log("Deployment finished:");
+  for (const [name, address] of Object.entries(outputs)) {
+    console.log(`  ${name}: ${address}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,62 @@
+const hre = require("hardhat");
+const path = require("path");
+const { readEntry } = require("../helpers/manifest");
+const { isLocalNetwork } = require("../helpers/pipeline");
+const { createEventStore, createIndexer } = require("../services/indexer");
+const { createQueryService } = require("../services/indexer_api");
+
+// contracts of the manifest whose events are indexed, pools are found from the factories
+const INDEXED = ["SuprimeStaking", "FixedPricePoolFactory", "LiquidityBootstrapPoolFactory", "LabsRegistry"];
+
+// npx hardhat run --network localhost scripts/indexer.js
+async function main() {
+  const contracts = {};
+  const deploymentBlocks = [];
+  for (const name of INDEXED) {
+    const entry = await readEntry(hre, name);
+    if (entry && entry.address) {
+      contracts[name] = entry.address;
+      deploymentBlocks.push(entry.blockNumber || 0);
+    } else {
+      console.log(`${name} is not in the deployment manifest of ${hre.network.name}, its events are not indexed`);
+    }
+  }
+  if (deploymentBlocks.length === 0) {
+    throw new Error(`None of ${INDEXED.join(", ")} is deployed on ${hre.network.name}`);
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const file = process.env.INDEXER_DB ||
+    path.join(hre.config.paths.root, "indexer", `${hre.network.name}_${chainId}.json`);
+  const store = createEventStore(file);
+
+  const indexer = createIndexer({
+    provider: hre.ethers.provider,
+    store,
+    contracts,
+    startBlock: Number(process.env.INDEXER_START_BLOCK || Math.min(...deploymentBlocks)),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || (isLocalNetwork(hre) ? 0 : 5)),
+    reorgDepth: Number(process.env.INDEXER_REORG_DEPTH || 64),
+  });
+
+  const port = Number(process.env.INDEXER_PORT || 8646);
+  createQueryService(store).listen(port, () => {
+    console.log(`Indexing ${Object.keys(contracts).join(", ")} into ${file}, queries on port ${port}`);
+  });
+
+  indexer.start(Number(process.env.INDEXER_INTERVAL || 5), {
+    onSync: ({ lastBlock, indexed, reorg }) => {
+      if (reorg) {
+        console.log(`Reorg: rolled back blocks ${reorg.from} to ${reorg.to}`);
+      }
+      if (indexed > 0) {
+        console.log(`Indexed ${indexed} events up to block ${lastBlock}`);
+      }
+    },
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,72 @@
+const hre = require("hardhat");
+const path = require("path");
+const { parseUnits } = require("ethers");
+const { readEntry } = require("../helpers/manifest");
+const { isLocalNetwork } = require("../helpers/pipeline");
+const { createConsoleNotifier, createWebhookNotifier, combineNotifiers } = require("../helpers/notifiers");
+const { createPoolKeeper } = require("../services/pool_keeper");
+
+const FACTORIES = ["FixedPricePoolFactory", "LiquidityBootstrapPoolFactory"];
+
+// npx hardhat run --network mainnet scripts/pool_keeper.js
+async function main() {
+  const factories = {};
+  const deploymentBlocks = [];
+  for (const name of FACTORIES) {
+    const entry = await readEntry(hre, name);
+    if (entry && entry.address) {
+      factories[name] = entry.address;
+      deploymentBlocks.push(entry.blockNumber || 0);
+    } else {
+      console.log(`${name} is not in the deployment manifest of ${hre.network.name}, its pools are not kept`);
+    }
+  }
+  if (deploymentBlocks.length === 0) {
+    throw new Error(`None of ${FACTORIES.join(", ")} is deployed on ${hre.network.name}`);
+  }
+
+  const notifiers = [createConsoleNotifier("keeper")];
+  if (process.env.KEEPER_WEBHOOK) {
+    notifiers.push(createWebhookNotifier(process.env.KEEPER_WEBHOOK));
+  }
+
+  const watchOnly = process.env.KEEPER_WATCH_ONLY === "true";
+  const [signer] = watchOnly ? [] : await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const stateFile = process.env.KEEPER_STATE ||
+    path.join(hre.config.paths.root, "keeper", `${hre.network.name}_${chainId}.json`);
+
+  const keeper = createPoolKeeper({
+    provider: hre.ethers.provider,
+    signer,
+    factories,
+    notifier: combineNotifiers(...notifiers),
+    stateFile,
+    fromBlock: Number(process.env.KEEPER_START_BLOCK || Math.min(...deploymentBlocks)),
+    confirmations: Number(process.env.KEEPER_CONFIRMATIONS || (isLocalNetwork(hre) ? 0 : 5)),
+    unclosedAfter: Number(process.env.KEEPER_UNCLOSED_AFTER || 3600),
+    bumpAfter: Number(process.env.KEEPER_BUMP_AFTER || 180),
+    gasBump: Number(process.env.KEEPER_GAS_BUMP || 20),
+    // in gwei
+    maxFeePerGas: process.env.KEEPER_MAX_FEE ? parseUnits(process.env.KEEPER_MAX_FEE, "gwei") : undefined,
+  });
+
+  const interval = Number(process.env.KEEPER_INTERVAL || 60);
+  console.log(`Keeping the pools of ${hre.network.name} every ${interval} seconds ` +
+    (signer ? `with ${signer.address}` : "without closing them"));
+  keeper.start(interval, {
+    onCheck: ({ block, discovered, closed }) => {
+      for (const pool of discovered) {
+        console.log(`Block ${block.number}: tracking ${pool}`);
+      }
+      for (const pool of closed) {
+        console.log(`Block ${block.number}: closed ${pool}`);
+      }
+    },
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,37 @@
+const hre = require("hardhat");
+const { parseUnits } = require("ethers");
+const { requireAddress } = require("../helpers/manifest");
+const { createConsoleNotifier, createWebhookNotifier, combineNotifiers } = require("../helpers/notifiers");
+const { formatAPY, createRewardMonitor } = require("../services/reward_monitor");
+
+// npx hardhat run --network mainnet scripts/reward_monitor.js
+async function main() {
+  const notifiers = [createConsoleNotifier("rewards")];
+  if (process.env.REWARDS_WEBHOOK) {
+    notifiers.push(createWebhookNotifier(process.env.REWARDS_WEBHOOK));
+  }
+
+  const monitor = createRewardMonitor({
+    provider: hre.ethers.provider,
+    staking: await requireAddress(hre, "SuprimeStaking"),
+    notifier: combineNotifiers(...notifiers),
+    thresholdDays: Number(process.env.REWARDS_THRESHOLD_DAYS || 30),
+    // in percent, the current getDefaultAPY by default
+    targetAPY: process.env.REWARDS_TARGET_APY ? parseUnits(process.env.REWARDS_TARGET_APY, 5) : undefined,
+    days: Number(process.env.REWARDS_DAYS || 180),
+  });
+
+  const interval = Number(process.env.REWARDS_INTERVAL || 600);
+  console.log(`Watching the SuprimeStaking rewards of ${hre.network.name} every ${interval} seconds`);
+  monitor.start(interval, {
+    onCheck: ({ level, block, runway, defaultAPY }) => {
+      console.log(`Block ${block.number}: ${runway.scheduledDays.toFixed(1)} days of rewards left, ` +
+        `default APY ${formatAPY(defaultAPY)}, ${level}`);
+    },
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,41 @@
+const { sablierAddress } = require("./sablier");
+
+async function run(ctx) {
+  const sablier = await sablierAddress(ctx);
+  const libraries = {
+    FjordMath: await ctx.address("FjordMath"),
+  };
+  const factoryArgs = [
+    await ctx.address("Treasury"),
+    await ctx.config("MAIN"),
+    sablier
+  ];
+  const factory = await ctx.deploy("FixedPricePoolFactory", "FixedPricePoolFactory", factoryArgs, {
+    libraries,
+  });
+
+  //verify Factory
+  await ctx.verify("FixedPricePoolFactory", {
+    constructorArguments: factoryArgs,
+  });
+
+  //Pool impl is deployed by the Factory constructor
+  const poolImplAddr = await factory.FIXED_PRICE_IMPL();
+  await ctx.record("FixedPricePool", "FixedPricePool", poolImplAddr, {
+    args: [sablier],
+    libraries,
+    deployTransaction: factory.deploymentTransaction(),
+  });
+  console.log(`Verifying the FixedPrice implementation at ${poolImplAddr}`)
+  await ctx.verify("FixedPricePool", {
+    constructorArguments: [sablier],
+    libraries,
+  });
+
+  return { FixedPricePoolFactory: factory.target };
+}
+
+module.exports = {
+  name: "fixedPoolFactory",
+  run,
+};
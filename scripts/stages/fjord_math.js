@@ -0,0 +1,13 @@
+async function run(ctx) {
+  const mathLib = await ctx.deploy("FjordMath", "FjordMath");
+
+  //verify
+  await ctx.verify("FjordMath");
+
+  return { FjordMath: mathLib.target };
+}
+
+module.exports = {
+  name: "fjordMath",
+  run,
+};
@@ -0,0 +1,114 @@
+const { readEntry } = require("../../helpers/manifest");
+
+const OWNABLE_ABI = [
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function transferOwnership(address newOwner)",
+];
+
+// FixedPricePoolFactory and SuprimeStakingView are not Ownable, there is nothing to hand off. The Treasury is
+// deployed owned by TREASURY_FEE_RECIPIENT, handed off like the others when that is the deployer
+const OWNED = ["Treasury", "LiquidityBootstrapPoolFactory", "LabsRegistry", "SuprimeStaking"];
+// Ownable2Step, owner() only changes once MAIN calls acceptOwnership()
+const TWO_STEP = ["SuprimeStaking"];
+// every transparent proxy has its own ProxyAdmin
+const PROXIES = ["SuprimeStaking", "SuprimeStakingView"];
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+async function getTargets(ctx) {
+  const { hre } = ctx;
+  const targets = [];
+
+  for (const name of OWNED) {
+    targets.push({
+      name,
+      address: await ctx.address(name),
+      twoStep: TWO_STEP.includes(name),
+    });
+  }
+  for (const name of PROXIES) {
+    const entry = await readEntry(hre, name);
+    const admin = entry.proxy
+      ? entry.proxy.admin
+      : await hre.upgrades.erc1967.getAdminAddress(await ctx.address(name));
+    targets.push({
+      name: `${name} ProxyAdmin`,
+      address: admin,
+      twoStep: false,
+    });
+  }
+  return targets;
+}
+
+async function readOwnership(hre, target) {
+  const contract = await hre.ethers.getContractAt(OWNABLE_ABI, target.address);
+  return {
+    contract,
+    owner: await contract.owner(),
+    pendingOwner: target.twoStep ? await contract.pendingOwner() : undefined,
+  };
+}
+
+/// @notice transfers the ownership of every Ownable contract and ProxyAdmin to MAIN,
+/// then reads back the owners and fails if any of them is still the deployer
+async function run(ctx) {
+  const { hre, deployer } = ctx;
+  const main = await ctx.config("MAIN");
+  const targets = await getTargets(ctx);
+
+  for (const target of targets) {
+    const { contract, owner, pendingOwner } = await readOwnership(hre, target);
+    if (sameAddress(owner, main) || (pendingOwner && sameAddress(pendingOwner, main))) {
+      console.log(`${target.name} is already handed off to ${main}, skipping`);
+      continue;
+    }
+    if (!sameAddress(owner, deployer.address)) {
+      console.log(`${target.name} is owned by ${owner}, not by the deployer, that account hands it off to ${main}`);
+      continue;
+    }
+
+    await (await contract.connect(deployer).transferOwnership(main)).wait();
+    console.log(`Ownership of ${target.name} was set to ${main}`);
+  }
+
+  await checkHandoff(ctx, targets, main);
+  return {};
+}
+
+/// @notice reads back the owners of the targets and fails if any of them is still the deployer
+async function checkHandoff(ctx, targets, main) {
+  const { hre, deployer } = ctx;
+  const report = [];
+  const failed = [];
+  for (const target of targets) {
+    const { owner, pendingOwner } = await readOwnership(hre, target);
+
+    let status;
+    if (sameAddress(owner, main)) {
+      status = "MAIN";
+    } else if (pendingOwner && sameAddress(pendingOwner, main)) {
+      status = "pending acceptOwnership() by MAIN";
+    } else if (sameAddress(owner, deployer.address)) {
+      status = "DEPLOYER";
+      failed.push(target.name);
+    } else {
+      status = "other";
+    }
+
+    report.push({ contract: target.name, address: target.address, owner, status });
+  }
+  console.table(report);
+
+  if (failed.length > 0) {
+    throw new Error(`Ownership handoff failed, still owned by the deployer ${deployer.address}: ${failed.join(", ")}`);
+  }
+  return report;
+}
+
+module.exports = {
+  name: "handoff",
+  run,
+  getTargets,
+  checkHandoff,
+};
@@ -0,0 +1,26 @@
+const { isLocalNetwork } = require("../../helpers/pipeline");
+
+async function run(ctx) {
+  const labsRegistry = await ctx.deploy("LabsRegistry", "LabsRegistry");
+
+  //verify
+  await ctx.verify("LabsRegistry");
+
+  /*await hre.tenderly.persistArtifacts({
+    name: "LabsRegistry",
+    address: await labsRegistry.getAddress(),
+  })*/
+
+  const deployed = { LabsRegistry: await labsRegistry.getAddress() };
+  // nothing implements IWorkflow yet, local accelerations get the reference workflow
+  if (isLocalNetwork(ctx.hre)) {
+    const workflow = await ctx.deploy("WorkflowMock", "WorkflowMock");
+    deployed.WorkflowMock = await workflow.getAddress();
+  }
+  return deployed;
+}
+
+module.exports = {
+  name: "labs",
+  run,
+};
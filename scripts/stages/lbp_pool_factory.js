@@ -0,0 +1,43 @@
+const { sablierAddress } = require("./sablier");
+
+async function run(ctx) {
+  const { deployer, profile } = ctx;
+
+  const poolArgs = [await sablierAddress(ctx)];
+  const pool = await ctx.deploy("LiquidityBootstrapPool", "LiquidityBootstrapPool", poolArgs);
+  console.log(
+    `LiquidityBootstrapPool uses SABLIER address ${poolArgs[0]}`
+  );
+
+  //verify
+  await ctx.verify("LiquidityBootstrapPool", {
+    constructorArguments: poolArgs,
+  });
+
+  //fees in bips from the network profile, 4% platform, 0% referrer and 3% swap by default
+  const { platformFee, referrerFee, swapFee } = profile.lbpFees;
+  const factoryArgs = [
+    pool.target,
+    deployer.address,
+    await ctx.address("Treasury"),
+    String(platformFee),
+    String(referrerFee),
+    String(swapFee),
+  ];
+  const factory = await ctx.deploy("LiquidityBootstrapPoolFactory", "LiquidityBootstrapPoolFactory", factoryArgs);
+
+  //verify
+  await ctx.verify("LiquidityBootstrapPoolFactory", {
+    constructorArguments: factoryArgs,
+  });
+
+  return {
+    LiquidityBootstrapPool: pool.target,
+    LiquidityBootstrapPoolFactory: factory.target,
+  };
+}
+
+module.exports = {
+  name: "lbpPoolFactory",
+  run,
+};
@@ -0,0 +1,30 @@
+const { isLocalNetwork } = require("../../helpers/pipeline");
+
+/// @notice LockupLinear the sale pools stream vested shares with, SABLIER of the network profile on live networks
+/// and the mock deployed by this stage on local ones, where Sablier does not exist
+async function sablierAddress(ctx) {
+  if (isLocalNetwork(ctx.hre)) {
+    return ctx.address("SablierV2LockupLinearMock");
+  }
+  const sablier = await ctx.config("SABLIER");
+  // the pools keep it immutable, an address of another chain would leave every vested redemption reverting
+  if ((await ctx.hre.ethers.provider.getCode(sablier)) === "0x") {
+    throw new Error(`There is no contract at SABLIER ${sablier} on ${ctx.hre.network.name}, check its profile`);
+  }
+  return sablier;
+}
+
+async function run(ctx) {
+  if (!isLocalNetwork(ctx.hre)) {
+    return {};
+  }
+  const sablier = await ctx.deploy("SablierV2LockupLinearMock", "SablierV2LockupLinearMock");
+
+  return { SablierV2LockupLinearMock: sablier.target };
+}
+
+module.exports = {
+  name: "sablier",
+  run,
+  sablierAddress,
+};
@@ -0,0 +1,59 @@
+const { toWei } = require('../../helpers/utils')
+
+async function run(ctx) {
+  const { deployer, profile } = ctx;
+  const main = await ctx.config("MAIN");
+
+  //mint to 'main' on production chains, to 'deployer' on testnets and local networks
+  const tokenArgs = !profile.testnet && !profile.local
+    ? [main]
+    : [deployer.address];
+  const token = await ctx.deploy("SuprimeToken", "SuprimeToken", tokenArgs);
+  console.log(
+    `SuprimeToken minted to ${tokenArgs[0]}`
+  );
+
+  //verify
+  await ctx.verify("SuprimeToken", {
+    constructorArguments: tokenArgs,
+  });
+
+
+  /*  STAKING */
+  // rewards are per block, blocksPerDay follows the block time of the chain
+  const suprimeStaking = await ctx.deployProxy("SuprimeStaking", "SuprimeStaking",
+    [token.target, await ctx.config("BLOCKS_PER_DAY", { address: false })], {initializer: '__SuprimeStaking_init'});
+
+  //verify
+  await ctx.verify("SuprimeStaking");
+
+  if (profile.testnet) {
+    await ctx.once("SuprimeStaking.setRewards", async () => {
+      if (profile.stakingBaseURI) {
+        await (await suprimeStaking.setBaseURI(profile.stakingBaseURI)).wait();
+      }
+      await (await token.transfer(await suprimeStaking.getAddress(), toWei("10000000"))).wait();
+      await (await suprimeStaking.setRewards(toWei('1290000'), 180)).wait();
+      console.log("URI and Rewards are SET");
+    });
+  }
+
+
+  /*  STAKING VIEW */
+  const suprimeStakingView = await ctx.deployProxy("SuprimeStakingView", "SuprimeStakingView",
+    [await suprimeStaking.getAddress()], {initializer: '__SuprimeStakingView_init'});
+
+  //verify
+  await ctx.verify("SuprimeStakingView");
+
+  return {
+    SuprimeToken: token.target,
+    SuprimeStaking: await suprimeStaking.getAddress(),
+    SuprimeStakingView: await suprimeStakingView.getAddress(),
+  };
+}
+
+module.exports = {
+  name: "tokenAndStaking",
+  run,
+};
@@ -0,0 +1,34 @@
+const { planSplit, formatPercentage } = require("../../helpers/treasury");
+
+async function run(ctx) {
+  const treasuryArgs = [await ctx.config("TREASURY_FEE_RECIPIENT")];
+  const treasury = await ctx.deploy("Treasury", "Treasury", treasuryArgs);
+
+  //verify
+  await ctx.verify("Treasury", {
+    constructorArguments: treasuryArgs,
+  });
+
+  // the fee recipient owns the Treasury and gets 100% until the split of the profile is set
+  if (ctx.profile.treasurySplit) {
+    const plan = planSplit(ctx.profile.treasurySplit);
+    const owner = await treasury.owner();
+    if (owner !== ctx.deployer.address) {
+      console.log(`The Treasury owner ${owner} has to set the split "${ctx.profile.treasurySplit}": ` +
+        `call ${treasury.target} with ${plan.calldata}`);
+    } else {
+      await ctx.once("Treasury.updateRecipients", async () => {
+        await (await treasury.updateRecipients(plan.recipients, plan.percentages)).wait();
+        console.log(`Treasury split set: ${plan.recipients
+          .map((recipient, i) => `${formatPercentage(plan.percentages[i])} ${recipient}`).join(", ")}`);
+      });
+    }
+  }
+
+  return { Treasury: treasury.target };
+}
+
+module.exports = {
+  name: "treasury",
+  run,
+};
@@ -0,0 +1,43 @@
+const hre = require("hardhat");
+const path = require("path");
+const { readEntry, requireAddress } = require("../helpers/manifest");
+const { isLocalNetwork } = require("../helpers/pipeline");
+const { createMetadataGenerator, createMetadataServer } = require("../services/staking_metadata");
+
+// npx hardhat run --network localhost scripts/staking_metadata.js
+async function main() {
+  const staking = await requireAddress(hre, "SuprimeStaking");
+  const entry = await readEntry(hre, "SuprimeStaking");
+  const fromBlock = entry.blockNumber || 0;
+  const imageBaseURI = process.env.STAKING_METADATA_IMAGE_URI;
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const dir = process.env.STAKING_METADATA_DIR ||
+    path.join(hre.config.paths.root, "metadata", `${hre.network.name}_${chainId}`);
+  const generator = createMetadataGenerator({
+    provider: hre.ethers.provider,
+    staking,
+    dir,
+    fromBlock,
+    confirmations: Number(process.env.STAKING_METADATA_CONFIRMATIONS || (isLocalNetwork(hre) ? 0 : 5)),
+    imageBaseURI,
+  });
+
+  const port = Number(process.env.STAKING_METADATA_PORT || 8647);
+  createMetadataServer({ provider: hre.ethers.provider, staking, fromBlock, imageBaseURI }).listen(port, () => {
+    console.log(`Writing the SuprimeStaking metadata into ${dir}, live metadata on port ${port}`);
+  });
+
+  generator.start(Number(process.env.STAKING_METADATA_INTERVAL || 15), {
+    onSync: ({ lastBlock, updated }) => {
+      if (updated.length > 0) {
+        console.log(`Block ${lastBlock}: wrote NFTs ${updated.join(", ")}`);
+      }
+    },
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
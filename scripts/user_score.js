@@ -0,0 +1,65 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { readEntry, requireAddress } = require("../helpers/manifest");
+const { isLocalNetwork } = require("../helpers/pipeline");
+const { loadSpec } = require("../helpers/pool_spec");
+const { parseXpConfig } = require("../helpers/user_score");
+const { createEventStore, createIndexer } = require("../services/indexer");
+const { createXpLedger, createViewPower, createEventPower, createScoreService } = require("../services/user_score");
+
+// npx hardhat run --network mainnet scripts/user_score.js
+async function main() {
+  const { provider } = hre.ethers;
+  const { chainId } = await provider.getNetwork();
+  const scores = path.join(hre.config.paths.root, "scores", `${hre.network.name}_${chainId}`);
+  const actions = process.env.SCORE_ACTIONS || path.join(hre.config.paths.root, "xp_actions.yaml");
+  if (!fs.existsSync(actions)) {
+    throw new Error(`No XP config at ${actions}, start from xp_actions.example.yaml`);
+  }
+  const config = parseXpConfig(loadSpec(actions));
+  const ledger = process.env.SCORE_LEDGER || path.join(scores, "xp.json");
+  const dir = process.env.SCORE_DIR || path.join(scores, "snapshots");
+  const confirmations = Number(process.env.SCORE_CONFIRMATIONS || (isLocalNetwork(hre) ? 0 : 5));
+
+  const staking = await requireAddress(hre, "SuprimeStaking");
+  const fromBlock = (await readEntry(hre, "SuprimeStaking")).blockNumber || 0;
+  const source = process.env.SCORE_SOURCE || "view";
+  let power;
+  if (source === "view") {
+    power = createViewPower({ provider, stakingView: await requireAddress(hre, "SuprimeStakingView"), fromBlock });
+  } else if (source === "events") {
+    // the staking events only, kept in memory
+    const store = createEventStore();
+    const contracts = { SuprimeStaking: staking };
+    power = createEventPower({
+      store,
+      indexer: createIndexer({ provider, store, contracts, startBlock: fromBlock, confirmations }),
+    });
+  } else {
+    throw new Error(`Unknown SCORE_SOURCE ${source}, expected view or events`);
+  }
+
+  const service = createScoreService({
+    provider,
+    ledger: createXpLedger(ledger, config),
+    power,
+    xpWeight: config.xpWeight,
+    dir,
+    confirmations,
+  });
+
+  const interval = Number(process.env.SCORE_INTERVAL || 3600);
+  console.log(`Publishing the user scores of ${hre.network.name} into ${dir} every ${interval} seconds, ` +
+    `staking power from the ${source}, XP from ${ledger}`);
+  service.start(interval, {
+    onSnapshot: ({ id, block, root, leaderboard }) => {
+      console.log(`Snapshot ${id} at block ${block}: ${leaderboard.length} users, root ${root}`);
+    },
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,588 @@
+const { Contract, Interface, ZeroAddress, ZeroHash, getAddress, isError } = require("ethers");
+const { getLeaf, verifyProof } = require("../helpers/merkle");
+
+/**
+ * @dev Client of the sales for the buyers' frontends: loads a FixedPricePool or a LiquidityBootstrapPool by address
+ * and hides their overloads behind one quote() and one buy(), with the whitelist proof, the anti-snipe signature,
+ * the slippage bounds and the approval of the asset. Reverts come back as the error classes below.
+ *
+ * A FixedPricePool sells exact shares at the price of its tiers, its whitelist and anti-snipe signature are checked
+ * for the recipient, redeem() pays the shares or refunds the assets when the minimum wasn't sold. A
+ * LiquidityBootstrapPool sells exact assets or exact shares at the curve price, its whitelist is checked for the
+ * sender, redeem(recipient, referred) also pays the referrer fees of the sender.
+ */
+
+// slippage of the quotes when none is given, in bips
+const DEFAULT_SLIPPAGE = 50;
+
+const BIPS = 10000n;
+const WAD = 10n ** 18n;
+
+/// BasePool PoolStatus
+const POOL_STATUS = ["Active", "Paused", "Closed", "Canceled"];
+
+/// BasePool PoolType
+const POOL_TYPES = ["Fixed", "Overflow"];
+
+const FIXED_POOL_ABI = [
+  "function poolType() view returns (uint8)",
+  "function status() view returns (uint8)",
+  "function assetToken() view returns (address)",
+  "function shareToken() view returns (address)",
+  "function assetDecimals() view returns (uint8)",
+  "function shareDecimals() view returns (uint8)",
+  "function saleStart() view returns (uint40)",
+  "function saleEnd() view returns (uint40)",
+  "function saleEndTimestamp() view returns (uint256)",
+  "function redemptionDelay() view returns (uint40)",
+  "function hasWhitelist() view returns (bool)",
+  "function whitelistMerkleRoot() view returns (bytes32)",
+  "function antiSnipeEnabled() view returns (bool)",
+  "function isTiered() view returns (bool)",
+  "function getTierData(uint256 index) view returns ((uint256 amountForSale, uint256 pricePerShare, uint256 maximumPerUser, uint256 minimumPerUser))",
+  "function minimumTokensForSale() view returns (uint256)",
+  "function totalSharesSold() view returns (uint256)",
+  "function purchasedShares(address user) view returns (uint256)",
+  "function userNormalizedAssetsIn(address user) view returns (uint256)",
+  "function userTokensRemaining(address user) view returns (uint256)",
+  "function previewBuy(uint256 tokenAmount, address recipient) view returns (uint256 assetsIn, uint256 feesPaid, (uint8 tierIndex, uint256 assetsIn, uint256 sharesOutInTier)[] updatedTiers)",
+  "function buyExactShares(uint256 sharesOut, address recipient, uint64 deadline, bytes signature, bytes32[] proof)",
+  "function buyExactShares(uint256 sharesOut, address recipient, uint64 deadline, bytes signature, bytes32[] proof, uint256 maxPricePerShare)",
+  "function redeem() returns (uint256 streamID)",
+  "event BuyFixedShares(address indexed recipient, uint256 sharesOut, uint256 baseAssetsIn, uint256 feesPaid)",
+  "event Redeemed(address indexed recipient, uint256 shares, uint256 streamID)",
+  "event Refunded(address indexed recipient, uint256 amount)",
+  // BasePool and FixedPricePool errors
+  "error InvalidProof()",
+  "error InvalidSignature()",
+  "error MaxPurchaseExeeded()",
+  "error MinPurchaseNotMet()",
+  "error NoSharesRedeemable()",
+  "error RedeemedTooEarly()",
+  "error SaleActive()",
+  "error SaleCancelled()",
+  "error SaleInactive()",
+  "error MandatoryMinimumSwapThreshold()",
+  "error StaleSignature()",
+  "error TokenNotRedeemable()",
+  "error TransferZero()",
+  "error UserMaxPurchaseExceeded()",
+  "error UserMinPurchaseNotMet()",
+  "error ZeroAddress()",
+  "error TierMaxPurchaseExceeded()",
+  "error TierPurchaseTooLow(uint256 tierIndex)",
+  "error InvalidTierPurchaseAmount()",
+  "error SlippageExceeded()",
+];
+
+const LBP_ABI = [
+  "function asset() view returns (address)",
+  "function share() view returns (address)",
+  "function saleStart() view returns (uint256)",
+  "function saleEnd() view returns (uint256)",
+  "function swapFee() view returns (uint256)",
+  "function whitelisted() view returns (bool)",
+  "function whitelistMerkleRoot() view returns (bytes32)",
+  "function closed() view returns (bool)",
+  "function paused() view returns (bool)",
+  "function purchasedShares(address user) view returns (uint256)",
+  "function referredAssets(address referrer) view returns (uint256)",
+  "function previewSharesOut(uint256 assetsIn) view returns (uint256 sharesOut)",
+  "function previewAssetsIn(uint256 sharesOut) view returns (uint256 assetsIn)",
+  "function swapExactAssetsForShares(uint256 assetsIn, uint256 minSharesOut, address recipient, address referrer, bytes32[] proof) returns (uint256 sharesOut)",
+  "function swapAssetsForExactShares(uint256 sharesOut, uint256 maxAssetsIn, address recipient, address referrer, bytes32[] proof) returns (uint256 assetsIn)",
+  "function redeem(address recipient, bool referred) returns (uint256 shares)",
+  "event Buy(address indexed caller, uint256 assets, uint256 shares, uint256 swapFee)",
+  "event Redeem(address indexed caller, uint256 indexed streamID, uint256 shares)",
+  // LiquidityBootstrapPool and Pausable errors
+  "error WhitelistProof()",
+  "error AssetsInExceeded()",
+  "error SharesOutExceeded()",
+  "error SlippageExceeded()",
+  "error TradingDisallowed()",
+  "error RedeemingDisallowed()",
+  "error EnforcedPause()",
+];
+
+const TOKEN_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  // WETH9, for the pools selling against the wrapped native token
+  "function deposit() payable",
+];
+
+/// -----------------------------------------------------------------------
+/// Errors
+/// -----------------------------------------------------------------------
+
+class SaleError extends Error {
+  /// @param fields arguments of the custom error, set on the error
+  /// @param cause the error thrown by ethers, if the transaction reverted
+  constructor(message, fields = {}, cause = undefined) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    Object.assign(this, fields);
+  }
+}
+
+class InvalidInputError extends SaleError {}
+class SaleInactiveError extends SaleError {}
+class NotWhitelistedError extends SaleError {}
+class InvalidSignatureError extends SaleError {}
+class UserMaxPurchaseExceededError extends SaleError {}
+class UserMinPurchaseNotMetError extends SaleError {}
+class MinPurchaseNotMetError extends SaleError {}
+class PoolCapExceededError extends SaleError {}
+class SlippageExceededError extends SaleError {}
+class RedeemNotReadyError extends SaleError {}
+class SaleCancelledError extends SaleError {}
+class NoSharesRedeemableError extends SaleError {}
+
+const CUSTOM_ERRORS = {
+  SaleInactive: [SaleInactiveError, () => "the sale isn't active"],
+  TradingDisallowed: [SaleInactiveError, () => "the sale isn't active"],
+  EnforcedPause: [SaleInactiveError, () => "the sale is paused"],
+  InvalidProof: [NotWhitelistedError, () => "the recipient isn't whitelisted"],
+  WhitelistProof: [NotWhitelistedError, () => "the sender isn't whitelisted"],
+  InvalidSignature: [InvalidSignatureError, () => "the anti-snipe signature is invalid"],
+  StaleSignature: [InvalidSignatureError, () => "the anti-snipe signature expired"],
+  UserMaxPurchaseExceeded: [UserMaxPurchaseExceededError, () => "the purchase exceeds the maximum per user"],
+  TierMaxPurchaseExceeded: [UserMaxPurchaseExceededError, () => "the purchase exceeds the maximum of the tiers"],
+  InvalidTierPurchaseAmount: [UserMaxPurchaseExceededError, () => "the tiers can't fill the purchase"],
+  UserMinPurchaseNotMet: [UserMinPurchaseNotMetError, () => "the purchase is below the minimum per user"],
+  TierPurchaseTooLow: [UserMinPurchaseNotMetError,
+    ({ tierIndex }) => `the purchase is below the minimum of tier ${tierIndex}`],
+  MinPurchaseNotMet: [MinPurchaseNotMetError, () => "the purchase is below the minimum swap"],
+  MandatoryMinimumSwapThreshold: [MinPurchaseNotMetError,
+    () => "the purchase would leave less than the minimum swap for sale"],
+  MaxPurchaseExeeded: [PoolCapExceededError, () => "the purchase exceeds the shares for sale"],
+  AssetsInExceeded: [PoolCapExceededError, () => "the purchase exceeds the maximum assets of the pool"],
+  SharesOutExceeded: [PoolCapExceededError, () => "the purchase exceeds the maximum shares of the pool"],
+  SlippageExceeded: [SlippageExceededError, () => "the price moved beyond the slippage"],
+  SaleActive: [RedeemNotReadyError, () => "the sale isn't closed"],
+  RedeemingDisallowed: [RedeemNotReadyError, () => "the sale isn't closed"],
+  RedeemedTooEarly: [RedeemNotReadyError, () => "the redemption delay hasn't passed"],
+  SaleCancelled: [SaleCancelledError, () => "the sale was canceled"],
+  NoSharesRedeemable: [NoSharesRedeemableError, () => "nothing to redeem"],
+  TokenNotRedeemable: [NoSharesRedeemableError, () => "the pool has no share token to redeem"],
+  TransferZero: [InvalidInputError, () => "the amount must be above 0"],
+  ZeroAddress: [InvalidInputError, () => "the recipient can't be the zero address"],
+};
+
+const poolInterfaces = [new Interface(FIXED_POOL_ABI), new Interface(LBP_ABI)];
+
+// ethers raises CALL_EXCEPTION, the in-process Hardhat Network passes its own "reverted" error through
+const isRevert = (error) => isError(error, "CALL_EXCEPTION") || /reverted/i.test(error.message || "");
+
+/// @notice converts a pool revert to its SaleError, other errors are returned as is
+function decodeSaleError(error) {
+  if (error instanceof SaleError) {
+    return error;
+  }
+
+  let revert = error.revert;
+  const data = typeof error.data === "string" ? error.data : undefined;
+  if (!revert && data && data.length >= 10) {
+    for (const poolInterface of poolInterfaces) {
+      try {
+        revert = poolInterface.parseError(data);
+      } catch (e) {
+        // not an error of this pool
+      }
+      if (revert) {
+        break;
+      }
+    }
+  }
+  if (!revert || !CUSTOM_ERRORS[revert.name]) {
+    return error;
+  }
+
+  const [ErrorClass, describe] = CUSTOM_ERRORS[revert.name];
+  const fragment = poolInterfaces.map(i => i.getError(revert.name)).find(Boolean);
+  const fields = { reason: revert.name };
+  fragment.inputs.forEach((input, i) => fields[input.name] = revert.args[i]);
+  return new ErrorClass(describe(fields), fields, error);
+}
+
+/// -----------------------------------------------------------------------
+/// Anti-snipe signatures
+/// -----------------------------------------------------------------------
+
+/// @notice signBuy of loadSale asking the anti-snipe signer service (services/antisnipe_signer.js)
+/// @param url the /sign endpoint of the service
+function createSignerClient(url, { fetch = globalThis.fetch } = {}) {
+  return async ({ pool, recipient, sharesOut }) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ pool, recipient, sharesOut: sharesOut.toString() }),
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new InvalidSignatureError(`the anti-snipe signer refused the purchase: ${body.error}`,
+        { status: response.status });
+    }
+    return { signature: body.signature, deadline: BigInt(body.deadline) };
+  };
+}
+
+/// -----------------------------------------------------------------------
+/// Client
+/// -----------------------------------------------------------------------
+
+function checkAmount(amount) {
+  if (amount === undefined || BigInt(amount) <= 0n) {
+    throw new InvalidInputError("the amount must be above 0", { value: amount === undefined ? 0n : BigInt(amount) });
+  }
+  return BigInt(amount);
+}
+
+function checkSlippage(slippage) {
+  if (!Number.isInteger(slippage) || slippage < 0 || slippage >= 10000) {
+    throw new InvalidInputError(`slippage must be in bips, from 0 to 9999, got ${slippage}`, { value: slippage });
+  }
+  return BigInt(slippage);
+}
+
+// FjordMath.denormalizeUp, the normalized amounts of BasePool are in 18 decimals
+const denormalizeUp = (value, decimals) => {
+  const scale = 10n ** BigInt(18 - Number(decimals));
+  return (value + scale - 1n) / scale;
+};
+
+/// @notice proof of `address` from `proofs`, the output of the whitelist task or an async address => proof
+async function lookupProof(proofs, address, root) {
+  if (!proofs) {
+    throw new NotWhitelistedError("the pool has a whitelist, load the sale with its proofs", { account: address });
+  }
+  let proof;
+  if (typeof proofs === "function") {
+    proof = await proofs(address);
+  } else {
+    if (proofs.root && proofs.root !== root) {
+      throw new InvalidInputError(`the proofs are for the whitelist ${proofs.root}, the pool uses ${root}`);
+    }
+    const entry = Object.entries(proofs.proofs || proofs).find(([account]) => getAddress(account) === address);
+    proof = entry && entry[1];
+  }
+  if (!proof || !verifyProof(root, proof, getLeaf(address))) {
+    throw new NotWhitelistedError(`${address} isn't whitelisted`, { account: address });
+  }
+  return proof;
+}
+
+/// @notice loads the pool at `poolAddress` for purchases sent from `signer`
+/// @param options.proofs whitelist proofs, the file written by the whitelist task or an async address => proof
+/// @param options.signBuy async ({pool, recipient, sharesOut}) => {signature, deadline}, for the pools with
+/// anti-snipe, see createSignerClient
+/// @param options.wrapNative the asset is the wrapped native token, buy() deposits the missing balance
+/// @return the client, `info` holds what was detected about the pool
+async function loadSale(poolAddress, signer, { proofs, signBuy, wrapNative = false } = {}) {
+  const address = getAddress(poolAddress);
+  const fixed = new Contract(address, FIXED_POOL_ABI, signer);
+
+  // only the BasePool pools have a poolType, a LiquidityBootstrapPool reverts the call. Other errors, a node down or
+  // a timeout, are thrown: the pool would be taken for a LiquidityBootstrapPool otherwise
+  let poolType;
+  try {
+    poolType = POOL_TYPES[Number(await fixed.poolType())];
+  } catch (e) {
+    if (!isRevert(e)) {
+      throw e;
+    }
+  }
+  const pool = poolType ? fixed : new Contract(address, LBP_ABI, signer);
+  const kind = poolType ? "FixedPricePool" : "LiquidityBootstrapPool";
+
+  const info = poolType
+    ? {
+      kind,
+      poolType,
+      asset: await pool.assetToken(),
+      share: await pool.shareToken(),
+      assetDecimals: Number(await pool.assetDecimals()),
+      saleStart: await pool.saleStart(),
+      saleEnd: await pool.saleEnd(),
+      whitelisted: await pool.hasWhitelist(),
+      antiSnipe: await pool.antiSnipeEnabled(),
+      tiered: await pool.isTiered(),
+    }
+    : {
+      kind,
+      asset: await pool.asset(),
+      share: await pool.share(),
+      saleStart: await pool.saleStart(),
+      saleEnd: await pool.saleEnd(),
+      whitelisted: await pool.whitelisted(),
+      antiSnipe: false,
+      tiered: false,
+    };
+  if (poolType === "Overflow") {
+    throw new InvalidInputError(`${address} is an Overflow pool, only Fixed pools are supported`);
+  }
+  const root = info.whitelisted ? await pool.whitelistMerkleRoot() : ZeroHash;
+  const token = new Contract(info.asset, TOKEN_ABI, signer);
+
+  async function call(promise) {
+    try {
+      return await promise;
+    } catch (e) {
+      throw decodeSaleError(e);
+    }
+  }
+
+  async function send(method, ...args) {
+    const receipt = await call(pool[method](...args).then(tx => tx.wait()));
+    const events = receipt.logs
+      .map(log => pool.interface.parseLog(log))
+      .filter(Boolean);
+    return { receipt, events };
+  }
+
+  // the pools pull the assets with transferFrom, the allowance is the bound of the assets in
+  async function fundAndApprove(amount) {
+    const owner = await signer.getAddress();
+    if (wrapNative) {
+      const balance = await token.balanceOf(owner);
+      if (balance < amount) {
+        await (await token.deposit({ value: amount - balance })).wait();
+      }
+    }
+    if (await token.allowance(owner, address) < amount) {
+      await (await token.approve(address, amount)).wait();
+    }
+  }
+
+  /// @notice what `amount` buys, `shares` for an exact number of shares, `assets` for exact assets
+  /// @param options.recipient of the shares, the signer by default, the limits per user are its own
+  /// @param options.slippage in bips of the bound of the other side
+  /// @return sharesOut and assetsIn, swap fees included, with the bound of the side that isn't exact:
+  /// maxAssetsIn or minSharesOut. Fixed pools only sell exact shares, their price only moves between tiers
+  async function quote({ shares, assets }, { recipient, slippage = DEFAULT_SLIPPAGE } = {}) {
+    const bips = checkSlippage(slippage);
+    recipient = getAddress(recipient || await signer.getAddress());
+    if ((shares === undefined) === (assets === undefined)) {
+      throw new InvalidInputError("quote either shares or assets");
+    }
+
+    if (poolType) {
+      if (shares === undefined) {
+        throw new InvalidInputError("FixedPricePools sell exact shares, quote shares");
+      }
+      const sharesOut = checkAmount(shares);
+      const [assetsIn, feesPaid, updatedTiers] = await call(
+        pool["previewBuy(uint256,address)"](sharesOut, recipient));
+      const total = denormalizeUp(assetsIn + feesPaid, info.assetDecimals);
+
+      // the tiers the purchase goes through, buy() refuses to go further when the price moved
+      let maxPricePerShare = 0n;
+      if (info.tiered) {
+        for (const { sharesOutInTier, tierIndex } of updatedTiers) {
+          if (sharesOutInTier > 0n) {
+            const { pricePerShare } = await pool.getTierData(tierIndex);
+            maxPricePerShare = pricePerShare > maxPricePerShare ? pricePerShare : maxPricePerShare;
+          }
+        }
+      }
+      return {
+        sharesOut,
+        assetsIn: total,
+        fees: denormalizeUp(feesPaid, info.assetDecimals),
+        maxAssetsIn: total * (BIPS + bips) / BIPS,
+        maxPricePerShare,
+      };
+    }
+
+    const swapFee = await pool.swapFee();
+    if (shares !== undefined) {
+      const sharesOut = checkAmount(shares);
+      const assetsIn = await call(pool.previewAssetsIn(sharesOut));
+      return {
+        sharesOut,
+        assetsIn,
+        fees: assetsIn - assetsIn * WAD / (WAD + swapFee),
+        maxAssetsIn: assetsIn * (BIPS + bips) / BIPS,
+      };
+    }
+    const assetsIn = checkAmount(assets);
+    const sharesOut = await call(pool.previewSharesOut(assetsIn));
+    return {
+      sharesOut,
+      assetsIn,
+      fees: assetsIn * swapFee / WAD,
+      minSharesOut: sharesOut * (BIPS - bips) / BIPS,
+    };
+  }
+
+  /// @notice buys `shares` exact shares or for `assets` exact assets, approving the pool first if needed
+  /// @param options.recipient of the shares, the signer by default
+  /// @param options.slippage in bips, see quote
+  /// @param options.referrer of the purchase, LiquidityBootstrapPools only
+  /// @return the receipt and the shares bought for the assets paid, swap fees included
+  async function buy({ shares, assets }, { recipient, slippage = DEFAULT_SLIPPAGE, referrer } = {}) {
+    const sender = getAddress(await signer.getAddress());
+    recipient = getAddress(recipient || sender);
+    const quoted = await quote({ shares, assets }, { recipient, slippage });
+
+    // the whitelist of a fixed pool is checked for the recipient, the one of an LBP for the sender
+    const proof = info.whitelisted ? await lookupProof(proofs, poolType ? recipient : sender, root) : [];
+
+    if (poolType) {
+      let deadline = 0n;
+      let signature = "0x";
+      if (info.antiSnipe) {
+        if (!signBuy) {
+          throw new InvalidSignatureError("the pool has anti-snipe enabled, load the sale with signBuy");
+        }
+        ({ signature, deadline } = await signBuy({ pool: address, recipient, sharesOut: quoted.sharesOut }));
+      }
+
+      await fundAndApprove(quoted.maxAssetsIn);
+      const { receipt, events } = quoted.maxPricePerShare > 0n
+        ? await send("buyExactShares(uint256,address,uint64,bytes,bytes32[],uint256)",
+          quoted.sharesOut, recipient, deadline, signature, proof, quoted.maxPricePerShare)
+        : await send("buyExactShares(uint256,address,uint64,bytes,bytes32[])",
+          quoted.sharesOut, recipient, deadline, signature, proof);
+      const bought = events.find(event => event.name === "BuyFixedShares");
+      return {
+        receipt,
+        sharesOut: bought.args.sharesOut,
+        assetsIn: bought.args.baseAssetsIn + bought.args.feesPaid,
+      };
+    }
+
+    const referral = referrer ? getAddress(referrer) : ZeroAddress;
+    let result;
+    if (shares !== undefined) {
+      await fundAndApprove(quoted.maxAssetsIn);
+      result = await send("swapAssetsForExactShares",
+        quoted.sharesOut, quoted.maxAssetsIn, recipient, referral, proof);
+    } else {
+      await fundAndApprove(quoted.assetsIn);
+      result = await send("swapExactAssetsForShares",
+        quoted.assetsIn, quoted.minSharesOut, recipient, referral, proof);
+    }
+    const bought = result.events.find(event => event.name === "Buy");
+    return { receipt: result.receipt, sharesOut: bought.args.shares, assetsIn: bought.args.assets };
+  }
+
+  /// @notice checks the pool can be redeemed, a sale of a Fixed pool that didn't sell its minimum refunds
+  /// @return true if redeem() refunds the assets instead of paying the shares
+  async function checkRedeem() {
+    if (!poolType) {
+      if (!await pool.closed()) {
+        throw new RedeemNotReadyError("the sale isn't closed");
+      }
+      return false;
+    }
+
+    const status = POOL_STATUS[Number(await pool.status())];
+    if (status === "Canceled") {
+      throw new SaleCancelledError("the sale was canceled");
+    }
+    if (status !== "Closed") {
+      throw new RedeemNotReadyError("the sale isn't closed");
+    }
+    const redeemableAt = await pool.saleEndTimestamp() + await pool.redemptionDelay();
+    const { timestamp } = await signer.provider.getBlock("latest");
+    if (BigInt(timestamp) + 1n < redeemableAt) {
+      throw new RedeemNotReadyError(
+        `the shares can be redeemed from ${new Date(Number(redeemableAt) * 1000).toISOString()}`,
+        { redeemableAt }
+      );
+    }
+    const minimum = await pool.minimumTokensForSale();
+    return minimum > 0n && await pool.totalSharesSold() < minimum;
+  }
+
+  return {
+    contract: pool,
+    info,
+    quote,
+    buy,
+
+    /// @notice the purchases of `account`, the signer by default
+    /// @return purchasedShares and, for Fixed pools, the shares it can still buy or, for LBPs, its referrer fees
+    async position(account) {
+      account = getAddress(account || await signer.getAddress());
+      if (poolType) {
+        return {
+          purchasedShares: await pool.purchasedShares(account),
+          assetsIn: denormalizeUp(await pool.userNormalizedAssetsIn(account), info.assetDecimals),
+          sharesRemaining: await pool.userTokensRemaining(account),
+        };
+      }
+      return {
+        purchasedShares: await pool.purchasedShares(account),
+        referredAssets: await pool.referredAssets(account),
+      };
+    },
+
+    /// @notice redeems the shares bought by the signer once the sale closed, streamed by Sablier when they vest
+    /// @param options.recipient of the referrer fees of an LBP, the signer by default
+    /// @param options.referred redeem the referrer fees of an LBP too, when it has some by default
+    /// @return the shares redeemed and the Sablier stream, 0 when they weren't streamed
+    async redeem({ recipient, referred } = {}) {
+      if (await checkRedeem()) {
+        throw new InvalidInputError("the sale didn't sell its minimum, call refund()");
+      }
+      if (poolType) {
+        const { receipt, events } = await send("redeem()");
+        const redeemed = events.find(event => event.name === "Redeemed");
+        return { receipt, shares: redeemed.args.shares, streamID: redeemed.args.streamID };
+      }
+
+      const sender = await signer.getAddress();
+      if (referred === undefined) {
+        referred = await pool.referredAssets(sender) > 0n;
+      }
+      if (!referred && await pool.purchasedShares(sender) === 0n) {
+        throw new NoSharesRedeemableError("nothing to redeem");
+      }
+      const { receipt, events } = await send("redeem", getAddress(recipient || sender), referred);
+      const redeemed = events.find(event => event.name === "Redeem");
+      return {
+        receipt,
+        shares: redeemed ? redeemed.args.shares : 0n,
+        streamID: redeemed ? redeemed.args.streamID : 0n,
+      };
+    },
+
+    /// @notice refunds the assets paid by the signer, swap fees excluded, when a Fixed pool didn't sell its minimum
+    /// @return the assets refunded
+    async refund() {
+      if (!poolType) {
+        throw new InvalidInputError("LiquidityBootstrapPools don't refund, call redeem()");
+      }
+      if (!await checkRedeem()) {
+        throw new InvalidInputError("the sale sold its minimum, call redeem()");
+      }
+      const { receipt, events } = await send("redeem()");
+      return { receipt, amount: events.find(event => event.name === "Refunded").args.amount };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_SLIPPAGE,
+  FIXED_POOL_ABI,
+  LBP_ABI,
+  SaleError,
+  InvalidInputError,
+  SaleInactiveError,
+  NotWhitelistedError,
+  InvalidSignatureError,
+  UserMaxPurchaseExceededError,
+  UserMinPurchaseNotMetError,
+  MinPurchaseNotMetError,
+  PoolCapExceededError,
+  SlippageExceededError,
+  RedeemNotReadyError,
+  SaleCancelledError,
+  NoSharesRedeemableError,
+  decodeSaleError,
+  createSignerClient,
+  loadSale,
+};
@@ -0,0 +1,289 @@
+const { Contract, Interface, Signature } = require("ethers");
+
+/**
+ * @dev Client of SuprimeStaking for integrators: validates the arguments before sending, signs the
+ * SUPRIME permit of stakeWithPermit and turns CustomErrors reverts into the error classes below.
+ */
+
+/// AbstractStaking LOCKING_*_MONTH, in months
+const LOCK_PERIODS = [3, 6, 12, 24, 36];
+
+// seconds a permit signed by stakeWithPermit stays valid when no deadline is given
+const PERMIT_WINDOW = 20 * 60;
+
+const STAKING_ABI = [
+  "function suprimeToken() view returns (address)",
+  "function stake(uint256 amountSuprime, uint256 tokenId, uint8 lock)",
+  "function stakeWithPermit(uint256 amountSuprime, uint256 tokenId, uint8 lock, (uint256 deadline, uint8 v, bytes32 r, bytes32 s) permitParams)",
+  "function withdraw(uint256 tokenId)",
+  "function claimReward(uint256 tokenId)",
+  "function restakeReward(uint256 tokenId)",
+  "function canWithdraw(uint256 stakingIndex) view returns (bool)",
+  "function earned(uint256 tokenIndex) view returns (uint256)",
+  "function getStakingInfoByIndex(uint256 stakingIndex) view returns ((uint256 stakingId, uint256 staked, uint256 startTime, uint256 endTime, uint256 rewards, uint256 rewardPerTokenPaid, address staker, uint8 lockingPeriod, uint8 stakingMultiplier))",
+  "event Staked(address indexed user, uint256 indexed stakingIndex, uint256 amount, uint256 indexed lock)",
+  "event AddedToStake(address indexed user, uint256 indexed stakingIndex, uint256 amount)",
+  "event RewardPaid(address indexed user, uint256 indexed stakingIndex, uint256 reward)",
+  "event Withdrawn(address indexed user, uint256 indexed stakingIndex, uint256 amount, uint256 reward)",
+  // CustomErrors
+  "error Unauthorized(address caller)",
+  "error InvalidInput(uint256 value)",
+  "error WithdrawNotReady(address user)",
+  "error InvalidSignature()",
+  "error ExceedMaxLimit(uint256 value)",
+  "error InsufficientLiquidity(uint256 liquidity)",
+  "error TransferNotAllowed()",
+];
+
+const TOKEN_ABI = [
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function nonces(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+/// ERC20Permit PERMIT_TYPEHASH
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/// -----------------------------------------------------------------------
+/// Errors
+/// -----------------------------------------------------------------------
+
+class StakingError extends Error {
+  /// @param fields arguments of the custom error, set on the error
+  /// @param cause the error thrown by ethers, if the transaction reverted
+  constructor(message, fields = {}, cause = undefined) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    Object.assign(this, fields);
+  }
+}
+
+class UnauthorizedError extends StakingError {}
+class InvalidInputError extends StakingError {}
+class WithdrawNotReadyError extends StakingError {}
+class InvalidSignatureError extends StakingError {}
+class ExceedMaxLimitError extends StakingError {}
+class InsufficientLiquidityError extends StakingError {}
+class TransferNotAllowedError extends StakingError {}
+
+const CUSTOM_ERRORS = {
+  Unauthorized: [UnauthorizedError, ({ caller }) => `${caller} doesn't own the staking NFT`],
+  InvalidInput: [InvalidInputError, ({ value }) => `invalid input ${value}`],
+  WithdrawNotReady: [WithdrawNotReadyError, () => "the locking period hasn't ended"],
+  InvalidSignature: [InvalidSignatureError, () => "the permit signature is invalid and the allowance is too low"],
+  ExceedMaxLimit: [ExceedMaxLimitError, ({ value }) => `${value} exceeds the limit`],
+  InsufficientLiquidity: [InsufficientLiquidityError, ({ liquidity }) => `insufficient liquidity ${liquidity}`],
+  TransferNotAllowed: [TransferNotAllowedError, () => "staking NFTs can't be transferred"],
+};
+
+const stakingInterface = new Interface(STAKING_ABI);
+
+/// @notice converts a SuprimeStaking revert to its StakingError, other errors are returned as is
+function decodeStakingError(error) {
+  if (error instanceof StakingError) {
+    return error;
+  }
+
+  let revert = error.revert;
+  if (!revert && typeof error.data === "string" && error.data.length >= 10) {
+    try {
+      revert = stakingInterface.parseError(error.data);
+    } catch (e) {
+      // not a SuprimeStaking error
+    }
+  }
+  if (!revert || !CUSTOM_ERRORS[revert.name]) {
+    return error;
+  }
+
+  const [ErrorClass, describe] = CUSTOM_ERRORS[revert.name];
+  const fragment = stakingInterface.getError(revert.name);
+  const fields = {};
+  fragment.inputs.forEach((input, i) => fields[input.name] = revert.args[i]);
+  return new ErrorClass(describe(fields), fields, error);
+}
+
+/// -----------------------------------------------------------------------
+/// Permit
+/// -----------------------------------------------------------------------
+
+/// @notice signs an EIP-2612 permit of `value` SUPRIME for `spender`
+/// @return PermitParams of stakeWithPermit
+async function signPermit(signer, tokenAddress, spender, value, deadline) {
+  const token = new Contract(tokenAddress, TOKEN_ABI, signer);
+  const { name, version, chainId, verifyingContract } = await token.eip712Domain();
+  const owner = await signer.getAddress();
+
+  const signature = await signer.signTypedData({ name, version, chainId, verifyingContract }, PERMIT_TYPES, {
+    owner,
+    spender,
+    value,
+    nonce: await token.nonces(owner),
+    deadline,
+  });
+
+  const { v, r, s } = Signature.from(signature);
+  return { deadline, v, r, s };
+}
+
+/// -----------------------------------------------------------------------
+/// Client
+/// -----------------------------------------------------------------------
+
+function checkLock(lock) {
+  if (!LOCK_PERIODS.includes(Number(lock))) {
+    throw new InvalidInputError(`lock must be one of ${LOCK_PERIODS.join(", ")} months, got ${lock}`, {
+      value: BigInt(lock),
+    });
+  }
+}
+
+function checkAmount(amount) {
+  if (BigInt(amount) <= 0n) {
+    throw new InvalidInputError("the amount must be above 0", { value: BigInt(amount) });
+  }
+}
+
+function checkTokenId(tokenId) {
+  if (BigInt(tokenId) <= 0n) {
+    throw new InvalidInputError("tokenId must be above 0", { value: BigInt(tokenId) });
+  }
+}
+
+/// @notice SuprimeStaking client sending the transactions from `signer`
+/// @dev every method waits for the transaction and returns its receipt, stake() also returns the minted NFT id
+function createStakingClient(stakingAddress, signer) {
+  const staking = new Contract(stakingAddress, STAKING_ABI, signer);
+  let token;
+
+  async function getToken() {
+    if (!token) {
+      token = new Contract(await staking.suprimeToken(), TOKEN_ABI, signer);
+    }
+    return token;
+  }
+
+  async function send(method, ...args) {
+    try {
+      const tx = await staking[method](...args);
+      return await tx.wait();
+    } catch (e) {
+      throw decodeStakingError(e);
+    }
+  }
+
+  // stake() pulls the tokens with transferFrom
+  async function ensureAllowance(amount) {
+    const suprime = await getToken();
+    const owner = await signer.getAddress();
+    if (await suprime.allowance(owner, stakingAddress) < amount) {
+      await (await suprime.approve(stakingAddress, amount)).wait();
+    }
+  }
+
+  function mintedTokenId(receipt) {
+    const [staked] = receipt.logs
+      .map(log => staking.interface.parseLog(log))
+      .filter(event => event && event.name === "Staked");
+    return staked.args.stakingIndex;
+  }
+
+  return {
+    contract: staking,
+
+    /// @notice stakes `amount` SUPRIME locked for `lock` months, approving the staking first if needed
+    async stake(amount, lock) {
+      checkAmount(amount);
+      checkLock(lock);
+      await ensureAllowance(amount);
+      const receipt = await send("stake", amount, 0, lock);
+      return { receipt, tokenId: mintedTokenId(receipt) };
+    },
+
+    /// @notice adds `amount` SUPRIME to the stake of `tokenId`, keeping its lock
+    async addToStake(tokenId, amount) {
+      checkTokenId(tokenId);
+      checkAmount(amount);
+      await ensureAllowance(amount);
+      return send("stake", amount, tokenId, 0);
+    },
+
+    /// @notice stakes without a separate approve, signing the SUPRIME permit
+    /// @param options.lock locking period of a new stake, in months
+    /// @param options.tokenId stake to add to instead of minting a new one
+    /// @param options.deadline permit deadline, PERMIT_WINDOW after the latest block by default
+    async stakeWithPermit(amount, { lock = 0, tokenId = 0, deadline } = {}) {
+      checkAmount(amount);
+      if (BigInt(tokenId) > 0n) {
+        checkTokenId(tokenId);
+      } else {
+        checkLock(lock);
+      }
+      if (deadline === undefined) {
+        const { timestamp } = await signer.provider.getBlock("latest");
+        deadline = timestamp + PERMIT_WINDOW;
+      }
+
+      const permit = await signPermit(signer, await (await getToken()).getAddress(), stakingAddress, amount, deadline);
+      const receipt = await send("stakeWithPermit", amount, tokenId, lock, permit);
+      return BigInt(tokenId) > 0n ? { receipt, tokenId: BigInt(tokenId) } : { receipt, tokenId: mintedTokenId(receipt) };
+    },
+
+    /// @notice adds the rewards of `tokenId` to its stake
+    async restakeReward(tokenId) {
+      checkTokenId(tokenId);
+      return send("restakeReward", tokenId);
+    },
+
+    async claimReward(tokenId) {
+      checkTokenId(tokenId);
+      return send("claimReward", tokenId);
+    },
+
+    /// @notice withdraws the stake and rewards of `tokenId` and burns it, once its locking period ended
+    async withdraw(tokenId) {
+      checkTokenId(tokenId);
+      if (!await staking.canWithdraw(tokenId)) {
+        const { endTime } = await staking.getStakingInfoByIndex(tokenId);
+        throw new WithdrawNotReadyError(
+          `the locking period of ${tokenId} ends at ${new Date(Number(endTime) * 1000).toISOString()}`,
+          { user: await signer.getAddress(), endTime }
+        );
+      }
+      return send("withdraw", tokenId);
+    },
+
+    async getStake(tokenId) {
+      return staking.getStakingInfoByIndex(tokenId);
+    },
+
+    async earned(tokenId) {
+      return staking.earned(tokenId);
+    },
+  };
+}
+
+module.exports = {
+  LOCK_PERIODS,
+  STAKING_ABI,
+  StakingError,
+  UnauthorizedError,
+  InvalidInputError,
+  WithdrawNotReadyError,
+  InvalidSignatureError,
+  ExceedMaxLimitError,
+  InsufficientLiquidityError,
+  TransferNotAllowedError,
+  decodeStakingError,
+  signPermit,
+  createStakingClient,
+};
@@ -0,0 +1,168 @@
+const fs = require("fs");
+const http = require("http");
+const { Contract, isAddress, getAddress, parseUnits } = require("ethers");
+const { POOL_ABI, signBuyExactShares } = require("../helpers/antisnipe");
+
+/**
+ * @dev HTTP service issuing the anti-snipe signatures of FixedPricePool purchases.
+ *
+ * POST /sign {"pool": "0x..", "recipient": "0x..", "sharesOut": "1000000000000000000"}
+ *  -> 200 {"signature": "0x..", "nonce": "1", "deadline": "1700000000"}
+ *  -> 400 invalid request, amount above the limit, pool not signed by this signer
+ *  -> 429 too many signatures for the recipient in the rate limit window
+ */
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", chunk => body += chunk);
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function parseRequest(body) {
+  let request;
+  try {
+    request = JSON.parse(body);
+  } catch (e) {
+    throw new RequestError(400, "body is not valid JSON");
+  }
+  const { pool, recipient, sharesOut } = request;
+  if (!isAddress(pool) || !isAddress(recipient)) {
+    throw new RequestError(400, "pool and recipient must be addresses");
+  }
+  if (!/^[0-9]+$/.test(String(sharesOut)) || BigInt(sharesOut) === 0n) {
+    throw new RequestError(400, "sharesOut must be a positive integer");
+  }
+  return { pool: getAddress(pool), recipient: getAddress(recipient), sharesOut: BigInt(sharesOut) };
+}
+
+/// @notice creates the signer service, call listen() on the returned server
+/// @param options.signer delegate signer of the FixedPricePoolFactory, connected to a provider
+/// @param options.maxShares max whole shares of a single signature, scaled by the shareDecimals() of each pool
+/// @param options.rateLimit max number of signatures per recipient within options.rateWindow seconds
+/// @param options.deadlineWindow seconds a signature stays valid, from the latest block timestamp
+/// @param options.logFile every issued signature is appended to it as a JSON line
+function createSignerService({ signer, maxShares, rateLimit, rateWindow, deadlineWindow, logFile }) {
+  // recipient => times of the signatures issued, or being issued, within the rate window
+  const issued = new Map();
+  let prunedAt = 0;
+
+  const recentOf = (recipient, since) => (issued.get(recipient) || []).filter(time => time > since);
+
+  /// @dev drops the recipients without signature in the window, once per window
+  const prune = (since) => {
+    if (prunedAt > since) {
+      return;
+    }
+    for (const recipient of [...issued.keys()]) {
+      const recent = recentOf(recipient, since);
+      if (recent.length === 0) {
+        issued.delete(recipient);
+      } else {
+        issued.set(recipient, recent);
+      }
+    }
+    prunedAt = Date.now();
+  };
+
+  /// @notice takes a slot of the recipient, counted by concurrent requests until release() if the signing fails
+  const reserveSlot = (recipient) => {
+    const since = Date.now() - rateWindow * 1000;
+    prune(since);
+    const recent = recentOf(recipient, since);
+    if (recent.length >= rateLimit) {
+      throw new RequestError(429,
+        `rate limit of ${rateLimit} signatures per ${rateWindow}s reached for ${recipient}`);
+    }
+    const time = Date.now();
+    issued.set(recipient, [...recent, time]);
+    return {
+      release() {
+        const remaining = [...(issued.get(recipient) || [])];
+        // concurrent slots can share their time, only this one is removed
+        const index = remaining.indexOf(time);
+        if (index !== -1) {
+          remaining.splice(index, 1);
+        }
+        if (remaining.length === 0) {
+          issued.delete(recipient);
+        } else {
+          issued.set(recipient, remaining);
+        }
+      },
+    };
+  };
+
+  const sign = async ({ pool, recipient, sharesOut }) => {
+    const contract = new Contract(pool, POOL_ABI, signer.provider);
+    // sharesOut is in share token units, it is not normalized to 18 decimals
+    const limit = parseUnits(String(maxShares), await contract.shareDecimals());
+    if (sharesOut > limit) {
+      throw new RequestError(400, `sharesOut is above the limit of ${maxShares} shares (${limit})`);
+    }
+    if (!await contract.antiSnipeEnabled()) {
+      throw new RequestError(400, `anti-snipe is not enabled on ${pool}`);
+    }
+    if (getAddress(await contract.delegateSigner()) !== getAddress(await signer.getAddress())) {
+      throw new RequestError(400, `${pool} does not accept signatures of this signer`);
+    }
+
+    // only a signature returned uses up the slot
+    const slot = reserveSlot(recipient);
+    let deadline;
+    let signed;
+    try {
+      const { timestamp } = await signer.provider.getBlock("latest");
+      deadline = BigInt(timestamp + deadlineWindow);
+      signed = await signBuyExactShares(signer, pool, { sharesOut, recipient, deadline });
+    } catch (e) {
+      slot.release();
+      throw e;
+    }
+    const { signature, nonce } = signed;
+
+    const entry = {
+      issuedAt: new Date().toISOString(),
+      pool,
+      recipient,
+      sharesOut: sharesOut.toString(),
+      nonce: nonce.toString(),
+      deadline: deadline.toString(),
+      signature,
+    };
+    fs.appendFileSync(logFile, JSON.stringify(entry) + "\n");
+    return { signature, nonce: entry.nonce, deadline: entry.deadline };
+  };
+
+  return http.createServer(async (req, res) => {
+    let status = 200;
+    let response;
+    try {
+      if (req.method !== "POST" || req.url !== "/sign") {
+        throw new RequestError(404, "not found");
+      }
+      response = await sign(parseRequest(await readBody(req)));
+    } catch (e) {
+      status = e.status || 500;
+      response = { error: e.status ? e.message : "internal error" };
+      if (!e.status) {
+        console.error(e);
+      }
+    }
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(response));
+  });
+}
+
+module.exports = {
+  createSignerService,
+};
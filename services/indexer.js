@@ -0,0 +1,471 @@
+const fs = require("fs");
+const path = require("path");
+const { Interface, getAddress } = require("ethers");
+const { createPoller } = require("../helpers/poller");
+
+/**
+ * @dev Follows a node and stores the decoded events of SuprimeStaking, the pool factories, the pools they
+ * created and the LabsRegistry in a local JSON database, so that positions, sales and accelerations can be
+ * queried without calling the view functions one by one.
+ *
+ * Blocks are indexed up to `confirmations` blocks behind the head. The hashes of the last `reorgDepth`
+ * indexed blocks are kept: when the last indexed block is no longer on the chain, the events after the
+ * latest block still on it are dropped and indexed again.
+ */
+
+/// indexed events of the contracts, by manifest name
+const ABIS = {
+  SuprimeStaking: [
+    "event Staked(address indexed user, uint256 indexed stakingIndex, uint256 amount, uint256 indexed lock)",
+    "event AddedToStake(address indexed user, uint256 indexed stakingIndex, uint256 amount)",
+    "event RewardPaid(address indexed user, uint256 indexed stakingIndex, uint256 reward)",
+    "event Withdrawn(address indexed user, uint256 indexed stakingIndex, uint256 amount, uint256 reward)",
+    "event NFTMinted(uint256 indexed nftMintId, address indexed recipient)",
+    "event NFTBurned(uint256 indexed tokenId, address indexed recipient)",
+  ],
+  FixedPricePoolFactory: [
+    "event PoolCreated(address indexed poolAddress, uint8 poolType, string ipfsData)",
+  ],
+  LiquidityBootstrapPoolFactory: [
+    "event PoolCreated(address pool, string ipfsData)",
+    "event PoolUpdated(address pool, string ipfsData)",
+  ],
+  FixedPricePool: [
+    "event BuyFixedShares(address indexed recipient, uint256 sharesOut, uint256 baseAssetsIn, uint256 feesPaid)",
+    "event Redeemed(address indexed recipient, uint256 shares, uint256 streamID)",
+    "event Refunded(address indexed recipient, uint256 amount)",
+    "event Closed(uint256 totalFundsRaised, uint256 totalSharesSold, uint256 platformFee, uint256 swapFee)",
+    "event RaiseGoalNotMet(uint256 sharesNotSold, uint256 fundsRaised, uint256 feesGenerated)",
+    "event PoolCanceled()",
+  ],
+  LiquidityBootstrapPool: [
+    "event Buy(address indexed caller, uint256 assets, uint256 shares, uint256 swapFee)",
+    "event Sell(address indexed caller, uint256 shares, uint256 assets, uint256 swapFee)",
+    "event Redeem(address indexed caller, uint256 indexed streamID, uint256 shares)",
+    "event Close(uint256 assets, uint256 platformFees, uint256 swapFeesAsset, uint256 swapFeesShare)",
+  ],
+  LabsRegistry: [
+    "event NewAcceleration(uint256 proposal)",
+    "event AddedSeedRaise(uint256 proposal, address raise)",
+    "event AddedPublicRaise(uint256 proposal, address raise)",
+    "event NewWorkflowForAcceleration(uint256 proposal, address workflow, uint256 workflowInstance)",
+  ],
+};
+
+/// contract of the pools created by each factory
+const POOL_CONTRACTS = {
+  FixedPricePoolFactory: "FixedPricePool",
+  LiquidityBootstrapPoolFactory: "LiquidityBootstrapPool",
+};
+
+/// BasePool PoolType
+const POOL_TYPES = ["Fixed", "Overflow"];
+
+const interfaces = Object.fromEntries(Object.entries(ABIS).map(([name, abi]) => [name, new Interface(abi)]));
+
+/// -----------------------------------------------------------------------
+/// Store
+/// -----------------------------------------------------------------------
+
+/// @notice loads the database of `file`, or an empty one, kept in memory only if `file` is not set
+/// @dev uint256 values are stored as decimal strings, addresses checksummed
+function createEventStore(file) {
+  const data = file && fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf8"))
+    : { chainId: undefined, lastBlock: undefined, blocks: {}, events: [] };
+
+  return {
+    get chainId() {
+      return data.chainId;
+    },
+    set chainId(chainId) {
+      data.chainId = chainId;
+    },
+    get lastBlock() {
+      return data.lastBlock;
+    },
+    /// hashes of the last indexed blocks, by number
+    get blocks() {
+      return data.blocks;
+    },
+    /// events ordered by block and log index
+    get events() {
+      return data.events;
+    },
+
+    /// @notice adds the events of the blocks up to `lastBlock`, keeping the hashes of the `reorgDepth` last ones
+    append(events, hashes, lastBlock, reorgDepth) {
+      data.events.push(...events);
+      Object.assign(data.blocks, hashes);
+      for (const number of Object.keys(data.blocks)) {
+        if (Number(number) <= lastBlock - reorgDepth) {
+          delete data.blocks[number];
+        }
+      }
+      data.lastBlock = lastBlock;
+    },
+
+    /// @notice drops everything indexed after `blockNumber`
+    rollback(blockNumber) {
+      data.events = data.events.filter(event => event.blockNumber <= blockNumber);
+      for (const number of Object.keys(data.blocks)) {
+        if (Number(number) > blockNumber) {
+          delete data.blocks[number];
+        }
+      }
+      data.lastBlock = blockNumber;
+    },
+
+    save() {
+      if (!file) {
+        return;
+      }
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      // a crash while writing must not corrupt the database
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+      fs.renameSync(`${file}.tmp`, file);
+    },
+  };
+}
+
+/// -----------------------------------------------------------------------
+/// Indexer
+/// -----------------------------------------------------------------------
+
+const toStored = (value) => typeof value === "bigint" ? value.toString() : value;
+
+function decodeLog(log, contract) {
+  const parsed = interfaces[contract].parseLog(log);
+  if (!parsed) {
+    // e.g. the ERC1155 transfers of the staking NFTs
+    return undefined;
+  }
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => args[input.name] = toStored(parsed.args[i]));
+  return {
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    address: getAddress(log.address),
+    contract,
+    event: parsed.name,
+    args,
+  };
+}
+
+/// @notice creates the indexer, call sync() to index up to the head or start() to follow the node
+/// @param options.provider ethers provider of the node
+/// @param options.store database of createEventStore
+/// @param options.contracts addresses by manifest name: SuprimeStaking, FixedPricePoolFactory,
+/// LiquidityBootstrapPoolFactory and LabsRegistry, missing ones are not indexed
+/// @param options.startBlock first block to index, the deployment block of the contracts
+/// @param options.confirmations blocks behind the head that are not indexed yet
+/// @param options.reorgDepth deepest reorg that can be rolled back
+/// @param options.batchSize max blocks of a single eth_getLogs
+function createIndexer({
+  provider,
+  store,
+  contracts,
+  startBlock = 0,
+  confirmations = 0,
+  reorgDepth = 64,
+  batchSize = 2000,
+}) {
+  const sources = new Map();
+  for (const [name, address] of Object.entries(contracts)) {
+    if (!ABIS[name]) {
+      throw new Error(`${name} events are not indexed, expected one of ${Object.keys(ABIS).join(", ")}`);
+    }
+    if (address) {
+      sources.set(getAddress(address), name);
+    }
+  }
+
+  // the configured contracts and the pools created by the factories, by address
+  const watched = () => {
+    const addresses = new Map(sources);
+    for (const pool of listPools(store)) {
+      addresses.set(pool.address, pool.contract);
+    }
+    return addresses;
+  };
+
+  async function fetchEvents(addresses, fromBlock, toBlock) {
+    if (addresses.size === 0) {
+      return [];
+    }
+    const logs = await provider.getLogs({ address: [...addresses.keys()], fromBlock, toBlock });
+    return logs.map(log => decodeLog(log, addresses.get(getAddress(log.address)))).filter(Boolean);
+  }
+
+  /// @return the events of the blocks, undefined if some of them were reorged while fetching
+  async function fetchRange(fromBlock, toBlock) {
+    const known = watched();
+    const events = await fetchEvents(known, fromBlock, toBlock);
+
+    // pools created within the range already have events in it, pools never create pools
+    const created = new Map();
+    for (const event of events) {
+      const pool = createdPool(event);
+      if (pool && !known.has(pool.address)) {
+        created.set(pool.address, pool.contract);
+      }
+    }
+    events.push(...await fetchEvents(created, fromBlock, toBlock));
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    const hashes = {};
+    for (let number = Math.max(fromBlock, toBlock - reorgDepth + 1); number <= toBlock; number++) {
+      const block = await provider.getBlock(number);
+      if (!block) {
+        return undefined;
+      }
+      hashes[number] = block.hash;
+    }
+    if (events.some(event => hashes[event.blockNumber] && hashes[event.blockNumber] !== event.blockHash)) {
+      return undefined;
+    }
+    return { events, hashes };
+  }
+
+  /// @return the blocks rolled back, undefined if the last indexed block is still on the chain
+  async function checkReorg() {
+    const { lastBlock, blocks } = store;
+    if (lastBlock === undefined) {
+      return undefined;
+    }
+    const tip = await provider.getBlock(lastBlock);
+    if (tip && tip.hash === blocks[lastBlock]) {
+      return undefined;
+    }
+
+    const numbers = Object.keys(blocks).map(Number).sort((a, b) => b - a);
+    for (const number of numbers) {
+      const block = await provider.getBlock(number);
+      if (block && block.hash === blocks[number]) {
+        store.rollback(number);
+        store.save();
+        return { from: number + 1, to: lastBlock };
+      }
+    }
+    throw new Error(`Reorg deeper than ${reorgDepth} blocks below block ${lastBlock}, the database must be rebuilt`);
+  }
+
+  /// @notice indexes the blocks up to the head minus the confirmations
+  /// @return the last indexed block, the number of new events and the blocks rolled back by a reorg
+  async function sync() {
+    const { chainId } = await provider.getNetwork();
+    if (store.chainId === undefined) {
+      store.chainId = chainId.toString();
+    } else if (store.chainId !== chainId.toString()) {
+      throw new Error(`The database indexes chain ${store.chainId}, the node is on chain ${chainId}`);
+    }
+
+    const reorg = await checkReorg();
+    const head = await provider.getBlockNumber() - confirmations;
+    let from = store.lastBlock === undefined ? startBlock : store.lastBlock + 1;
+    let indexed = 0;
+
+    while (from <= head) {
+      const to = Math.min(from + batchSize - 1, head);
+      const range = await fetchRange(from, to);
+      if (!range) {
+        // a reorg happened meanwhile, the next sync rolls it back
+        break;
+      }
+      store.append(range.events, range.hashes, to, reorgDepth);
+      store.save();
+      indexed += range.events.length;
+      from = to + 1;
+    }
+    return { lastBlock: store.lastBlock, indexed, reorg };
+  }
+
+  return {
+    sync,
+
+    // start(interval, { onSync, onError }) syncs every `interval` seconds until stop()
+    ...createPoller(sync, "onSync"),
+  };
+}
+
+/// -----------------------------------------------------------------------
+/// Queries
+/// -----------------------------------------------------------------------
+
+function createdPool(event) {
+  if (event.event !== "PoolCreated") {
+    return undefined;
+  }
+  return {
+    address: getAddress(event.args.poolAddress || event.args.pool),
+    contract: POOL_CONTRACTS[event.contract],
+  };
+}
+
+/// @notice pools created by the indexed factories, with their latest ipfsData
+function listPools(store) {
+  const pools = new Map();
+  for (const event of store.events) {
+    const pool = createdPool(event);
+    if (pool) {
+      pools.set(pool.address, {
+        ...pool,
+        factory: event.address,
+        poolType: event.args.poolType === undefined ? undefined : POOL_TYPES[Number(event.args.poolType)],
+        ipfsData: event.args.ipfsData,
+        createdAt: event.blockNumber,
+      });
+    } else if (event.event === "PoolUpdated" && pools.has(getAddress(event.args.pool))) {
+      pools.get(getAddress(event.args.pool)).ipfsData = event.args.ipfsData;
+    }
+  }
+  return [...pools.values()];
+}
+
+/// @notice staking positions of `user`, replayed from the staking events
+/// @param options.withdrawn also returns the withdrawn positions
+function getPositions(store, user, { withdrawn = false } = {}) {
+  user = getAddress(user);
+  const positions = new Map();
+
+  for (const { contract, event, args, blockNumber } of store.events) {
+    if (contract !== "SuprimeStaking") {
+      continue;
+    }
+    if (event === "Staked" && args.user === user) {
+      positions.set(args.stakingIndex, {
+        tokenId: args.stakingIndex,
+        staked: BigInt(args.amount),
+        lockingPeriod: Number(args.lock),
+        stakedAt: blockNumber,
+        rewardsPaid: 0n,
+        withdrawnAt: null,
+      });
+      continue;
+    }
+    // staking NFTs can't be transferred, every event of the position is emitted for its staker
+    const position = positions.get(args.stakingIndex);
+    if (!position) {
+      continue;
+    }
+    if (event === "AddedToStake") {
+      position.staked += BigInt(args.amount);
+    } else if (event === "RewardPaid") {
+      // restakeReward pays the reward then adds it to the stake
+      position.rewardsPaid += BigInt(args.reward);
+    } else if (event === "Withdrawn") {
+      position.staked = 0n;
+      position.withdrawnAt = blockNumber;
+    }
+  }
+
+  return [...positions.values()]
+    .filter(position => withdrawn || position.withdrawnAt === null)
+    .map(position => ({ ...position, staked: position.staked.toString(), rewardsPaid: position.rewardsPaid.toString() }));
+}
+
+// pool events that move assets or shares, normalized
+const SALES = {
+  BuyFixedShares: ({ recipient, sharesOut, baseAssetsIn, feesPaid }) =>
+    ({ type: "buy", account: recipient, assets: baseAssetsIn, shares: sharesOut, fee: feesPaid }),
+  Buy: ({ caller, assets, shares, swapFee }) => ({ type: "buy", account: caller, assets, shares, fee: swapFee }),
+  Sell: ({ caller, shares, assets, swapFee }) => ({ type: "sell", account: caller, assets, shares, fee: swapFee }),
+  Redeemed: ({ recipient, shares, streamID }) => ({ type: "redeem", account: recipient, shares, streamID }),
+  Redeem: ({ caller, shares, streamID }) => ({ type: "redeem", account: caller, shares, streamID }),
+  Refunded: ({ recipient, amount }) => ({ type: "refund", account: recipient, assets: amount }),
+};
+
+/// @notice sales of `pool` and their totals, undefined if it wasn't created by an indexed factory
+function getPoolSales(store, pool) {
+  pool = getAddress(pool);
+  const info = listPools(store).find(({ address }) => address === pool);
+  if (!info) {
+    return undefined;
+  }
+
+  const sales = [];
+  const buyers = new Set();
+  const totals = { assetsIn: 0n, assetsOut: 0n, sharesBought: 0n, sharesSold: 0n, fees: 0n, refunded: 0n };
+  let closed;
+  let status = "open";
+
+  for (const { address, event, args, blockNumber, transactionHash } of store.events) {
+    if (address !== pool) {
+      continue;
+    }
+    if (SALES[event]) {
+      const sale = SALES[event](args);
+      sales.push({ ...sale, blockNumber, transactionHash });
+      if (sale.type === "buy") {
+        totals.assetsIn += BigInt(sale.assets);
+        totals.sharesBought += BigInt(sale.shares);
+        buyers.add(sale.account);
+      } else if (sale.type === "sell") {
+        totals.assetsOut += BigInt(sale.assets);
+        totals.sharesSold += BigInt(sale.shares);
+      } else if (sale.type === "refund") {
+        totals.refunded += BigInt(sale.assets);
+      }
+      if (sale.fee !== undefined) {
+        totals.fees += BigInt(sale.fee);
+      }
+    } else if (event === "Closed" || event === "Close") {
+      closed = { ...args, blockNumber, transactionHash };
+      status = "closed";
+    } else if (event === "RaiseGoalNotMet") {
+      status = "raiseGoalNotMet";
+    } else if (event === "PoolCanceled") {
+      status = "canceled";
+    }
+  }
+
+  return {
+    ...info,
+    status,
+    closed,
+    totals: {
+      ...Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, value.toString()])),
+      buyers: buyers.size,
+    },
+    sales,
+  };
+}
+
+/// @notice the acceleration of `proposal` in the LabsRegistry, undefined if it has no event
+/// @dev like the registry, a later AddedSeedRaise/AddedPublicRaise replaces the raise
+function getAcceleration(store, proposal) {
+  proposal = BigInt(proposal).toString();
+  let acceleration;
+
+  for (const { contract, event, args, blockNumber, transactionHash } of store.events) {
+    if (contract !== "LabsRegistry" || args.proposal !== proposal) {
+      continue;
+    }
+    acceleration = acceleration || { proposal, createdAt: undefined, seedRaise: undefined, publicRaise: undefined,
+      workflows: [], history: [] };
+    acceleration.history.push({ event, ...args, blockNumber, transactionHash });
+
+    if (event === "NewAcceleration") {
+      acceleration.createdAt = blockNumber;
+    } else if (event === "AddedSeedRaise") {
+      acceleration.seedRaise = args.raise;
+    } else if (event === "AddedPublicRaise") {
+      acceleration.publicRaise = args.raise;
+    } else if (event === "NewWorkflowForAcceleration") {
+      acceleration.workflows.push({ workflow: args.workflow, instance: args.workflowInstance, blockNumber });
+    }
+  }
+  return acceleration;
+}
+
+module.exports = {
+  ABIS,
+  createEventStore,
+  createIndexer,
+  listPools,
+  getPositions,
+  getPoolSales,
+  getAcceleration,
+};
@@ -0,0 +1,79 @@
+const http = require("http");
+const { isAddress } = require("ethers");
+const { listPools, getPositions, getPoolSales, getAcceleration } = require("./indexer");
+
+/**
+ * @dev Read-only HTTP API over the database of the event indexer, amounts are decimal strings.
+ *
+ * GET /status                            -> {"chainId": "1", "lastBlock": 123, "events": 456}
+ * GET /users/:address/positions          -> staking positions, ?withdrawn=true to include the withdrawn ones
+ * GET /pools                             -> pools created by the indexed factories
+ * GET /pools/:address/sales              -> buys, sells, redeems and refunds of the pool with their totals
+ * GET /proposals/:proposal/acceleration  -> raises and workflows of the LabsRegistry acceleration
+ *  -> 400 invalid address or proposal id
+ *  -> 404 unknown route, pool or proposal
+ */
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function requireAddress(value) {
+  if (!isAddress(value)) {
+    throw new RequestError(400, `${value} is not an address`);
+  }
+  return value;
+}
+
+function found(value, what) {
+  if (value === undefined) {
+    throw new RequestError(404, `${what} is not indexed`);
+  }
+  return value;
+}
+
+const ROUTES = [
+  [/^\/status$/, (store) => ({ chainId: store.chainId, lastBlock: store.lastBlock, events: store.events.length })],
+  [/^\/users\/([^/]+)\/positions$/, (store, [user], query) =>
+    getPositions(store, requireAddress(user), { withdrawn: query.get("withdrawn") === "true" })],
+  [/^\/pools$/, (store) => listPools(store)],
+  [/^\/pools\/([^/]+)\/sales$/, (store, [pool]) => found(getPoolSales(store, requireAddress(pool)), `pool ${pool}`)],
+  [/^\/proposals\/([^/]+)\/acceleration$/, (store, [proposal]) => {
+    if (!/^[0-9]+$/.test(proposal)) {
+      throw new RequestError(400, `${proposal} is not a proposal id`);
+    }
+    return found(getAcceleration(store, proposal), `proposal ${proposal}`);
+  }],
+];
+
+/// @notice creates the query API of an indexer store, call listen() on the returned server
+function createQueryService(store) {
+  return http.createServer((req, res) => {
+    let status = 200;
+    let response;
+    try {
+      const { pathname, searchParams } = new URL(req.url, "http://localhost");
+      const route = req.method === "GET" && ROUTES.find(([pattern]) => pattern.test(pathname));
+      if (!route) {
+        throw new RequestError(404, "not found");
+      }
+      const [pattern, handler] = route;
+      response = handler(store, pathname.match(pattern).slice(1).map(decodeURIComponent), searchParams);
+    } catch (e) {
+      status = e.status || 500;
+      response = { error: e.status ? e.message : "internal error" };
+      if (!e.status) {
+        console.error(e);
+      }
+    }
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(response));
+  });
+}
+
+module.exports = {
+  createQueryService,
+};
@@ -0,0 +1,419 @@
+const fs = require("fs");
+const path = require("path");
+const { Contract, Interface, getAddress, isError } = require("ethers");
+const { createPoller } = require("../helpers/poller");
+const { ABIS } = require("./indexer");
+
+/**
+ * @dev Keeper of the sale pools. Pools only finalize when someone calls close(): a FixedPricePool once canClose()
+ * (sale ended or sold out), a LiquidityBootstrapPool once its saleEnd is passed. The keeper finds the pools from the
+ * PoolCreated events of the factories, tracks their saleStart, saleEnd and redemptionDelay and sends close() when
+ * they can be closed. A close() still pending after `bumpAfter` seconds is sent again with the same nonce and fees
+ * bumped by `gasBump` percent, a close() that reverts is sent again at the next checks, up to `maxAttempts`.
+ *
+ * Alerts are raised once per pool through the notifier (see helpers/notifiers.js), they are
+ * {level: "info"|"warning"|"critical", type, pool, contract, message, block}:
+ *  - closed           info, the pool was closed, by the keeper or anyone else
+ *  - paused           warning, the pool is paused, raised again if a FixedPricePool is paused again
+ *  - raiseGoalNotMet  warning, a FixedPricePool closed below its minimumTokensForSale, buyers get refunds
+ *  - closeStuck       warning, the fees of a pending close() reached `maxFeePerGas`
+ *  - closeFailed      critical, close() failed `maxAttempts` times, the keeper stops sending it
+ *  - unclosed         critical, the pool is still open `unclosedAfter` seconds after its saleEnd
+ *
+ * Sale times are compared to the timestamp of the latest block, the ages of the pending transactions to `now()`,
+ * so both clocks can be driven by the tests.
+ */
+
+const FIXED_POOL_ABI = [
+  "function status() view returns (uint8)",
+  "function saleStart() view returns (uint40)",
+  "function saleEnd() view returns (uint40)",
+  "function redemptionDelay() view returns (uint40)",
+  "function saleEndTimestamp() view returns (uint256)",
+  "function canClose() view returns (bool)",
+  "function close()",
+  "error CloseConditionNotMet()",
+  ...ABIS.FixedPricePool,
+];
+
+const LBP_ABI = [
+  "function saleStart() view returns (uint256)",
+  "function saleEnd() view returns (uint256)",
+  "function closed() view returns (bool)",
+  "function paused() view returns (bool)",
+  "function close()",
+  "error ClosingDisallowed()",
+  ...ABIS.LiquidityBootstrapPool,
+];
+
+/// ABI of the pools created by each factory
+const POOL_CONTRACTS = {
+  FixedPricePoolFactory: ["FixedPricePool", FIXED_POOL_ABI],
+  LiquidityBootstrapPoolFactory: ["LiquidityBootstrapPool", LBP_ABI],
+};
+
+/// BasePool PoolStatus
+const POOL_STATUS = ["Active", "Paused", "Closed", "Canceled"];
+
+const factoryInterfaces = Object.fromEntries(Object.keys(POOL_CONTRACTS)
+  .map(name => [name, new Interface(ABIS[name])]));
+
+const formatDate = (timestamp) => new Date(Number(timestamp) * 1000).toISOString().replace(".000Z", "Z");
+
+/// @notice sale times of a pool
+/// @return saleStart, saleEnd and redemptionDelay in seconds, LiquidityBootstrapPools redeem as soon as closed
+async function readSchedule(pool, contract) {
+  return {
+    saleStart: Number(await pool.saleStart()),
+    saleEnd: Number(await pool.saleEnd()),
+    redemptionDelay: contract === "FixedPricePool" ? Number(await pool.redemptionDelay()) : 0,
+  };
+}
+
+/// @notice state of a pool at the latest block
+/// @param timestamp of the latest block
+/// @return closed, canceled, paused and closable, whether close() would succeed
+async function readPoolStatus(pool, contract, { saleEnd }, timestamp) {
+  if (contract === "FixedPricePool") {
+    const status = POOL_STATUS[Number(await pool.status())];
+    return {
+      closed: status === "Closed",
+      canceled: status === "Canceled",
+      paused: status === "Paused",
+      closable: await pool.canClose(),
+    };
+  }
+  const closed = await pool.closed();
+  return {
+    closed,
+    canceled: false,
+    paused: await pool.paused(),
+    closable: !closed && timestamp >= saleEnd,
+  };
+}
+
+const reason = (e) => e.revert ? e.revert.name : e.shortMessage || e.message;
+
+// ethers maps "nonce too low" to NONCE_EXPIRED, the Hardhat signers pass the message of the node as is
+const isNonceUsed = (e) => isError(e, "NONCE_EXPIRED") || /nonce too low/i.test(e.message || "");
+
+/// @notice creates the keeper, call check() once or start() to keep the pools
+/// @param options.provider ethers provider of the node
+/// @param options.signer sends close(), the keeper only watches and alerts without it
+/// @param options.factories addresses by manifest name, FixedPricePoolFactory and LiquidityBootstrapPoolFactory
+/// @param options.notifier receives the alerts
+/// @param options.stateFile keeps the tracked pools and pending transactions between runs, in memory if not set
+/// @param options.fromBlock first block searched for PoolCreated, the deployment block of the factories
+/// @param options.confirmations blocks behind the head where new pools are not searched yet
+/// @param options.batchSize max blocks of a single eth_getLogs
+/// @param options.unclosedAfter seconds after saleEnd before an open pool is flagged
+/// @param options.bumpAfter seconds a close() stays pending before it is sent again with higher fees
+/// @param options.gasBump percent added to the fees of the replacement, nodes require 10 at least
+/// @param options.maxFeePerGas cap of the bumped fees, in wei
+/// @param options.maxAttempts reverted or failed close() before giving up on a pool
+/// @param options.now current unix time in seconds, for the ages of the pending transactions
+function createPoolKeeper({
+  provider,
+  signer,
+  factories,
+  notifier,
+  stateFile,
+  fromBlock = 0,
+  confirmations = 0,
+  batchSize = 2000,
+  unclosedAfter = 3600,
+  bumpAfter = 180,
+  gasBump = 20,
+  maxFeePerGas,
+  maxAttempts = 3,
+  now = () => Math.floor(Date.now() / 1000),
+}) {
+  const sources = new Map();
+  for (const [name, address] of Object.entries(factories)) {
+    if (!POOL_CONTRACTS[name]) {
+      throw new Error(`${name} doesn't create pools, expected one of ${Object.keys(POOL_CONTRACTS).join(", ")}`);
+    }
+    if (address) {
+      sources.set(getAddress(address), name);
+    }
+  }
+  const topics = [[...new Set(sources.values())]
+    .map(name => factoryInterfaces[name].getEvent("PoolCreated").topicHash)];
+
+  const state = stateFile && fs.existsSync(stateFile)
+    ? JSON.parse(fs.readFileSync(stateFile, "utf8"))
+    : { lastBlock: undefined, pools: {} };
+
+  function save() {
+    if (!stateFile) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    fs.writeFileSync(`${stateFile}.tmp`, JSON.stringify(state, null, 2));
+    fs.renameSync(`${stateFile}.tmp`, stateFile);
+  }
+
+  const connect = (record) => {
+    const abi = record.contract === "FixedPricePool" ? FIXED_POOL_ABI : LBP_ABI;
+    return new Contract(record.address, abi, provider);
+  };
+
+  async function alert(record, type, level, message, block) {
+    if (record.alerts.includes(type)) {
+      return;
+    }
+    record.alerts.push(type);
+    await notifier.notify({ level, type, pool: record.address, contract: record.contract, message, block });
+  }
+
+  function clearAlert(record, type) {
+    record.alerts = record.alerts.filter(raised => raised !== type);
+  }
+
+  /// -----------------------------------------------------------------------
+  /// Discovery
+  /// -----------------------------------------------------------------------
+
+  /// @notice tracks the pools created up to `head`
+  /// @return the addresses of the new pools
+  async function discover(head) {
+    let from = state.lastBlock === undefined ? fromBlock : state.lastBlock + 1;
+    const found = [];
+
+    while (sources.size > 0 && from <= head) {
+      const to = Math.min(from + batchSize - 1, head);
+      const logs = await provider.getLogs({ address: [...sources.keys()], topics, fromBlock: from, toBlock: to });
+      for (const log of logs) {
+        const factory = sources.get(getAddress(log.address));
+        const { args } = factoryInterfaces[factory].parseLog(log);
+        const address = getAddress(args.poolAddress || args.pool);
+        if (state.pools[address]) {
+          continue;
+        }
+        const record = {
+          address,
+          contract: POOL_CONTRACTS[factory][0],
+          factory: getAddress(log.address),
+          createdAt: log.blockNumber,
+          phase: "upcoming",
+          alerts: [],
+          attempts: 0,
+          pending: undefined,
+        };
+        Object.assign(record, await readSchedule(connect(record), record.contract));
+        state.pools[address] = record;
+        found.push(address);
+      }
+      state.lastBlock = to;
+      save();
+      from = to + 1;
+    }
+    return found;
+  }
+
+  /// -----------------------------------------------------------------------
+  /// Closing
+  /// -----------------------------------------------------------------------
+
+  async function failed(record, error, block) {
+    record.attempts++;
+    if (record.attempts >= maxAttempts) {
+      await alert(record, "closeFailed", "critical",
+        `close() of ${record.contract} ${record.address} failed ${record.attempts} times, last with ` +
+        `${reason(error)}, it must be closed by hand`, block);
+    }
+  }
+
+  async function sendClose(record, pool) {
+    const data = pool.interface.encodeFunctionData("close");
+    const gasLimit = await signer.estimateGas({ to: record.address, data });
+    const fees = await provider.getFeeData();
+    let maxFee = fees.maxFeePerGas;
+    if (maxFeePerGas !== undefined && maxFee > BigInt(maxFeePerGas)) {
+      maxFee = BigInt(maxFeePerGas);
+    }
+    const tip = fees.maxPriorityFeePerGas < maxFee ? fees.maxPriorityFeePerGas : maxFee;
+    const nonce = await signer.getNonce("pending");
+
+    const tx = await signer.sendTransaction({
+      to: record.address, data, nonce, gasLimit, maxFeePerGas: maxFee, maxPriorityFeePerGas: tip,
+    });
+    record.pending = {
+      nonce,
+      gasLimit: gasLimit.toString(),
+      maxFeePerGas: maxFee.toString(),
+      maxPriorityFeePerGas: tip.toString(),
+      hashes: [tx.hash],
+      sentAt: now(),
+    };
+  }
+
+  /// @notice sends the pending close() again with the same nonce and bumped fees
+  async function bump(record, block) {
+    const { pending } = record;
+    const bumped = (fee) => BigInt(fee) * BigInt(100 + gasBump) / 100n;
+    const maxFee = bumped(pending.maxFeePerGas);
+    const tip = bumped(pending.maxPriorityFeePerGas);
+    if (maxFeePerGas !== undefined && maxFee > BigInt(maxFeePerGas)) {
+      await alert(record, "closeStuck", "warning",
+        `close() of ${record.contract} ${record.address} is pending since ${formatDate(pending.sentAt)} ` +
+        `at the maximum fee of ${pending.maxFeePerGas} wei`, block);
+      return;
+    }
+
+    const data = connect(record).interface.encodeFunctionData("close");
+    try {
+      const tx = await signer.sendTransaction({
+        to: record.address, data, nonce: pending.nonce, gasLimit: BigInt(pending.gasLimit),
+        maxFeePerGas: maxFee, maxPriorityFeePerGas: tip,
+      });
+      pending.hashes.push(tx.hash);
+      pending.maxFeePerGas = maxFee.toString();
+      pending.maxPriorityFeePerGas = tip.toString();
+      pending.sentAt = now();
+    } catch (e) {
+      // a used nonce was mined meanwhile, the receipt is found by the next check
+      if (!isNonceUsed(e)) {
+        await failed(record, e, block);
+      }
+    }
+  }
+
+  /// @notice sends close(), or follows the one pending
+  /// @return the receipt of the close() mined by the keeper
+  async function advanceClose(record, pool, block) {
+    const { pending } = record;
+    if (pending) {
+      const receipts = await Promise.all(pending.hashes.map(hash => provider.getTransactionReceipt(hash)));
+      const receipt = receipts.find(Boolean);
+      if (receipt) {
+        record.pending = undefined;
+        if (receipt.status === 1) {
+          return receipt;
+        }
+        await failed(record, new Error(`close() reverted in ${receipt.hash}`), block);
+        return undefined;
+      }
+      if (await provider.getTransactionCount(await signer.getAddress(), "latest") > pending.nonce) {
+        // the nonce was used by another transaction of the account, close() is sent again
+        record.pending = undefined;
+      } else if (now() - pending.sentAt >= bumpAfter) {
+        await bump(record, block);
+        return undefined;
+      } else {
+        return undefined;
+      }
+    }
+
+    if (record.attempts >= maxAttempts) {
+      return undefined;
+    }
+    try {
+      await sendClose(record, pool);
+    } catch (e) {
+      await failed(record, e, block);
+    }
+    return undefined;
+  }
+
+  /// @notice records a pool closed by anyone, with the outcome of its sale
+  async function finish(record, pool, block) {
+    record.phase = "closed";
+    record.pending = undefined;
+    let outcome = "";
+    if (record.contract === "FixedPricePool") {
+      record.redeemableAt = Number(await pool.saleEndTimestamp()) + record.redemptionDelay;
+      const [notMet] = await pool.queryFilter(pool.filters.RaiseGoalNotMet(), record.createdAt, block.number);
+      if (notMet) {
+        await alert(record, "raiseGoalNotMet", "warning",
+          `FixedPricePool ${record.address} closed below its minimum, ${notMet.args.sharesNotSold} shares ` +
+          `went back to the owner, the buyers redeem refunds of ${notMet.args.fundsRaised} assets from ` +
+          `${formatDate(record.redeemableAt)}`, block);
+      }
+      outcome = `, redeemable from ${formatDate(record.redeemableAt)}`;
+    }
+    await alert(record, "closed", "info", `${record.contract} ${record.address} is closed${outcome}`, block);
+  }
+
+  /// -----------------------------------------------------------------------
+  /// Checks
+  /// -----------------------------------------------------------------------
+
+  /// @notice finds the new pools, closes the ones that can be and alerts on the anomalies
+  /// @return the latest block, the new pools, the pools closed by the keeper and the pending close()
+  async function check() {
+    const latest = await provider.getBlock("latest");
+    const block = { number: latest.number, timestamp: latest.timestamp };
+    const discovered = await discover(block.number - confirmations);
+    const closed = [];
+
+    for (const record of Object.values(state.pools)) {
+      if (record.phase === "closed" || record.phase === "canceled") {
+        continue;
+      }
+      const pool = connect(record);
+      let status = await readPoolStatus(pool, record.contract, record, block.timestamp);
+
+      if (status.closable && signer) {
+        const receipt = await advanceClose(record, pool, block);
+        if (receipt) {
+          closed.push(record.address);
+          status = await readPoolStatus(pool, record.contract, record, block.timestamp);
+        }
+      }
+      if (status.closed) {
+        await finish(record, pool, block);
+        continue;
+      }
+      if (status.canceled) {
+        record.phase = "canceled";
+        continue;
+      }
+      if (block.timestamp >= record.saleEnd) {
+        record.phase = "ended";
+      } else {
+        record.phase = block.timestamp < record.saleStart ? "upcoming" : "live";
+      }
+
+      if (status.paused) {
+        await alert(record, "paused", "warning", record.contract === "FixedPricePool"
+          ? `FixedPricePool ${record.address} is paused, its owner can resume it with togglePause()`
+          : `LiquidityBootstrapPool ${record.address} is paused, it can't be resumed, the buyers can only redeem ` +
+            `once it is closed after ${formatDate(record.saleEnd)}`, block);
+      } else {
+        clearAlert(record, "paused");
+      }
+      if (block.timestamp >= record.saleEnd + unclosedAfter) {
+        await alert(record, "unclosed", "critical",
+          `${record.contract} ${record.address} is still open, its sale ended on ${formatDate(record.saleEnd)}`,
+          block);
+      }
+    }
+    save();
+
+    return {
+      block,
+      discovered,
+      closed,
+      pending: Object.values(state.pools).filter(record => record.pending).map(record => record.address),
+    };
+  }
+
+  return {
+    check,
+
+    /// @notice the tracked pools, with their sale times, phase and the alerts raised
+    pools() {
+      return Object.values(state.pools);
+    },
+
+    // start(interval, { onCheck, onError }) checks every `interval` seconds until stop()
+    ...createPoller(check, "onCheck"),
+  };
+}
+
+module.exports = {
+  readSchedule,
+  readPoolStatus,
+  createPoolKeeper,
+};
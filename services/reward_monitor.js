@@ -0,0 +1,123 @@
+const { Contract, formatEther, formatUnits } = require("ethers");
+const { createStakingState, getRunway, getDefaultAPY, planRewards } = require("../helpers/staking_rewards");
+const { createPoller } = require("../helpers/poller");
+
+/**
+ * @dev Watches the reward funding of SuprimeStaking. The runway is how long the rewards set by setRewards last,
+ * an alert is raised through the notifier when it falls below the threshold, once per level. Every check also
+ * proposes the next setRewards for the target getDefaultAPY, with the SUPRIME to send to the staking first.
+ *
+ * The alerts sent to the notifier (see helpers/notifiers.js) are
+ * {level: "warning"|"critical"|"ok", message, block, runway, proposal}.
+ */
+
+const STAKING_ABI = [
+  "function suprimeToken() view returns (address)",
+  "function blocksPerDay() view returns (uint256)",
+  "function totalPool() view returns (uint256)",
+  "function totalPoolWithPower() view returns (uint256)",
+  "function rewardPerBlock() view returns (uint256)",
+  "function firstBlockWithReward() view returns (uint256)",
+  "function lastBlockWithReward() view returns (uint256)",
+  "function lastUpdateBlock() view returns (uint256)",
+  "function rewardPerTokenStored() view returns (uint256)",
+  "function rewardTokensLocked() view returns (uint256)",
+];
+
+const ERC20_ABI = ["function balanceOf(address account) view returns (uint256)"];
+
+// SuprimeStakingView APYs have 7 decimals for 100%
+const formatAPY = (apy) => `${Number(formatUnits(apy, 5)).toFixed(2)}%`;
+
+/// @notice the reward accounting of the deployed SuprimeStaking at the latest block, existing positions are
+/// only counted in the pool
+/// @return the state of helpers/staking_rewards and the block it was read at
+async function readStakingState(provider, address) {
+  const staking = new Contract(address, STAKING_ABI, provider);
+  const { number, timestamp } = await provider.getBlock("latest");
+  const blockTag = number;
+  const read = (method) => staking[method]({ blockTag });
+
+  const state = createStakingState(await read("blocksPerDay"));
+  const token = new Contract(await read("suprimeToken"), ERC20_ABI, provider);
+  state.balance = await token.balanceOf(address, { blockTag });
+  for (const field of ["totalPool", "totalPoolWithPower", "rewardPerBlock", "firstBlockWithReward",
+    "lastBlockWithReward", "lastUpdateBlock", "rewardPerTokenStored", "rewardTokensLocked"]) {
+    state[field] = await read(field);
+  }
+  return { state, block: { number: BigInt(number), timestamp: BigInt(timestamp) } };
+}
+
+/// -----------------------------------------------------------------------
+/// Monitor
+/// -----------------------------------------------------------------------
+
+function levelOf(runway, thresholdDays) {
+  if (runway.blocksLeft === 0n) {
+    return "critical";
+  }
+  return runway.scheduledDays < thresholdDays ? "warning" : "ok";
+}
+
+function describe(level, { runway, proposal }) {
+  if (level === "ok") {
+    return `Staking rewards are funded for ${runway.scheduledDays.toFixed(1)} days again`;
+  }
+  const status = level === "critical"
+    ? `Staking rewards ended at block ${runway.lastBlockWithReward}`
+    : `Staking rewards end in ${runway.scheduledDays.toFixed(1)} days (${runway.blocksLeft} blocks)`;
+  const topUp = proposal.topUp === 0n ? "" : `send ${formatEther(proposal.topUp)} SUPRIME to the staking then `;
+  return `${status}, ${topUp}call setRewards(${proposal.amount}, ${proposal.days}) ` +
+    `for a default APY of ${formatAPY(proposal.defaultAPY)}`;
+}
+
+/// @notice creates the monitor, call check() once or start() to watch the staking
+/// @param options.provider ethers provider of the node
+/// @param options.staking address of SuprimeStaking
+/// @param options.notifier receives the alerts, see helpers/notifiers.js
+/// @param options.thresholdDays runway below which a warning is raised
+/// @param options.targetAPY getDefaultAPY the proposed setRewards aims at, in 1e7 for 100%
+/// @param options.days duration of the proposed setRewards
+function createRewardMonitor({ provider, staking, notifier, thresholdDays = 30, targetAPY, days = 180 }) {
+  let level = "ok";
+
+  /// @notice reads the staking, alerts when the level changed
+  /// @return the level, the runway, getDefaultAPY and the proposed setRewards
+  async function check() {
+    const { state, block } = await readStakingState(provider, staking);
+    const runway = getRunway(state, block.number);
+    // the proposal keeps the current APY when there is no target
+    const target = targetAPY !== undefined ? BigInt(targetAPY) : getDefaultAPY(state);
+    // setRewards is mined in a later block at the earliest
+    const next = { ...block, number: block.number + 1n };
+    const proposal = planRewards(state, { targetAPY: target, days, block: next });
+
+    const report = {
+      level: levelOf(runway, thresholdDays),
+      block,
+      runway,
+      defaultAPY: getDefaultAPY(state),
+      proposal,
+    };
+    // back to ok is only worth saying after an alert
+    if (report.level !== level) {
+      const message = describe(report.level, report);
+      await notifier.notify({ level: report.level, message, block, runway, proposal });
+    }
+    level = report.level;
+    return report;
+  }
+
+  return {
+    check,
+
+    // start(interval, { onCheck, onError }) checks every `interval` seconds until stop()
+    ...createPoller(check, "onCheck"),
+  };
+}
+
+module.exports = {
+  formatAPY,
+  readStakingState,
+  createRewardMonitor,
+};
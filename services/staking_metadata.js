@@ -0,0 +1,208 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { Contract, ZeroAddress } = require("ethers");
+const { buildMetadata, withdrawnPosition } = require("../helpers/staking_metadata");
+const { createPoller } = require("../helpers/poller");
+
+/**
+ * @dev Metadata of the SuprimeStaking NFTs, either generated into a directory to upload and pass to setBaseURI,
+ * or served live. The generator writes `<dir>/<id>` (the JSON read by wallets through uri(id)) and `<dir>/<id>.svg`
+ * for every position, and writes them again when a Staked, AddedToStake or Withdrawn event changes the position.
+ * The rewards shown are the ones earned at the block the files were written, the server reads them at every request.
+ *
+ * GET /:id      -> metadata JSON of the NFT
+ * GET /:id.svg  -> SVG card of the NFT
+ *  -> 404 unknown route or NFT never minted
+ */
+
+const STAKING_ABI = [
+  "function getStakingInfoByIndex(uint256 stakingIndex) view returns ((uint256 stakingId, uint256 staked, uint256 startTime, uint256 endTime, uint256 rewards, uint256 rewardPerTokenPaid, address staker, uint8 lockingPeriod, uint8 stakingMultiplier))",
+  "event Staked(address indexed user, uint256 indexed stakingIndex, uint256 amount, uint256 indexed lock)",
+  "event AddedToStake(address indexed user, uint256 indexed stakingIndex, uint256 amount)",
+  "event Withdrawn(address indexed user, uint256 indexed stakingIndex, uint256 amount, uint256 reward)",
+];
+
+// events changing the metadata of a position, RewardPaid only resets rewards that keep changing every block
+const UPDATES = ["Staked", "AddedToStake", "Withdrawn"];
+
+/// @notice metadata of an NFT at `block`, undefined if it wasn't minted
+/// @param staking SuprimeStaking contract of STAKING_ABI
+/// @param block {number, timestamp}
+/// @param options.fromBlock deployment block of the staking, the events of withdrawn NFTs are looked up from it
+/// @param options.imageBaseURI the image is `<imageBaseURI><id>.svg`, the SVG as a data URI when not set
+/// @return the metadata and the SVG card
+async function readMetadata(staking, tokenId, block, { fromBlock = 0, imageBaseURI } = {}) {
+  const blockTag = Number(block.number);
+  const image = imageBaseURI ? `${imageBaseURI}${tokenId}.svg` : undefined;
+
+  const info = await staking.getStakingInfoByIndex(tokenId, { blockTag });
+  if (info.staker !== ZeroAddress) {
+    const position = {
+      tokenId: BigInt(tokenId),
+      staked: info.staked,
+      startTime: info.startTime,
+      endTime: info.endTime,
+      rewards: info.rewards,
+      lockingPeriod: Number(info.lockingPeriod),
+      stakingMultiplier: Number(info.stakingMultiplier),
+    };
+    return buildMetadata(position, block, { image });
+  }
+
+  // burned, the position is only left in the events
+  const [staked] = await staking.queryFilter(staking.filters.Staked(null, tokenId), fromBlock, blockTag);
+  const [withdrawn] = await staking.queryFilter(staking.filters.Withdrawn(null, tokenId), fromBlock, blockTag);
+  if (!staked || !withdrawn) {
+    return undefined;
+  }
+  const { timestamp } = await staked.getBlock();
+  const position = withdrawnPosition(tokenId, { lock: staked.args.lock, timestamp }, withdrawn.args);
+  return buildMetadata(position, block, { image });
+}
+
+async function readBlock(provider, blockTag) {
+  const { number, timestamp } = await provider.getBlock(blockTag);
+  return { number: BigInt(number), timestamp: BigInt(timestamp) };
+}
+
+/// -----------------------------------------------------------------------
+/// Generator
+/// -----------------------------------------------------------------------
+
+/// @notice creates the generator of the metadata directory, call sync() once or start() to follow the staking
+/// @param options.provider ethers provider of the node
+/// @param options.staking address of SuprimeStaking
+/// @param options.dir directory uploaded for setBaseURI
+/// @param options.stateFile last synced block and the known NFTs, outside the directory, `<dir>.state.json` by default
+/// @param options.fromBlock first block to sync, the deployment block of the staking
+/// @param options.confirmations blocks behind the head that are not synced yet
+/// @param options.imageBaseURI see readMetadata, the base URI of the directory once uploaded
+/// @param options.batchSize max blocks of a single eth_getLogs
+function createMetadataGenerator({
+  provider,
+  staking: address,
+  dir,
+  stateFile = `${path.resolve(dir)}.state.json`,
+  fromBlock = 0,
+  confirmations = 0,
+  imageBaseURI,
+  batchSize = 2000,
+}) {
+  const staking = new Contract(address, STAKING_ABI, provider);
+  const topics = [UPDATES.map(name => staking.interface.getEvent(name).topicHash)];
+  const state = fs.existsSync(stateFile)
+    ? JSON.parse(fs.readFileSync(stateFile, "utf8"))
+    : { lastBlock: undefined, tokens: [] };
+
+  function save() {
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    fs.writeFileSync(`${stateFile}.tmp`, JSON.stringify(state));
+    fs.renameSync(`${stateFile}.tmp`, stateFile);
+  }
+
+  /// @return false if the NFT was never minted at `block`
+  async function write(tokenId, block) {
+    const generated = await readMetadata(staking, tokenId, block, { fromBlock, imageBaseURI });
+    if (!generated) {
+      return false;
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, tokenId.toString()), JSON.stringify(generated.metadata, null, 2));
+    fs.writeFileSync(path.join(dir, `${tokenId}.svg`), generated.svg);
+    return true;
+  }
+
+  /// @notice writes the files of the NFTs changed since the last sync, up to the head minus the confirmations
+  /// @return the last synced block and the ids of the NFTs written
+  async function sync() {
+    const head = await provider.getBlockNumber() - confirmations;
+    let from = state.lastBlock === undefined ? fromBlock : state.lastBlock + 1;
+    const updated = new Set();
+
+    while (from <= head) {
+      const to = Math.min(from + batchSize - 1, head);
+      const logs = await provider.getLogs({ address, topics, fromBlock: from, toBlock: to });
+      const changed = new Set(logs.map(log => staking.interface.parseLog(log).args.stakingIndex.toString()));
+
+      // the files show the NFTs at the end of the range, later changes are written by the next ranges
+      const block = await readBlock(provider, to);
+      for (const tokenId of changed) {
+        if (await write(tokenId, block)) {
+          updated.add(tokenId);
+        }
+        if (!state.tokens.includes(tokenId)) {
+          state.tokens.push(tokenId);
+        }
+      }
+      state.lastBlock = to;
+      save();
+      from = to + 1;
+    }
+    return { lastBlock: state.lastBlock, updated: [...updated] };
+  }
+
+  /// @notice writes the files of every known NFT again, to show the rewards earned since
+  async function refresh() {
+    if (state.lastBlock === undefined) {
+      return [];
+    }
+    const block = await readBlock(provider, state.lastBlock);
+    for (const tokenId of state.tokens) {
+      await write(tokenId, block);
+    }
+    return state.tokens;
+  }
+
+  return {
+    sync,
+    refresh,
+
+    // start(interval, { onSync, onError }) syncs every `interval` seconds until stop()
+    ...createPoller(sync, "onSync"),
+  };
+}
+
+/// -----------------------------------------------------------------------
+/// Server
+/// -----------------------------------------------------------------------
+
+/// @notice creates the metadata server of the staking, call listen() on the returned server.
+/// The base URI of the staking is the URL of the server followed by a slash
+/// @param options.imageBaseURI the image of the metadata, set it to the base URI for `/<id>.svg`
+function createMetadataServer({ provider, staking: address, fromBlock = 0, imageBaseURI }) {
+  const staking = new Contract(address, STAKING_ABI, provider);
+
+  return http.createServer(async (req, res) => {
+    let status = 200;
+    let type = "application/json";
+    let body;
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      const match = req.method === "GET" && pathname.match(/^\/([0-9]+)(\.svg)?$/);
+      const generated = match && await readMetadata(staking, match[1], await readBlock(provider, "latest"),
+        { fromBlock, imageBaseURI });
+      if (!generated) {
+        status = 404;
+        body = JSON.stringify({ error: "not found" });
+      } else if (match[2]) {
+        type = "image/svg+xml";
+        body = generated.svg;
+      } else {
+        body = JSON.stringify(generated.metadata);
+      }
+    } catch (e) {
+      console.error(e);
+      status = 500;
+      body = JSON.stringify({ error: "internal error" });
+    }
+    res.writeHead(status, { "Content-Type": type, "Access-Control-Allow-Origin": "*" });
+    res.end(body);
+  });
+}
+
+module.exports = {
+  readMetadata,
+  createMetadataGenerator,
+  createMetadataServer,
+};
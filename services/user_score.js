@@ -0,0 +1,252 @@
+const fs = require("fs");
+const path = require("path");
+const { Contract, getAddress } = require("ethers");
+const {
+  checkAward,
+  xpBalances,
+  stakingPowers,
+  buildLeaderboard,
+  commitScores,
+  toJSON,
+} = require("../helpers/user_score");
+const { createPoller } = require("../helpers/poller");
+
+/**
+ * @dev Publishes the leaderboard of the user scores, staking power plus weighted XP, as snapshots committed to a
+ * Merkle root for a contract or a sale allowlist to verify the score of a user with its proof. The XP comes from the
+ * ledger of the off-chain actions, the staking power from SuprimeStakingView.getScore or from the staking events.
+ * A snapshot is taken at a block, with the XP awarded until its timestamp, and only published when a score changed.
+ *
+ * <dir>/<id>.json    -> snapshot {id, block, timestamp, root, xpWeight, leaderboard, proofs}
+ * <dir>/latest.json  -> the last snapshot
+ */
+
+const VIEW_ABI = [
+  "function suprimeStaking() view returns (address)",
+  "function getScore(address _user) view returns (uint256 _totalScore)",
+];
+
+const STAKING_ABI = [
+  "event Staked(address indexed user, uint256 indexed stakingIndex, uint256 amount, uint256 indexed lock)",
+];
+
+function writeJSON(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, content);
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/// -----------------------------------------------------------------------
+/// XP ledger
+/// -----------------------------------------------------------------------
+
+/// @notice loads the XP awards of `file`, or none, kept in memory only if `file` is not set. The file is read again
+/// when another process changed it, xp-import while scripts/user_score.js runs
+/// @param config parsed XP config, see helpers/user_score.parseXpConfig. The XP of an award is the one of its
+/// action when it was recorded
+function createXpLedger(file, config) {
+  let data = { awards: [] };
+  let ids = new Set();
+  let loaded;
+
+  function load() {
+    const modified = file && fs.existsSync(file) ? fs.statSync(file).mtimeMs : undefined;
+    if (modified !== undefined && modified !== loaded) {
+      data = JSON.parse(fs.readFileSync(file, "utf8"));
+      ids = new Set(data.awards.map(award => award.id));
+      loaded = modified;
+    }
+  }
+
+  function save() {
+    if (file) {
+      writeJSON(file, JSON.stringify(data));
+      loaded = fs.statSync(file).mtimeMs;
+    }
+  }
+
+  /// @return the award recorded, undefined if its id already was
+  function add(award) {
+    if (ids.has(String(award.id).trim())) {
+      return undefined;
+    }
+    const recorded = checkAward(config, data.awards, {
+      ...award,
+      timestamp: award.timestamp ?? Math.floor(Date.now() / 1000),
+    });
+    data.awards.push(recorded);
+    ids.add(recorded.id);
+    return recorded;
+  }
+
+  return {
+    get awards() {
+      load();
+      return data.awards;
+    },
+
+    /// @notice XP of a user from the awards until `until` included
+    xpOf(user, { until } = {}) {
+      load();
+      return xpBalances(data.awards, { until }).get(getAddress(user)) || 0n;
+    },
+
+    /// @notice records that a user did an action
+    /// @param award.id unique id of the action, the message or event it comes from. An id already recorded is
+    /// skipped, so the same actions can be sent again
+    /// @param award.timestamp unix seconds of the action, now by default
+    /// @return the award recorded, undefined if its id already was
+    award(award) {
+      load();
+      const recorded = add(award);
+      save();
+      return recorded;
+    },
+
+    /// @notice records the awards that pass, the others are returned with their error
+    /// @return {added, skipped, rejected: [{award, error}]}
+    awardAll(awards) {
+      const result = { added: [], skipped: [], rejected: [] };
+      load();
+      for (const award of awards) {
+        try {
+          const recorded = add(award);
+          if (recorded) {
+            result.added.push(recorded);
+          } else {
+            result.skipped.push(award);
+          }
+        } catch (e) {
+          result.rejected.push({ award, error: e.message });
+        }
+      }
+      save();
+      return result;
+    },
+  };
+}
+
+/// -----------------------------------------------------------------------
+/// Staking power
+/// -----------------------------------------------------------------------
+
+/// @notice staking power read with SuprimeStakingView.getScore at the snapshot block, for the users with XP and
+/// every staker found in the Staked events
+/// @param options.stakingView address of SuprimeStakingView
+/// @param options.fromBlock deployment block of the staking
+/// @param options.batchSize max blocks of a single eth_getLogs
+/// @return async (users, block) => user => staking power
+function createViewPower({ provider, stakingView, fromBlock = 0, batchSize = 2000 }) {
+  const view = new Contract(stakingView, VIEW_ABI, provider);
+  const stakers = new Set();
+  let staking;
+  let lastBlock = fromBlock - 1;
+
+  return async function powers(users, block) {
+    if (!staking) {
+      staking = new Contract(await view.suprimeStaking(), STAKING_ABI, provider);
+    }
+    // stakers keep their address after a withdrawal, getScore is 0 for them
+    for (let from = lastBlock + 1; from <= block.number; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, block.number);
+      for (const event of await staking.queryFilter(staking.filters.Staked(), from, to)) {
+        stakers.add(getAddress(event.args.user));
+      }
+      lastBlock = to;
+    }
+
+    const result = new Map();
+    for (const user of new Set([...users, ...stakers])) {
+      result.set(user, await view.getScore(user, { blockTag: block.number }));
+    }
+    return result;
+  };
+}
+
+/// @notice staking power replayed from the events of an indexer database, see helpers/user_score.stakingPowers
+/// @param options.store event store of services/indexer
+/// @param options.indexer synced before every snapshot when set, the store has to be at the snapshot block otherwise
+/// @return async (users, block) => user => staking power
+function createEventPower({ store, indexer }) {
+  return async function powers(users, block) {
+    if (indexer) {
+      await indexer.sync();
+    }
+    if (store.lastBlock === undefined || store.lastBlock < block.number) {
+      throw new Error(`The indexer database is at block ${store.lastBlock}, ` +
+        `behind the snapshot block ${block.number}`);
+    }
+    return stakingPowers(store.events, { toBlock: block.number });
+  };
+}
+
+/// -----------------------------------------------------------------------
+/// Snapshots
+/// -----------------------------------------------------------------------
+
+/// @notice creates the score service, call snapshot() once or start() to publish periodically
+/// @param options.provider ethers provider of the node
+/// @param options.ledger see createXpLedger
+/// @param options.power see createViewPower and createEventPower
+/// @param options.xpWeight staking power of one XP, from the parsed XP config
+/// @param options.dir directory of the snapshots
+/// @param options.confirmations blocks behind the head the snapshots are taken at
+function createScoreService({ provider, ledger, power, xpWeight, dir, confirmations = 0 }) {
+  const latestFile = path.join(dir, "latest.json");
+
+  /// @notice the last snapshot published, bigints as decimal strings, undefined before the first one
+  function latest() {
+    return fs.existsSync(latestFile) ? JSON.parse(fs.readFileSync(latestFile, "utf8")) : undefined;
+  }
+
+  /// @notice ranks the users at a block and publishes the leaderboard if a score changed since the last snapshot
+  /// @param options.blockTag block of the snapshot, the head minus the confirmations by default
+  /// @return the snapshot published, undefined when no score changed or no user has a score
+  async function snapshot({ blockTag } = {}) {
+    const number = blockTag ?? Math.max(await provider.getBlockNumber() - confirmations, 0);
+    const { timestamp } = await provider.getBlock(number);
+    const block = { number, timestamp };
+
+    const xp = xpBalances(ledger.awards, { until: timestamp });
+    const powers = await power([...xp.keys()], block);
+    const leaderboard = buildLeaderboard({ xp, powers, xpWeight });
+    if (leaderboard.length === 0) {
+      return undefined;
+    }
+    const { root, proofs } = commitScores(leaderboard);
+    const previous = latest();
+    if (previous && previous.root === root) {
+      return undefined;
+    }
+
+    const published = {
+      id: previous ? previous.id + 1 : 1,
+      block: number,
+      timestamp,
+      root,
+      xpWeight,
+      leaderboard,
+      proofs,
+    };
+    const content = toJSON(published);
+    writeJSON(path.join(dir, `${published.id}.json`), content);
+    writeJSON(latestFile, content);
+    return published;
+  }
+
+  return {
+    latest,
+    snapshot,
+
+    // start(interval, { onSnapshot, onError }) takes a snapshot every `interval` seconds until stop(), onSnapshot
+    // only gets the ones published
+    ...createPoller(snapshot, "onSnapshot"),
+  };
+}
+
+module.exports = {
+  createXpLedger,
+  createViewPower,
+  createEventPower,
+  createScoreService,
+};
@@ -0,0 +1,49 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { readEntry, requireConfig } = require("../helpers/manifest");
+const { profileOf } = require("../helpers/networks");
+const { planSplit } = require("../helpers/treasury");
+const { AUDITED, auditDeployment, formatReport, toJSON } = require("../helpers/audit");
+
+task("audit-config", "Compares the live configuration of the deployment with its network profile and manifest")
+  .addOptionalParam("format", "text or json", "text")
+  .addOptionalParam("out", "Writes the report to this file instead of the console")
+  .setAction(async ({ format, out }, hre) => {
+    if (!["text", "json"].includes(format)) {
+      throw new Error(`Unknown format ${format}, expected text or json`);
+    }
+    const profile = profileOf(hre.network.name);
+    const treasuryFeeRecipient = await requireConfig(hre, "TREASURY_FEE_RECIPIENT");
+    const expected = {
+      main: await requireConfig(hre, "MAIN"),
+      blocksPerDay: await requireConfig(hre, "BLOCKS_PER_DAY", { address: false }),
+      lbpFees: profile.lbpFees,
+      treasurySplit: planSplit(profile.treasurySplit || `100% ${treasuryFeeRecipient}`),
+      stakingBaseURI: profile.stakingBaseURI,
+    };
+    const entries = {};
+    for (const name of AUDITED) {
+      entries[name] = await readEntry(hre, name);
+    }
+
+    await hre.run("compile", { quiet: true });
+    const checks = await auditDeployment({
+      provider: hre.ethers.provider,
+      artifacts: hre.artifacts,
+      entries,
+      expected,
+    });
+
+    const report = format === "text" ? formatReport(checks) : toJSON(checks);
+    if (out) {
+      fs.writeFileSync(out, report);
+      console.log(`Wrote ${checks.length} checks to ${out}`);
+    } else {
+      console.log(report);
+    }
+    const failed = checks.filter(check => !check.pass);
+    if (failed.length > 0) {
+      throw new Error(`The configuration of ${hre.network.name} drifted: ${failed.length} checks failed`);
+    }
+    return checks;
+  });
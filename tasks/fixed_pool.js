@@ -0,0 +1,105 @@
+const path = require("path");
+const { task } = require("hardhat/config");
+const { isAddress, ZeroAddress, ZeroHash, formatUnits } = require("ethers");
+const { loadSpec, buildPoolArgs } = require("../helpers/pool_spec");
+const { readEntry, requireAddress, recordDeployment } = require("../helpers/manifest");
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+async function readDecimals(hre, token, fallback) {
+  if (!token || !isAddress(token)) {
+    return fallback;
+  }
+  const contract = await hre.ethers.getContractAt(ERC20_ABI, token);
+  return Number(await contract.decimals());
+}
+
+task("create-fixed-pool", "Creates a FixedPricePool sale from a JSON/YAML spec")
+  .addParam("spec", "JSON or YAML sale spec, see README")
+  .addFlag("dryRun", "Only convert and validate the spec")
+  .setAction(async ({ spec: file, dryRun }, hre) => {
+    const spec = loadSpec(file);
+    if (!spec.name) {
+      throw new Error("The spec must have a name, the pool is recorded as FixedPricePool_<name> in the manifest");
+    }
+    const name = `FixedPricePool_${spec.name}`;
+
+    const decimals = {
+      share: await readDecimals(hre, spec.shareToken, 18),
+      asset: await readDecimals(hre, spec.assetToken, 0),
+    };
+
+    let whitelistMerkleRoot = ZeroHash;
+    if (spec.allowlist) {
+      const input = path.resolve(path.dirname(file), spec.allowlist);
+      whitelistMerkleRoot = await hre.run("whitelist", { input });
+    }
+
+    const { params, assetsPerShare, tiers, ipfsData } = buildPoolArgs(spec, decimals, whitelistMerkleRoot);
+
+    const date = (timestamp) => timestamp ? new Date(timestamp * 1000).toISOString() : "-";
+    console.table({
+      shareToken: `${params.shareToken} (${decimals.share} decimals)`,
+      assetToken: `${params.assetToken} (${decimals.asset} decimals)`,
+      sharesForSale: formatUnits(params.sharesForSale, decimals.share),
+      pricePerShare: tiers.length > 0 ? `${tiers.length} tiers` : formatUnits(assetsPerShare, decimals.asset),
+      saleStart: date(params.saleStart),
+      saleEnd: date(params.saleEnd),
+      vestCliff: date(params.vestCliff),
+      vestEnd: date(params.vestEnd),
+      swapFee: `${formatUnits(params.swapFeeWAD, 16)}%`,
+      platformFee: `${formatUnits(params.platformFeeWAD, 16)}%`,
+      antiSnipe: params.antiSnipeEnabled === 1,
+      whitelistMerkleRoot,
+    });
+
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    if (params.saleStart <= timestamp) {
+      console.log(`Warning: saleStart is in the past, the sale opens as soon as the pool is created`);
+    }
+
+    if (dryRun) {
+      console.log("Spec is valid, dry run: nothing was sent");
+      return;
+    }
+
+    const existing = await readEntry(hre, name);
+    if (existing) {
+      throw new Error(`${name} was already created at ${existing.address}, rename the spec to create another pool`);
+    }
+
+    const [signer] = await hre.ethers.getSigners();
+    const factory = await hre.ethers.getContractAt(
+      "FixedPricePoolFactory", await requireAddress(hre, "FixedPricePoolFactory"), signer
+    );
+
+    // the factory pulls the shares for sale from the creator
+    if (params.shareToken !== ZeroAddress) {
+      const shareToken = await hre.ethers.getContractAt(ERC20_ABI, params.shareToken, signer);
+      if (await shareToken.allowance(signer.address, factory.target) < params.sharesForSale) {
+        await (await shareToken.approve(factory.target, params.sharesForSale)).wait();
+        console.log(`Approved ${formatUnits(params.sharesForSale, decimals.share)} shares to the factory`);
+      }
+    }
+
+    const tx = await factory.createFixedPricePool(params, assetsPerShare, tiers, ipfsData);
+    const receipt = await tx.wait();
+    const [created] = receipt.logs
+      .map(log => factory.interface.parseLog(log))
+      .filter(event => event && event.name === "PoolCreated");
+
+    const pool = await hre.ethers.getContractAt("FixedPricePool", created.args.poolAddress);
+    await recordDeployment(hre, name, pool, {
+      contractName: "FixedPricePool",
+      args: [params, assetsPerShare, tiers, ipfsData],
+      deployTransaction: tx,
+      metadata: { ipfsData: created.args.ipfsData },
+    });
+
+    console.log(`${name} created at ${created.args.poolAddress}`);
+    return created.args.poolAddress;
+  });
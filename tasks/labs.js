@@ -0,0 +1,121 @@
+const { task } = require("hardhat/config");
+const { isAddress, getAddress, ZeroAddress } = require("ethers");
+const { readEntry, requireAddress } = require("../helpers/manifest");
+const { parseWorkflows, readAcceleration } = require("../helpers/labs");
+
+async function getRegistry(hre) {
+  const [signer] = await hre.ethers.getSigners();
+  const registry = await hre.ethers.getContractAt("LabsRegistry", await requireAddress(hre, "LabsRegistry"), signer);
+  return { registry, signer };
+}
+
+/// @notice address of a contract given by address or by its manifest name, it must have code
+async function resolveContract(hre, value) {
+  const address = isAddress(value) ? getAddress(value) : await requireAddress(hre, value);
+  if (await hre.ethers.provider.getCode(address) === "0x") {
+    throw new Error(`${value} (${address}) is not a contract`);
+  }
+  return address;
+}
+
+task("labs-add-acceleration", "Registers the acceleration of a proposal in the LabsRegistry, owned by the signer")
+  .addParam("proposal", "Proposal id")
+  .setAction(async ({ proposal }, hre) => {
+    const { registry, signer } = await getRegistry(hre);
+
+    // the registry doesn't check it yet, adding it again would take the acceleration over
+    const { owner } = await registry.accelerations(proposal);
+    if (owner !== ZeroAddress) {
+      throw new Error(`The acceleration of proposal ${proposal} is already owned by ${owner}`);
+    }
+
+    await (await registry.addAcceleration(proposal)).wait();
+    console.log(`Acceleration of proposal ${proposal} added, owned by ${signer.address}`);
+  });
+
+task("labs-add-raise", "Attaches a seed or public raise pool to the acceleration of a proposal")
+  .addParam("proposal", "Proposal id")
+  .addParam("kind", "seed or public")
+  .addParam("pool", "Manifest name (FixedPricePool_<name>, LiquidityBootstrapPool_<name>) or address of the pool")
+  .setAction(async ({ proposal, kind, pool }, hre) => {
+    if (!["seed", "public"].includes(kind)) {
+      throw new Error(`Unknown kind ${kind}, expected seed or public`);
+    }
+    const { registry } = await getRegistry(hre);
+    const raise = await resolveContract(hre, pool);
+
+    const attached = await registry.raises(raise);
+    if (attached !== 0n && attached !== BigInt(proposal)) {
+      throw new Error(`${pool} (${raise}) is already a raise of proposal ${attached}`);
+    }
+    const acceleration = await registry.accelerations(proposal);
+    if (acceleration.owner === ZeroAddress) {
+      console.log(`Warning: proposal ${proposal} has no acceleration yet, add it with labs-add-acceleration`);
+    }
+    const previous = kind === "seed" ? acceleration.seedRaise : acceleration.publicRaise;
+    if (previous !== ZeroAddress && previous !== raise) {
+      console.log(`The ${kind} raise ${previous} of proposal ${proposal} is replaced`);
+    }
+
+    const tx = kind === "seed"
+      ? await registry.addSeedRaise(proposal, raise)
+      : await registry.addPublicRaise(proposal, raise);
+    await tx.wait();
+    console.log(`${pool} (${raise}) is the ${kind} raise of proposal ${proposal}`);
+  });
+
+task("labs-add-workflows", "Instantiates workflows for the acceleration of a proposal, with their name tags")
+  .addParam("proposal", "Proposal id")
+  .addParam("workflows", "Comma separated \"<workflow>:<name tag>\", the workflow a manifest name or an address")
+  .setAction(async ({ proposal, workflows: text }, hre) => {
+    const { registry, signer } = await getRegistry(hre);
+    const { workflows, names } = await parseWorkflows(text, (name) => resolveContract(hre, name));
+
+    // addWorkflowsToAcceleration reverts with NotAuthorized otherwise
+    const { owner } = await registry.accelerations(proposal);
+    if (owner !== signer.address) {
+      throw new Error(`Only the owner of the acceleration of proposal ${proposal} can add workflows, ` +
+        `it is ${owner === ZeroAddress ? "not added yet" : `owned by ${owner}`}`);
+    }
+
+    const receipt = await (await registry.addWorkflowsToAcceleration(proposal, workflows, names)).wait();
+    const instances = receipt.logs
+      .map(log => registry.interface.parseLog(log))
+      .filter(event => event && event.name === "NewWorkflowForAcceleration");
+    console.table(instances.map((event, i) => ({
+      workflow: event.args.workflow,
+      name: names[i],
+      instance: event.args.workflowInstance.toString(),
+    })));
+    return instances.map(event => event.args.workflowInstance);
+  });
+
+task("labs-acceleration", "Lists the raises and workflow instances of the acceleration of a proposal")
+  .addParam("proposal", "Proposal id")
+  .setAction(async ({ proposal }, hre) => {
+    const { registry } = await getRegistry(hre);
+    const entry = await readEntry(hre, "LabsRegistry");
+
+    const acceleration = await readAcceleration(registry, proposal, { fromBlock: entry.blockNumber || 0 });
+    if (!acceleration) {
+      console.log(`Proposal ${proposal} has no acceleration`);
+      return;
+    }
+
+    console.log(`Acceleration of proposal ${proposal}`);
+    console.log(`  owner:        ${acceleration.owner || "none"}`);
+    console.log(`  seed raise:   ${acceleration.seedRaise || "none"}`);
+    console.log(`  public raise: ${acceleration.publicRaise || "none"}`);
+    if (acceleration.workflows.length === 0) {
+      console.log("  no workflows");
+    } else {
+      console.table(acceleration.workflows.map(workflow => ({
+        workflow: workflow.workflow,
+        name: workflow.name || "unknown",
+        instance: workflow.instance.toString(),
+        current: workflow.current ? "yes" : "replaced",
+        block: workflow.blockNumber,
+      })));
+    }
+    return acceleration;
+  });
@@ -0,0 +1,154 @@
+const path = require("path");
+const readline = require("readline/promises");
+const { task } = require("hardhat/config");
+const { ZeroHash, formatUnits } = require("ethers");
+const { loadSpec } = require("../helpers/pool_spec");
+const { convertLbpSpec, validateLbpArgs, toPool, simulate, formatRows } = require("../helpers/lbp_planner");
+const { readEntry, requireAddress, recordDeployment } = require("../helpers/manifest");
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+// factory fees are in bips, pools use them as WAD
+const BIPS_TO_WAD = 10n ** 14n;
+
+async function approve(hre, signer, token, spender, amount, label) {
+  if (amount === 0n) {
+    return;
+  }
+  const contract = await hre.ethers.getContractAt(ERC20_ABI, token, signer);
+  if (await contract.allowance(signer.address, spender) < amount) {
+    await (await contract.approve(spender, amount)).wait();
+    console.log(`Approved ${label} to the factory`);
+  }
+}
+
+async function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return (await rl.question(`${question} [y/N] `)).trim().toLowerCase() === "y";
+  } finally {
+    rl.close();
+  }
+}
+
+task("plan-lbp", "Simulates a LiquidityBootstrapPool sale from a JSON/YAML spec, then optionally creates it")
+  .addParam("spec", "JSON or YAML sale spec, see README")
+  .addFlag("submit", "Create the pool once the plan is printed")
+  .addFlag("yes", "Don't ask for a confirmation before creating the pool")
+  .setAction(async ({ spec: file, submit, yes }, hre) => {
+    const spec = loadSpec(file);
+    if (!spec.name) {
+      throw new Error("The spec must have a name, the pool is recorded as LiquidityBootstrapPool_<name> in the manifest");
+    }
+    const name = `LiquidityBootstrapPool_${spec.name}`;
+
+    const [signer] = await hre.ethers.getSigners();
+    const factory = await hre.ethers.getContractAt(
+      "LiquidityBootstrapPoolFactory", await requireAddress(hre, "LiquidityBootstrapPoolFactory"), signer
+    );
+
+    const shareToken = await hre.ethers.getContractAt(ERC20_ABI, spec.shareToken);
+    const assetToken = await hre.ethers.getContractAt(ERC20_ABI, spec.assetToken);
+    const decimals = {
+      share: Number(await shareToken.decimals()),
+      asset: Number(await assetToken.decimals()),
+    };
+
+    let whitelistMerkleRoot = ZeroHash;
+    if (spec.allowlist) {
+      const input = path.resolve(path.dirname(file), spec.allowlist);
+      whitelistMerkleRoot = await hre.run("whitelist", { input });
+    }
+
+    const args = convertLbpSpec(spec, decimals, whitelistMerkleRoot);
+    const { settings, shares, assets, salt, ipfsData } = args;
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    validateLbpArgs(args, timestamp);
+
+    const { swapFee } = await factory.factorySettings();
+    const pool = toPool(args, decimals);
+    const duration = settings.saleEnd - settings.saleStart;
+    const step = args.step || Math.ceil(duration / 24);
+
+    const date = (value) => value ? new Date(value * 1000).toISOString() : "-";
+    console.table({
+      shareToken: `${settings.share} (${decimals.share} decimals)`,
+      assetToken: `${settings.asset} (${decimals.asset} decimals)`,
+      shares: formatUnits(shares, decimals.share),
+      assets: formatUnits(assets, decimals.asset),
+      virtualAssets: formatUnits(settings.virtualAssets, decimals.asset),
+      virtualShares: formatUnits(settings.virtualShares, decimals.share),
+      weights: `${formatUnits(settings.weightStart, 16)}% -> ${formatUnits(settings.weightEnd, 16)}%`,
+      saleStart: date(settings.saleStart),
+      saleEnd: date(settings.saleEnd),
+      vestCliff: date(settings.vestCliff),
+      vestEnd: date(settings.vestEnd),
+      swapFee: `${Number(swapFee) / 100}%`,
+      sellingAllowed: settings.sellingAllowed,
+      whitelistMerkleRoot,
+    });
+
+    for (const scenario of args.scenarios) {
+      const { rows, summary } = simulate({
+        pool,
+        swapFee: swapFee * BIPS_TO_WAD,
+        maxTotalSharesOut: settings.maxSharesOut,
+        maxTotalAssetsIn: settings.maxAssetsIn,
+        sellingAllowed: settings.sellingAllowed,
+      }, scenario.flows, step);
+
+      console.log(`\nScenario "${scenario.name}"`);
+      console.table(formatRows(rows, { assetDecimals: decimals.asset, shareDecimals: decimals.share }));
+      console.log(`Raised ${formatUnits(summary.raised, decimals.asset)} assets for ` +
+        `${formatUnits(summary.sold, decimals.share)} shares, ${formatUnits(summary.swapFees, decimals.asset)} ` +
+        `swap fees, final price ${formatUnits(summary.finalPrice, 18)}`);
+      for (const [reason, count] of Object.entries(summary.rejected)) {
+        console.log(`  ${count} swaps rejected with ${reason}`);
+      }
+    }
+
+    const predicted = await factory.predictDeterministicAddress(settings, salt);
+    console.log(`\nThe pool will be created at ${predicted} (salt ${salt})`);
+
+    if (!submit) {
+      return predicted;
+    }
+
+    const existing = await readEntry(hre, name);
+    if (existing) {
+      throw new Error(`${name} was already created at ${existing.address}, rename the spec to create another pool`);
+    }
+    if (!yes && !await confirm(`Create ${name} from ${signer.address}?`)) {
+      console.log("Cancelled, nothing was sent");
+      return predicted;
+    }
+
+    // the factory pulls the shares and assets from the creator
+    await approve(hre, signer, settings.share, factory.target, shares, `${formatUnits(shares, decimals.share)} shares`);
+    await approve(hre, signer, settings.asset, factory.target, assets, `${formatUnits(assets, decimals.asset)} assets`);
+
+    const tx = await factory.createLiquidityBootstrapPool(settings, shares, assets, salt, ipfsData);
+    const receipt = await tx.wait();
+    const [created] = receipt.logs
+      .map(log => factory.interface.parseLog(log))
+      .filter(event => event && event.name === "PoolCreated");
+
+    if (created.args.pool !== predicted) {
+      throw new Error(`The pool was created at ${created.args.pool} instead of ${predicted}, factory settings changed?`);
+    }
+
+    const lbp = await hre.ethers.getContractAt("LiquidityBootstrapPool", created.args.pool);
+    await recordDeployment(hre, name, lbp, {
+      contractName: "LiquidityBootstrapPool",
+      args: [settings, shares, assets, salt, ipfsData],
+      deployTransaction: tx,
+      metadata: { ipfsData: created.args.ipfsData, salt },
+    });
+
+    console.log(`${name} created at ${created.args.pool}`);
+    return created.args.pool;
+  });
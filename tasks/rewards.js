@@ -0,0 +1,122 @@
+const { task } = require("hardhat/config");
+const { parseEther, parseUnits, formatEther } = require("ethers");
+const { loadSpec, toTimestamp } = require("../helpers/pool_spec");
+const { requireAddress } = require("../helpers/manifest");
+const { createStakingState, simulateRewards } = require("../helpers/staking_rewards");
+const { createConsoleNotifier } = require("../helpers/notifiers");
+const { formatAPY, readStakingState, createRewardMonitor } = require("../services/reward_monitor");
+
+/// @notice the reward accounting of the deployed SuprimeStaking, existing positions are only counted in the pool
+async function loadStakingState(hre) {
+  const { state, block } = await readStakingState(hre.ethers.provider, await requireAddress(hre, "SuprimeStaking"));
+  return { state, start: block };
+}
+
+/// @notice converts the whole SUPRIME amounts of the scenario to wei
+function convertEvents(events) {
+  return events.map((event, i) => {
+    if (event.day === undefined || !event.action) {
+      throw new Error(`events[${i}] must have a day and an action`);
+    }
+    return { ...event, amount: event.amount === undefined ? undefined : parseEther(String(event.amount)) };
+  });
+}
+
+task("simulate-rewards", "Projects SuprimeStaking rewards, APYs and the reward budget of a JSON/YAML scenario")
+  .addParam("scenario", "JSON or YAML scenario, see README")
+  .addFlag("live", "Start from the state of the deployed SuprimeStaking")
+  .setAction(async ({ scenario: file, live }, hre) => {
+    const scenario = loadSpec(file);
+
+    let state;
+    let start;
+    if (live) {
+      ({ state, start } = await loadStakingState(hre));
+    } else {
+      if (!scenario.blocksPerDay) {
+        throw new Error("The scenario must set blocksPerDay, or use --live");
+      }
+      state = createStakingState(scenario.blocksPerDay);
+      start = {
+        number: 1n,
+        timestamp: BigInt(scenario.start ? toTimestamp(scenario.start) : Math.floor(Date.now() / 1000)),
+      };
+    }
+
+    const { rows, positions, rejected, budget } = simulateRewards({
+      state,
+      start,
+      events: convertEvents(scenario.events || []),
+      days: scenario.days || 365,
+      sampleEvery: scenario.sampleEvery || 7,
+    });
+
+    const date = (timestamp) => new Date(Number(timestamp) * 1000).toISOString().slice(0, 10);
+    console.table(rows.map(row => ({
+      day: row.day,
+      date: date(row.timestamp),
+      totalPool: formatEther(row.totalPool),
+      rewardPerBlock: formatEther(row.rewardPerBlock),
+      rewards: row.rewardsActive ? "yes" : "no",
+      ...Object.fromEntries(Object.entries(row.apy).map(([lock, apy]) => [`APY ${lock}m`, formatAPY(apy)])),
+      ...Object.fromEntries(Object.entries(row.positions).map(([id, earned]) => [id, formatEther(earned)])),
+    })));
+
+    console.table(Object.fromEntries(Object.entries(positions).map(([id, position]) => [id, {
+      staked: formatEther(position.staked),
+      lock: position.lockingPeriod ? `${position.lockingPeriod}m` : "withdrawn",
+      pending: formatEther(position.pending),
+      paid: formatEther(position.paid),
+      APY: formatAPY(position.apy),
+    }])));
+
+    for (const { day, action, id, error } of rejected) {
+      console.log(`Day ${day}: ${action}${id ? ` of ${id}` : ""} rejected, ${error}`);
+    }
+
+    if (budget.endsOnDay === undefined) {
+      console.log("No rewards are set");
+    } else {
+      const endsAt = start.timestamp + BigInt(Math.round(budget.endsOnDay * 86400));
+      console.log(`Rewards run out at block ${budget.lastBlockWithReward}, day ${budget.endsOnDay.toFixed(1)} ` +
+        `(${date(endsAt)}), the APYs above are still shown by SuprimeStakingView after that`);
+    }
+    console.log(`${formatEther(budget.rewardTokensLocked)} SUPRIME locked for rewards, ` +
+      `${formatEther(budget.unallocated)} unallocated`);
+
+    return { rows, positions, rejected, budget };
+  });
+
+task("rewards-runway", "Days of SuprimeStaking rewards left and the next setRewards for a target default APY")
+  .addOptionalParam("threshold", "Days of rewards below which it warns", "30")
+  .addOptionalParam("targetApy", "SuprimeStakingView.getDefaultAPY to aim at in percent, the current one by default")
+  .addOptionalParam("days", "Duration of the proposed setRewards", "180")
+  .setAction(async ({ threshold, targetApy, days }, hre) => {
+    const monitor = createRewardMonitor({
+      provider: hre.ethers.provider,
+      staking: await requireAddress(hre, "SuprimeStaking"),
+      notifier: createConsoleNotifier("rewards"),
+      thresholdDays: Number(threshold),
+      targetAPY: targetApy !== undefined ? parseUnits(targetApy, 5) : undefined,
+      days: Number(days),
+    });
+    const report = await monitor.check();
+    const { runway, proposal } = report;
+
+    console.table({
+      "rewards per day": formatEther(runway.rewardsPerDay),
+      "last block with reward": runway.lastBlockWithReward.toString(),
+      "scheduled days": runway.scheduledDays.toFixed(1),
+      "funded days": runway.fundedDays.toFixed(1),
+      "owed to the stakers": formatEther(runway.owed),
+      "unallocated": formatEther(runway.unallocated),
+      "default APY": formatAPY(report.defaultAPY),
+    });
+    if (proposal.topUp !== 0n) {
+      console.log(`Send ${formatEther(proposal.topUp)} SUPRIME to the staking first`);
+    }
+    console.log(`setRewards(${proposal.amount}, ${proposal.days}): ${formatEther(proposal.amount)} SUPRIME, ` +
+      `${formatEther(proposal.rewardPerBlock)} per block until block ${proposal.lastBlockWithReward}, ` +
+      `default APY ${formatAPY(proposal.defaultAPY)}`);
+    return report;
+  });
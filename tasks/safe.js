@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { JsonRpcProvider } = require("ethers");
+const { loadSpec } = require("../helpers/pool_spec");
+const { requireAddress, requireConfig } = require("../helpers/manifest");
+const { isLocalNetwork } = require("../helpers/pipeline");
+const { resolveActions, buildBatchFile, simulateBatch } = require("../helpers/safe_batch");
+
+/// @notice the network of the batch, as the manifest helpers see it. Local networks are simulated in place and
+/// reverted to a snapshot, a remote network is forked at its latest block by the in-process Hardhat Network
+async function targetNetwork(hre, fork) {
+  if (!fork) {
+    if (!isLocalNetwork(hre)) {
+      throw new Error(`The batch is simulated on a fork of ${hre.network.name}, ` +
+        `run it with --network hardhat --fork ${hre.network.name}`);
+    }
+    return hre;
+  }
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`--fork runs on the in-process Hardhat Network, not on ${hre.network.name}`);
+  }
+  const config = hre.config.networks[fork];
+  if (!config || !config.url) {
+    throw new Error(`${fork} has no url to fork`);
+  }
+  await hre.network.provider.request({
+    method: "hardhat_reset",
+    params: [{ forking: { jsonRpcUrl: config.url } }],
+  });
+  // the manifest, the config and the chain id of the batch are the ones of the forked network
+  return {
+    config: hre.config,
+    network: { name: fork, config },
+    ethers: { provider: new JsonRpcProvider(config.url) },
+  };
+}
+
+task("safe-batch", "Builds a Safe Transaction Builder batch of admin actions from a JSON/YAML file, simulated from the Safe")
+  .addParam("actions", "JSON or YAML list of actions, see README")
+  .addOptionalParam("out", "Batch file to write, <actions file>.safe.json by default")
+  .addOptionalParam("fork", "Network whose latest block the batch is simulated on, with --network hardhat")
+  .addFlag("force", "Write the batch even if the simulation reverts")
+  .setAction(async ({ actions: file, out, fork, force }, hre) => {
+    const spec = loadSpec(file);
+    const actions = Array.isArray(spec) ? spec : spec.actions || [];
+    if (actions.length === 0) {
+      throw new Error(`${file} has no actions`);
+    }
+    const target = await targetNetwork(hre, fork);
+    try {
+      const safe = spec.safe || await requireConfig(target, "MAIN");
+      const { chainId } = await target.ethers.provider.getNetwork();
+
+      const transactions = await resolveActions(actions, {
+        provider: hre.ethers.provider,
+        addressOf: (name) => requireAddress(target, name),
+        loadAbi: async (name) => (await hre.artifacts.readArtifact(name)).abi,
+        names: spec.names,
+      });
+
+      console.log(`Simulating ${transactions.length} transactions from ${safe}`);
+      const { ok, results } = await simulateBatch(hre.ethers.provider, safe, transactions);
+      for (const [i, result] of results.entries()) {
+        console.log(`\n${i + 1}. ${result.action} on ${result.contract} ${result.to}: ${result.status}` +
+          (result.gasUsed !== undefined ? `, ${result.gasUsed} gas` : "") +
+          (result.error ? `, ${result.error}` : ""));
+        if (result.diff && result.diff.length > 0) {
+          console.table(result.diff.map(({ read, before, after, changed }) => ({
+            read,
+            before,
+            after,
+            changed: changed ? "yes" : "",
+          })));
+        }
+        for (const event of result.events || []) {
+          console.log(`   ${event}`);
+        }
+      }
+
+      if (!ok) {
+        const reverted = results.findIndex(result => result.status === "reverted");
+        console.log(`\nTransaction ${reverted + 1} reverts, MultiSend is atomic: the whole batch of ` +
+          `${results.length} transactions would revert`);
+        if (!force) {
+          throw new Error("The simulation reverted, the batch was not written (--force writes it anyway)");
+        }
+      }
+
+      const batch = buildBatchFile(transactions, {
+        chainId,
+        safe,
+        name: spec.name,
+        description: spec.description,
+      });
+      const output = out || path.join(path.dirname(file), `${path.basename(file, path.extname(file))}.safe.json`);
+      fs.writeFileSync(output, JSON.stringify(batch, null, 2) + "\n");
+      console.log(`\nWrote the batch of ${batch.transactions.length} transactions to ${output}, ` +
+        `import it in the Transaction Builder of ${safe}`);
+      return batch;
+    } finally {
+      // the provider of the forked network keeps the process alive until destroyed
+      if (target !== hre) {
+        target.ethers.provider.destroy();
+      }
+    }
+  });
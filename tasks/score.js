@@ -0,0 +1,136 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { readEntry, requireAddress } = require("../helpers/manifest");
+const { loadSpec } = require("../helpers/pool_spec");
+const { parseXpConfig, parseAwards, verifyScore } = require("../helpers/user_score");
+const { createEventStore } = require("../services/indexer");
+const { createXpLedger, createViewPower, createEventPower, createScoreService } = require("../services/user_score");
+
+/// files of the scores of the network, the env vars of scripts/user_score.js first
+async function scoreFiles(hre, { actions, ledger, dir }) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const root = path.join(hre.config.paths.root, "scores", `${hre.network.name}_${chainId}`);
+  return {
+    chainId,
+    actions: actions || process.env.SCORE_ACTIONS || path.join(hre.config.paths.root, "xp_actions.yaml"),
+    ledger: ledger || process.env.SCORE_LEDGER || path.join(root, "xp.json"),
+    dir: dir || process.env.SCORE_DIR || path.join(root, "snapshots"),
+  };
+}
+
+function loadXpConfig(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`No XP config at ${file}, start from xp_actions.example.yaml`);
+  }
+  return parseXpConfig(loadSpec(file));
+}
+
+task("xp-import", "Records the XP awards of off-chain actions from a CSV or JSON file")
+  .addParam("file", "CSV with an id,user,action,timestamp header or JSON array of {id, user, action, timestamp}")
+  .addOptionalParam("actions", "XP config, xp_actions.yaml by default")
+  .addOptionalParam("ledger", "XP ledger, scores/<network>_<chainId>/xp.json by default")
+  .setAction(async ({ file, actions, ledger }, hre) => {
+    const files = await scoreFiles(hre, { actions, ledger });
+    const format = path.extname(file).toLowerCase() === ".json" ? "json" : "csv";
+    const awards = parseAwards(fs.readFileSync(file, "utf8"), format);
+
+    const result = createXpLedger(files.ledger, loadXpConfig(files.actions)).awardAll(awards);
+    console.log(`${result.added.length} awards recorded into ${files.ledger}, ` +
+      `${result.skipped.length} already recorded, ${result.rejected.length} rejected`);
+    for (const { award, error } of result.rejected) {
+      console.log(`  ${award.id}: ${error}`);
+    }
+    return result;
+  });
+
+task("score-snapshot", "Publishes the leaderboard of the user scores with its Merkle root if a score changed")
+  .addOptionalParam("source", "Staking power from the SuprimeStakingView getScore (view) or the indexer (events)",
+    "view")
+  .addOptionalParam("db", "Database of scripts/indexer.js for --source events, indexer/<network>_<chainId>.json " +
+    "by default")
+  .addOptionalParam("actions", "XP config, xp_actions.yaml by default")
+  .addOptionalParam("ledger", "XP ledger, scores/<network>_<chainId>/xp.json by default")
+  .addOptionalParam("dir", "Directory of the snapshots, scores/<network>_<chainId>/snapshots by default")
+  .setAction(async ({ source, db, actions, ledger, dir }, hre) => {
+    const { provider } = hre.ethers;
+    const files = await scoreFiles(hre, { actions, ledger, dir });
+    const config = loadXpConfig(files.actions);
+
+    let power;
+    let blockTag;
+    if (source === "view") {
+      const entry = await readEntry(hre, "SuprimeStaking");
+      power = createViewPower({
+        provider,
+        stakingView: await requireAddress(hre, "SuprimeStakingView"),
+        fromBlock: (entry && entry.blockNumber) || 0,
+      });
+    } else if (source === "events") {
+      const file = db || process.env.INDEXER_DB ||
+        path.join(hre.config.paths.root, "indexer", `${hre.network.name}_${files.chainId}.json`);
+      if (!fs.existsSync(file)) {
+        throw new Error(`No indexer database at ${file}, the staking events come from scripts/indexer.js`);
+      }
+      const store = createEventStore(file);
+      if (store.chainId !== files.chainId.toString()) {
+        throw new Error(`${file} indexes chain ${store.chainId}, the network is chain ${files.chainId}`);
+      }
+      power = createEventPower({ store });
+      // the scores as of the last indexed block
+      blockTag = store.lastBlock;
+    } else {
+      throw new Error(`Unknown source ${source}, expected view or events`);
+    }
+
+    const service = createScoreService({
+      provider,
+      ledger: createXpLedger(files.ledger, config),
+      power,
+      xpWeight: config.xpWeight,
+      dir: files.dir,
+    });
+    const published = await service.snapshot({ blockTag });
+    if (!published) {
+      const latest = service.latest();
+      console.log(latest
+        ? `No score changed since snapshot ${latest.id} at block ${latest.block}, root ${latest.root}`
+        : "No user has a score yet");
+      return undefined;
+    }
+    console.table(published.leaderboard.slice(0, 20).map(entry => ({
+      rank: entry.rank,
+      user: entry.user,
+      score: entry.score.toString(),
+      stakingPower: entry.stakingPower.toString(),
+      xp: entry.xp.toString(),
+    })));
+    console.log(`Snapshot ${published.id} of ${published.leaderboard.length} users at block ${published.block} ` +
+      `written to ${files.dir}, root ${published.root}`);
+    return published;
+  });
+
+task("score-proof", "Score of a user in the last snapshot with its Merkle proof")
+  .addParam("user", "Address of the user")
+  .addOptionalParam("dir", "Directory of the snapshots, scores/<network>_<chainId>/snapshots by default")
+  .setAction(async ({ user, dir }, hre) => {
+    const files = await scoreFiles(hre, { dir });
+    const latestFile = path.join(files.dir, "latest.json");
+    if (!fs.existsSync(latestFile)) {
+      throw new Error(`No snapshot in ${files.dir}, publish one with score-snapshot`);
+    }
+    const snapshot = JSON.parse(fs.readFileSync(latestFile, "utf8"));
+    const entry = snapshot.leaderboard.find(({ user: address }) => address.toLowerCase() === user.toLowerCase());
+    if (!entry) {
+      throw new Error(`${user} has no score in snapshot ${snapshot.id}`);
+    }
+    const proof = snapshot.proofs[entry.user];
+    if (!verifyScore(snapshot.root, proof, entry.user, entry.score)) {
+      throw new Error(`The proof of ${entry.user} doesn't verify against the root of snapshot ${snapshot.id}`);
+    }
+    console.log(`Snapshot ${snapshot.id} at block ${snapshot.block}, root ${snapshot.root}`);
+    console.log(`${entry.user}: rank ${entry.rank}, score ${entry.score} ` +
+      `(staking power ${entry.stakingPower}, ${entry.xp} XP)`);
+    console.log(JSON.stringify(proof));
+    return { root: snapshot.root, ...entry, proof };
+  });
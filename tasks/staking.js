@@ -0,0 +1,30 @@
+const { task } = require("hardhat/config");
+const path = require("path");
+const { readEntry, requireAddress } = require("../helpers/manifest");
+const { createMetadataGenerator } = require("../services/staking_metadata");
+
+task("staking-metadata", "Writes the ERC1155 metadata and SVG cards of the SuprimeStaking NFTs into a directory")
+  .addOptionalParam("out", "Directory to upload, metadata/<network>_<chainId> by default")
+  .addOptionalParam("imageBaseUri", "Base URI of the directory once uploaded, the images are data URIs otherwise")
+  .addFlag("refresh", "Writes every NFT again with the rewards earned until now, not only the changed ones")
+  .setAction(async ({ out, imageBaseUri, refresh }, hre) => {
+    const staking = await requireAddress(hre, "SuprimeStaking");
+    const entry = await readEntry(hre, "SuprimeStaking");
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const dir = path.resolve(out || path.join(hre.config.paths.root, "metadata", `${hre.network.name}_${chainId}`));
+
+    const generator = createMetadataGenerator({
+      provider: hre.ethers.provider,
+      staking,
+      dir,
+      fromBlock: entry.blockNumber || 0,
+      imageBaseURI: imageBaseUri,
+    });
+    const { lastBlock, updated } = await generator.sync();
+    const written = refresh ? await generator.refresh() : updated;
+
+    console.log(`${written.length} NFTs written to ${dir}, synced up to block ${lastBlock}`);
+    console.log("Upload the directory and set its URI, with a trailing slash, through setBaseURI " +
+      "(the setBaseURI action of safe-batch when the staking is owned by a Safe)");
+    return written;
+  });
@@ -0,0 +1,101 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { parseUnits, formatUnits } = require("ethers");
+const { loadSpec } = require("../helpers/pool_spec");
+const { readEntry, requireAddress } = require("../helpers/manifest");
+const { createEventStore } = require("../services/indexer");
+const {
+  planSplit,
+  previewDistribution,
+  formatPercentage,
+  fetchTreasuryEvents,
+  buildIncomeReport,
+  toCsv,
+  toJSON,
+} = require("../helpers/treasury");
+
+task("treasury-split", "Builds the exact Treasury.updateRecipients arguments of a split like \"60% ops, 40% buyback\"")
+  .addParam("split", "Comma separated \"<percent>% <recipient>\" or \"<numerator>/<denominator> <recipient>\"")
+  .addOptionalParam("names", "JSON or YAML file of recipient name => address")
+  .addOptionalParam("amount", "Previews the distributeFee payouts of this fee amount, in whole tokens")
+  .addOptionalParam("decimals", "Decimals of the fee token of --amount", "18")
+  .setAction(async ({ split, names: namesFile, amount, decimals }) => {
+    const names = namesFile ? loadSpec(namesFile) : {};
+    const plan = planSplit(split, names);
+
+    console.table(plan.parts.map(({ name, address, percentage }) => ({
+      name,
+      address,
+      percentage: formatPercentage(percentage),
+      wad: percentage.toString(),
+    })));
+    if (plan.dust.amount !== 0n) {
+      console.log(`${plan.dust.amount} wei of rounding dust added to ${plan.dust.recipient}`);
+    }
+
+    console.log(`recipients: ${JSON.stringify(plan.recipients)}`);
+    console.log(`percentages: ${JSON.stringify(plan.percentages.map(String))}`);
+    console.log(`updateRecipients calldata: ${plan.calldata}`);
+
+    if (amount !== undefined) {
+      const fee = parseUnits(amount, Number(decimals));
+      const { payouts, dust } = previewDistribution(plan.recipients, plan.percentages, fee);
+      console.table(payouts.map(payout => ({
+        recipient: payout.recipient,
+        amount: formatUnits(payout.amount, Number(decimals)),
+      })));
+      console.log(`distributeFee leaves ${formatUnits(dust, Number(decimals))} in the Treasury`);
+    }
+    return plan;
+  });
+
+task("treasury-report", "Income of the Treasury fee recipients from the pool closes, reconciled with the transfers")
+  .addOptionalParam("db", "Database of scripts/indexer.js, indexer/<network>_<chainId>.json by default")
+  .addOptionalParam("format", "csv or json", "csv")
+  .addOptionalParam("out", "Writes the report to this file instead of the console")
+  .setAction(async ({ db, format, out }, hre) => {
+    if (!["csv", "json"].includes(format)) {
+      throw new Error(`Unknown format ${format}, expected csv or json`);
+    }
+    const { provider } = hre.ethers;
+    const { chainId } = await provider.getNetwork();
+    const file = db || process.env.INDEXER_DB ||
+      path.join(hre.config.paths.root, "indexer", `${hre.network.name}_${chainId}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No indexer database at ${file}, the pool closes come from scripts/indexer.js`);
+    }
+    const store = createEventStore(file);
+    if (store.chainId !== chainId.toString()) {
+      throw new Error(`${file} indexes chain ${store.chainId}, the network is chain ${chainId}`);
+    }
+
+    const treasury = await requireAddress(hre, "Treasury");
+    const entry = await readEntry(hre, "Treasury");
+    // the pools are replayed up to the last indexed block, so are the recipients
+    const treasuryEvents = await fetchTreasuryEvents(provider, treasury, entry.blockNumber || 0, store.lastBlock);
+    const report = await buildIncomeReport({
+      provider,
+      store,
+      treasury,
+      treasuryEvents,
+      initialRecipient: entry.args[0],
+    });
+
+    const output = format === "csv" ? toCsv(report.rows) : toJSON(report);
+    if (out) {
+      fs.writeFileSync(out, output);
+      console.log(`Wrote ${report.rows.length} rows up to block ${store.lastBlock} to ${out}`);
+    } else {
+      console.log(output);
+    }
+
+    for (const row of report.rows.filter(row => row.difference !== 0n)) {
+      console.log(`Not reconciled: ${row.recipient} received ${row.actual} of ${row.token} in ` +
+        `${row.transactionHash}, ${row.expected} expected`);
+    }
+    if (report.reconciled) {
+      console.log("Every recipient received the expected income");
+    }
+    return report;
+  });
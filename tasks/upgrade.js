@@ -0,0 +1,302 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+  getDeploymentsDir,
+  readEntry,
+  writeEntry,
+  requireAddress,
+} = require("../helpers/manifest");
+
+const UPGRADEABLE = ["SuprimeStaking", "SuprimeStakingView"];
+
+const PROXY_ADMIN_ABI = [
+  "function owner() view returns (address)",
+  "function upgradeAndCall(address proxy, address implementation, bytes data) payable",
+];
+
+const PROXY_ABI = ["event Upgraded(address indexed implementation)"];
+
+// max blocks of a single eth_getLogs
+const BATCH_SIZE = 2000;
+
+// read the same at any block, whatever the stakers do
+const CONSTANTS = {
+  SuprimeStaking: ["suprimeToken", "blocksPerDay"],
+  SuprimeStakingView: ["suprimeStaking"],
+};
+// moved by any stake, withdraw or setRewards, only compared when nothing else touched the staking in that block
+const TOTALS = {
+  SuprimeStaking: ["totalPool", "totalPoolWithPower", "rewardPerBlock"],
+  SuprimeStakingView: ["getDefaultAPY"],
+};
+// the values of a position: compared as is, compared when the totals are, only checked to not go down since the
+// rewards keep growing every block
+const POSITION_FIELDS = {
+  SuprimeStaking: {
+    exact: ["staked", "startTime", "endTime", "rewardPerTokenPaid", "staker", "lockingPeriod", "stakingMultiplier"],
+    pool: [],
+    growing: ["rewards"],
+  },
+  SuprimeStakingView: {
+    exact: ["getScore"],
+    pool: ["getPositionAPY"],
+    growing: [],
+  },
+};
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/// @notice picks the most recent staking indexes, they are token ids chosen by the stakers
+/// @dev the Staked events are fetched backwards from the head, BATCH_SIZE blocks at a time
+async function sampleIndexes(hre, staking, sampleSize, toBlock) {
+  const entry = await readEntry(hre, "SuprimeStaking");
+  const fromBlock = entry.blockNumber || 0;
+  const indexes = new Set();
+
+  for (let to = toBlock; to >= fromBlock && indexes.size < sampleSize; to -= BATCH_SIZE) {
+    const from = Math.max(to - BATCH_SIZE + 1, fromBlock);
+    const events = await staking.queryFilter(staking.filters.Staked(), from, to);
+    for (const event of events.reverse()) {
+      indexes.add(event.args.stakingIndex.toString());
+    }
+  }
+  return [...indexes].slice(0, sampleSize);
+}
+
+/// @notice reads the state of SuprimeStaking or SuprimeStakingView the upgrade must not change
+/// @param name contract being upgraded
+/// @param indexes staking indexes to compare, sampled from the Staked events if not given
+/// @param blockTag block the state is read at, the latest one by default
+async function takeSnapshot(hre, name, sampleSize, indexes, blockTag) {
+  checkContractName(name);
+  const staking = await hre.ethers.getContractAt("SuprimeStaking", await requireAddress(hre, "SuprimeStaking"));
+  const contract = name === "SuprimeStaking"
+    ? staking
+    : await hre.ethers.getContractAt(name, await requireAddress(hre, name));
+  const block = blockTag ?? await hre.ethers.provider.getBlockNumber();
+  indexes = indexes || await sampleIndexes(hre, staking, sampleSize, block);
+  const read = async (target, method, ...args) => (await target[method](...args, { blockTag: block })).toString();
+
+  const snapshot = { contract: name, block, constants: {}, totals: {}, positions: [] };
+  for (const key of CONSTANTS[name]) {
+    snapshot.constants[key] = await read(contract, key);
+  }
+  for (const key of TOTALS[name]) {
+    snapshot.totals[key] = await read(contract, key);
+  }
+
+  for (const index of indexes) {
+    const info = await staking.getStakingInfoByIndex(index, { blockTag: block });
+    const position = { index, staker: info.staker };
+    if (name === "SuprimeStaking") {
+      for (const field of [...POSITION_FIELDS.SuprimeStaking.exact, "rewards"]) {
+        position[field] = info[field].toString();
+      }
+    } else {
+      position.getScore = await read(contract, "getScore", info.staker);
+      // the APY divides by the staked amount, a withdrawn position has none
+      if (info.staked > 0n) {
+        position.getPositionAPY = await read(contract, "getPositionAPY", index);
+      }
+    }
+    snapshot.positions.push(position);
+  }
+  return snapshot;
+}
+
+/// @notice finds what else touched the staking in a block, the stakes, withdrawals and claims emit the index and
+/// the user of their position, setRewards only shows up as a transaction to the staking
+/// @param exceptTx hash of the upgrade transaction, its own events are not activity
+async function findActivity(hre, blockNumber, exceptTx) {
+  const staking = await hre.ethers.getContractAt("SuprimeStaking", await requireAddress(hre, "SuprimeStaking"));
+  const activity = { transactions: new Set(), indexes: new Set(), users: new Set() };
+
+  const block = await hre.ethers.provider.getBlock(blockNumber, true);
+  for (const tx of block.prefetchedTransactions) {
+    if (tx.hash !== exceptTx && tx.to && sameAddress(tx.to, staking.target)) {
+      activity.transactions.add(tx.hash);
+    }
+  }
+  for (const log of await staking.queryFilter("*", blockNumber, blockNumber)) {
+    if (log.transactionHash === exceptTx) {
+      continue;
+    }
+    activity.transactions.add(log.transactionHash);
+    if (log.args && log.args.stakingIndex !== undefined) {
+      activity.indexes.add(log.args.stakingIndex.toString());
+      activity.users.add(log.args.user.toLowerCase());
+    }
+  }
+  return activity;
+}
+
+/// @notice compares two snapshots, returns the list of differences
+/// @param activity what else touched the staking between the two, its totals and positions are not compared
+function compareSnapshots(before, after, activity) {
+  const quiet = !activity || activity.transactions.size === 0;
+  const fields = POSITION_FIELDS[before.contract];
+  const diffs = [];
+
+  for (const key of Object.keys(before.constants)) {
+    if (before.constants[key] !== after.constants[key]) {
+      diffs.push(`${key}: ${before.constants[key]} -> ${after.constants[key]}`);
+    }
+  }
+  if (quiet) {
+    for (const key of Object.keys(before.totals)) {
+      if (before.totals[key] !== after.totals[key]) {
+        diffs.push(`${key}: ${before.totals[key]} -> ${after.totals[key]}`);
+      }
+    }
+  }
+
+  before.positions.forEach((position, i) => {
+    const current = after.positions[i];
+    if (activity && (activity.indexes.has(position.index) || activity.users.has(position.staker.toLowerCase()))) {
+      return;
+    }
+    for (const field of [...fields.exact, ...(quiet ? fields.pool : [])]) {
+      if (position[field] !== current[field]) {
+        diffs.push(`position ${position.index} ${field}: ${position[field]} -> ${current[field]}`);
+      }
+    }
+    for (const field of fields.growing) {
+      if (BigInt(current[field]) < BigInt(position[field])) {
+        diffs.push(`position ${position.index} ${field} decreased: ${position[field]} -> ${current[field]}`);
+      }
+    }
+  });
+  return diffs;
+}
+
+function assertSmokeCheck(before, after, activity) {
+  const diffs = compareSnapshots(before, after, activity);
+  if (diffs.length > 0) {
+    throw new Error(`Post-upgrade smoke check failed:\n  ${diffs.join("\n  ")}`);
+  }
+  if (activity.transactions.size > 0) {
+    console.log(`${activity.transactions.size} other staking transactions share the upgrade block, ` +
+      "the totals and the positions they touched were not compared");
+  }
+  console.log(`Smoke check passed, state at block ${after.block} matches block ${before.block}`);
+}
+
+/// @notice compares the state right before the block of the upgrade with the state at its end, so stakes and
+/// claims made between the proposal and its execution don't fail the check, nor those sharing its block
+/// @dev reading older blocks needs an archive node once the upgrade is more than 128 blocks old
+async function smokeCheckUpgrade(hre, name, indexes, receipt) {
+  assertSmokeCheck(
+    await takeSnapshot(hre, name, 0, indexes, receipt.blockNumber - 1),
+    await takeSnapshot(hre, name, 0, indexes, receipt.blockNumber),
+    await findActivity(hre, receipt.blockNumber, receipt.hash),
+  );
+}
+
+async function recordImplementation(hre, name, implementation) {
+  const entry = await readEntry(hre, name);
+  const { abi } = await hre.artifacts.readArtifact(name);
+  entry.proxy.implementation = implementation;
+  entry.abi = abi;
+  await writeEntry(hre, name, entry);
+}
+
+function checkContractName(name) {
+  if (!UPGRADEABLE.includes(name)) {
+    throw new Error(`${name} is not upgradeable, expected one of: ${UPGRADEABLE.join(", ")}`);
+  }
+}
+
+task("upgrade-staking", "Validates and deploys a new SuprimeStaking or SuprimeStakingView implementation")
+  .addParam("contract", "SuprimeStaking or SuprimeStakingView")
+  .addFlag("propose", "Don't upgrade, write the ProxyAdmin upgradeAndCall payload for the multisig owner instead")
+  .addOptionalParam("sample", "Number of staking positions compared by the smoke check", 5, types.int)
+  .setAction(async ({ contract: name, propose, sample }, hre) => {
+    checkContractName(name);
+    const [signer] = await hre.ethers.getSigners();
+    const proxy = await requireAddress(hre, name);
+    const factory = await hre.ethers.getContractFactory(name, signer);
+
+    // storage layout gating against the layout recorded in .openzeppelin/<network>.json
+    await hre.upgrades.validateUpgrade(proxy, factory, { kind: "transparent" });
+    console.log(`${name} storage layout is compatible with the deployed implementation`);
+
+    const before = await takeSnapshot(hre, name, sample);
+
+    const implementation = await hre.upgrades.prepareUpgrade(proxy, factory, { kind: "transparent" });
+    console.log(`New ${name} implementation is at ${implementation}`);
+
+    const adminAddress = await hre.upgrades.erc1967.getAdminAddress(proxy);
+    const admin = await hre.ethers.getContractAt(PROXY_ADMIN_ABI, adminAddress);
+
+    if (propose) {
+      const proposal = {
+        contract: name,
+        proxy,
+        implementation,
+        transaction: {
+          to: adminAddress,
+          value: "0",
+          data: admin.interface.encodeFunctionData("upgradeAndCall", [proxy, implementation, "0x"]),
+        },
+        owner: await admin.owner(),
+        snapshot: before,
+      };
+
+      const dir = path.join(await getDeploymentsDir(hre), "upgrades");
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${name}-${before.block}.json`);
+      fs.writeFileSync(file, JSON.stringify(proposal, null, 2) + "\n");
+
+      console.log(`Upgrade payload for ${proposal.owner} written to ${file}`);
+      console.log("Once executed, run: npx hardhat upgrade-staking-check " +
+        `--network ${hre.network.name} --proposal ${file} --tx <execution tx hash>`);
+      return;
+    }
+
+    const owner = await admin.owner();
+    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+      throw new Error(`ProxyAdmin ${adminAddress} is owned by ${owner}, ` +
+        "use --propose to upgrade through the multisig");
+    }
+
+    const receipt = await (await admin.connect(signer).upgradeAndCall(proxy, implementation, "0x")).wait();
+    console.log(`${name} at ${proxy} was upgraded to ${implementation}`);
+
+    await smokeCheckUpgrade(hre, name, before.positions.map(position => position.index), receipt);
+    await recordImplementation(hre, name, implementation);
+  });
+
+task("upgrade-staking-check", "Runs the post-upgrade smoke check of an upgrade executed by the multisig")
+  .addParam("proposal", "Path to the payload written by upgrade-staking --propose")
+  .addParam("tx", "Hash of the transaction that executed the upgrade")
+  .setAction(async ({ proposal: file, tx }, hre) => {
+    const proposal = JSON.parse(fs.readFileSync(file, "utf8"));
+
+    const current = await hre.upgrades.erc1967.getImplementationAddress(proposal.proxy);
+    if (current.toLowerCase() !== proposal.implementation.toLowerCase()) {
+      throw new Error(`${proposal.contract} still points to ${current}, the upgrade was not executed yet`);
+    }
+
+    const receipt = await hre.ethers.provider.getTransactionReceipt(tx);
+    if (!receipt) {
+      throw new Error(`Transaction ${tx} is not mined`);
+    }
+    const proxyInterface = new hre.ethers.Interface(PROXY_ABI);
+    const upgraded = receipt.logs.some(log => log.address.toLowerCase() === proposal.proxy.toLowerCase() &&
+      log.topics[0] === proxyInterface.getEvent("Upgraded").topicHash &&
+      proxyInterface.parseLog(log).args.implementation.toLowerCase() === proposal.implementation.toLowerCase());
+    if (!upgraded) {
+      throw new Error(`Transaction ${tx} didn't upgrade ${proposal.contract} to ${proposal.implementation}`);
+    }
+
+    // the positions sampled when the upgrade was proposed
+    await smokeCheckUpgrade(hre, proposal.contract, proposal.snapshot.positions.map(position => position.index),
+      receipt);
+    await recordImplementation(hre, proposal.contract, proposal.implementation);
+  });
+
+module.exports = {
+  takeSnapshot,
+  compareSnapshots,
+};
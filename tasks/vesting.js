@@ -0,0 +1,77 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { createEventStore } = require("../services/indexer");
+const {
+  vestingAt,
+  fetchVestingStreams,
+  buildWithdraw,
+  scheduleRows,
+  toCsv,
+  toJSON,
+} = require("../helpers/vesting");
+
+task("vesting-streams", "Sablier streams of the shares redeemed from the pools with their unlock schedules")
+  .addOptionalParam("user", "Only the streams of this buyer")
+  .addOptionalParam("pool", "Only the streams of this pool")
+  .addOptionalParam("db", "Database of scripts/indexer.js, indexer/<network>_<chainId>.json by default")
+  .addOptionalParam("step", "Days between two points of the schedules after the cliff", "30")
+  .addOptionalParam("format", "csv or json", "csv")
+  .addOptionalParam("out", "Writes the schedules to this file instead of the console")
+  .addFlag("withdraw", "Prints the Sablier calls withdrawing everything unlocked from each stream")
+  .setAction(async ({ user, pool, db, step, format, out, withdraw }, hre) => {
+    if (!["csv", "json"].includes(format)) {
+      throw new Error(`Unknown format ${format}, expected csv or json`);
+    }
+    const { provider } = hre.ethers;
+    const { chainId } = await provider.getNetwork();
+    const file = db || process.env.INDEXER_DB ||
+      path.join(hre.config.paths.root, "indexer", `${hre.network.name}_${chainId}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No indexer database at ${file}, the redemptions come from scripts/indexer.js`);
+    }
+    const store = createEventStore(file);
+    if (store.chainId !== chainId.toString()) {
+      throw new Error(`${file} indexes chain ${store.chainId}, the network is chain ${chainId}`);
+    }
+
+    const streams = await fetchVestingStreams({ provider, store, user, pool });
+    if (streams.length === 0) {
+      console.log(`No vesting stream redeemed up to block ${store.lastBlock}`);
+      return streams;
+    }
+    const { timestamp } = await provider.getBlock("latest");
+    const options = { step: Number(step) * 86400, timestamp };
+
+    console.table(streams.map(stream => {
+      const { unlocked, withdrawable } = vestingAt(stream, timestamp);
+      return {
+        pool: stream.pool,
+        stream: stream.streamId.toString(),
+        recipient: stream.recipient,
+        deposited: stream.depositAmount.toString(),
+        unlocked: unlocked.toString(),
+        withdrawn: stream.withdrawnAmount.toString(),
+        withdrawable: withdrawable.toString(),
+        cliff: new Date(stream.cliffTime * 1000).toISOString(),
+        end: new Date(stream.endTime * 1000).toISOString(),
+      };
+    }));
+
+    const output = format === "csv" ? toCsv(scheduleRows(streams, options)) : toJSON(streams, options);
+    if (out) {
+      fs.writeFileSync(out, output);
+      console.log(`Wrote the schedules of ${streams.length} streams to ${out}`);
+    } else {
+      console.log(output);
+    }
+
+    if (withdraw) {
+      for (const stream of streams.filter(stream => vestingAt(stream, timestamp).withdrawable > 0n)) {
+        const call = buildWithdraw(stream, { timestamp });
+        console.log(`Stream ${stream.streamId}: ${stream.recipient} withdraws at least ${call.amount} with`);
+        console.log(JSON.stringify({ to: call.to, value: call.value, data: call.data }));
+      }
+    }
+    return streams;
+  });
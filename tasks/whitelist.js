@@ -0,0 +1,24 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { parseAllowlist, buildWhitelist } = require("../helpers/merkle");
+
+task("whitelist", "Builds the whitelistMerkleRoot of a sale and the proof of every whitelisted address")
+  .addParam("input", "CSV or JSON allowlist")
+  .addOptionalParam("out", "Proof file served to the frontend, defaults to <input>.proofs.json")
+  .setAction(async ({ input, out }) => {
+    const format = path.extname(input).toLowerCase() === ".json" ? "json" : "csv";
+    const { addresses, duplicates } = parseAllowlist(fs.readFileSync(input, "utf8"), format);
+    if (duplicates.length > 0) {
+      console.log(`Removed ${duplicates.length} duplicated addresses: ${duplicates.join(", ")}`);
+    }
+
+    const { root, proofs } = buildWhitelist(addresses);
+
+    const file = out || input.replace(/\.[^./]+$/, "") + ".proofs.json";
+    fs.writeFileSync(file, JSON.stringify({ root, count: addresses.length, proofs }, null, 2) + "\n");
+
+    console.log(`${addresses.length} addresses whitelisted, proofs written to ${file}`);
+    console.log(`whitelistMerkleRoot: ${root}`);
+    return root;
+  });
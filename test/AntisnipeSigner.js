@@ -0,0 +1,198 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { toWei } = require('../helpers/utils')
+const { ethers } = require('hardhat');
+const { signBuyExactShares } = require('../helpers/antisnipe');
+const { createSignerService } = require('../services/antisnipe_signer');
+
+describe("Anti-snipe signer", function () {
+
+  const DEADLINE_WINDOW = 120;
+  const RATE_LIMIT = 5;
+
+  let owner;
+  let delegateSigner;
+  let buyer;
+  let other;
+  let server;
+  let url;
+  let logFile;
+
+  before("Setup", async () => {
+    [owner, delegateSigner, buyer, other] = await ethers.getSigners();
+
+    logFile = path.join(os.tmpdir(), `antisnipe-${Date.now()}.log`);
+    server = createSignerService({
+      signer: delegateSigner,
+      maxShares: "1000",
+      rateLimit: RATE_LIMIT,
+      rateWindow: 60,
+      deadlineWindow: DEADLINE_WINDOW,
+      logFile,
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `http://127.0.0.1:${server.address().port}/sign`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(logFile, { force: true });
+  });
+
+  async function deployPool() {
+    return createPool(await ethers.deployContract("SuprimeTokenMock"), toWei("100000"));
+  }
+
+  async function deploySixDecimalsPool() {
+    const shareToken = await ethers.deployContract("ERC20DecimalsMock", ["Share6", "S6", 6]);
+    await shareToken.mintArbitrary(owner.address, 100000n * 10n ** 6n);
+    return createPool(shareToken, 100000n * 10n ** 6n);
+  }
+
+  async function createPool(shareToken, sharesForSale) {
+    const assetToken = await ethers.deployContract("SuprimeTokenMock");
+    // the Sablier stream is only created on redemption
+    const fjordMath = await ethers.deployContract("FjordMath");
+    const factory = await ethers.deployContract("FixedPricePoolFactory",
+      [owner.address, delegateSigner.address, owner.address],
+      { libraries: { FjordMath: await fjordMath.getAddress() } });
+
+    const saleStart = (await time.latest()) + 100;
+    const params = {
+      owner: owner.address,
+      shareToken: await shareToken.getAddress(),
+      assetToken: await assetToken.getAddress(),
+      sharesForSale,
+      minimumTokensForSale: 0,
+      maximumTokensPerUser: 0,
+      minimumTokensPerUser: 0,
+      swapFeeWAD: 0,
+      platformFeeWAD: 0,
+      saleStart,
+      saleEnd: saleStart + 60 * 60 * 24,
+      redemptionDelay: 0,
+      vestEnd: 0,
+      vestCliff: 0,
+      antiSnipeEnabled: 1,
+      whitelistMerkleRoot: ethers.ZeroHash,
+    };
+
+    await shareToken.approve(factory.getAddress(), params.sharesForSale);
+    const receipt = await (await factory.createFixedPricePool(params, toWei("1"), [], "")).wait();
+    const [created] = receipt.logs
+      .map(log => factory.interface.parseLog(log))
+      .filter(event => event && event.name === "PoolCreated");
+    const pool = await ethers.getContractAt("FixedPricePool", created.args.poolAddress);
+
+    await assetToken.mintArbitrary(buyer, toWei("100000"));
+    await assetToken.connect(buyer).approve(pool.getAddress(), toWei("100000"));
+    await time.increaseTo(saleStart);
+
+    return pool;
+  }
+
+  async function requestSignature(pool, recipient, sharesOut) {
+    const res = await fetch(url, {
+      method: "POST",
+      body: JSON.stringify({ pool: await pool.getAddress(), recipient: recipient.address, sharesOut }),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  const buy = (pool, sharesOut, { deadline, signature }) =>
+    pool.connect(buyer).buyExactShares(sharesOut, buyer, deadline, signature, []);
+
+  it("should issue a signature accepted by the pool and log it", async () => {
+    const pool = await loadFixture(deployPool);
+
+    const { status, body } = await requestSignature(pool, buyer, toWei("10"));
+    expect(status).to.equal(200);
+    expect(body.nonce).to.equal("1");
+    expect(Number(body.deadline)).to.equal((await time.latest()) + DEADLINE_WINDOW);
+
+    await expect(buy(pool, toWei("10"), body)).to.emit(pool, "BuyFixedShares");
+    expect(await pool.nonces(buyer)).to.equal(1);
+
+    const logged = fs.readFileSync(logFile, "utf8").trim().split("\n").map(JSON.parse);
+    expect(logged[logged.length - 1]).to.include({
+      pool: await pool.getAddress(),
+      recipient: buyer.address,
+      sharesOut: toWei("10"),
+      signature: body.signature,
+    });
+  });
+
+  it("should revert with StaleSignature after the deadline", async () => {
+    const pool = await loadFixture(deployPool);
+    const { body } = await requestSignature(pool, buyer, toWei("10"));
+
+    await time.increase(DEADLINE_WINDOW + 1);
+
+    await expect(buy(pool, toWei("10"), body)).to.be.revertedWithCustomError(pool, "StaleSignature");
+  });
+
+  it("should revert with InvalidSignature for a replayed signature", async () => {
+    const pool = await loadFixture(deployPool);
+    const { body } = await requestSignature(pool, buyer, toWei("10"));
+
+    await buy(pool, toWei("10"), body);
+
+    await expect(buy(pool, toWei("10"), body)).to.be.revertedWithCustomError(pool, "InvalidSignature");
+  });
+
+  it("should revert with InvalidSignature for another amount or signer", async () => {
+    const pool = await loadFixture(deployPool);
+    const { body } = await requestSignature(pool, buyer, toWei("10"));
+
+    await expect(buy(pool, toWei("20"), body)).to.be.revertedWithCustomError(pool, "InvalidSignature");
+
+    const forged = await signBuyExactShares(other, await pool.getAddress(), {
+      sharesOut: toWei("10"),
+      recipient: buyer.address,
+      deadline: body.deadline,
+    });
+    await expect(buy(pool, toWei("10"), forged)).to.be.revertedWithCustomError(pool, "InvalidSignature");
+  });
+
+  it("should refuse amounts above the limit and invalid requests", async () => {
+    const pool = await loadFixture(deployPool);
+
+    const { status, body } = await requestSignature(pool, other, toWei("1001"));
+    expect(status).to.equal(400);
+    expect(body.error).to.contain("above the limit");
+
+    const res = await fetch(url, { method: "POST", body: JSON.stringify({ pool: "0x1234", recipient: other.address, sharesOut: "1" }) });
+    expect(res.status).to.equal(400);
+  });
+
+  it("should scale the limit to the share decimals of the pool", async () => {
+    const pool = await loadFixture(deploySixDecimalsPool);
+    const recipient = ethers.Wallet.createRandom();
+
+    expect((await requestSignature(pool, recipient, (1000n * 10n ** 6n).toString())).status).to.equal(200);
+    const { status, body } = await requestSignature(pool, recipient, (1001n * 10n ** 6n).toString());
+    expect(status).to.equal(400);
+    expect(body.error).to.equal(`sharesOut is above the limit of 1000 shares (${1000n * 10n ** 6n})`);
+  });
+
+  it("should rate limit signatures per recipient", async () => {
+    const pool = await loadFixture(deployPool);
+    const recipient = ethers.Wallet.createRandom();
+
+    for (let i = 0; i < RATE_LIMIT; i++) {
+      expect((await requestSignature(pool, recipient, toWei("1"))).status).to.equal(200);
+    }
+    const { status, body } = await requestSignature(pool, recipient, toWei("1"));
+    expect(status).to.equal(429);
+    expect(body.error).to.contain("rate limit");
+
+    // limits are per recipient
+    expect((await requestSignature(pool, ethers.Wallet.createRandom(), toWei("1"))).status).to.equal(200);
+  });
+});
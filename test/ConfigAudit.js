@@ -0,0 +1,139 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers, upgrades, artifacts } = require('hardhat');
+const { DEFAULTS } = require('../helpers/networks');
+const { WAD, planSplit } = require('../helpers/treasury');
+const { auditDeployment, formatReport } = require('../helpers/audit');
+
+describe("Configuration drift audit", function () {
+
+  const BLOCKS_PER_DAY = 7200;
+  const BASE_URI = "ipfs://suprime/";
+
+  let owner;
+  let main;
+  let alice;
+  let bob;
+
+  /// the contracts of scripts/deploy.js deployed like its stages, handed over to `main`
+  async function deployContracts() {
+    [owner, main, alice, bob] = await ethers.getSigners();
+    const entries = {};
+    const record = async (name, contract, args = []) => {
+      const address = await contract.getAddress();
+      entries[name] = { address, blockNumber: await ethers.provider.getBlockNumber(), args };
+      return contract;
+    };
+
+    const treasury = await record("Treasury", await ethers.deployContract("Treasury", [owner.address]),
+      [owner.address]);
+    const sablier = await ethers.deployContract("SablierV2LockupLinearMock");
+    const fjordMath = await record("FjordMath", await ethers.deployContract("FjordMath"));
+    const fixedFactory = await record("FixedPricePoolFactory", await ethers.deployContract("FixedPricePoolFactory",
+      [treasury.target, main.address, sablier.target], { libraries: { FjordMath: fjordMath.target } }));
+    entries.FixedPricePool = { address: await fixedFactory.FIXED_PRICE_IMPL() };
+    const implementation = await record("LiquidityBootstrapPool",
+      await ethers.deployContract("LiquidityBootstrapPool", [sablier.target]));
+    const lbpFactory = await record("LiquidityBootstrapPoolFactory",
+      await ethers.deployContract("LiquidityBootstrapPoolFactory",
+        [implementation.target, owner.address, treasury.target, 400, 0, 300]));
+    const token = await record("SuprimeToken", await ethers.deployContract("SuprimeToken", [owner.address]));
+    const staking = await record("SuprimeStaking", await upgrades.deployProxy(
+      await ethers.getContractFactory("SuprimeStaking"),
+      [token.target, BLOCKS_PER_DAY], { initializer: '__SuprimeStaking_init' }));
+    const stakingView = await record("SuprimeStakingView", await upgrades.deployProxy(
+      await ethers.getContractFactory("SuprimeStakingView"),
+      [staking.target], { initializer: '__SuprimeStakingView_init' }));
+    const labsRegistry = await record("LabsRegistry", await ethers.deployContract("LabsRegistry"));
+    for (const name of ["SuprimeStaking", "SuprimeStakingView"]) {
+      const { address } = entries[name];
+      entries[name].proxy = {
+        implementation: await upgrades.erc1967.getImplementationAddress(address),
+        admin: await upgrades.erc1967.getAdminAddress(address),
+      };
+    }
+
+    await staking.setBaseURI(BASE_URI);
+    for (const contract of [treasury, lbpFactory, labsRegistry, staking]) {
+      await contract.transferOwnership(main.address);
+    }
+    await staking.connect(main).acceptOwnership();
+    for (const proxy of [staking, stakingView]) {
+      const admin = await ethers.getContractAt(["function transferOwnership(address newOwner)"],
+        await upgrades.erc1967.getAdminAddress(proxy.target));
+      await admin.transferOwnership(main.address);
+    }
+
+    const expected = {
+      main: main.address,
+      blocksPerDay: BLOCKS_PER_DAY,
+      lbpFees: DEFAULTS.lbpFees,
+      treasurySplit: planSplit(`100% ${owner.address}`),
+      stakingBaseURI: BASE_URI,
+    };
+    return { treasury, lbpFactory, staking, labsRegistry, entries, expected };
+  }
+
+  const audit = ({ entries, expected }) =>
+    auditDeployment({ provider: ethers.provider, artifacts, entries, expected });
+  const failures = checks => checks
+    .filter(check => !check.pass)
+    .map(({ contract, check }) => `${contract} ${check}`);
+
+  it("should pass a deployment matching its profile and manifest", async () => {
+    const deployed = await loadFixture(deployContracts);
+
+    const checks = await audit(deployed);
+    expect(failures(checks)).to.be.empty;
+    expect(checks.filter(check => check.check === "bytecode")).to.have.length(10);
+    expect(checks.find(check => check.contract === "SuprimeStakingView ProxyAdmin"))
+      .to.include({ expected: main.address, actual: main.address });
+    expect(formatReport(checks)).to.include("PASS  LiquidityBootstrapPoolFactory swapFee")
+      .and.to.include(`All ${checks.length} checks passed`);
+  });
+
+  it("should report every drift with its diff", async () => {
+    const { treasury, lbpFactory, staking, labsRegistry, expected, ...deployed } = await loadFixture(deployContracts);
+    // the fixture entries are shared with the other tests
+    const entries = { ...deployed.entries };
+
+    await lbpFactory.connect(main).setSwapFee(250);
+    await treasury.connect(main).updateRecipients([alice.address, bob.address], [WAD * 6n / 10n, WAD * 4n / 10n]);
+    await staking.connect(main).setBaseURI("ipfs://other/");
+    await staking.connect(main).transferOwnership(alice.address);
+    await labsRegistry.connect(main).transferOwnership(alice.address);
+    // another contract than the one compiled from this tree
+    entries.FjordMath = { ...entries.FjordMath, address: entries.LabsRegistry.address };
+
+    const checks = await audit({ entries, expected });
+    expect(failures(checks)).to.deep.equal([
+      "FjordMath bytecode",
+      "LabsRegistry owner",
+      "LiquidityBootstrapPoolFactory swapFee",
+      "Treasury recipients",
+      "SuprimeStaking baseURI",
+    ]);
+    const diff = name => checks.find(check => `${check.contract} ${check.check}` === name).diff;
+    expect(diff("LiquidityBootstrapPoolFactory swapFee")).to.deep.equal(["- 300", "+ 250"]);
+    expect(diff("Treasury recipients")).to.deep.equal([
+      `- ${owner.address} 100.0%`,
+      `+ ${alice.address} 60.0%`,
+      `+ ${bob.address} 40.0%`,
+    ]);
+    expect(diff("LabsRegistry owner")).to.deep.equal([`- ${main.address}`, `+ ${alice.address}`]);
+    // Ownable2Step, main stays the owner until alice accepts
+    expect(checks.find(check => check.contract === "SuprimeStaking" && check.check === "owner").pass).to.equal(true);
+
+    await staking.connect(alice).acceptOwnership();
+    const accepted = await audit({ entries, expected });
+    expect(failures(accepted)).to.include("SuprimeStaking owner");
+
+    delete entries.LabsRegistry;
+    const report = formatReport(await audit({ entries, expected }));
+    expect(report).to.include("FAIL  LabsRegistry deployed\n      - in the deployment manifest\n      + missing");
+    expect(report).to.include("FAIL  SuprimeStaking baseURI\n      - ipfs://suprime/\n      + ipfs://other/");
+    expect(report).to.match(/\d+ of \d+ checks failed\n$/);
+  });
+});
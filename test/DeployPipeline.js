@@ -0,0 +1,84 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require('hardhat');
+const { getDeploymentsDir } = require('../helpers/manifest');
+const { runPipeline } = require('../helpers/pipeline');
+
+describe("Deployment pipeline", function () {
+
+  let dir;
+
+  beforeEach(async () => {
+    // deployments/hardhat_* is not committed, every test starts from an empty manifest
+    dir = await getDeploymentsDir(hre);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readCheckpoint = () => JSON.parse(fs.readFileSync(path.join(dir, "checkpoint.json"), "utf8"));
+
+  /// FjordMath and LabsRegistry stages, the second one with a one-off transaction
+  function stagesOf(counters, { failing } = {}) {
+    return [
+      {
+        name: "math",
+        run: async (ctx) => ({ FjordMath: (await ctx.deploy("FjordMath", "FjordMath")).target }),
+      },
+      {
+        name: "labs",
+        run: async (ctx) => {
+          if (failing) {
+            throw new Error("RPC timeout");
+          }
+          const labsRegistry = await ctx.deploy("LabsRegistry", "LabsRegistry");
+          await ctx.once("LabsRegistry.addAcceleration", async () => {
+            counters.once++;
+            await (await labsRegistry.addAcceleration(1)).wait();
+          });
+          return { LabsRegistry: labsRegistry.target, FjordMath: await ctx.address("FjordMath") };
+        },
+      },
+    ];
+  }
+
+  it("should resume from the failed stage and reuse what is deployed", async () => {
+    const counters = { once: 0 };
+
+    const error = await runPipeline(hre, stagesOf(counters, { failing: true })).then(
+      () => expect.fail("should have been rejected"), e => e);
+    expect(error.message).to.equal("RPC timeout");
+    const failed = readCheckpoint();
+    expect(failed.stages.math.status).to.equal("done");
+    expect(failed.stages.labs.status).to.equal("pending");
+    const { FjordMath } = failed.stages.math.outputs;
+
+    const outputs = await runPipeline(hre, stagesOf(counters));
+    expect(outputs.FjordMath).to.equal(FjordMath);
+    expect(counters.once).to.equal(1);
+    expect(readCheckpoint().steps).to.deep.equal({ "LabsRegistry.addAcceleration": true });
+
+    // nothing left to do
+    expect(await runPipeline(hre, stagesOf(counters))).to.deep.equal(outputs);
+    expect(counters.once).to.equal(1);
+    const entry = JSON.parse(fs.readFileSync(path.join(dir, "LabsRegistry.json"), "utf8"));
+    expect(entry).to.include({ address: outputs.LabsRegistry });
+    expect(entry.blockNumber).to.be.a("number");
+  });
+
+  it("should redeploy a contract whose code is gone and run its one-off steps again", async () => {
+    const counters = { once: 0 };
+    const first = await runPipeline(hre, stagesOf(counters));
+
+    // a restarted local node, the manifest outlives the chain
+    await hre.network.provider.send("hardhat_setCode", [first.LabsRegistry, "0x"]);
+    const second = await runPipeline(hre, stagesOf(counters));
+
+    expect(second.FjordMath).to.equal(first.FjordMath);
+    expect(second.LabsRegistry).to.not.equal(first.LabsRegistry);
+    expect(counters.once).to.equal(2);
+  });
+});
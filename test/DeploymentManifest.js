@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require('hardhat');
+const { PROFILES } = require('../helpers/networks');
+const {
+  getDeploymentsDir,
+  readEntry,
+  requireAddress,
+  requireConfig,
+  recordDeployment,
+} = require('../helpers/manifest');
+
+describe("Deployment manifest", function () {
+
+  const { ethers, upgrades } = hre;
+
+  let dir;
+
+  beforeEach(async () => {
+    dir = await getDeploymentsDir(hre);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const rejection = promise => promise.then(() => expect.fail("should have been rejected"), e => e);
+
+  it("should record the deployments and refuse the missing ones", async () => {
+    expect(path.basename(dir)).to.equal("hardhat_31337");
+    expect((await rejection(requireAddress(hre, "LabsRegistry"))).message)
+      .to.equal("LabsRegistry address is missing in the deployment manifest of hardhat, deploy it first");
+
+    const labsRegistry = await ethers.deployContract("LabsRegistry");
+    const entry = await recordDeployment(hre, "LabsRegistry", labsRegistry);
+    const receipt = await labsRegistry.deploymentTransaction().wait();
+    expect(entry).to.include({
+      address: labsRegistry.target,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    });
+    expect(await requireAddress(hre, "LabsRegistry")).to.equal(labsRegistry.target);
+    expect((await readEntry(hre, "LabsRegistry")).abi).to.deep.equal(
+      (await hre.artifacts.readArtifact("LabsRegistry")).abi);
+
+    const stakingView = await upgrades.deployProxy(await ethers.getContractFactory("SuprimeStakingView"),
+      [labsRegistry.target], { initializer: '__SuprimeStakingView_init' });
+    await recordDeployment(hre, "SuprimeStakingView", stakingView, { args: [labsRegistry.target], proxy: true });
+    expect((await readEntry(hre, "SuprimeStakingView")).proxy).to.deep.equal({
+      kind: "transparent",
+      implementation: await upgrades.erc1967.getImplementationAddress(stakingView.target),
+      admin: await upgrades.erc1967.getAdminAddress(stakingView.target),
+    });
+  });
+
+  it("should take the profile values config.json doesn't override and refuse the TODO ones", async () => {
+    const [, alice] = await ethers.getSigners();
+    expect(await requireConfig(hre, "MAIN")).to.equal(PROFILES.hardhat.main);
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify({
+      MAIN: alice.address,
+      SABLIER: "TODO",
+      TREASURY_FEE_RECIPIENT: "0x123",
+      BLOCKS_PER_DAY: 43200,
+    }));
+
+    expect(await requireConfig(hre, "MAIN")).to.equal(alice.address);
+    expect(await requireConfig(hre, "BLOCKS_PER_DAY", { address: false })).to.equal(43200);
+    expect((await rejection(requireConfig(hre, "SABLIER"))).message).to.equal(
+      'SABLIER is not configured for hardhat (got "TODO"), set it in its network profile or config.json');
+    expect((await rejection(requireConfig(hre, "TREASURY_FEE_RECIPIENT"))).message)
+      .to.include('TREASURY_FEE_RECIPIENT is not configured for hardhat (got "0x123")');
+  });
+
+  it("should keep the sepolia Treasury deployed before the manifest", async () => {
+    // the manifest helpers only read the network name and chain id
+    const sepolia = {
+      config: hre.config,
+      network: { name: "sepolia" },
+      ethers: { provider: { getNetwork: async () => ({ chainId: 11155111n }) } },
+    };
+
+    expect(await requireAddress(sepolia, "Treasury")).to.equal("0xBEaB712832112bd7664226db7CD025B153D3af55");
+    expect((await readEntry(sepolia, "Treasury")).args).to.deep.equal([PROFILES.sepolia.treasuryFeeRecipient]);
+  });
+});
@@ -0,0 +1,261 @@
+const {
+  loadFixture,
+  time,
+  mine,
+  takeSnapshot,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, upgrades } = require('hardhat');
+const { convertLbpSpec } = require('../helpers/lbp_planner');
+const {
+  createEventStore,
+  createIndexer,
+  listPools,
+  getPositions,
+  getPoolSales,
+  getAcceleration,
+} = require('../services/indexer');
+const { createQueryService } = require('../services/indexer_api');
+
+describe("Event indexer", function () {
+
+  const WEI = 10n ** 18n;
+  const THREE_MONTHS = 3 * 30 * 86400;
+
+  let owner;
+  let alice;
+  let bob;
+
+  async function deployContracts() {
+    [owner, alice, bob] = await ethers.getSigners();
+    const startBlock = await ethers.provider.getBlockNumber() + 1;
+
+    const suprimeToken = await ethers.deployContract("SuprimeTokenMock");
+    const staking = await upgrades.deployProxy(await ethers.getContractFactory("SuprimeStaking"),
+      [await suprimeToken.getAddress(), 10], { initializer: '__SuprimeStaking_init' });
+    await suprimeToken.transfer(staking.getAddress(), 100000n * WEI);
+    await staking.setRewards(10000n * WEI, 100);
+    for (const staker of [alice, bob]) {
+      await suprimeToken.mintArbitrary(staker.address, 10000n * WEI);
+      await suprimeToken.connect(staker).approve(staking.getAddress(), ethers.MaxUint256);
+    }
+
+    const labsRegistry = await ethers.deployContract("LabsRegistry");
+
+    const shareToken = await ethers.deployContract("ERC20DecimalsMock", ["Share", "SHR", 18]);
+    const assetToken = await ethers.deployContract("ERC20DecimalsMock", ["Asset", "AST", 6]);
+    // pools are not closed in these tests, Sablier is never called
+    const implementation = await ethers.deployContract("LiquidityBootstrapPool", [owner.address]);
+    const factory = await ethers.deployContract("LiquidityBootstrapPoolFactory",
+      [await implementation.getAddress(), owner.address, owner.address, 400, 0, 300]);
+    await shareToken.mintArbitrary(owner.address, ethers.parseUnits("1000000", 18));
+    await assetToken.mintArbitrary(owner.address, ethers.parseUnits("100000", 6));
+    await shareToken.approve(factory.getAddress(), ethers.MaxUint256);
+    await assetToken.approve(factory.getAddress(), ethers.MaxUint256);
+
+    const contracts = {
+      SuprimeStaking: await staking.getAddress(),
+      LiquidityBootstrapPoolFactory: await factory.getAddress(),
+      LabsRegistry: await labsRegistry.getAddress(),
+    };
+    return { staking, labsRegistry, factory, shareToken, assetToken, contracts, startBlock };
+  }
+
+  const indexerOf = ({ contracts, startBlock }, store = createEventStore()) =>
+    ({ store, indexer: createIndexer({ provider: ethers.provider, store, contracts, startBlock }) });
+
+  async function createPool({ factory, shareToken, assetToken }) {
+    const saleStart = (await time.latest()) + 3600;
+    const args = convertLbpSpec({
+      name: "Indexed",
+      creator: owner.address,
+      shareToken: await shareToken.getAddress(),
+      assetToken: await assetToken.getAddress(),
+      shares: 1000000,
+      assets: 10000,
+      weightStart: "90%",
+      weightEnd: "50%",
+      saleStart,
+      saleEnd: saleStart + 3 * 86400,
+      sellingAllowed: true,
+    }, { share: 18, asset: 6 });
+
+    const address = await factory.predictDeterministicAddress(args.settings, args.salt);
+    await factory.createLiquidityBootstrapPool(args.settings, args.shares, args.assets, args.salt, "ipfs://created");
+    await assetToken.approve(address, ethers.MaxUint256);
+    await time.increaseTo(saleStart + 3600);
+    return { pool: await ethers.getContractAt("LiquidityBootstrapPool", address), address };
+  }
+
+  it("should index the staking positions of each user", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { staking } = deployed;
+    const { store, indexer } = indexerOf(deployed);
+
+    await staking.connect(alice).stake(1000n * WEI, 0, 3);
+    const bobStake = await (await staking.connect(bob).stake(500n * WEI, 0, 12)).wait();
+    await staking.connect(alice).stake(200n * WEI, 0, 6);
+    await staking.connect(alice).stake(500n * WEI, 1, 0);
+    await mine(5);
+    await staking.connect(alice).claimReward(1);
+    await staking.connect(alice).restakeReward(3);
+    await time.increase(THREE_MONTHS);
+    await staking.connect(alice).withdraw(1);
+
+    const { indexed, reorg } = await indexer.sync();
+
+    expect(reorg).to.be.undefined;
+    expect(indexed).to.be.above(0);
+    const [restaked] = getPositions(store, alice.address);
+    expect(restaked.tokenId).to.equal("3");
+    expect(restaked.lockingPeriod).to.equal(6);
+    expect(restaked.staked).to.equal((await staking.getStakingInfoByIndex(3)).staked.toString());
+    expect(BigInt(restaked.rewardsPaid)).to.equal(BigInt(restaked.staked) - 200n * WEI);
+
+    const [withdrawn] = getPositions(store, alice.address, { withdrawn: true });
+    expect(withdrawn.tokenId).to.equal("1");
+    expect(withdrawn.staked).to.equal("0");
+    expect(withdrawn.withdrawnAt).to.equal(await ethers.provider.getBlockNumber());
+    expect(BigInt(withdrawn.rewardsPaid)).to.be.above(0n);
+
+    expect(getPositions(store, bob.address)).to.deep.equal([{
+      tokenId: "2",
+      staked: (500n * WEI).toString(),
+      lockingPeriod: 12,
+      stakedAt: bobStake.blockNumber,
+      rewardsPaid: "0",
+      withdrawnAt: null,
+    }]);
+  });
+
+  it("should index the pools created by the factories and their sales", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { factory, assetToken } = deployed;
+    const { store, indexer } = indexerOf(deployed);
+
+    // the pool is created and swapped in the same range
+    const { pool, address } = await createPool(deployed);
+    await factory.updateIPFS(address, "ipfs://updated");
+    const assetsIn = ethers.parseUnits("1000", 6);
+    await pool.swapExactAssetsForShares(assetsIn, 0, bob.address);
+    await indexer.sync();
+
+    const [indexed] = listPools(store);
+    expect(indexed.address).to.equal(address);
+    expect(indexed.contract).to.equal("LiquidityBootstrapPool");
+    expect(indexed.factory).to.equal(await factory.getAddress());
+    expect(indexed.ipfsData).to.equal("ipfs://updated");
+
+    await pool.swapExactAssetsForShares(assetsIn, 0, bob.address);
+    await indexer.sync();
+
+    const { sales, totals, status } = getPoolSales(store, address);
+    expect(status).to.equal("open");
+    expect(sales.map(sale => sale.type)).to.deep.equal(["buy", "buy"]);
+    expect(sales[0].account).to.equal(owner.address);
+    expect(totals.assetsIn).to.equal((2n * assetsIn).toString());
+    expect(totals.sharesBought).to.equal((await pool.totalPurchased()).toString());
+    expect(totals.fees).to.equal((await pool.totalSwapFeesAsset()).toString());
+    expect(totals.buyers).to.equal(1);
+
+    expect(getPoolSales(store, await assetToken.getAddress())).to.be.undefined;
+  });
+
+  it("should index the accelerations of the LabsRegistry", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { labsRegistry } = deployed;
+    const { store, indexer } = indexerOf(deployed);
+
+    const created = await (await labsRegistry.addAcceleration(7)).wait();
+    await labsRegistry.addSeedRaise(7, alice.address);
+    await labsRegistry.addPublicRaise(7, bob.address);
+    await labsRegistry.addSeedRaise(7, owner.address);
+    await indexer.sync();
+
+    const acceleration = getAcceleration(store, 7);
+    expect(acceleration.createdAt).to.equal(created.blockNumber);
+    expect(acceleration.seedRaise).to.equal(owner.address);
+    expect(acceleration.publicRaise).to.equal(bob.address);
+    expect(acceleration.history.map(({ event }) => event))
+      .to.deep.equal(["NewAcceleration", "AddedSeedRaise", "AddedPublicRaise", "AddedSeedRaise"]);
+    expect(getAcceleration(store, 8)).to.be.undefined;
+  });
+
+  it("should drop the events of reorged blocks", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { staking } = deployed;
+    const { store, indexer } = indexerOf(deployed);
+
+    await staking.connect(alice).stake(1000n * WEI, 0, 3);
+    await indexer.sync();
+    const forkBlock = await ethers.provider.getBlockNumber();
+    const snapshot = await takeSnapshot();
+
+    await staking.connect(bob).stake(500n * WEI, 0, 12);
+    await mine(3);
+    await indexer.sync();
+    expect(getPositions(store, bob.address)[0].staked).to.equal((500n * WEI).toString());
+
+    // another chain from the fork block, longer than the reorged one
+    await snapshot.restore();
+    await staking.connect(bob).stake(700n * WEI, 0, 6);
+    await mine(5);
+    const { reorg, lastBlock } = await indexer.sync();
+
+    expect(reorg).to.deep.equal({ from: forkBlock + 1, to: forkBlock + 4 });
+    expect(lastBlock).to.equal(forkBlock + 6);
+    const positions = getPositions(store, bob.address);
+    expect(positions).to.have.lengthOf(1);
+    expect(positions[0].staked).to.equal((700n * WEI).toString());
+    expect(positions[0].lockingPeriod).to.equal(6);
+    expect(getPositions(store, alice.address)).to.have.lengthOf(1);
+  });
+
+  it("should resume from the saved database", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { staking } = deployed;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    const file = path.join(dir, "db.json");
+
+    await staking.connect(alice).stake(1000n * WEI, 0, 3);
+    await indexerOf(deployed, createEventStore(file)).indexer.sync();
+    await staking.connect(alice).stake(1000n * WEI, 1, 0);
+
+    const { store, indexer } = indexerOf(deployed, createEventStore(file));
+    const { indexed } = await indexer.sync();
+
+    expect(indexed).to.equal(1);
+    expect(getPositions(store, alice.address)[0].staked).to.equal((2000n * WEI).toString());
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it("should serve the queries", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { staking } = deployed;
+    const { store, indexer } = indexerOf(deployed);
+    await staking.connect(alice).stake(1000n * WEI, 0, 3);
+    await indexer.sync();
+
+    const server = createQueryService(store);
+    await new Promise(resolve => server.listen(0, resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    try {
+      let res = await fetch(`${url}/users/${alice.address}/positions`);
+      expect(res.status).to.equal(200);
+      expect(await res.json()).to.deep.equal(getPositions(store, alice.address));
+
+      res = await fetch(`${url}/status`);
+      expect((await res.json()).lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+      expect((await fetch(`${url}/users/0x1234/positions`)).status).to.equal(400);
+      expect((await fetch(`${url}/pools/${alice.address}/sales`)).status).to.equal(404);
+      expect((await fetch(`${url}/proposals/1/acceleration`)).status).to.equal(404);
+      expect((await fetch(`${url}/unknown`)).status).to.equal(404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,129 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { toWei } = require('../helpers/utils')
+const { ethers } = require('hardhat');
+const { convertSpec, validatePoolArgs, buildPoolArgs } = require('../helpers/pool_spec');
+
+describe("FixedPricePool spec", function () {
+
+  const DECIMALS = { share: 18, asset: 18 };
+
+  let owner;
+
+  async function deployFactory() {
+    [owner] = await ethers.getSigners();
+    const shareToken = await ethers.deployContract("SuprimeTokenMock");
+    const assetToken = await ethers.deployContract("SuprimeTokenMock");
+    const fjordMath = await ethers.deployContract("FjordMath");
+    const factory = await ethers.deployContract("FixedPricePoolFactory",
+      [owner.address, owner.address, owner.address],
+      { libraries: { FjordMath: await fjordMath.getAddress() } });
+    await shareToken.approve(factory.getAddress(), ethers.MaxUint256);
+
+    const start = (await time.latest()) + 3600;
+    const spec = {
+      name: "Test",
+      owner: owner.address,
+      shareToken: await shareToken.getAddress(),
+      assetToken: await assetToken.getAddress(),
+      sharesForSale: 1000000,
+      pricePerShare: "0.05",
+      swapFee: "1%",
+      platformFee: 5,
+      saleStart: start,
+      saleEnd: new Date((start + 7 * 86400) * 1000).toISOString(),
+      redemptionDelay: "1d",
+      antiSnipe: true,
+      ipfsData: "QmTest",
+    };
+    return { factory, spec };
+  }
+
+  const create = (factory, { params, assetsPerShare, tiers, ipfsData }) =>
+    factory.createFixedPricePool(params, assetsPerShare, tiers, ipfsData);
+
+  it("should convert a spec the factory accepts", async () => {
+    const { factory, spec } = await loadFixture(deployFactory);
+    const args = buildPoolArgs(spec, DECIMALS);
+
+    expect(args.params.sharesForSale).to.equal(toWei("1000000"));
+    expect(args.assetsPerShare).to.equal(toWei("0.05"));
+    expect(args.params.swapFeeWAD).to.equal(toWei("0.01"));
+    expect(args.params.platformFeeWAD).to.equal(toWei("0.05"));
+    expect(args.params.saleEnd - args.params.saleStart).to.equal(7 * 86400);
+    expect(args.params.redemptionDelay).to.equal(86400);
+
+    await expect(create(factory, args)).to.emit(factory, "PoolCreated");
+  });
+
+  it("should derive sharesForSale from the tiers", async () => {
+    const { factory, spec } = await loadFixture(deployFactory);
+    delete spec.sharesForSale;
+    delete spec.pricePerShare;
+    spec.tiers = [
+      { amountForSale: 400000, pricePerShare: "0.04", maximumPerUser: 10000 },
+      { amountForSale: 600000, pricePerShare: "0.05" },
+    ];
+    const args = buildPoolArgs(spec, DECIMALS);
+
+    expect(args.params.sharesForSale).to.equal(toWei("1000000"));
+    expect(args.tiers[0].pricePerShare).to.equal(toWei("0.04"));
+    await expect(create(factory, args)).to.emit(factory, "PoolCreated");
+  });
+
+  it("should convert amounts with the token decimals", async () => {
+    const { spec } = await loadFixture(deployFactory);
+    const { params, assetsPerShare } = convertSpec(spec, { share: 8, asset: 6 });
+
+    expect(params.sharesForSale).to.equal(1000000n * 10n ** 8n);
+    expect(assetsPerShare).to.equal(50000n);
+  });
+
+  // each invalid spec must be refused with the custom error the factory reverts with
+  const invalidSpecs = [
+    ["FeeTooHigh", spec => spec.platformFee = "101%"],
+    ["InvalidPoolDuration", spec => spec.saleEnd = spec.saleStart + 60],
+    ["InvalidRedemptionDelay", spec => spec.redemptionDelay = "31d"],
+    ["InvalidVestingConfig", spec => spec.vestCliff = spec.saleStart + 86400],
+    ["InvalidVestingConfig", spec => {
+      spec.vestCliff = spec.saleStart + 30 * 86400;
+      spec.vestEnd = spec.saleStart + 20 * 86400;
+    }],
+    ["InvalidPoolLimits", spec => {
+      spec.minimumTokensPerUser = 100;
+      spec.maximumTokensPerUser = 10;
+    }],
+    ["InvalidAssetPrice", spec => spec.pricePerShare = 0],
+    ["InvalidMinimumPurchaseAmount", spec => spec.minimumTokensForSale = 2000000],
+    ["InvalidTierAmountsSold", spec => spec.tiers = [{ amountForSale: 10, pricePerShare: 1 }]],
+    ["InvalidTierMinimums", spec => {
+      spec.minimumTokensPerUser = 1;
+      spec.tiers = [{ amountForSale: 1000000, pricePerShare: 1 }];
+    }],
+    ["InvalidTierMaximums", spec => spec.tiers = [{ amountForSale: 1000000, pricePerShare: 1, maximumPerUser: 2000000 }]],
+  ];
+
+  for (const [error, modify] of invalidSpecs) {
+    it(`should refuse a spec the factory reverts with ${error}`, async () => {
+      const { factory, spec } = await loadFixture(deployFactory);
+      modify(spec);
+      const args = convertSpec(spec, DECIMALS);
+
+      expect(() => validatePoolArgs(args, DECIMALS)).to.throw(error);
+      await expect(create(factory, args)).to.be.revertedWithCustomError(factory, error);
+    });
+  }
+
+  it("should report conversion errors of every field", async () => {
+    const { spec } = await loadFixture(deployFactory);
+    spec.owner = "0x1234";
+    spec.saleStart = "not a date";
+    spec.redemptionDelay = "1 week";
+
+    expect(() => convertSpec(spec, DECIMALS))
+      .to.throw(/owner:[\s\S]*saleStart:[\s\S]*redemptionDelay:/);
+  });
+});
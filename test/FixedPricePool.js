@@ -0,0 +1,469 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require('hardhat');
+const { signBuyExactShares } = require('../helpers/antisnipe');
+const { buildWhitelist } = require('../helpers/merkle');
+
+describe("FixedPricePool", function () {
+
+  const DAY = 86400;
+  const WAD = 10n ** 18n;
+  const SALE_DURATION = 7 * DAY;
+
+  const PoolStatus = { Active: 0n, Paused: 1n, Closed: 2n, Canceled: 3n };
+
+  let creator;
+  let delegateSigner;
+  let feeRecipient;
+  let alice;
+  let bob;
+  let carol;
+
+  const units = (amount, decimals = 18) => ethers.parseUnits(String(amount), decimals);
+
+  async function deployContracts() {
+    [, creator, delegateSigner, feeRecipient, alice, bob, carol] = await ethers.getSigners();
+
+    const fjordMath = await ethers.deployContract("FjordMath");
+    const sablier = await ethers.deployContract("SablierV2LockupLinearMock");
+    const factory = await ethers.deployContract("FixedPricePoolFactory",
+      [feeRecipient.address, delegateSigner.address, await sablier.getAddress()],
+      { libraries: { FjordMath: await fjordMath.getAddress() } });
+
+    const shareTokens = {};
+    for (const decimals of [6, 18]) {
+      shareTokens[decimals] = await ethers.deployContract("ERC20DecimalsMock", [`Share${decimals}`, `S${decimals}`, decimals]);
+    }
+    const assetTokens = {};
+    for (const decimals of [6, 8, 18]) {
+      assetTokens[decimals] = await ethers.deployContract("ERC20DecimalsMock", [`Asset${decimals}`, `A${decimals}`, decimals]);
+    }
+    return { factory, sablier, shareTokens, assetTokens };
+  }
+
+  /// BaseCreationParams of a week long sale of 1M shares starting in an hour, with 1% swap and 5% platform fees,
+  /// `vest` is [cliff, end] in days after the sale end
+  async function poolParams({ shareTokens, assetTokens }, { shareDecimals = 18, assetDecimals = 6, vest, ...overrides } = {}) {
+    const saleStart = (await time.latest()) + 3600;
+    const saleEnd = saleStart + SALE_DURATION;
+    return {
+      owner: creator.address,
+      shareToken: await shareTokens[shareDecimals].getAddress(),
+      assetToken: await assetTokens[assetDecimals].getAddress(),
+      sharesForSale: units(1000000, shareDecimals),
+      minimumTokensForSale: 0,
+      maximumTokensPerUser: 0,
+      minimumTokensPerUser: 0,
+      swapFeeWAD: WAD / 100n,
+      platformFeeWAD: WAD * 5n / 100n,
+      saleStart,
+      saleEnd,
+      redemptionDelay: 0,
+      vestEnd: vest ? saleEnd + vest[1] * DAY : 0,
+      vestCliff: vest ? saleEnd + vest[0] * DAY : 0,
+      antiSnipeEnabled: 0,
+      whitelistMerkleRoot: ethers.ZeroHash,
+      ...overrides,
+    };
+  }
+
+  async function create(factory, params, assetsPerShare, tiers = [], ipfsData = "") {
+    return factory.connect(creator).createFixedPricePool(params, assetsPerShare, tiers, ipfsData);
+  }
+
+  /// creates a pool selling at `price` assets per share, or by tiers, and funds the buyers,
+  /// the sale is started unless `start` is false
+  async function createPool(deployed, { price = "0.05", tiers = [], start = true, ...options } = {}) {
+    const { factory, shareTokens, assetTokens } = deployed;
+    const { shareDecimals = 18, assetDecimals = 6 } = options;
+    const shareToken = shareTokens[shareDecimals];
+    const assetToken = assetTokens[assetDecimals];
+    const params = await poolParams(deployed, options);
+
+    await shareToken.mintArbitrary(creator.address, params.sharesForSale);
+    await shareToken.connect(creator).approve(factory.getAddress(), params.sharesForSale);
+    const receipt = await (await create(factory, params, tiers.length ? 0 : units(price, assetDecimals), tiers)).wait();
+    const [created] = receipt.logs
+      .map(log => factory.interface.parseLog(log))
+      .filter(event => event && event.name === "PoolCreated");
+    const pool = await ethers.getContractAt("FixedPricePool", created.args.poolAddress);
+
+    for (const buyer of [alice, bob, carol]) {
+      await assetToken.mintArbitrary(buyer.address, units(100000, assetDecimals));
+      await assetToken.connect(buyer).approve(pool.getAddress(), ethers.MaxUint256);
+    }
+    if (start) {
+      await time.increaseTo(params.saleStart);
+    }
+    return { pool, params, shareToken, assetToken };
+  }
+
+  const buy = (pool, buyer, sharesOut, { recipient = buyer.address, deadline = 0, signature = "0x", proof = [] } = {}) =>
+    pool.connect(buyer).buyExactShares(sharesOut, recipient, deadline, signature, proof);
+
+  for (const [shareDecimals, assetDecimals] of [[18, 6], [6, 18], [18, 8]]) {
+    it(`should sell at a fixed price, close and redeem with ${shareDecimals}/${assetDecimals} decimals shares/assets`, async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { pool, params, shareToken, assetToken } = await createPool(deployed, { shareDecimals, assetDecimals });
+      const shares = amount => units(amount, shareDecimals);
+      const assets = amount => units(amount, assetDecimals);
+
+      // 1000 shares at 0.05 are 50 assets, plus 1% of swap fee
+      const bought = buy(pool, alice, shares(1000));
+      await expect(bought).to.emit(pool, "BuyFixedShares").withArgs(alice.address, shares(1000), assets(50), assets("0.5"));
+      await expect(bought).to.changeTokenBalances(assetToken, [alice, pool], [-assets("50.5"), assets("50.5")]);
+      await expect(buy(pool, bob, shares(3000)))
+        .to.changeTokenBalances(assetToken, [bob, pool], [-assets("151.5"), assets("151.5")]);
+
+      expect(await pool.purchasedShares(alice.address)).to.equal(units(1000));
+      expect(await pool.totalSharesSold()).to.equal(units(4000));
+      expect(await pool.sharesRemaining()).to.equal(units(996000));
+
+      await expect(pool.close()).to.be.revertedWithCustomError(pool, "CloseConditionNotMet");
+      await expect(pool.connect(alice).redeem()).to.be.revertedWithCustomError(pool, "SaleActive");
+      await time.increaseTo(params.saleEnd);
+
+      // 5% of the 200 assets raised and the swap fees to the fee recipient, the rest and the unsold shares to the owner
+      const closed = pool.close();
+      await expect(closed).to.emit(pool, "Closed").withArgs(assets(190), shares(4000), assets(10), assets(2));
+      await expect(closed)
+        .to.changeTokenBalances(assetToken, [feeRecipient, creator, pool], [assets(12), assets(190), -assets(202)]);
+      expect(await shareToken.balanceOf(creator.address)).to.equal(shares(996000));
+      expect(await pool.status()).to.equal(PoolStatus.Closed);
+      await expect(pool.close()).to.be.revertedWithCustomError(pool, "CloseConditionNotMet");
+
+      const redeemed = pool.connect(alice).redeem();
+      await expect(redeemed).to.emit(pool, "Redeemed").withArgs(alice.address, shares(1000), 0);
+      await expect(redeemed).to.changeTokenBalances(shareToken, [alice, pool], [shares(1000), -shares(1000)]);
+      await expect(pool.connect(alice).redeem()).to.be.revertedWithCustomError(pool, "NoSharesRedeemable");
+      await expect(pool.connect(carol).redeem()).to.be.revertedWithCustomError(pool, "NoSharesRedeemable");
+    });
+  }
+
+  it("should enforce the per-user limits", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { pool } = await createPool(deployed, {
+      maximumTokensPerUser: units(5000),
+      minimumTokensPerUser: units(100),
+    });
+
+    await expect(buy(pool, alice, units(50))).to.be.revertedWithCustomError(pool, "UserMinPurchaseNotMet");
+    await buy(pool, alice, units(4000));
+    expect(await pool.userTokensRemaining(alice.address)).to.equal(units(1000));
+
+    await expect(buy(pool, alice, units(2000))).to.be.revertedWithCustomError(pool, "UserMaxPurchaseExceeded");
+    // the minimum applies to the total purchased by the user
+    await buy(pool, alice, units(50));
+    // the limits are per recipient, not per payer
+    await buy(pool, alice, units(5000), { recipient: bob.address });
+    expect(await pool.purchasedShares(bob.address)).to.equal(units(5000));
+  });
+
+  it("should not leave less than the minimum swap for sale", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { pool, params } = await createPool(deployed);
+
+    // 18 decimals shares sold for 6 decimals assets are bought by at least 10^14
+    expect(await pool.mandatoryMinimumSwapIn()).to.equal(10n ** 14n);
+    await expect(buy(pool, alice, 10n ** 13n)).to.be.revertedWithCustomError(pool, "MinPurchaseNotMet");
+    await expect(buy(pool, alice, params.sharesForSale + 1n)).to.be.revertedWithCustomError(pool, "MaxPurchaseExeeded");
+    await expect(buy(pool, alice, params.sharesForSale - 1n))
+      .to.be.revertedWithCustomError(pool, "MandatoryMinimumSwapThreshold");
+  });
+
+  it("should close as soon as every share is sold", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { pool, params } = await createPool(deployed);
+
+    await buy(pool, alice, units(400000));
+    await expect(buy(pool, bob, units(600000)))
+      .to.emit(pool, "PoolCompleted")
+      .and.to.emit(pool, "Closed").withArgs(units(47500, 6), params.sharesForSale, units(2500, 6), units(500, 6));
+
+    expect(await pool.status()).to.equal(PoolStatus.Closed);
+    // redeemable from the closing time, before the sale end
+    await expect(pool.connect(bob).redeem()).to.emit(pool, "Redeemed").withArgs(bob.address, units(600000), 0);
+  });
+
+  it("should roll over to the next tier once a tier is sold", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { pool, assetToken } = await createPool(deployed, {
+      sharesForSale: units(3000),
+      tiers: [
+        { amountForSale: units(1000), pricePerShare: units("0.05", 6), maximumPerUser: 0, minimumPerUser: 0 },
+        { amountForSale: units(2000), pricePerShare: units("0.1", 6), maximumPerUser: 0, minimumPerUser: 0 },
+      ],
+    });
+
+    await expect(buy(pool, alice, units(600))).to.changeTokenBalance(assetToken, alice, -units("30.3", 6));
+    expect(await pool.currentTier()).to.equal(0);
+
+    // 400 shares at 0.05 and 500 at 0.1, plus 1% of swap fee
+    const rolledOver = buy(pool, bob, units(900));
+    await expect(rolledOver)
+      .to.emit(pool, "TierRollover").withArgs(1)
+      .and.to.emit(pool, "BuyFixedShares").withArgs(bob.address, units(900), units(70, 6), units("0.7", 6));
+    await expect(rolledOver).to.changeTokenBalance(assetToken, bob, -units("70.7", 6));
+
+    expect(await pool.currentTier()).to.equal(1);
+    expect(await pool.amountSoldInTier(0)).to.equal(units(1000));
+    expect(await pool.amountSoldInTier(1)).to.equal(units(500));
+    expect(await pool.purchasedByTier(0, bob.address)).to.equal(units(400));
+    expect(await pool.purchasedByTier(1, bob.address)).to.equal(units(500));
+
+    // the price of the current tier is above the maximum price of the buyer
+    await expect(pool.connect(alice)["buyExactShares(uint256,address,uint64,bytes,bytes32[],uint256)"](
+      units(100), alice.address, 0, "0x", [], WAD / 20n)).to.be.revertedWithCustomError(pool, "SlippageExceeded");
+    await expect(buy(pool, alice, units(1600))).to.be.revertedWithCustomError(pool, "MaxPurchaseExeeded");
+  });
+
+  it("should enforce the tier limits of each user", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { pool, assetToken } = await createPool(deployed, {
+      sharesForSale: units(3000),
+      tiers: [
+        { amountForSale: units(1000), pricePerShare: units("0.05", 6), maximumPerUser: units(400), minimumPerUser: units(100) },
+        { amountForSale: units(2000), pricePerShare: units("0.1", 6), maximumPerUser: 0, minimumPerUser: 0 },
+      ],
+    });
+
+    await expect(buy(pool, alice, units(50))).to.be.revertedWithCustomError(pool, "TierPurchaseTooLow").withArgs(0);
+
+    // past its maximum in the first tier the buyer continues in the next one
+    await expect(buy(pool, alice, units(600))).to.changeTokenBalance(assetToken, alice, -units("40.4", 6));
+    expect(await pool.purchasedByTier(0, alice.address)).to.equal(units(400));
+    expect(await pool.purchasedByTier(1, alice.address)).to.equal(units(200));
+    // the first tier is not sold, others still buy in it
+    expect(await pool.currentTier()).to.equal(0);
+    await buy(pool, bob, units(100));
+    expect(await pool.amountSoldInTier(0)).to.equal(units(500));
+  });
+
+  it("should only sell to the whitelisted recipients", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { root, proofs } = buildWhitelist([alice.address, bob.address]);
+    const { pool } = await createPool(deployed, { whitelistMerkleRoot: root });
+
+    expect(await pool.hasWhitelist()).to.equal(true);
+    await buy(pool, alice, units(1000), { proof: proofs[alice.address] });
+    await expect(buy(pool, carol, units(1000), { proof: proofs[alice.address] }))
+      .to.be.revertedWithCustomError(pool, "InvalidProof");
+    await expect(buy(pool, bob, units(1000))).to.be.revertedWithCustomError(pool, "InvalidProof");
+
+    // the proof is of the recipient, anyone can pay for a whitelisted recipient
+    await buy(pool, carol, units(1000), { recipient: bob.address, proof: proofs[bob.address] });
+    expect(await pool.purchasedShares(bob.address)).to.equal(units(1000));
+  });
+
+  it("should require a signature of the delegate signer when anti-snipe is enabled", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { pool } = await createPool(deployed, { antiSnipeEnabled: 1 });
+    const poolAddress = await pool.getAddress();
+    const sharesOut = units(1000);
+
+    const deadline = (await time.latest()) + 120;
+    const { signature } = await signBuyExactShares(delegateSigner, poolAddress,
+      { sharesOut, recipient: alice.address, deadline });
+
+    await expect(buy(pool, alice, sharesOut)).to.be.revertedWithCustomError(pool, "StaleSignature");
+    await expect(buy(pool, alice, units(2000), { deadline, signature }))
+      .to.be.revertedWithCustomError(pool, "InvalidSignature");
+    await expect(buy(pool, bob, sharesOut, { recipient: alice.address, deadline, signature }))
+      .to.emit(pool, "BuyFixedShares");
+    expect(await pool.nonces(alice.address)).to.equal(1);
+
+    // the nonce of the recipient was used
+    await expect(buy(pool, alice, sharesOut, { deadline, signature }))
+      .to.be.revertedWithCustomError(pool, "InvalidSignature");
+
+    const selfSigned = await signBuyExactShares(alice, poolAddress, { sharesOut, recipient: alice.address, deadline });
+    await expect(buy(pool, alice, sharesOut, { deadline, signature: selfSigned.signature }))
+      .to.be.revertedWithCustomError(pool, "InvalidSignature");
+
+    const expiring = await signBuyExactShares(delegateSigner, poolAddress,
+      { sharesOut, recipient: alice.address, deadline: (await time.latest()) + 10 });
+    await time.increase(20);
+    await expect(buy(pool, alice, sharesOut, expiring)).to.be.revertedWithCustomError(pool, "StaleSignature");
+  });
+
+  it("should let the owner pause the sale", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { pool, params } = await createPool(deployed);
+
+    await expect(pool.connect(alice).togglePause()).to.be.revertedWithCustomError(pool, "NotOwner");
+    await expect(pool.connect(creator).togglePause()).to.emit(pool, "PauseToggled").withArgs(true);
+    expect(await pool.status()).to.equal(PoolStatus.Paused);
+    await expect(buy(pool, alice, units(1000))).to.be.revertedWithCustomError(pool, "SaleInactive");
+
+    await expect(pool.connect(creator).togglePause()).to.emit(pool, "PauseToggled").withArgs(false);
+    await buy(pool, alice, units(1000));
+
+    await time.increaseTo(params.saleEnd);
+    await expect(buy(pool, alice, units(1000))).to.be.revertedWithCustomError(pool, "SaleInactive");
+    await pool.close();
+    await expect(pool.connect(creator).togglePause()).to.be.revertedWithCustomError(pool, "SaleNotPausable");
+  });
+
+  it("should let the owner cancel the sale before it starts", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { pool, params, shareToken } = await createPool(deployed, { start: false });
+
+    await expect(buy(pool, alice, units(1000))).to.be.revertedWithCustomError(pool, "SaleInactive");
+    await expect(pool.connect(alice).cancelSale()).to.be.revertedWithCustomError(pool, "NotOwner");
+    const canceled = pool.connect(creator).cancelSale();
+    await expect(canceled).to.emit(pool, "PoolCanceled");
+    await expect(canceled).to.changeTokenBalances(shareToken, [creator, pool], [params.sharesForSale, -params.sharesForSale]);
+    expect(await pool.status()).to.equal(PoolStatus.Canceled);
+
+    await expect(pool.connect(creator).cancelSale()).to.be.revertedWithCustomError(pool, "SaleNotCancelable");
+    await expect(pool.connect(creator).togglePause()).to.be.revertedWithCustomError(pool, "SaleNotPausable");
+    await time.increaseTo(params.saleStart);
+    await expect(buy(pool, alice, units(1000))).to.be.revertedWithCustomError(pool, "SaleInactive");
+    await expect(pool.connect(alice).redeem()).to.be.revertedWithCustomError(pool, "SaleCancelled");
+
+    const started = (await createPool(deployed)).pool;
+    await expect(started.connect(creator).cancelSale()).to.be.revertedWithCustomError(started, "SaleActive");
+  });
+
+  it("should refund the buyers when the minimum is not sold", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { pool, params, shareToken, assetToken } = await createPool(deployed, {
+      minimumTokensForSale: units(500000),
+      redemptionDelay: DAY,
+    });
+
+    await buy(pool, alice, units(1000));
+    await buy(pool, bob, units(2000));
+    await time.increaseTo(params.saleEnd);
+
+    // only the swap fees are taken, the owner gets every share back
+    const closed = pool.close();
+    await expect(closed).to.emit(pool, "RaiseGoalNotMet").withArgs(units(997000), units(150, 6), units("1.5", 6));
+    await expect(closed).to.changeTokenBalances(assetToken, [feeRecipient, creator], [units("1.5", 6), 0]);
+    expect(await shareToken.balanceOf(creator.address)).to.equal(params.sharesForSale);
+
+    await expect(pool.connect(alice).redeem()).to.be.revertedWithCustomError(pool, "RedeemedTooEarly");
+    await time.increase(DAY);
+    const refunded = pool.connect(alice).redeem();
+    await expect(refunded).to.emit(pool, "Refunded").withArgs(alice.address, units(50, 6));
+    await expect(refunded).to.changeTokenBalance(assetToken, alice, units(50, 6));
+    await expect(pool.connect(bob).redeem())
+      .to.emit(pool, "Refunded").withArgs(bob.address, units(100, 6));
+    expect(await pool.purchasedShares(bob.address)).to.equal(0);
+    expect(await assetToken.balanceOf(pool.getAddress())).to.equal(0);
+
+    // refunds are paid once
+    await expect(pool.connect(alice).redeem()).to.emit(pool, "Refunded").withArgs(alice.address, 0);
+  });
+
+  it("should stream the vested shares on redemption", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { sablier } = deployed;
+    const { pool, params, shareToken } = await createPool(deployed, { vest: [30, 180] });
+
+    expect(await pool.vestingEnabled()).to.equal(true);
+    await buy(pool, alice, units(1000));
+    await buy(pool, bob, units(2000));
+    await time.increaseTo(params.saleEnd);
+    await pool.close();
+
+    const streamed = pool.connect(alice).redeem();
+    await expect(streamed)
+      .to.emit(pool, "Redeemed").withArgs(alice.address, units(1000), 1)
+      .and.to.emit(sablier, "CreateLockupLinearStream");
+    await expect(streamed).to.changeTokenBalances(shareToken, [pool, sablier, alice], [-units(1000), units(1000), 0]);
+
+    const stream = await sablier.streams(1);
+    expect(stream.sender).to.equal(creator.address);
+    expect(stream.recipient).to.equal(alice.address);
+    expect(stream.asset).to.equal(await shareToken.getAddress());
+    expect(stream.depositAmount).to.equal(units(1000));
+    expect(stream.startTime).to.equal(params.saleEnd);
+    expect(stream.cliffTime).to.equal(params.vestCliff);
+    expect(stream.endTime).to.equal(params.vestEnd);
+    expect(stream.cancelable).to.equal(false);
+
+    // alice withdraws what has streamed once past the cliff
+    expect(await sablier.withdrawableAmountOf(1)).to.equal(0);
+    await time.increaseTo(params.vestCliff);
+    const withdrawable = units(1000) * 30n / 180n;
+    expect(await sablier.withdrawableAmountOf(1)).to.be.closeTo(withdrawable, units(1, 15));
+    await expect(sablier.connect(alice).withdrawMax(1, alice.address))
+      .to.emit(sablier, "WithdrawFromLockupStream");
+    expect(await shareToken.balanceOf(alice.address)).to.equal(await sablier.getWithdrawnAmount(1));
+
+    // once vested the shares are transferred
+    await time.increaseTo(params.vestEnd);
+    const transferred = pool.connect(bob).redeem();
+    await expect(transferred).to.emit(pool, "Redeemed").withArgs(bob.address, units(2000), 0);
+    await expect(transferred).to.changeTokenBalance(shareToken, bob, units(2000));
+  });
+
+  describe("FixedPricePoolFactory", function () {
+
+    it("should create the pools with settings normalized to 18 decimals", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { factory, sablier } = deployed;
+      const params = await poolParams(deployed, { shareDecimals: 6, assetDecimals: 8 });
+      await deployed.shareTokens[6].mintArbitrary(creator.address, params.sharesForSale);
+      await deployed.shareTokens[6].connect(creator).approve(factory.getAddress(), params.sharesForSale);
+
+      const tx = create(factory, params, units("0.05", 8), [], "ipfs://fixed");
+      await expect(tx).to.emit(factory, "PoolCreated");
+      const receipt = await (await tx).wait();
+      const created = factory.interface.parseLog(receipt.logs.find(log => log.address === factory.target));
+      expect(created.args.poolType).to.equal(0);
+      expect(created.args.ipfsData).to.equal("ipfs://fixed");
+
+      const pool = await ethers.getContractAt("FixedPricePool", created.args.poolAddress);
+      expect(await pool.sharesForSale()).to.equal(units(1000000));
+      expect(await pool.assetsPerToken()).to.equal(units("0.05"));
+      expect(await pool.shareDecimals()).to.equal(6);
+      expect(await pool.assetDecimals()).to.equal(8);
+      expect(await pool.mandatoryMinimumSwapIn()).to.equal(0);
+      expect(await pool.owner()).to.equal(creator.address);
+      expect(await pool.feeRecipient()).to.equal(feeRecipient.address);
+      expect(await pool.delegateSigner()).to.equal(delegateSigner.address);
+      expect(await pool.SABLIER()).to.equal(await sablier.getAddress());
+      expect(await deployed.shareTokens[6].balanceOf(pool.getAddress())).to.equal(params.sharesForSale);
+    });
+
+    it("should refuse tokens of unsupported decimals", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { factory } = deployed;
+      const params = await poolParams(deployed);
+
+      const oneDecimal = await ethers.deployContract("ERC20DecimalsMock", ["Asset1", "A1", 1]);
+      await expect(create(factory, { ...params, assetToken: await oneDecimal.getAddress() }, 1))
+        .to.be.revertedWithCustomError(factory, "InvalidDecimals");
+      const manyDecimals = await ethers.deployContract("ERC20DecimalsMock", ["Share24", "S24", 24]);
+      await expect(create(factory, { ...params, shareToken: await manyDecimals.getAddress() }, 1))
+        .to.be.revertedWithCustomError(factory, "InvalidDecimals");
+      await expect(create(factory, { ...params, assetToken: ethers.ZeroAddress }, 1))
+        .to.be.revertedWithCustomError(factory, "ZeroAddress");
+    });
+
+    it("should refuse the pool limits below the minimum swap", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { factory } = deployed;
+
+      const params = await poolParams(deployed, { maximumTokensPerUser: 10n ** 13n });
+      await expect(create(factory, params, units("0.05", 6)))
+        .to.be.revertedWithCustomError(factory, "InvalidMinimumSwapThreshold");
+    });
+
+    it("should refuse more tiers than the maximum", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { factory } = deployed;
+      const count = Number(await factory.MAX_TIERS()) + 1;
+      const tier = { amountForSale: units(1000), pricePerShare: units("0.05", 6), maximumPerUser: 0, minimumPerUser: 0 };
+
+      const params = await poolParams(deployed, { sharesForSale: units(1000 * count) });
+      await expect(create(factory, params, 0, Array(count).fill(tier)))
+        .to.be.revertedWithCustomError(factory, "InvalidTierLength");
+    });
+  });
+});
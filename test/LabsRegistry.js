@@ -0,0 +1,126 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require('hardhat');
+const { parseWorkflows, readAcceleration } = require('../helpers/labs');
+
+describe("LabsRegistry", function () {
+
+  let owner;
+  let alice;
+  let seedRaise;
+  let publicRaise;
+
+  async function deployContracts() {
+    [owner, alice, seedRaise, publicRaise] = await ethers.getSigners();
+
+    const labsRegistry = await ethers.deployContract("LabsRegistry");
+    const grants = await ethers.deployContract("WorkflowMock");
+    const vesting = await ethers.deployContract("WorkflowMock");
+    return { labsRegistry, grants, vesting };
+  }
+
+  describe("addWorkflowsToAcceleration", () => {
+
+    it("should instantiate the workflows with their name tags", async () => {
+      const { labsRegistry, grants, vesting } = await loadFixture(deployContracts);
+      await labsRegistry.addAcceleration(1);
+
+      const tx = await labsRegistry.addWorkflowsToAcceleration(1, [grants, vesting], ["Grants", "Team vesting"]);
+
+      await expect(tx).to.emit(labsRegistry, "NewWorkflowForAcceleration").withArgs(1, grants.target, 1);
+      await expect(tx).to.emit(labsRegistry, "NewWorkflowForAcceleration").withArgs(1, vesting.target, 1);
+      await expect(tx).to.emit(grants, "Instantiated").withArgs(1, labsRegistry.target, "Grants");
+      expect(await labsRegistry.accelerationWorkflows(1, grants)).to.equal(1);
+      const [creator, nameTag] = await vesting.instances(1);
+      expect(creator).to.equal(labsRegistry.target);
+      expect(nameTag).to.equal("Team vesting");
+    });
+
+    it("should keep the last instance of a workflow added again", async () => {
+      const { labsRegistry, grants } = await loadFixture(deployContracts);
+      await labsRegistry.addAcceleration(1);
+      await labsRegistry.addWorkflowsToAcceleration(1, [grants], ["Grants"]);
+
+      await labsRegistry.addWorkflowsToAcceleration(1, [grants], ["Grants v2"]);
+
+      expect(await grants.instanceCount()).to.equal(2);
+      expect(await labsRegistry.accelerationWorkflows(1, grants)).to.equal(2);
+    });
+
+    it("should revert with NotAuthorized if the caller doesn't own the acceleration", async () => {
+      const { labsRegistry, grants } = await loadFixture(deployContracts);
+
+      // no acceleration yet
+      await expect(labsRegistry.addWorkflowsToAcceleration(1, [grants], ["Grants"]))
+        .to.be.revertedWithCustomError(labsRegistry, "NotAuthorized");
+
+      await labsRegistry.addAcceleration(1);
+      await expect(labsRegistry.connect(alice).addWorkflowsToAcceleration(1, [grants], ["Grants"]))
+        .to.be.revertedWithCustomError(labsRegistry, "NotAuthorized");
+    });
+
+    it("should revert when the workflow can't be instantiated", async () => {
+      const { labsRegistry, grants } = await loadFixture(deployContracts);
+      await labsRegistry.addAcceleration(1);
+
+      await expect(labsRegistry.addWorkflowsToAcceleration(1, [grants], [""]))
+        .to.be.revertedWithCustomError(grants, "EmptyNameTag");
+      await expect(labsRegistry.addWorkflowsToAcceleration(1, [alice], ["Grants"])).to.be.reverted;
+    });
+  });
+
+  describe("management helpers", () => {
+
+    it("should parse the workflows and their name tags", async () => {
+      const { grants, vesting } = await loadFixture(deployContracts);
+      const manifest = { WorkflowMock: vesting.target };
+      const resolve = async (name) => {
+        if (!manifest[name]) {
+          throw new Error(`${name} is not in the manifest`);
+        }
+        return manifest[name];
+      };
+
+      expect(await parseWorkflows(`${grants.target}: Grants, WorkflowMock:Team vesting`, resolve)).to.deep.equal({
+        workflows: [grants.target, vesting.target],
+        names: ["Grants", "Team vesting"],
+      });
+      const rejection = (text) => parseWorkflows(text, resolve)
+        .then(() => expect.fail("should have been rejected"), e => e);
+      expect((await rejection("WorkflowMock")).message).to.include('Can\'t parse "WorkflowMock"');
+      expect((await rejection("Other:Grants")).message).to.equal("Other is not in the manifest");
+      expect((await rejection("WorkflowMock:a, WorkflowMock:b")).message).to.include("listed twice");
+    });
+
+    it("should list the raises and the workflow instances of an acceleration", async () => {
+      const { labsRegistry, grants, vesting } = await loadFixture(deployContracts);
+      await labsRegistry.addAcceleration(1);
+      await labsRegistry.addSeedRaise(1, seedRaise);
+      await labsRegistry.addPublicRaise(1, publicRaise);
+      await labsRegistry.addWorkflowsToAcceleration(1, [grants, vesting], ["Grants", "Team vesting"]);
+      const replaced = await (await labsRegistry.addWorkflowsToAcceleration(1, [grants], ["Grants v2"])).wait();
+      // another acceleration using the same workflow
+      await labsRegistry.connect(alice).addAcceleration(2);
+      await labsRegistry.connect(alice).addWorkflowsToAcceleration(2, [grants], ["Other grants"]);
+
+      const acceleration = await readAcceleration(labsRegistry, 1);
+
+      expect(acceleration).to.include({
+        proposal: 1n,
+        owner: owner.address,
+        seedRaise: seedRaise.address,
+        publicRaise: publicRaise.address,
+      });
+      expect(acceleration.workflows.map(({ workflow, name, instance, current }) => [workflow, name, instance, current]))
+        .to.deep.equal([
+          [grants.target, "Grants", 1n, false],
+          [vesting.target, "Team vesting", 1n, true],
+          [grants.target, "Grants v2", 2n, true],
+        ]);
+      expect(acceleration.workflows[2].transactionHash).to.equal(replaced.hash);
+      expect(await readAcceleration(labsRegistry, 3)).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,246 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require('hardhat');
+const lbp = require('../helpers/lbp_math');
+const { convertLbpSpec, validateLbpArgs, toPool, simulate } = require('../helpers/lbp_planner');
+
+describe("LBP math", function () {
+
+  const DURATION = 3 * 86400;
+  const WAD = 10n ** 18n;
+
+  let owner;
+  let buyer;
+
+  async function deployMock() {
+    [owner, buyer] = await ethers.getSigners();
+    const mock = await ethers.deployContract("LiquidityBootstrapLibMock");
+    const tokens = {};
+    for (const decimals of [6, 8, 18]) {
+      tokens[decimals] = await ethers.deployContract("ERC20DecimalsMock", [`Token${decimals}`, `T${decimals}`, decimals]);
+    }
+    return { mock, tokens };
+  }
+
+  async function deployFactory() {
+    [owner, buyer] = await ethers.getSigners();
+    const shareToken = await ethers.deployContract("ERC20DecimalsMock", ["Share", "SHR", 18]);
+    const assetToken = await ethers.deployContract("ERC20DecimalsMock", ["Asset", "AST", 6]);
+    // pools are not closed in these tests, Sablier is never called
+    const implementation = await ethers.deployContract("LiquidityBootstrapPool", [owner.address]);
+    const factory = await ethers.deployContract("LiquidityBootstrapPoolFactory",
+      [await implementation.getAddress(), owner.address, owner.address, 400, 0, 300]);
+
+    await shareToken.mintArbitrary(owner.address, ethers.parseUnits("1000000", 18));
+    await assetToken.mintArbitrary(owner.address, ethers.parseUnits("100000", 6));
+    await shareToken.approve(factory.getAddress(), ethers.MaxUint256);
+    await assetToken.approve(factory.getAddress(), ethers.MaxUint256);
+
+    const saleStart = (await time.latest()) + 3600;
+    const spec = {
+      name: "Test",
+      creator: owner.address,
+      shareToken: await shareToken.getAddress(),
+      assetToken: await assetToken.getAddress(),
+      shares: 1000000,
+      assets: 10000,
+      weightStart: "90%",
+      weightEnd: "50%",
+      saleStart,
+      saleEnd: saleStart + DURATION,
+      sellingAllowed: true,
+    };
+    return { factory, shareToken, assetToken, spec };
+  }
+
+  const toStruct = (pool, tokens) => ({
+    asset: tokens[pool.assetDecimals].target,
+    share: tokens[pool.shareDecimals].target,
+    assets: pool.assets,
+    shares: pool.shares,
+    virtualAssets: pool.virtualAssets,
+    virtualShares: pool.virtualShares,
+    weightStart: pool.weightStart,
+    weightEnd: pool.weightEnd,
+    saleStart: pool.saleStart,
+    saleEnd: pool.saleEnd,
+    totalPurchased: pool.totalPurchased,
+    maxSharePrice: pool.maxSharePrice,
+  });
+
+  // [assetDecimals, shareDecimals, weightStart, weightEnd, elapsed part of the sale]
+  const cases = [
+    [6, 18, "0.9", "0.5", 0],
+    [6, 18, "0.9", "0.5", 0.5],
+    [8, 18, "0.5", "0.9", 0.25],
+    [18, 6, "0.99", "0.01", 0.75],
+    [18, 18, "0.7", "0.3", 1.5],
+  ];
+
+  async function makePool(assetDecimals, shareDecimals, weightStart, weightEnd, elapsed) {
+    const now = BigInt(await time.latest());
+    const saleStart = now - BigInt(Math.floor(elapsed * DURATION));
+    return {
+      assetDecimals,
+      shareDecimals,
+      assets: ethers.parseUnits("10000", assetDecimals),
+      shares: ethers.parseUnits("1000000", shareDecimals),
+      virtualAssets: ethers.parseUnits("500", assetDecimals),
+      virtualShares: 0n,
+      weightStart: ethers.parseEther(weightStart),
+      weightEnd: ethers.parseEther(weightEnd),
+      saleStart,
+      saleEnd: saleStart + BigInt(DURATION),
+      totalPurchased: ethers.parseUnits("100000", shareDecimals),
+      maxSharePrice: ethers.parseEther("1000"),
+    };
+  }
+
+  for (const [assetDecimals, shareDecimals, weightStart, weightEnd, elapsed] of cases) {
+    const label = `${assetDecimals}/${shareDecimals} decimals, weights ${weightStart}->${weightEnd}, ${elapsed * 100}% elapsed`;
+
+    it(`should compute the reserves and weights like LiquidityBootstrapLib (${label})`, async () => {
+      const { mock, tokens } = await loadFixture(deployMock);
+      const pool = await makePool(assetDecimals, shareDecimals, weightStart, weightEnd, elapsed);
+
+      const [assetReserve, shareReserve, assetWeight, shareWeight, timestamp] =
+        await mock.computeReservesAndWeights(toStruct(pool, tokens));
+
+      expect(lbp.computeReservesAndWeights(pool, timestamp))
+        .to.deep.equal({ assetReserve, shareReserve, assetWeight, shareWeight });
+    });
+
+    it(`should preview swaps like LiquidityBootstrapLib (${label})`, async () => {
+      const { mock, tokens } = await loadFixture(deployMock);
+      const pool = await makePool(assetDecimals, shareDecimals, weightStart, weightEnd, elapsed);
+      const struct = toStruct(pool, tokens);
+
+      for (const amount of ["1", "250", "2000"]) {
+        const assets = ethers.parseUnits(amount, assetDecimals);
+        const shares = ethers.parseUnits(amount, shareDecimals) * 10n;
+
+        let [result, timestamp] = await mock.previewSharesOut(struct, assets);
+        expect(lbp.previewSharesOut(pool, assets, timestamp)).to.equal(result);
+        [result, timestamp] = await mock.previewAssetsIn(struct, shares);
+        expect(lbp.previewAssetsIn(pool, shares, timestamp)).to.equal(result);
+        [result, timestamp] = await mock.previewAssetsOut(struct, shares);
+        expect(lbp.previewAssetsOut(pool, shares, timestamp)).to.equal(result);
+        [result, timestamp] = await mock.previewSharesIn(struct, assets);
+        expect(lbp.previewSharesIn(pool, assets, timestamp)).to.equal(result);
+      }
+    });
+  }
+
+  it("should refuse the swaps WeightedMathLib refuses", async () => {
+    const { mock, tokens } = await loadFixture(deployMock);
+    const pool = await makePool(6, 18, "0.9", "0.5", 0.5);
+    const assets = ethers.parseUnits("5000", 6);
+
+    const timestamp = BigInt(await time.latest());
+
+    // above 30% of the asset reserve
+    expect(() => lbp.previewSharesOut(pool, assets, timestamp)).to.throw("AmountInTooLarge");
+    await expect(mock.previewSharesOut(toStruct(pool, tokens), assets))
+      .to.be.revertedWithCustomError(mock, "AmountInTooLarge");
+  });
+
+  it("should compute powWad and powWadUp like WeightedMathLib", async () => {
+    const { mock } = await loadFixture(deployMock);
+    const values = [
+      [WAD / 3n, WAD * 9n],
+      [WAD * 2n, WAD / 7n],
+      [ethers.parseEther("0.999999"), ethers.parseEther("0.0101")],
+      [ethers.parseEther("123456.789"), ethers.parseEther("1.5")],
+      [ethers.parseEther("0.5"), ethers.parseEther("99")],
+    ];
+
+    for (const [x, y] of values) {
+      expect(lbp.powWad(x, y)).to.equal(await mock.powWad(x, y));
+      expect(lbp.powWadUp(x, y)).to.equal(await mock.powWadUp(x, y));
+    }
+  });
+
+  it("should predict the address of the created pool", async () => {
+    const { factory, spec } = await loadFixture(deployFactory);
+    const args = convertLbpSpec(spec, { share: 18, asset: 6 });
+    validateLbpArgs(args, await time.latest());
+
+    const predicted = await factory.predictDeterministicAddress(args.settings, args.salt);
+    await expect(factory.createLiquidityBootstrapPool(args.settings, args.shares, args.assets, args.salt, ""))
+      .to.emit(factory, "PoolCreated").withArgs(predicted, "");
+  });
+
+  it("should simulate the swaps of the pool", async () => {
+    const { factory, assetToken, spec } = await loadFixture(deployFactory);
+    const decimals = { share: 18, asset: 6 };
+    spec.scenarios = [{ flows: [{ side: "buy", amount: 1000, every: "6h", from: "6h", to: "13h" }] }];
+    const args = convertLbpSpec(spec, decimals);
+    const swapFee = 300n * 10n ** 14n;
+
+    const address = await factory.predictDeterministicAddress(args.settings, args.salt);
+    await factory.createLiquidityBootstrapPool(args.settings, args.shares, args.assets, args.salt, "");
+    const pool = await ethers.getContractAt("LiquidityBootstrapPool", address);
+    const assetsIn = ethers.parseUnits("1000", 6);
+    await assetToken.approve(address, ethers.MaxUint256);
+
+    const { rows, summary } = simulate({
+      pool: toPool(args, decimals),
+      swapFee,
+      maxTotalSharesOut: args.settings.maxSharesOut,
+      maxTotalAssetsIn: args.settings.maxAssetsIn,
+      sellingAllowed: true,
+    }, args.scenarios[0].flows, 6 * 3600);
+
+    for (const offset of [6 * 3600, 12 * 3600]) {
+      await time.setNextBlockTimestamp(spec.saleStart + offset);
+      await pool.swapExactAssetsForShares(assetsIn, 0, buyer.address);
+    }
+
+    expect(rows.map(row => row.swaps)).to.deep.equal([0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    expect(await pool.totalPurchased()).to.equal(summary.sold);
+    expect(await pool.totalSwapFeesAsset()).to.equal(summary.swapFees);
+    expect((await pool.args()).assets - args.assets).to.equal(summary.raised);
+
+    // the next buy gets the shares previewed from the simulated state
+    const timestamp = spec.saleStart + 18 * 3600;
+    const simulated = { ...toPool(args, decimals), assets: args.assets + summary.raised, totalPurchased: summary.sold };
+    const sharesOut = lbp.previewSharesOut(simulated, assetsIn - lbp.mulWad(assetsIn, swapFee), BigInt(timestamp));
+    await time.setNextBlockTimestamp(timestamp);
+    await expect(pool.swapExactAssetsForShares(assetsIn, sharesOut, buyer.address))
+      .to.emit(pool, "Buy").withArgs(owner.address, assetsIn, sharesOut, lbp.mulWad(assetsIn, swapFee));
+  });
+
+  it("should apply every swap of a flow more frequent than the step at its own timestamp", async () => {
+    const { factory, assetToken, spec } = await loadFixture(deployFactory);
+    const decimals = { share: 18, asset: 6 };
+    spec.scenarios = [{ flows: [{ side: "buy", amount: 1000, every: "1h", from: "6h", to: "13h" }] }];
+    const args = convertLbpSpec(spec, decimals);
+    const swapFee = 300n * 10n ** 14n;
+
+    const address = await factory.predictDeterministicAddress(args.settings, args.salt);
+    await factory.createLiquidityBootstrapPool(args.settings, args.shares, args.assets, args.salt, "");
+    const pool = await ethers.getContractAt("LiquidityBootstrapPool", address);
+    await assetToken.approve(address, ethers.MaxUint256);
+
+    const { rows, summary } = simulate({
+      pool: toPool(args, decimals),
+      swapFee,
+      maxTotalSharesOut: args.settings.maxSharesOut,
+      maxTotalAssetsIn: args.settings.maxAssetsIn,
+      sellingAllowed: true,
+    }, args.scenarios[0].flows, 6 * 3600);
+
+    for (let hour = 6; hour <= 12; hour++) {
+      await time.setNextBlockTimestamp(spec.saleStart + hour * 3600);
+      await pool.swapExactAssetsForShares(ethers.parseUnits("1000", 6), 0, buyer.address);
+    }
+
+    expect(rows.map(row => row.swaps)).to.deep.equal([0, 6, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    expect(await pool.totalPurchased()).to.equal(summary.sold);
+    expect(await pool.totalSwapFeesAsset()).to.equal(summary.swapFees);
+    expect((await pool.args()).assets - args.assets).to.equal(summary.raised);
+  });
+});
@@ -0,0 +1,366 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+const { ethers } = require('hardhat');
+const { buildWhitelist } = require('../helpers/merkle');
+const { convertLbpSpec } = require('../helpers/lbp_planner');
+
+describe("LiquidityBootstrapPool", function () {
+
+  const DAY = 86400;
+  const WAD = 10n ** 18n;
+  const SALE_DURATION = 3 * DAY;
+  // factory fees in bips
+  const PLATFORM_FEE = 400;
+  const REFERRER_FEE = 100;
+  const SWAP_FEE = 300;
+
+  let owner;
+  let creator;
+  let alice;
+  let bob;
+  let referrer;
+  let recipientA;
+  let recipientB;
+  let swapFeeRecipient;
+
+  const units = (amount, decimals = 18) => ethers.parseUnits(String(amount), decimals);
+
+  async function deployContracts() {
+    [owner, creator, alice, bob, referrer, recipientA, recipientB, swapFeeRecipient] = await ethers.getSigners();
+
+    const sablier = await ethers.deployContract("SablierV2LockupLinearMock");
+    // the pools distribute their fees through the Treasury on close
+    const treasury = await ethers.deployContract("Treasury", [owner.address]);
+    await treasury.updateRecipients([recipientA.address, recipientB.address], [WAD * 7n / 10n, WAD * 3n / 10n]);
+    await treasury.updateSwapFeeRecipient(swapFeeRecipient.address);
+
+    const implementation = await ethers.deployContract("LiquidityBootstrapPool", [await sablier.getAddress()]);
+    const factory = await ethers.deployContract("LiquidityBootstrapPoolFactory",
+      [await implementation.getAddress(), owner.address, await treasury.getAddress(), PLATFORM_FEE, REFERRER_FEE, SWAP_FEE]);
+
+    const shareTokens = {};
+    for (const decimals of [8, 18]) {
+      shareTokens[decimals] = await ethers.deployContract("ERC20DecimalsMock", [`Share${decimals}`, `S${decimals}`, decimals]);
+    }
+    const assetTokens = {};
+    for (const decimals of [6, 18]) {
+      assetTokens[decimals] = await ethers.deployContract("ERC20DecimalsMock", [`Asset${decimals}`, `A${decimals}`, decimals]);
+    }
+    return { factory, sablier, treasury, shareTokens, assetTokens };
+  }
+
+  let poolCount = 0;
+
+  /// spec of a 3 days sale of 1M shares against 10k assets starting in an hour, `vest` is [cliff, end] in days after the sale end
+  async function lbpSpec({ shareTokens, assetTokens }, { shareDecimals = 18, assetDecimals = 6, vest, ...overrides } = {}) {
+    const saleStart = (await time.latest()) + 3600;
+    const saleEnd = saleStart + SALE_DURATION;
+    return {
+      name: `Pool ${poolCount++}`,
+      creator: creator.address,
+      shareToken: await shareTokens[shareDecimals].getAddress(),
+      assetToken: await assetTokens[assetDecimals].getAddress(),
+      shares: 1000000,
+      assets: 10000,
+      weightStart: "90%",
+      weightEnd: "50%",
+      saleStart,
+      saleEnd,
+      vestCliff: vest ? saleEnd + vest[0] * DAY : undefined,
+      vestEnd: vest ? saleEnd + vest[1] * DAY : undefined,
+      sellingAllowed: true,
+      ...overrides,
+    };
+  }
+
+  async function create(factory, spec, decimals, whitelistMerkleRoot) {
+    const args = convertLbpSpec(spec, decimals, whitelistMerkleRoot);
+    const address = await factory.predictDeterministicAddress(args.settings, args.salt);
+    const tx = factory.connect(creator)
+      .createLiquidityBootstrapPool(args.settings, args.shares, args.assets, args.salt, "ipfs://lbp");
+    return { tx, address, args };
+  }
+
+  /// creates a pool funded by the creator and funds the buyers, the sale is started unless `start` is false
+  async function createPool(deployed, { whitelistMerkleRoot, start = true, ...options } = {}) {
+    const { factory, shareTokens, assetTokens } = deployed;
+    const { shareDecimals = 18, assetDecimals = 6 } = options;
+    const shareToken = shareTokens[shareDecimals];
+    const assetToken = assetTokens[assetDecimals];
+    const spec = await lbpSpec(deployed, options);
+
+    await shareToken.mintArbitrary(creator.address, units(spec.shares, shareDecimals));
+    await assetToken.mintArbitrary(creator.address, units(spec.assets, assetDecimals));
+    await shareToken.connect(creator).approve(factory.getAddress(), ethers.MaxUint256);
+    await assetToken.connect(creator).approve(factory.getAddress(), ethers.MaxUint256);
+    const { tx, address } = await create(factory, spec, { share: shareDecimals, asset: assetDecimals }, whitelistMerkleRoot);
+    await (await tx).wait();
+    const pool = await ethers.getContractAt("LiquidityBootstrapPool", address);
+
+    for (const buyer of [alice, bob]) {
+      await assetToken.mintArbitrary(buyer.address, units(100000, assetDecimals));
+      await assetToken.connect(buyer).approve(pool.getAddress(), ethers.MaxUint256);
+    }
+    if (start) {
+      await time.increaseTo(spec.saleStart);
+    }
+    return { pool, spec, shareToken, assetToken };
+  }
+
+  for (const [shareDecimals, assetDecimals] of [[18, 6], [8, 18]]) {
+    it(`should swap both ways with ${shareDecimals}/${assetDecimals} decimals shares/assets`, async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { pool, assetToken } = await createPool(deployed, { shareDecimals, assetDecimals });
+      const shares = amount => units(amount, shareDecimals);
+      const assets = amount => units(amount, assetDecimals);
+
+      // the swap fee is taken from the assets in
+      const bought = pool.connect(alice).swapExactAssetsForShares(assets(100), 0, alice.address);
+      await expect(bought).to.emit(pool, "Buy").withArgs(alice.address, assets(100), anyValue, assets(3));
+      await expect(bought).to.changeTokenBalances(assetToken, [alice, pool], [-assets(100), assets(100)]);
+      const purchased = await pool.purchasedShares(alice.address);
+      expect(purchased).to.be.above(0);
+      expect(await pool.totalPurchased()).to.equal(purchased);
+
+      await expect(pool.connect(bob).swapAssetsForExactShares(shares(500), ethers.MaxUint256, bob.address))
+        .to.emit(pool, "Buy").withArgs(bob.address, anyValue, shares(500), anyValue);
+      expect(await pool.purchasedShares(bob.address)).to.equal(shares(500));
+
+      // the swap fee of a sale is taken from the shares in
+      await expect(pool.connect(alice).swapExactSharesForAssets(shares(100), 0, alice.address))
+        .to.emit(pool, "Sell").withArgs(alice.address, shares(100), anyValue, shares(3));
+      expect(await pool.purchasedShares(alice.address)).to.equal(purchased - shares(100));
+      expect(await pool.totalSwapFeesShare()).to.equal(shares(3));
+      expect(await pool.totalSwapFeesAsset()).to.be.above(assets(3));
+
+      // only the purchased shares are sold back
+      await expect(pool.connect(bob).swapExactSharesForAssets(shares(600), 0, bob.address)).to.be.revertedWithPanic(0x11);
+    });
+  }
+
+  it("should only trade during the sale", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { pool, spec } = await createPool(deployed, { start: false });
+
+    await expect(pool.connect(alice).swapExactAssetsForShares(units(100, 6), 0, alice.address))
+      .to.be.revertedWithCustomError(pool, "TradingDisallowed");
+    await time.increaseTo(spec.saleStart);
+    await pool.connect(alice).swapExactAssetsForShares(units(100, 6), 0, alice.address);
+
+    await time.increaseTo(spec.saleEnd);
+    await expect(pool.connect(alice).swapExactAssetsForShares(units(100, 6), 0, alice.address))
+      .to.be.revertedWithCustomError(pool, "TradingDisallowed");
+    await expect(pool.connect(alice).swapExactSharesForAssets(units(1), 0, alice.address))
+      .to.be.revertedWithCustomError(pool, "TradingDisallowed");
+
+    const unsellable = (await createPool(deployed, { sellingAllowed: false })).pool;
+    await unsellable.connect(alice).swapExactAssetsForShares(units(100, 6), 0, alice.address);
+    await expect(unsellable.connect(alice).swapExactSharesForAssets(units(1), 0, alice.address))
+      .to.be.revertedWithCustomError(unsellable, "SellingDisallowed");
+  });
+
+  it("should check the slippage of the swaps", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { pool } = await createPool(deployed);
+
+    await expect(pool.connect(alice).swapExactAssetsForShares(units(100, 6), ethers.MaxUint256, alice.address))
+      .to.be.revertedWithCustomError(pool, "SlippageExceeded");
+    await expect(pool.connect(alice).swapAssetsForExactShares(units(500), 1, alice.address))
+      .to.be.revertedWithCustomError(pool, "SlippageExceeded");
+
+    await pool.connect(alice).swapExactAssetsForShares(units(100, 6), 0, alice.address);
+    await expect(pool.connect(alice).swapExactSharesForAssets(units(100), ethers.MaxUint256, alice.address))
+      .to.be.revertedWithCustomError(pool, "SlippageExceeded");
+    await expect(pool.connect(alice).swapSharesForExactAssets(units(1, 6), 1, alice.address))
+      .to.be.revertedWithCustomError(pool, "SlippageExceeded");
+  });
+
+  it("should only let the whitelisted callers swap", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { root, proofs } = buildWhitelist([alice.address, referrer.address]);
+    const { pool } = await createPool(deployed, { whitelistMerkleRoot: root });
+
+    expect(await pool.whitelisted()).to.equal(true);
+    await expect(pool.connect(alice).swapExactAssetsForShares(units(100, 6), 0, alice.address))
+      .to.be.revertedWithCustomError(pool, "WhitelistProof");
+    await expect(pool.connect(bob).swapExactAssetsForShares(units(100, 6), 0, bob.address, ethers.ZeroAddress, proofs[alice.address]))
+      .to.be.revertedWithCustomError(pool, "WhitelistProof");
+
+    // the proof is of the caller, the shares can go to anyone
+    await pool.connect(alice).swapExactAssetsForShares(units(100, 6), 0, bob.address, ethers.ZeroAddress, proofs[alice.address]);
+    expect(await pool.purchasedShares(bob.address)).to.be.above(0);
+    expect(await pool.purchasedShares(alice.address)).to.equal(0);
+  });
+
+  it("should let the manager pause the swaps", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { pool } = await createPool(deployed);
+
+    await expect(pool.connect(alice).togglePause()).to.be.revertedWithCustomError(pool, "CallerDisallowed");
+    await expect(pool.connect(creator).togglePause()).to.emit(pool, "Paused").withArgs(creator.address);
+    await expect(pool.connect(alice).swapExactAssetsForShares(units(100, 6), 0, alice.address))
+      .to.be.revertedWithCustomError(pool, "EnforcedPause");
+    // a paused pool stays paused
+    await expect(pool.connect(creator).togglePause()).to.be.revertedWithCustomError(pool, "EnforcedPause");
+  });
+
+  it("should close and distribute the fees through the Treasury", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { treasury } = deployed;
+    const { pool, spec, shareToken, assetToken } = await createPool(deployed);
+
+    await pool.connect(alice).swapExactAssetsForShares(units(1000, 6), 0, alice.address, referrer.address);
+    await pool.connect(bob).swapExactAssetsForShares(units(2000, 6), 0, bob.address);
+    await pool.connect(bob).swapExactSharesForAssets(units(100), 0, bob.address);
+
+    await expect(pool.close()).to.be.revertedWithCustomError(pool, "ClosingDisallowed");
+    await time.increaseTo(spec.saleEnd);
+
+    const swapFeesAsset = await pool.totalSwapFeesAsset();
+    const swapFeesShare = await pool.totalSwapFeesShare();
+    const totalReferred = await pool.totalReferred();
+    const totalAssets = await assetToken.balanceOf(pool.getAddress()) - swapFeesAsset;
+    const platformFees = totalAssets * BigInt(PLATFORM_FEE) * 10n ** 14n / WAD;
+    const raised = totalAssets - platformFees - totalReferred;
+    const unsold = await shareToken.balanceOf(pool.getAddress()) - swapFeesShare - await pool.totalPurchased();
+    const [toA, toB] = [platformFees * 7n / 10n, platformFees * 3n / 10n];
+
+    expect(totalReferred).to.equal(units(10, 6));
+    const closed = pool.close();
+    await expect(closed).to.emit(pool, "Close").withArgs(raised, platformFees, swapFeesAsset, swapFeesShare);
+    await expect(closed).to.changeTokenBalances(assetToken,
+      [pool, creator, recipientA, recipientB, swapFeeRecipient, treasury],
+      [totalReferred - totalAssets - swapFeesAsset, raised, toA, toB, swapFeesAsset, platformFees - toA - toB]);
+    await expect(closed).to.changeTokenBalances(shareToken, [creator, swapFeeRecipient], [unsold, swapFeesShare]);
+    await expect(pool.close()).to.be.revertedWithCustomError(pool, "ClosingDisallowed");
+
+    // the referred assets stay in the pool until the referrer redeems them
+    await expect(pool.connect(referrer).redeem(referrer.address, true))
+      .to.changeTokenBalances(assetToken, [referrer, pool], [totalReferred, -totalReferred]);
+    expect(await pool.referredAssets(referrer.address)).to.equal(0);
+  });
+
+  it("should redeem the purchased shares once closed", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { pool, spec, shareToken } = await createPool(deployed);
+
+    await pool.connect(alice).swapExactAssetsForShares(units(100, 6), 0, alice.address);
+    const purchased = await pool.purchasedShares(alice.address);
+    await expect(pool.connect(alice).redeem(alice.address, false)).to.be.revertedWithCustomError(pool, "RedeemingDisallowed");
+
+    await time.increaseTo(spec.saleEnd);
+    await pool.close();
+    const redeemed = pool.connect(alice).redeem(alice.address, false);
+    await expect(redeemed).to.emit(pool, "Redeem").withArgs(alice.address, 0, purchased);
+    await expect(redeemed).to.changeTokenBalances(shareToken, [alice, pool], [purchased, -purchased]);
+    await expect(pool.connect(alice).redeem(alice.address, false)).not.to.emit(pool, "Redeem");
+  });
+
+  it("should stream the vested shares on redemption", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { sablier } = deployed;
+    const { pool, spec, shareToken } = await createPool(deployed, { vest: [30, 180] });
+
+    expect(await pool.vestShares()).to.equal(true);
+    await pool.connect(alice).swapExactAssetsForShares(units(100, 6), 0, alice.address);
+    const purchased = await pool.purchasedShares(alice.address);
+    await time.increaseTo(spec.saleEnd);
+    await pool.close();
+
+    const streamed = pool.connect(alice).redeem(alice.address, false);
+    await expect(streamed)
+      .to.emit(pool, "Redeem").withArgs(alice.address, 1, purchased)
+      .and.to.emit(sablier, "CreateLockupLinearStream");
+    await expect(streamed).to.changeTokenBalances(shareToken, [pool, sablier, alice], [-purchased, purchased, 0]);
+
+    const stream = await sablier.streams(1);
+    expect(stream.sender).to.equal(creator.address);
+    expect(stream.recipient).to.equal(alice.address);
+    expect(stream.asset).to.equal(await shareToken.getAddress());
+    expect(stream.depositAmount).to.equal(purchased);
+    expect(stream.startTime).to.equal(spec.saleEnd);
+    expect(stream.cliffTime).to.equal(spec.vestCliff);
+    expect(stream.endTime).to.equal(spec.vestEnd);
+    expect(stream.cancelable).to.equal(false);
+  });
+
+  describe("LiquidityBootstrapPoolFactory", function () {
+
+    it("should create the pools with the factory settings", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { factory, treasury, sablier, shareTokens, assetTokens } = deployed;
+      const spec = await lbpSpec(deployed);
+      await shareTokens[18].mintArbitrary(creator.address, units(spec.shares));
+      await assetTokens[6].mintArbitrary(creator.address, units(spec.assets, 6));
+      await shareTokens[18].connect(creator).approve(factory.getAddress(), ethers.MaxUint256);
+      await assetTokens[6].connect(creator).approve(factory.getAddress(), ethers.MaxUint256);
+
+      const { tx, address } = await create(factory, spec, { share: 18, asset: 6 });
+      await expect(tx).to.emit(factory, "PoolCreated").withArgs(address, "ipfs://lbp");
+
+      const pool = await ethers.getContractAt("LiquidityBootstrapPool", address);
+      expect(await pool.platform()).to.equal(await treasury.getAddress());
+      expect(await pool.manager()).to.equal(creator.address);
+      expect(await pool.platformFee()).to.equal(BigInt(PLATFORM_FEE) * 10n ** 14n);
+      expect(await pool.referrerFee()).to.equal(BigInt(REFERRER_FEE) * 10n ** 14n);
+      expect(await pool.swapFee()).to.equal(BigInt(SWAP_FEE) * 10n ** 14n);
+      expect(await pool.SABLIER()).to.equal(await sablier.getAddress());
+      expect(await shareTokens[18].balanceOf(address)).to.equal(units(spec.shares));
+      expect(await assetTokens[6].balanceOf(address)).to.equal(units(spec.assets, 6));
+    });
+
+    it("should let only the owner change the fees, up to 10%", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { factory, treasury } = deployed;
+
+      await expect(ethers.deployContract("LiquidityBootstrapPoolFactory",
+        [owner.address, owner.address, owner.address, 1001, 0, 0])).to.be.revertedWithCustomError(factory, "MaxFeeExceeded");
+      await expect(factory.setPlatformFee(1001)).to.be.revertedWithCustomError(factory, "MaxFeeExceeded");
+      await expect(factory.connect(alice).setSwapFee(100)).to.be.revertedWithCustomError(factory, "Unauthorized");
+
+      await expect(factory.modifySettings(treasury.getAddress(), 100, 0, 200))
+        .to.emit(factory, "PlatformFeeSet").withArgs(100)
+        .and.to.emit(factory, "ReferrerFeeSet").withArgs(0)
+        .and.to.emit(factory, "SwapFeeSet").withArgs(200);
+
+      // the pools keep the fees of their creation
+      const { pool } = await createPool(deployed);
+      expect(await pool.platformFee()).to.equal(10n ** 16n);
+      expect(await pool.referrerFee()).to.equal(0);
+      expect(await pool.swapFee()).to.equal(2n * 10n ** 16n);
+    });
+
+    // each invalid spec must be refused with the custom error of the factory
+    const invalidSpecs = [
+      ["InvalidAssetOrShare", spec => spec.assetToken = spec.shareToken],
+      ["SalePeriodLow", spec => spec.saleEnd = spec.saleStart + 3600],
+      ["InvalidVestCliff", spec => {
+        spec.vestCliff = spec.saleEnd - 3600;
+        spec.vestEnd = spec.saleEnd + DAY;
+      }],
+      ["InvalidVestEnd", spec => {
+        spec.vestCliff = spec.saleEnd + DAY;
+        spec.vestEnd = spec.saleEnd + DAY;
+      }],
+      ["InvalidWeightConfig", spec => spec.weightStart = "100%"],
+      ["InvalidWeightConfig", spec => spec.weightEnd = "0.5%"],
+      ["InvalidAssetValue", spec => spec.assets = 0],
+    ];
+
+    for (const [error, modify] of invalidSpecs) {
+      it(`should refuse a pool with ${error}`, async () => {
+        const deployed = await loadFixture(deployContracts);
+        const { factory } = deployed;
+        const spec = await lbpSpec(deployed);
+        modify(spec);
+
+        const { tx } = await create(factory, spec, { share: 18, asset: 6 });
+        await expect(tx).to.be.revertedWithCustomError(factory, error);
+      });
+    }
+  });
+});
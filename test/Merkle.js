@@ -0,0 +1,106 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require('hardhat');
+const { getLeaf, getRoot, getProof, verifyProof, parseAllowlist, buildWhitelist } = require('../helpers/merkle');
+
+describe("Merkle whitelist", function () {
+
+  async function deployMerkle() {
+    const Merkle = await ethers.getContractFactory("Merkle");
+    return Merkle.deploy();
+  }
+
+  const randomAddresses = (count) => Array.from({ length: count }, () => ethers.Wallet.createRandom().address);
+
+  describe("proofs", () => {
+
+    // odd sizes pair the last node with bytes32(0)
+    for (const size of [2, 3, 5, 8, 13]) {
+      it(`should match the Merkle contract for ${size} addresses`, async () => {
+        const merkle = await loadFixture(deployMerkle);
+        const { addresses } = parseAllowlist(JSON.stringify(randomAddresses(size)), "json");
+        const leaves = addresses.map(getLeaf);
+        const { root, proofs } = buildWhitelist(addresses);
+
+        expect(root).to.equal(await merkle.getRoot(leaves));
+
+        for (let i = 0; i < addresses.length; i++) {
+          const proof = proofs[addresses[i]];
+          expect(proof).to.deep.equal([...await merkle.getProof(leaves, i)]);
+          expect(await merkle.verifyProof(root, proof, getLeaf(addresses[i]))).to.equal(true);
+          expect(verifyProof(root, proof, getLeaf(addresses[i]))).to.equal(true);
+        }
+      });
+    }
+
+    it("should reject a proof of an address that is not whitelisted", async () => {
+      const merkle = await loadFixture(deployMerkle);
+      const { addresses } = parseAllowlist(JSON.stringify(randomAddresses(4)), "json");
+      const { root, proofs } = buildWhitelist(addresses);
+      const [outsider] = randomAddresses(1);
+
+      expect(await merkle.verifyProof(root, proofs[addresses[0]], getLeaf(outsider))).to.equal(false);
+      expect(verifyProof(root, proofs[addresses[0]], getLeaf(outsider))).to.equal(false);
+    });
+
+    it("should use the leaf as the root of a single address", async () => {
+      const [address] = randomAddresses(1);
+      const { root, proofs } = buildWhitelist([address]);
+
+      expect(root).to.equal(getLeaf(address));
+      expect(proofs[address]).to.deep.equal([]);
+      expect(() => getRoot([])).to.throw("empty whitelist");
+      expect(getProof([getLeaf(address)], 0)).to.deep.equal([]);
+    });
+  });
+
+  describe("allowlist parsing", () => {
+
+    it("should parse a CSV with a header and dedupe addresses", async () => {
+      const [a, b] = randomAddresses(2);
+      const csv = `Address,allocation\n${a},100\n${b.toLowerCase()},200\n\n${a.toLowerCase()},300\n`;
+
+      const { addresses, duplicates } = parseAllowlist(csv, "csv");
+
+      expect(addresses).to.have.members([a, b]);
+      expect(duplicates).to.deep.equal([a]);
+    });
+
+    it("should keep a first row that is an address without 0x", async () => {
+      const [a] = randomAddresses(1);
+      const { addresses } = parseAllowlist(`5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed\n${a}\n`, "csv");
+
+      expect(addresses).to.have.members(["0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed", a]);
+    });
+
+    it("should parse a JSON array of objects", async () => {
+      const [a, b] = randomAddresses(2);
+      const { addresses } = parseAllowlist(JSON.stringify([{ address: a }, { address: b }]), "json");
+
+      expect(addresses).to.have.members([a, b]);
+    });
+
+    it("should produce the same root regardless of the input order", async () => {
+      const list = randomAddresses(6);
+      const { addresses: first } = parseAllowlist(JSON.stringify(list), "json");
+      const { addresses: second } = parseAllowlist(JSON.stringify([...list].reverse()), "json");
+
+      expect(buildWhitelist(first).root).to.equal(buildWhitelist(second).root);
+    });
+
+    it("should reject invalid addresses and bad checksums", async () => {
+      const [a] = randomAddresses(1);
+      // EIP-55 example address 0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed with the case of its last letter flipped
+      const badChecksum = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD";
+
+      expect(() => parseAllowlist(`${a}\n0x1234\n`, "csv")).to.throw("line 2");
+      // only a known header is skipped, any other first row is validated
+      expect(() => parseAllowlist(`wallets,allocation\n${a},100\n`, "csv")).to.throw("line 1");
+      expect(() => parseAllowlist(`0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeA\n${a}\n`, "csv")).to.throw("line 1");
+      expect(() => parseAllowlist(JSON.stringify([badChecksum]), "json")).to.throw("line 1");
+      expect(() => parseAllowlist(JSON.stringify({ address: a }), "json")).to.throw("must be an array");
+    });
+  });
+});
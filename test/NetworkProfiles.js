@@ -0,0 +1,63 @@
+const { expect } = require("chai");
+const {
+  PROFILES,
+  checkProfile,
+  requireProfile,
+  hardhatNetworks,
+  explorerConfig,
+  networkOfChain,
+} = require('../helpers/networks');
+
+describe("Network profiles", function () {
+
+  const env = {
+    INFURA_API_KEY: "infura",
+    SEPOLIA_PRIVATE_KEY: "0x01",
+    ETHERSCAN_API_KEY: "etherscan",
+  };
+
+  it("should give every chain a blocks per day matching its block time", () => {
+    for (const [name, { blockTime, blocksPerDay }] of Object.entries(PROFILES)) {
+      expect(blockTime * blocksPerDay, name).to.equal(86400);
+    }
+    expect(PROFILES.base.blocksPerDay).to.equal(43200);
+    expect(networkOfChain(8453)).to.equal("base");
+    expect(networkOfChain(31337)).to.equal(undefined);
+  });
+
+  it("should refuse the incomplete profiles", () => {
+    expect(requireProfile("hardhat").local).to.equal(true);
+    expect(checkProfile("sepolia", { env })).to.be.empty;
+    expect(checkProfile("sepolia", { env: { INFURA_API_KEY: "infura" }, deployment: true })).to.deep.equal([
+      "no deployer key, set SEPOLIA_PRIVATE_KEY",
+      "no explorer API key, set ETHERSCAN_API_KEY",
+    ]);
+    expect(checkProfile("mainnet", { env: {} })).to.deep.equal([
+      'the Treasury fee recipient is not an address (got "TODO")',
+      "no RPC url, set MAINNET_RPC_URL or INFURA_API_KEY",
+    ]);
+    expect(() => requireProfile("base", { env }))
+      .to.throw(/The base network profile is incomplete[\s\S]*the Sablier LockupLinear is not an address/);
+    expect(() => requireProfile("goerli")).to.throw("No network profile for goerli");
+  });
+
+  it("should build the networks and the explorer settings of hardhat.config.js", () => {
+    const networks = hardhatNetworks({ ...env, BASE_RPC_URL: "https://base.example", BSC_PRIVATE_KEY: "0x02" });
+    expect(networks.sepolia).to.deep.equal({
+      url: "https://sepolia.infura.io/v3/infura",
+      chainId: 11155111,
+      accounts: ["0x01"],
+    });
+    expect(networks.base).to.deep.include({ url: "https://base.example", chainId: 8453, accounts: [] });
+    expect(networks.bsc.accounts).to.deep.equal(["0x02"]);
+    expect(networks.polygon.url).to.equal(PROFILES.polygon.rpc.url);
+
+    const { apiKey, customChains } = explorerConfig(env);
+    expect(apiKey).to.include({ mainnet: "etherscan", sepolia: "etherscan", base: "" });
+    expect(customChains.find(chain => chain.network === "polygon")).to.deep.equal({
+      network: "polygon",
+      chainId: 137,
+      urls: { apiURL: "https://api.polygonscan.com/api", browserURL: "https://polygonscan.com" },
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require('hardhat');
+const { PROFILES } = require('../helpers/networks');
+const { getDeploymentsDir, requireAddress } = require('../helpers/manifest');
+const { runPipeline } = require('../helpers/pipeline');
+const handoff = require('../scripts/stages/handoff');
+
+describe("Ownership handoff", function () {
+
+  // the stages of scripts/deploy.js
+  const STAGES = [
+    require("../scripts/stages/treasury"),
+    require("../scripts/stages/sablier"),
+    require("../scripts/stages/fjord_math"),
+    require("../scripts/stages/fixed_pool_factory"),
+    require("../scripts/stages/lbp_pool_factory"),
+    require("../scripts/stages/token_and_staking"),
+    require("../scripts/stages/labs"),
+    handoff,
+  ];
+  const MAIN = PROFILES.hardhat.main;
+
+  let deployer;
+  let alice;
+  let dir;
+
+  beforeEach(async () => {
+    [deployer, alice] = await hre.ethers.getSigners();
+    dir = await getDeploymentsDir(hre);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /// the owners read back by the handoff stage, by contract
+  async function owners() {
+    const ctx = { hre, deployer, address: (name) => requireAddress(hre, name) };
+    const report = await handoff.checkHandoff(ctx, await handoff.getTargets(ctx), MAIN);
+    return Object.fromEntries(report.map(({ contract, owner, status }) => [contract, { owner, status }]));
+  }
+
+  it("should hand everything over to MAIN", async () => {
+    // the hardhat profile pays the Treasury fees to the deployer
+    expect(PROFILES.hardhat.treasuryFeeRecipient).to.equal(deployer.address);
+
+    await runPipeline(hre, STAGES);
+
+    const handedOff = await owners();
+    expect(Object.keys(handedOff)).to.deep.equal([
+      "Treasury",
+      "LiquidityBootstrapPoolFactory",
+      "LabsRegistry",
+      "SuprimeStaking",
+      "SuprimeStaking ProxyAdmin",
+      "SuprimeStakingView ProxyAdmin",
+    ]);
+    for (const [contract, { status }] of Object.entries(handedOff)) {
+      expect(status, contract).to.equal(contract === "SuprimeStaking" ? "pending acceptOwnership() by MAIN" : "MAIN");
+    }
+  });
+
+  it("should leave the Treasury with a fee recipient other than the deployer", async () => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, "config.json"), JSON.stringify({ TREASURY_FEE_RECIPIENT: alice.address }));
+
+    await runPipeline(hre, STAGES);
+
+    const handedOff = await owners();
+    expect(handedOff.Treasury).to.deep.equal({ owner: alice.address, status: "other" });
+    expect(handedOff.LabsRegistry.status).to.equal("MAIN");
+  });
+
+  it("should fail while the deployer still owns a contract", async () => {
+    await runPipeline(hre, STAGES.slice(0, -1));
+
+    const error = await owners().then(() => expect.fail("should have been rejected"), e => e);
+    expect(error.message).to.equal(`Ownership handoff failed, still owned by the deployer ${deployer.address}: ` +
+      "Treasury, LiquidityBootstrapPoolFactory, LabsRegistry, SuprimeStaking, SuprimeStaking ProxyAdmin, " +
+      "SuprimeStakingView ProxyAdmin");
+
+    // the handoff stage takes over from there
+    await runPipeline(hre, STAGES);
+    expect((await owners()).Treasury.status).to.equal("MAIN");
+  });
+});
@@ -0,0 +1,47 @@
+const { expect } = require("chai");
+const { createPoller } = require('../helpers/poller');
+
+describe("Poller", function () {
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  it("should keep polling through errors until stopped", async () => {
+    let runs = 0;
+    const seen = [];
+    const poller = createPoller(async () => {
+      runs++;
+      if (runs === 2) {
+        throw new Error("RPC timeout");
+      }
+      // nothing to report
+      return runs === 3 ? undefined : runs;
+    }, "onSync");
+
+    poller.start(0.01, { onSync: result => seen.push(result), onError: e => seen.push(e.message) });
+    await sleep(100);
+    poller.stop();
+    const stoppedAt = runs;
+    await sleep(50);
+
+    expect(seen.slice(0, 3)).to.deep.equal([1, "RPC timeout", 4]);
+    expect(runs).to.equal(stoppedAt);
+  });
+
+  it("should not start the next run before the previous one is done", async () => {
+    let running = 0;
+    let overlapped = false;
+    const poller = createPoller(async () => {
+      running++;
+      overlapped = overlapped || running > 1;
+      await sleep(30);
+      running--;
+      return true;
+    }, "onCheck");
+
+    poller.start(0.001);
+    await sleep(100);
+    poller.stop();
+
+    expect(overlapped).to.equal(false);
+  });
+});
@@ -0,0 +1,286 @@
+const {
+  loadFixture,
+  time,
+  mine,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers, network } = require('hardhat');
+const { convertLbpSpec } = require('../helpers/lbp_planner');
+const { createMemoryNotifier } = require('../helpers/notifiers');
+const { createPoolKeeper } = require('../services/pool_keeper');
+
+describe("Pool keeper", function () {
+
+  const DAY = 86400;
+  const WAD = 10n ** 18n;
+
+  let owner;
+  let creator;
+  let keeperAccount;
+  let alice;
+
+  const units = (amount, decimals = 18) => ethers.parseUnits(String(amount), decimals);
+
+  /// a FixedPricePool ending after a day which needs 500k of its 1M shares sold, and a LiquidityBootstrapPool
+  /// ending after 3 days, both starting in an hour
+  async function deployPools() {
+    [owner, creator, keeperAccount, alice] = await ethers.getSigners();
+
+    const fjordMath = await ethers.deployContract("FjordMath");
+    const sablier = await ethers.deployContract("SablierV2LockupLinearMock");
+    const fixedFactory = await ethers.deployContract("FixedPricePoolFactory",
+      [owner.address, owner.address, await sablier.getAddress()],
+      { libraries: { FjordMath: await fjordMath.getAddress() } });
+    const treasury = await ethers.deployContract("Treasury", [owner.address]);
+    await treasury.updateRecipients([owner.address], [WAD]);
+    await treasury.updateSwapFeeRecipient(owner.address);
+    const implementation = await ethers.deployContract("LiquidityBootstrapPool", [await sablier.getAddress()]);
+    const lbpFactory = await ethers.deployContract("LiquidityBootstrapPoolFactory",
+      [await implementation.getAddress(), owner.address, await treasury.getAddress(), 400, 100, 300]);
+
+    const shareToken = await ethers.deployContract("ERC20DecimalsMock", ["Share", "S", 18]);
+    const assetToken = await ethers.deployContract("ERC20DecimalsMock", ["Asset", "A", 6]);
+    await shareToken.mintArbitrary(creator.address, units(2000000));
+    await assetToken.mintArbitrary(creator.address, units(10000, 6));
+    await shareToken.connect(creator).approve(fixedFactory.getAddress(), ethers.MaxUint256);
+    await shareToken.connect(creator).approve(lbpFactory.getAddress(), ethers.MaxUint256);
+    await assetToken.connect(creator).approve(lbpFactory.getAddress(), ethers.MaxUint256);
+
+    const saleStart = (await time.latest()) + 3600;
+    const params = {
+      owner: creator.address,
+      shareToken: await shareToken.getAddress(),
+      assetToken: await assetToken.getAddress(),
+      sharesForSale: units(1000000),
+      minimumTokensForSale: units(500000),
+      maximumTokensPerUser: 0,
+      minimumTokensPerUser: 0,
+      swapFeeWAD: WAD / 100n,
+      platformFeeWAD: WAD * 5n / 100n,
+      saleStart,
+      saleEnd: saleStart + DAY,
+      redemptionDelay: DAY,
+      vestEnd: 0,
+      vestCliff: 0,
+      antiSnipeEnabled: 0,
+      whitelistMerkleRoot: ethers.ZeroHash,
+    };
+    const receipt = await (await fixedFactory.connect(creator)
+      .createFixedPricePool(params, units("0.05", 6), [], "")).wait();
+    const [created] = receipt.logs
+      .map(log => fixedFactory.interface.parseLog(log))
+      .filter(event => event && event.name === "PoolCreated");
+    const fixedPool = await ethers.getContractAt("FixedPricePool", created.args.poolAddress);
+
+    const spec = {
+      name: "Pool",
+      creator: creator.address,
+      shareToken: await shareToken.getAddress(),
+      assetToken: await assetToken.getAddress(),
+      shares: 1000000,
+      assets: 10000,
+      weightStart: "90%",
+      weightEnd: "50%",
+      saleStart,
+      saleEnd: saleStart + 3 * DAY,
+      sellingAllowed: true,
+    };
+    const args = convertLbpSpec(spec, { share: 18, asset: 6 });
+    const lbpAddress = await lbpFactory.predictDeterministicAddress(args.settings, args.salt);
+    await lbpFactory.connect(creator)
+      .createLiquidityBootstrapPool(args.settings, args.shares, args.assets, args.salt, "ipfs://lbp");
+    const lbp = await ethers.getContractAt("LiquidityBootstrapPool", lbpAddress);
+
+    await assetToken.mintArbitrary(alice.address, units(1000, 6));
+    await assetToken.connect(alice).approve(fixedPool.getAddress(), ethers.MaxUint256);
+    await assetToken.connect(alice).approve(lbp.getAddress(), ethers.MaxUint256);
+
+    const factories = {
+      FixedPricePoolFactory: await fixedFactory.getAddress(),
+      LiquidityBootstrapPoolFactory: await lbpFactory.getAddress(),
+    };
+    return { factories, fixedPool, lbp, params, spec };
+  }
+
+  const types = (alerts, pool) => alerts.filter(alert => alert.pool === pool.target).map(alert => alert.type);
+
+  it("should discover the pools and close them once their sale ended", async () => {
+    const { factories, fixedPool, lbp, params, spec } = await loadFixture(deployPools);
+    const notifier = createMemoryNotifier();
+    const keeper = createPoolKeeper({ provider: ethers.provider, signer: keeperAccount, factories, notifier });
+
+    const first = await keeper.check();
+    expect(first.discovered).to.have.members([fixedPool.target, lbp.target]);
+    expect(keeper.pools().map(({ address, contract, phase, saleStart, saleEnd, redemptionDelay }) =>
+      ({ address, contract, phase, saleStart, saleEnd, redemptionDelay }))).to.deep.equal([
+      { address: fixedPool.target, contract: "FixedPricePool", phase: "upcoming",
+        saleStart: params.saleStart, saleEnd: params.saleEnd, redemptionDelay: DAY },
+      { address: lbp.target, contract: "LiquidityBootstrapPool", phase: "upcoming",
+        saleStart: spec.saleStart, saleEnd: spec.saleEnd, redemptionDelay: 0 },
+    ]);
+
+    await time.increaseTo(params.saleStart);
+    await fixedPool.connect(alice).buyExactShares(units(1000), alice.address, 0, "0x", []);
+    await lbp.connect(alice)["swapExactAssetsForShares(uint256,uint256,address)"](units(100, 6), 0, alice.address);
+    expect((await keeper.check()).closed).to.be.empty;
+    expect(keeper.pools().map(pool => pool.phase)).to.deep.equal(["live", "live"]);
+
+    await time.increaseTo(params.saleEnd);
+    expect((await keeper.check()).closed).to.deep.equal([fixedPool.target]);
+    expect(await fixedPool.status()).to.equal(2);
+    expect(types(notifier.alerts, fixedPool)).to.deep.equal(["raiseGoalNotMet", "closed"]);
+    expect(notifier.alerts[0]).to.include({ level: "warning", contract: "FixedPricePool" });
+    expect(notifier.alerts[1].message).to.include(
+      `redeemable from ${new Date((params.saleEnd + DAY) * 1000).toISOString().replace(".000Z", "Z")}`);
+
+    await time.increaseTo(spec.saleEnd);
+    expect((await keeper.check()).closed).to.deep.equal([lbp.target]);
+    expect(await lbp.closed()).to.equal(true);
+    expect(types(notifier.alerts, lbp)).to.deep.equal(["closed"]);
+    expect(keeper.pools().map(pool => pool.phase)).to.deep.equal(["closed", "closed"]);
+
+    // closed pools are not checked again
+    await keeper.check();
+    expect(notifier.alerts).to.have.length(3);
+  });
+
+  it("should bump the fees of a close() left pending", async () => {
+    const { factories, fixedPool, params } = await loadFixture(deployPools);
+    let clock = 1000;
+    const keeper = createPoolKeeper({
+      provider: ethers.provider,
+      signer: keeperAccount,
+      factories,
+      notifier: createMemoryNotifier(),
+      bumpAfter: 60,
+      now: () => clock,
+    });
+    await time.increaseTo(params.saleEnd);
+    const nonce = await keeperAccount.getNonce();
+
+    await network.provider.send("evm_setAutomine", [false]);
+    try {
+      expect((await keeper.check()).pending).to.deep.equal([fixedPool.target]);
+      const [record] = keeper.pools();
+      const sent = { ...record.pending };
+      expect(sent).to.include({ nonce, sentAt: 1000 });
+
+      // not pending for long enough
+      clock += 59;
+      await keeper.check();
+      expect(record.pending.hashes).to.have.length(1);
+
+      clock += 1;
+      await keeper.check();
+      expect(record.pending.hashes).to.have.length(2);
+      expect(BigInt(record.pending.maxFeePerGas)).to.equal(BigInt(sent.maxFeePerGas) * 120n / 100n);
+      expect(BigInt(record.pending.maxPriorityFeePerGas)).to.equal(BigInt(sent.maxPriorityFeePerGas) * 120n / 100n);
+      const replacement = record.pending.hashes[1];
+
+      await mine();
+      expect((await keeper.check()).closed).to.deep.equal([fixedPool.target]);
+      expect((await ethers.provider.getTransactionReceipt(replacement)).status).to.equal(1);
+      expect(await ethers.provider.getTransactionReceipt(sent.hashes[0])).to.equal(null);
+      expect(await keeperAccount.getNonce()).to.equal(nonce + 1);
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+  });
+
+  it("should only ignore a bump whose nonce was used meanwhile", async () => {
+    const { factories, fixedPool, params } = await loadFixture(deployPools);
+    const notifier = createMemoryNotifier();
+    let clock = 1000;
+    // sends the first close(), then fails with `error`
+    let error;
+    const signer = Object.create(keeperAccount);
+    signer.sendTransaction = (tx) => error ? Promise.reject(error) : keeperAccount.sendTransaction(tx);
+    const keeper = createPoolKeeper({
+      provider: ethers.provider,
+      signer,
+      factories,
+      notifier,
+      bumpAfter: 60,
+      maxAttempts: 1,
+      now: () => clock,
+    });
+    await time.increaseTo(params.saleEnd);
+
+    await network.provider.send("evm_setAutomine", [false]);
+    try {
+      await keeper.check();
+
+      error = new Error("Nonce too low. Expected nonce to be 8 but got 7.");
+      clock += 60;
+      await keeper.check();
+      expect(notifier.alerts).to.deep.equal([]);
+
+      error = new Error("sender doesn't have enough funds to send tx");
+      await keeper.check();
+      expect(notifier.alerts).to.have.length(1);
+      expect(notifier.alerts[0]).to.include({ level: "critical", type: "closeFailed", pool: fixedPool.target });
+      expect(notifier.alerts[0].message).to.include("enough funds");
+      await mine();
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+  });
+
+  it("should flag the paused pools, the failed closes and the pools left open", async () => {
+    const { factories, fixedPool, lbp, params, spec } = await loadFixture(deployPools);
+    const notifier = createMemoryNotifier();
+    // an account without ether, its close() can't be sent
+    const broke = ethers.Wallet.createRandom().connect(ethers.provider);
+    const keeper = createPoolKeeper({
+      provider: ethers.provider,
+      signer: broke,
+      factories,
+      notifier,
+      maxAttempts: 2,
+      unclosedAfter: DAY,
+    });
+    await time.increaseTo(params.saleStart);
+
+    await fixedPool.connect(creator).togglePause();
+    await lbp.connect(creator).togglePause();
+    await keeper.check();
+    expect(notifier.alerts.map(({ level, type }) => [level, type])).to.deep.equal([
+      ["warning", "paused"],
+      ["warning", "paused"],
+    ]);
+    expect(notifier.alerts[1].message).to.include("can't be resumed");
+
+    // resumed then paused again
+    await fixedPool.connect(creator).togglePause();
+    await keeper.check();
+    await fixedPool.connect(creator).togglePause();
+    await keeper.check();
+    expect(types(notifier.alerts, fixedPool)).to.deep.equal(["paused", "paused"]);
+
+    // a paused FixedPricePool can still be closed
+    await time.increaseTo(params.saleEnd);
+    await keeper.check();
+    expect(notifier.alerts).to.have.length(3);
+    await keeper.check();
+    expect(notifier.alerts[3]).to.include({ level: "critical", type: "closeFailed", pool: fixedPool.target });
+    expect(notifier.alerts[3].message).to.include("failed 2 times");
+    // given up
+    await keeper.check();
+    expect(notifier.alerts).to.have.length(4);
+
+    await time.increase(DAY);
+    await keeper.check();
+    expect(notifier.alerts[4]).to.include({ level: "critical", type: "unclosed", pool: fixedPool.target });
+
+    // closed by someone else
+    await fixedPool.close();
+    await keeper.check();
+    expect(types(notifier.alerts, fixedPool)).to.deep.equal(
+      ["paused", "paused", "closeFailed", "unclosed", "raiseGoalNotMet", "closed"]);
+
+    await time.increaseTo(spec.saleEnd + DAY);
+    await keeper.check();
+    await keeper.check();
+    expect(types(notifier.alerts, lbp)).to.deep.equal(["paused", "unclosed", "closeFailed"]);
+  });
+});
@@ -0,0 +1,135 @@
+const {
+  loadFixture,
+  mine,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers, upgrades } = require('hardhat');
+const rewards = require('../helpers/staking_rewards');
+const { createMemoryNotifier, createWebhookNotifier } = require('../helpers/notifiers');
+const { readStakingState, createRewardMonitor } = require('../services/reward_monitor');
+
+describe("Reward monitor", function () {
+
+  // few blocks per day so that the runway runs out within the test
+  const BLOCKS_PER_DAY = 10;
+  const WEI = 10n ** 18n;
+
+  let owner;
+  let alice;
+
+  async function deployStaking() {
+    [owner, alice] = await ethers.getSigners();
+    const suprimeToken = await ethers.deployContract("SuprimeTokenMock");
+    const staking = await upgrades.deployProxy(await ethers.getContractFactory("SuprimeStaking"),
+      [await suprimeToken.getAddress(), BLOCKS_PER_DAY], { initializer: '__SuprimeStaking_init' });
+    const stakingView = await upgrades.deployProxy(await ethers.getContractFactory("SuprimeStakingView"),
+      [await staking.getAddress()], { initializer: '__SuprimeStakingView_init' });
+
+    await suprimeToken.mintArbitrary(alice.address, 10000n * WEI);
+    await suprimeToken.connect(alice).approve(staking.getAddress(), ethers.MaxUint256);
+    await suprimeToken.transfer(staking.getAddress(), 1000n * WEI);
+    // 10 days, 100 blocks
+    await staking.setRewards(500n * WEI, 10);
+    await staking.connect(alice).stake(1000n * WEI, 0, 12);
+    return { suprimeToken, staking, stakingView };
+  }
+
+  it("should read the runway and the default APY of the staking", async () => {
+    const { staking, stakingView } = await loadFixture(deployStaking);
+    await mine(20);
+
+    const { state, block } = await readStakingState(ethers.provider, await staking.getAddress());
+    const runway = rewards.getRunway(state, block.number);
+
+    const lastBlockWithReward = await staking.lastBlockWithReward();
+    expect(runway.lastBlockWithReward).to.equal(lastBlockWithReward);
+    expect(runway.blocksLeft).to.equal(lastBlockWithReward - block.number);
+    expect(runway.scheduledDays).to.equal(Number(runway.blocksLeft) / BLOCKS_PER_DAY);
+    expect(runway.rewardsPerDay).to.equal(await staking.rewardPerBlock() * BigInt(BLOCKS_PER_DAY));
+    expect(runway.unallocated).to.equal(1000n * WEI - await staking.rewardTokensLocked());
+    expect(rewards.getDefaultAPY(state)).to.equal(await stakingView.getDefaultAPY());
+  });
+
+  it("should alert once per level as the rewards run out", async () => {
+    const { staking } = await loadFixture(deployStaking);
+    const notifier = createMemoryNotifier();
+    const monitor = createRewardMonitor({
+      provider: ethers.provider,
+      staking: await staking.getAddress(),
+      notifier,
+      thresholdDays: 5,
+    });
+
+    expect((await monitor.check()).level).to.equal("ok");
+    expect(notifier.alerts).to.be.empty;
+
+    const lastBlockWithReward = await staking.lastBlockWithReward();
+    await mine(lastBlockWithReward - 40n - BigInt(await ethers.provider.getBlockNumber()));
+    expect((await monitor.check()).level).to.equal("warning");
+    await mine();
+    expect((await monitor.check()).level).to.equal("warning");
+    expect(notifier.alerts.map(alert => alert.level)).to.deep.equal(["warning"]);
+    expect(notifier.alerts[0].message).to.include("Staking rewards end in 4.0 days (40 blocks)");
+    expect(notifier.alerts[0].message).to.include("call setRewards(");
+
+    await mine(40);
+    const report = await monitor.check();
+    expect(report.level).to.equal("critical");
+    expect(report.runway.blocksLeft).to.equal(0n);
+    expect(notifier.alerts.map(alert => alert.level)).to.deep.equal(["warning", "critical"]);
+    expect(notifier.alerts[1].message).to.include(`Staking rewards ended at block ${lastBlockWithReward}`);
+  });
+
+  it("should propose a setRewards reaching the target APY", async () => {
+    const { suprimeToken, staking, stakingView } = await loadFixture(deployStaking);
+    const notifier = createMemoryNotifier();
+    const targetAPY = await stakingView.getDefaultAPY() * 3n;
+    const monitor = createRewardMonitor({
+      provider: ethers.provider,
+      staking: await staking.getAddress(),
+      notifier,
+      thresholdDays: 5,
+      targetAPY,
+      days: 30,
+    });
+    await mine(await staking.lastBlockWithReward() - BigInt(await ethers.provider.getBlockNumber()));
+
+    const { level, proposal } = await monitor.check();
+    expect(level).to.equal("critical");
+    expect(proposal.topUp).to.be.greaterThan(0n);
+    expect(proposal.defaultAPY).to.be.at.least(targetAPY);
+
+    // both in the block the proposal was planned for
+    await ethers.provider.send("evm_setAutomine", [false]);
+    await suprimeToken.transfer(staking.getAddress(), proposal.topUp, { gasLimit: 100000 });
+    await staking.setRewards(proposal.amount, proposal.days, { gasLimit: 500000 });
+    await mine();
+    await ethers.provider.send("evm_setAutomine", [true]);
+
+    expect(await staking.rewardPerBlock()).to.equal(proposal.rewardPerBlock);
+    expect(await staking.lastBlockWithReward()).to.equal(proposal.lastBlockWithReward);
+    expect(await stakingView.getDefaultAPY()).to.equal(proposal.defaultAPY);
+    const report = await monitor.check();
+    expect(report.level).to.equal("ok");
+    expect(notifier.alerts.map(alert => alert.level)).to.deep.equal(["critical", "ok"]);
+    expect(notifier.alerts[1].message).to.equal("Staking rewards are funded for 29.9 days again");
+  });
+
+  it("should post the alerts to a webhook", async () => {
+    const requests = [];
+    const fetch = async (url, request) => {
+      requests.push({ url, ...request });
+      return { ok: requests.length === 1, status: 500 };
+    };
+    const notifier = createWebhookNotifier("https://hooks.example.com/rewards", { fetch });
+    const alert = { level: "warning", message: "Staking rewards end in 3.9 days", block: { number: 12n } };
+
+    await notifier.notify(alert);
+    expect(requests[0].url).to.equal("https://hooks.example.com/rewards");
+    expect(requests[0].method).to.equal("POST");
+    expect(JSON.parse(requests[0].body)).to.deep.equal({ text: alert.message, ...alert, block: { number: "12" } });
+
+    const error = await notifier.notify(alert).then(() => expect.fail("should have been rejected"), e => e);
+    expect(error.message).to.equal("The webhook answered 500 to the warning alert");
+  });
+});
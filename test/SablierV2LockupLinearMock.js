@@ -0,0 +1,143 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require('hardhat');
+
+describe("SablierV2LockupLinearMock", function () {
+
+  const DAY = 86400;
+  const WAD = 10n ** 18n;
+  const DEPOSIT = 1000n * WAD;
+
+  let sender;
+  let recipient;
+  let other;
+
+  async function deployContracts() {
+    [sender, recipient, other] = await ethers.getSigners();
+
+    const sablier = await ethers.deployContract("SablierV2LockupLinearMock");
+    const token = await ethers.deployContract("ERC20DecimalsMock", ["Share", "SHR", 18]);
+    await token.mintArbitrary(sender.address, 10n * DEPOSIT);
+    await token.approve(sablier.getAddress(), ethers.MaxUint256);
+
+    return { sablier, token };
+  }
+
+  /// CreateWithRange of a 100 days stream starting in a day with a 10 days cliff, `range` overrides the offsets in days
+  async function streamParams({ token }, { totalAmount = DEPOSIT, range = {} } = {}) {
+    const now = await time.latest();
+    const { start = 1, cliff = 11, end = 101 } = range;
+    return {
+      sender: sender.address,
+      recipient: recipient.address,
+      totalAmount,
+      asset: await token.getAddress(),
+      cancelable: false,
+      transferable: true,
+      range: { start: now + start * DAY, cliff: now + cliff * DAY, end: now + end * DAY },
+      broker: { account: ethers.ZeroAddress, fee: 0 },
+    };
+  }
+
+  async function createStream(deployed) {
+    const params = await streamParams(deployed);
+    await deployed.sablier.createWithRange(params);
+    return params;
+  }
+
+  it("should record the stream and take the deposit", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { sablier, token } = deployed;
+    const params = await streamParams(deployed);
+
+    const created = sablier.createWithRange(params);
+    await expect(created).to.emit(sablier, "CreateLockupLinearStream");
+    await expect(created).to.changeTokenBalances(token, [sender, sablier], [-DEPOSIT, DEPOSIT]);
+
+    const stream = await sablier.streams(1);
+    expect(stream.recipient).to.equal(recipient.address);
+    expect(stream.depositAmount).to.equal(DEPOSIT);
+    expect(stream.withdrawnAmount).to.equal(0);
+    expect(stream.cliffTime).to.equal(params.range.cliff);
+    expect(stream.endTime).to.equal(params.range.end);
+    expect(await sablier.getRecipient(1)).to.equal(recipient.address);
+    expect(await sablier.nextStreamId()).to.equal(2);
+  });
+
+  it("should reject the streams Sablier rejects", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { sablier } = deployed;
+
+    await expect(sablier.createWithRange(await streamParams(deployed, { totalAmount: 0 })))
+      .to.be.revertedWithCustomError(sablier, "SablierV2Lockup_DepositAmountZero");
+    await expect(sablier.createWithRange(await streamParams(deployed, { range: { start: 12 } })))
+      .to.be.revertedWithCustomError(sablier, "SablierV2LockupLinear_StartTimeGreaterThanCliffTime");
+    await expect(sablier.createWithRange(await streamParams(deployed, { range: { cliff: 101 } })))
+      .to.be.revertedWithCustomError(sablier, "SablierV2LockupLinear_CliffTimeNotLessThanEndTime");
+    await expect(sablier.createWithRange(await streamParams(deployed, { range: { start: -10, cliff: -5, end: -1 } })))
+      .to.be.revertedWithCustomError(sablier, "SablierV2LockupLinear_EndTimeNotInTheFuture");
+  });
+
+  it("should stream linearly from the start once past the cliff", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { sablier } = deployed;
+    const { range } = await createStream(deployed);
+
+    await time.increaseTo(range.cliff - 60);
+    expect(await sablier.streamedAmountOf(1)).to.equal(0);
+
+    await time.increaseTo(range.start + 50 * DAY);
+    expect(await sablier.streamedAmountOf(1)).to.be.closeTo(DEPOSIT / 2n, WAD);
+
+    await time.increaseTo(range.end + DAY);
+    expect(await sablier.streamedAmountOf(1)).to.equal(DEPOSIT);
+    expect(await sablier.withdrawableAmountOf(1)).to.equal(DEPOSIT);
+
+    await expect(sablier.streamedAmountOf(2))
+      .to.be.revertedWithCustomError(sablier, "SablierV2Lockup_Null").withArgs(2);
+  });
+
+  it("should let the recipient withdraw what has streamed", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { sablier, token } = deployed;
+    const { range } = await createStream(deployed);
+
+    await time.increaseTo(range.start + 20 * DAY);
+    const withdrawn = sablier.connect(recipient).withdraw(1, other.address, DEPOSIT / 10n);
+    await expect(withdrawn)
+      .to.emit(sablier, "WithdrawFromLockupStream").withArgs(1, other.address, await token.getAddress(), DEPOSIT / 10n);
+    await expect(withdrawn).to.changeTokenBalances(token, [sablier, other], [-DEPOSIT / 10n, DEPOSIT / 10n]);
+    expect(await sablier.getWithdrawnAmount(1)).to.equal(DEPOSIT / 10n);
+
+    const withdrawable = await sablier.withdrawableAmountOf(1);
+    await expect(sablier.connect(recipient).withdraw(1, recipient.address, DEPOSIT))
+      .to.be.revertedWithCustomError(sablier, "SablierV2Lockup_Overdraw");
+    await expect(sablier.connect(recipient).withdraw(1, recipient.address, 0))
+      .to.be.revertedWithCustomError(sablier, "SablierV2Lockup_WithdrawAmountZero").withArgs(1);
+    await expect(sablier.connect(recipient).withdraw(1, ethers.ZeroAddress, withdrawable))
+      .to.be.revertedWithCustomError(sablier, "SablierV2Lockup_WithdrawToZeroAddress");
+
+    await time.increaseTo(range.end);
+    await expect(sablier.connect(recipient).withdrawMax(1, recipient.address))
+      .to.changeTokenBalance(token, recipient, DEPOSIT - DEPOSIT / 10n);
+    expect(await sablier.withdrawableAmountOf(1)).to.equal(0);
+  });
+
+  it("should only let the sender withdraw to the recipient", async () => {
+    const deployed = await loadFixture(deployContracts);
+    const { sablier, token } = deployed;
+    const { range } = await createStream(deployed);
+    await time.increaseTo(range.end);
+
+    await expect(sablier.connect(other).withdrawMax(1, other.address))
+      .to.be.revertedWithCustomError(sablier, "SablierV2Lockup_Unauthorized").withArgs(1, other.address);
+    await expect(sablier.withdrawMax(1, sender.address))
+      .to.be.revertedWithCustomError(sablier, "SablierV2Lockup_InvalidSenderWithdrawal")
+      .withArgs(1, sender.address, sender.address);
+    await expect(sablier.withdrawMax(1, recipient.address))
+      .to.changeTokenBalance(token, recipient, DEPOSIT);
+  });
+});
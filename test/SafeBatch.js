@@ -0,0 +1,210 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers, upgrades, artifacts } = require('hardhat');
+const {
+  ADMIN_ACTIONS,
+  resolveActions,
+  buildBatchFile,
+  calculateChecksum,
+  simulateBatch,
+} = require('../helpers/safe_batch');
+
+describe("Safe batch", function () {
+
+  const BLOCKS_PER_DAY = 7200;
+  const WAD = 10n ** 18n;
+
+  let owner;
+  let alice;
+  let ops;
+  let buyback;
+
+  async function deployContracts() {
+    [owner, alice, ops, buyback] = await ethers.getSigners();
+
+    const suprimeToken = await ethers.deployContract("SuprimeTokenMock");
+    const staking = await upgrades.deployProxy(await ethers.getContractFactory("SuprimeStaking"),
+      [await suprimeToken.getAddress(), BLOCKS_PER_DAY], { initializer: '__SuprimeStaking_init' });
+    await suprimeToken.transfer(staking.getAddress(), ethers.parseEther("100000"));
+
+    const treasury = await ethers.deployContract("Treasury", [owner.address]);
+    const sablier = await ethers.deployContract("SablierV2LockupLinearMock");
+    const fjordMath = await ethers.deployContract("FjordMath");
+    const fixedFactory = await ethers.deployContract("FixedPricePoolFactory",
+      [await treasury.getAddress(), owner.address, await sablier.getAddress()],
+      { libraries: { FjordMath: await fjordMath.getAddress() } });
+    const implementation = await ethers.deployContract("LiquidityBootstrapPool", [await sablier.getAddress()]);
+    const lbpFactory = await ethers.deployContract("LiquidityBootstrapPoolFactory",
+      [await implementation.getAddress(), owner.address, await treasury.getAddress(), 400, 0, 300]);
+
+    // a sale of the owner that hasn't started, it can still be paused and canceled
+    const shareToken = await ethers.deployContract("ERC20DecimalsMock", ["Share", "SHR", 18]);
+    const assetToken = await ethers.deployContract("ERC20DecimalsMock", ["Asset", "AST", 6]);
+    await shareToken.mintArbitrary(owner.address, ethers.parseEther("1000000"));
+    await shareToken.approve(fixedFactory.getAddress(), ethers.MaxUint256);
+    const saleStart = (await time.latest()) + 86400;
+    const receipt = await (await fixedFactory.createFixedPricePool({
+      owner: owner.address,
+      shareToken: await shareToken.getAddress(),
+      assetToken: await assetToken.getAddress(),
+      sharesForSale: ethers.parseEther("1000000"),
+      minimumTokensForSale: 0,
+      maximumTokensPerUser: 0,
+      minimumTokensPerUser: 0,
+      swapFeeWAD: WAD / 100n,
+      platformFeeWAD: WAD * 5n / 100n,
+      saleStart,
+      saleEnd: saleStart + 7 * 86400,
+      redemptionDelay: 0,
+      vestEnd: 0,
+      vestCliff: 0,
+      antiSnipeEnabled: 0,
+      whitelistMerkleRoot: ethers.ZeroHash,
+    }, ethers.parseUnits("0.05", 6), [], "")).wait();
+    const [created] = receipt.logs
+      .map(log => fixedFactory.interface.parseLog(log))
+      .filter(event => event && event.name === "PoolCreated");
+    const pool = await ethers.getContractAt("FixedPricePool", created.args.poolAddress);
+
+    const manifest = {
+      SuprimeStaking: await staking.getAddress(),
+      Treasury: await treasury.getAddress(),
+      LiquidityBootstrapPoolFactory: await lbpFactory.getAddress(),
+      FixedPricePool_seed: await pool.getAddress(),
+    };
+    return { staking, treasury, lbpFactory, pool, manifest };
+  }
+
+  function resolve(manifest, actions) {
+    return resolveActions(actions, {
+      provider: ethers.provider,
+      addressOf: async (name) => manifest[name],
+      loadAbi: async (name) => (await artifacts.readArtifact(name)).abi,
+      names: { ops: ops.address, buyback: buyback.address },
+    });
+  }
+
+  const ACTIONS = [
+    { action: "setRewards", amount: 1000, days: 10 },
+    { action: "updateRecipients", split: "60% ops, 40% buyback" },
+    { action: "setPlatformFee", fee: 500 },
+    { action: "togglePause", pool: "FixedPricePool_seed" },
+    { action: "cancelSale", pool: "FixedPricePool_seed" },
+  ];
+
+  it("should build the Transaction Builder file of the actions", async () => {
+    const { staking, treasury, pool, manifest } = await loadFixture(deployContracts);
+
+    const transactions = await resolve(manifest, ACTIONS);
+    expect(transactions.map(tx => [tx.contract, tx.to])).to.deep.equal([
+      ["SuprimeStaking", manifest.SuprimeStaking],
+      ["Treasury", manifest.Treasury],
+      ["LiquidityBootstrapPoolFactory", manifest.LiquidityBootstrapPoolFactory],
+      ["FixedPricePool", manifest.FixedPricePool_seed],
+      ["FixedPricePool", manifest.FixedPricePool_seed],
+    ]);
+    expect(transactions[0].data)
+      .to.equal(staking.interface.encodeFunctionData("setRewards", [ethers.parseEther("1000"), 10]));
+    expect(transactions[4].data).to.equal(pool.interface.encodeFunctionData("cancelSale"));
+
+    const batch = buildBatchFile(transactions, { chainId: 31337n, safe: owner.address, name: "Rewards", createdAt: 1 });
+    expect(batch).to.include({ version: "1.0", chainId: "31337", createdAt: 1 });
+    expect(batch.meta).to.include({ name: "Rewards", createdFromSafeAddress: owner.address });
+    const [, recipients] = batch.transactions;
+    expect(recipients).to.include({ to: await treasury.getAddress(), value: "0", data: transactions[1].data });
+    expect(recipients.contractMethod.name).to.equal("updateRecipients");
+    expect(recipients.contractInputsValues).to.deep.equal({
+      _recipients: JSON.stringify([ops.address, buyback.address]),
+      _percentages: JSON.stringify([(WAD * 6n / 10n).toString(), (WAD * 4n / 10n).toString()]),
+    });
+
+    // the Transaction Builder checks the checksum on import, the name isn't part of it
+    expect(batch.meta.checksum).to.equal(calculateChecksum(batch));
+    expect(calculateChecksum({ ...batch, meta: { ...batch.meta, name: "Other" } })).to.equal(batch.meta.checksum);
+    expect(calculateChecksum({ ...batch, transactions: batch.transactions.slice(1) })).to.not.equal(batch.meta.checksum);
+  });
+
+  it("should reject the actions it can't resolve", async () => {
+    const { manifest } = await loadFixture(deployContracts);
+
+    const error = await resolve(manifest, [
+      { action: "setRewards", amount: 1000 },
+      { action: "mint", amount: 1 },
+      { action: "updateRecipients", split: "60% ops, 40% marketing" },
+      { action: "togglePause", pool: ops.address },
+    ]).catch(e => e);
+
+    expect(error.message.split("\n").slice(1).map(line => line.trim())).to.deep.equal([
+      "actions[0] (setRewards): missing days",
+      `actions[1] (mint): unknown action, expected one of ${Object.keys(ADMIN_ACTIONS).join(", ")}`,
+      'actions[2] (updateRecipients): Unknown recipient "marketing", name an address or map the name to one',
+      `actions[3] (togglePause): ${ops.address} has no code, it isn't a pool`,
+    ]);
+  });
+
+  it("should simulate the batch from the Safe and leave the chain as it was", async () => {
+    const { staking, lbpFactory, pool, manifest } = await loadFixture(deployContracts);
+    const settings = await lbpFactory.factorySettings();
+
+    const { ok, results } = await simulateBatch(ethers.provider, owner.address, await resolve(manifest, ACTIONS));
+
+    expect(ok).to.equal(true);
+    expect(results.map(result => result.status)).to.deep.equal(Array(5).fill("success"));
+    expect(results[0].diff.find(diff => diff.read === "rewardPerBlock")).to.deep.equal({
+      read: "rewardPerBlock",
+      before: "0",
+      after: (ethers.parseEther("1000") / BigInt(10 * BLOCKS_PER_DAY)).toString(),
+      changed: true,
+    });
+    expect(results[1].events).to.deep.equal([
+      `FeeRecipientUpdated(${ops.address}, ${WAD * 6n / 10n}) from ${manifest.Treasury}`,
+      `FeeRecipientUpdated(${buyback.address}, ${WAD * 4n / 10n}) from ${manifest.Treasury}`,
+    ]);
+    expect(results[2].diff[0]).to.include({ read: "factorySettings", changed: true });
+    // Active, Paused then Canceled
+    expect(results.slice(3).map(result => [result.diff[0].before, result.diff[0].after]))
+      .to.deep.equal([["0", "1"], ["1", "3"]]);
+
+    expect(await staking.rewardPerBlock()).to.equal(0n);
+    expect(await lbpFactory.factorySettings()).to.deep.equal(settings);
+    expect(await pool.status()).to.equal(0n);
+  });
+
+  it("should stop at the first revert like the Safe", async () => {
+    const { lbpFactory, manifest } = await loadFixture(deployContracts);
+
+    // alice doesn't own anything
+    const { ok, results } = await simulateBatch(ethers.provider, alice.address, await resolve(manifest, ACTIONS));
+
+    expect(ok).to.equal(false);
+    expect(results[0]).to.include({ action: "setRewards", status: "reverted" });
+    expect(results[0].error).to.equal(`OwnableUnauthorizedAccount(${alice.address})`);
+    expect(results.slice(1).map(result => result.status)).to.deep.equal(Array(4).fill("skipped"));
+
+    const [setPlatformFee] = await resolve(manifest, [ACTIONS[2]]);
+    const single = await simulateBatch(ethers.provider, alice.address, [setPlatformFee]);
+    expect(single.results[0].error).to.equal("Unauthorized()");
+    expect((await lbpFactory.factorySettings()).platformFee).to.equal(400n);
+  });
+
+  it("should fail the whole batch when a later transaction reverts", async () => {
+    const { staking, manifest } = await loadFixture(deployContracts);
+
+    // more rewards than the staking holds
+    const transactions = await resolve(manifest, [
+      ACTIONS[0],
+      ACTIONS[2],
+      { action: "setRewards", amount: 1000000, days: 10 },
+      ACTIONS[3],
+    ]);
+    const { ok, results } = await simulateBatch(ethers.provider, owner.address, transactions);
+
+    expect(ok).to.equal(false);
+    expect(results.map(result => result.status)).to.deep.equal(["rolled back", "rolled back", "reverted", "skipped"]);
+    expect(results[2].error).to.match(/^InsufficientLiquidity/);
+    expect(await staking.rewardPerBlock()).to.equal(0n);
+  });
+});
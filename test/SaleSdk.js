@@ -0,0 +1,308 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require('hardhat');
+const { signBuyExactShares } = require('../helpers/antisnipe');
+const { buildWhitelist } = require('../helpers/merkle');
+const { convertLbpSpec } = require('../helpers/lbp_planner');
+const {
+  loadSale,
+  decodeSaleError,
+  InvalidInputError,
+  InvalidSignatureError,
+  NotWhitelistedError,
+  RedeemNotReadyError,
+  SaleInactiveError,
+  SlippageExceededError,
+  UserMinPurchaseNotMetError,
+} = require('../sdk/sale');
+
+describe("Sale SDK", function () {
+
+  const DAY = 86400;
+  const WAD = 10n ** 18n;
+
+  let owner;
+  let creator;
+  let delegateSigner;
+  let alice;
+  let bob;
+  let referrer;
+
+  const units = (amount, decimals = 18) => ethers.parseUnits(String(amount), decimals);
+
+  async function deployContracts() {
+    [owner, creator, delegateSigner, alice, bob, referrer] = await ethers.getSigners();
+
+    const fjordMath = await ethers.deployContract("FjordMath");
+    const sablier = await ethers.deployContract("SablierV2LockupLinearMock");
+    const fixedFactory = await ethers.deployContract("FixedPricePoolFactory",
+      [owner.address, delegateSigner.address, await sablier.getAddress()],
+      { libraries: { FjordMath: await fjordMath.getAddress() } });
+
+    const treasury = await ethers.deployContract("Treasury", [owner.address]);
+    await treasury.updateRecipients([owner.address], [WAD]);
+    await treasury.updateSwapFeeRecipient(owner.address);
+    const implementation = await ethers.deployContract("LiquidityBootstrapPool", [await sablier.getAddress()]);
+    const lbpFactory = await ethers.deployContract("LiquidityBootstrapPoolFactory",
+      [await implementation.getAddress(), owner.address, await treasury.getAddress(), 400, 100, 300]);
+
+    const shareToken = await ethers.deployContract("ERC20DecimalsMock", ["Share", "S", 18]);
+    const assetToken = await ethers.deployContract("ERC20DecimalsMock", ["Asset", "A", 6]);
+    for (const buyer of [alice, bob]) {
+      await assetToken.mintArbitrary(buyer.address, units(100000, 6));
+    }
+    return { fixedFactory, lbpFactory, shareToken, assetToken };
+  }
+
+  /// a week long FixedPricePool of 3000 shares by tiers of 0.05 and 0.1 assets with 1% swap fees,
+  /// the sale is started unless `start` is false
+  async function createFixedPool({ fixedFactory, shareToken, assetToken }, { start = true, ...overrides } = {}) {
+    const saleStart = (await time.latest()) + 3600;
+    const params = {
+      owner: creator.address,
+      shareToken: await shareToken.getAddress(),
+      assetToken: await assetToken.getAddress(),
+      sharesForSale: units(3000),
+      minimumTokensForSale: 0,
+      maximumTokensPerUser: 0,
+      minimumTokensPerUser: 0,
+      swapFeeWAD: WAD / 100n,
+      platformFeeWAD: WAD * 5n / 100n,
+      saleStart,
+      saleEnd: saleStart + 7 * DAY,
+      redemptionDelay: 0,
+      vestEnd: 0,
+      vestCliff: 0,
+      antiSnipeEnabled: 0,
+      whitelistMerkleRoot: ethers.ZeroHash,
+      ...overrides,
+    };
+    const tiers = [
+      { amountForSale: units(1000), pricePerShare: units("0.05", 6), maximumPerUser: 0, minimumPerUser: units(100) },
+      { amountForSale: units(2000), pricePerShare: units("0.1", 6), maximumPerUser: 0, minimumPerUser: 0 },
+    ];
+
+    await shareToken.mintArbitrary(creator.address, params.sharesForSale);
+    await shareToken.connect(creator).approve(fixedFactory.getAddress(), params.sharesForSale);
+    const receipt = await (await fixedFactory.connect(creator).createFixedPricePool(params, 0, tiers, "")).wait();
+    const [created] = receipt.logs
+      .map(log => fixedFactory.interface.parseLog(log))
+      .filter(event => event && event.name === "PoolCreated");
+    const pool = await ethers.getContractAt("FixedPricePool", created.args.poolAddress);
+    if (start) {
+      await time.increaseTo(params.saleStart);
+    }
+    return { pool, params };
+  }
+
+  /// a 3 days LiquidityBootstrapPool of 1M shares against 10k assets, the sale is started
+  async function createLbp({ lbpFactory, shareToken, assetToken }, { whitelistMerkleRoot } = {}) {
+    const saleStart = (await time.latest()) + 3600;
+    const spec = {
+      name: "Pool",
+      creator: creator.address,
+      shareToken: await shareToken.getAddress(),
+      assetToken: await assetToken.getAddress(),
+      shares: 1000000,
+      assets: 10000,
+      weightStart: "90%",
+      weightEnd: "50%",
+      saleStart,
+      saleEnd: saleStart + 3 * DAY,
+      sellingAllowed: true,
+    };
+    await shareToken.mintArbitrary(creator.address, units(spec.shares));
+    await assetToken.mintArbitrary(creator.address, units(spec.assets, 6));
+    await shareToken.connect(creator).approve(lbpFactory.getAddress(), ethers.MaxUint256);
+    await assetToken.connect(creator).approve(lbpFactory.getAddress(), ethers.MaxUint256);
+
+    const args = convertLbpSpec(spec, { share: 18, asset: 6 }, whitelistMerkleRoot);
+    const address = await lbpFactory.predictDeterministicAddress(args.settings, args.salt);
+    await (await lbpFactory.connect(creator)
+      .createLiquidityBootstrapPool(args.settings, args.shares, args.assets, args.salt, "ipfs://lbp")).wait();
+    await time.increaseTo(saleStart);
+    return { pool: await ethers.getContractAt("LiquidityBootstrapPool", address), spec };
+  }
+
+  // resolves to the error a promise is rejected with
+  const rejection = (promise) => promise.then(() => expect.fail("should have been rejected"), e => e);
+
+  describe("FixedPricePool", () => {
+
+    it("should quote through the tiers, approve and buy within the tier prices", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { assetToken } = deployed;
+      const { pool } = await createFixedPool(deployed);
+      const sale = await loadSale(await pool.getAddress(), alice);
+
+      expect(sale.info).to.include({
+        kind: "FixedPricePool",
+        poolType: "Fixed",
+        asset: await assetToken.getAddress(),
+        assetDecimals: 6,
+        whitelisted: false,
+        antiSnipe: false,
+        tiered: true,
+      });
+
+      // 1000 shares at 0.05 and 500 at 0.1, plus 1% of swap fee
+      const quote = await sale.quote({ shares: units(1500) });
+      expect(quote).to.deep.equal({
+        sharesOut: units(1500),
+        assetsIn: units(101, 6),
+        fees: units(1, 6),
+        maxAssetsIn: units("101.505", 6),
+        // the factory normalizes the tier prices to 18 decimals
+        maxPricePerShare: units("0.1"),
+      });
+      expect((await rejection(sale.quote({ assets: units(100, 6) }))).message).to.include("sell exact shares");
+      const tooLow = await rejection(sale.buy({ shares: units(50) }));
+      expect(tooLow).to.be.instanceOf(UserMinPurchaseNotMetError);
+      expect(tooLow).to.include({ reason: "TierPurchaseTooLow", tierIndex: 0n });
+
+      const bought = await sale.buy({ shares: units(1500) });
+      expect(bought).to.include({ sharesOut: units(1500), assetsIn: units(101, 6) });
+      expect(await assetToken.balanceOf(alice.address)).to.equal(units(100000 - 101, 6));
+      expect(await assetToken.allowance(alice.address, pool.getAddress())).to.equal(units("0.505", 6));
+      expect(await sale.position()).to.deep.equal({
+        purchasedShares: units(1500),
+        assetsIn: units(100, 6),
+        // no maximum per user, what is left for sale
+        sharesRemaining: units(1500),
+      });
+    });
+
+    it("should look up the proof of the recipient and ask for the anti-snipe signature", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const whitelist = buildWhitelist([alice.address, bob.address]);
+      const { pool } = await createFixedPool(deployed, { whitelistMerkleRoot: whitelist.root, antiSnipeEnabled: 1 });
+      const poolAddress = await pool.getAddress();
+      const requests = [];
+      const signBuy = async ({ pool, recipient, sharesOut }) => {
+        requests.push({ pool, recipient, sharesOut });
+        const deadline = (await time.latest()) + 120;
+        return signBuyExactShares(delegateSigner, pool, { sharesOut, recipient, deadline });
+      };
+
+      await deployed.assetToken.mintArbitrary(owner.address, units(1000, 6));
+
+      const unsigned = await loadSale(poolAddress, alice, { proofs: whitelist });
+      expect(unsigned.info).to.include({ whitelisted: true, antiSnipe: true });
+      expect(await rejection(unsigned.buy({ shares: units(100) }))).to.be.instanceOf(InvalidSignatureError);
+
+      // the proof is of the recipient, the sender doesn't need to be whitelisted
+      const sale = await loadSale(poolAddress, owner, { proofs: whitelist, signBuy });
+      await sale.buy({ shares: units(100) }, { recipient: bob.address });
+      expect(requests).to.deep.equal([{ pool: poolAddress, recipient: bob.address, sharesOut: units(100) }]);
+      expect(await pool.purchasedShares(bob.address)).to.equal(units(100));
+
+      const notListed = await rejection(sale.buy({ shares: units(100) }));
+      expect(notListed).to.be.instanceOf(NotWhitelistedError);
+      expect(notListed.account).to.equal(owner.address);
+      const wrongList = { root: ethers.ZeroHash.replace(/0$/, "1"), proofs: whitelist.proofs };
+      const other = await loadSale(poolAddress, alice, { proofs: wrongList, signBuy });
+      expect(await rejection(other.buy({ shares: units(100) }))).to.be.instanceOf(InvalidInputError);
+    });
+
+    it("should refund when the minimum wasn't sold and decode the redeem errors", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { assetToken } = deployed;
+      const { pool, params } = await createFixedPool(deployed,
+        { minimumTokensForSale: units(2000), redemptionDelay: DAY });
+      const sale = await loadSale(await pool.getAddress(), alice);
+      await sale.buy({ shares: units(200) });
+
+      expect(await rejection(sale.redeem())).to.be.instanceOf(RedeemNotReadyError);
+      await time.increaseTo(params.saleEnd);
+      await pool.close();
+      const early = await rejection(sale.refund());
+      expect(early).to.be.instanceOf(RedeemNotReadyError);
+      expect(early.redeemableAt).to.equal(BigInt(params.saleEnd + DAY));
+      await time.increase(DAY);
+
+      expect((await rejection(sale.redeem())).message).to.include("call refund()");
+      const balance = await assetToken.balanceOf(alice.address);
+      // the swap fees are kept
+      expect((await sale.refund()).amount).to.equal(units(10, 6));
+      expect(await assetToken.balanceOf(alice.address)).to.equal(balance + units(10, 6));
+    });
+  });
+
+  describe("LiquidityBootstrapPool", () => {
+
+    it("should buy exact assets or exact shares within the slippage", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { assetToken, shareToken } = deployed;
+      const { pool, spec } = await createLbp(deployed);
+      const sale = await loadSale(await pool.getAddress(), alice);
+      expect(sale.info).to.include({ kind: "LiquidityBootstrapPool", whitelisted: false, antiSnipe: false });
+
+      const byAssets = await sale.quote({ assets: units(100, 6) }, { slippage: 100 });
+      expect(byAssets.sharesOut).to.equal(await pool.previewSharesOut(units(100, 6)));
+      expect(byAssets.minSharesOut).to.equal(byAssets.sharesOut * 99n / 100n);
+      expect(byAssets.fees).to.equal(units(3, 6));
+      const bought = await sale.buy({ assets: units(100, 6) }, { referrer: referrer.address });
+      expect(bought).to.include({ assetsIn: units(100, 6), sharesOut: byAssets.sharesOut });
+
+      const byShares = await sale.quote({ shares: units(1000) });
+      expect(byShares.maxAssetsIn).to.equal(byShares.assetsIn * 10050n / 10000n);
+      const exact = await sale.buy({ shares: units(1000) });
+      expect(exact.sharesOut).to.equal(units(1000));
+      expect(exact.assetsIn).to.equal(byShares.assetsIn);
+      expect((await sale.position()).purchasedShares).to.equal(bought.sharesOut + units(1000));
+      expect((await sale.position(referrer.address)).referredAssets).to.equal(units(1, 6));
+
+      // bob bought first, alice's shares are now more expensive than quoted
+      const quoted = await sale.quote({ assets: units(100, 6) }, { slippage: 0 });
+      await assetToken.connect(bob).approve(pool.getAddress(), ethers.MaxUint256);
+      await pool.connect(bob)["swapExactAssetsForShares(uint256,uint256,address)"](units(1000, 6), 0, bob.address);
+      await assetToken.connect(alice).approve(pool.getAddress(), ethers.MaxUint256);
+      const moved = await rejection(pool.connect(alice)["swapExactAssetsForShares(uint256,uint256,address)"](
+        units(100, 6), quoted.sharesOut, alice.address));
+      expect(decodeSaleError(moved)).to.be.instanceOf(SlippageExceededError);
+
+      expect(await rejection(sale.redeem())).to.be.instanceOf(RedeemNotReadyError);
+      await time.increaseTo(spec.saleEnd);
+      expect(await rejection(sale.buy({ assets: units(100, 6) }))).to.be.instanceOf(SaleInactiveError);
+      await pool.close();
+      const redeemed = await sale.redeem();
+      expect(redeemed.shares).to.equal(bought.sharesOut + units(1000));
+      expect(await shareToken.balanceOf(alice.address)).to.equal(redeemed.shares);
+
+      const referral = await loadSale(await pool.getAddress(), referrer);
+      expect(await referral.redeem({ recipient: bob.address })).to.include({ shares: 0n });
+      expect(await assetToken.balanceOf(bob.address)).to.equal(units(100000 - 1000 + 1, 6));
+      expect(await rejection(referral.refund())).to.be.instanceOf(InvalidInputError);
+    });
+
+    it("should look up the proof of the sender", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const whitelist = buildWhitelist([alice.address]);
+      const { pool } = await createLbp(deployed, { whitelistMerkleRoot: whitelist.root });
+      const poolAddress = await pool.getAddress();
+      const proofs = async (address) => whitelist.proofs[address];
+
+      const sale = await loadSale(poolAddress, alice, { proofs });
+      expect(sale.info.whitelisted).to.equal(true);
+      await sale.buy({ assets: units(100, 6) }, { recipient: bob.address });
+      expect(await pool.purchasedShares(bob.address)).to.be.above(0n);
+
+      const other = await loadSale(poolAddress, bob, { proofs });
+      expect(await rejection(other.buy({ assets: units(100, 6) }, { recipient: alice.address })))
+        .to.be.instanceOf(NotWhitelistedError);
+      expect(await rejection(other.quote({ assets: 0 }))).to.be.instanceOf(InvalidInputError);
+      expect(await rejection(other.quote({ assets: units(1, 6) }, { slippage: 10000 })))
+        .to.be.instanceOf(InvalidInputError);
+    });
+
+    it("should not take a pool it can't reach for a LiquidityBootstrapPool", async () => {
+      const timeout = Object.assign(new Error("request timeout"), { code: "TIMEOUT" });
+      const unreachable = { call: async () => { throw timeout; } };
+
+      expect(await rejection(loadSale(alice.address, unreachable))).to.equal(timeout);
+    });
+  });
+});
@@ -0,0 +1,237 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers, upgrades } = require('hardhat');
+const { increaseTime, advanceBlocks } = require('../helpers/utils');
+const { checkProperty } = require('../helpers/property');
+const {
+  LOCK_PERIODS,
+  InsufficientLiquidityError,
+  decodeStakingError,
+  signPermit,
+} = require('../sdk/staking');
+
+describe("SuprimeStaking invariants", function () {
+
+  // few blocks per day so that reward periods end within a sequence
+  const BLOCKS_PER_DAY = 10;
+  const DAY = 86400;
+  const WEI = 10n ** 18n;
+  // the same sequences run every time, PROPERTY_SEED explores other ones or replays a failing run, PROPERTY_RUNS runs
+  // more sequences
+  const SEED = process.env.PROPERTY_SEED ? Number(process.env.PROPERTY_SEED) : 1;
+  const RUNS = Number(process.env.PROPERTY_RUNS || 5);
+
+  let owner;
+  let stakers;
+
+  async function deployStaking() {
+    let signers;
+    [owner, ...signers] = await ethers.getSigners();
+    stakers = signers.slice(0, 4);
+
+    const suprimeToken = await ethers.deployContract("SuprimeTokenMock");
+    const staking = await upgrades.deployProxy(await ethers.getContractFactory("SuprimeStaking"),
+      [await suprimeToken.getAddress(), BLOCKS_PER_DAY], { initializer: '__SuprimeStaking_init' });
+
+    await suprimeToken.mintArbitrary(owner.address, 10000000n * WEI);
+    for (const staker of stakers) {
+      await suprimeToken.mintArbitrary(staker.address, 1000000n * WEI);
+    }
+    return { suprimeToken, staking };
+  }
+
+  /// staking id of the `position`th NFT of the staker, positions wrap around, undefined if it has none
+  async function positionOf(staking, staker, position) {
+    const balance = await staking.balanceOf(staker);
+    if (balance !== 0n) {
+      return staking.tokenOfOwnerByIndex(staker, BigInt(position) % balance);
+    }
+  }
+
+  /// `into` 0 stakes a new position with the `lock`th locking period, otherwise adds to one of the staker's
+  async function stakeArgs(staking, staker, { amount, lock, into }) {
+    const tokenId = into !== 0 ? await positionOf(staking, staker, into - 1) : undefined;
+    const value = BigInt(amount) * WEI;
+    return tokenId ? [value, tokenId, 0] : [value, 0, LOCK_PERIODS[lock]];
+  }
+
+  /// every step picks its accounts and positions by index, so dropping steps while shrinking keeps the rest valid
+  const ACTIONS = {
+    stake: {
+      weight: 4,
+      args: { staker: [0, 3], amount: [1, 10000], lock: [0, 4], into: [0, 3] },
+      async run({ staking, suprimeToken }, step) {
+        const staker = stakers[step.staker];
+        await suprimeToken.connect(staker).approve(staking.getAddress(), BigInt(step.amount) * WEI);
+        await staking.connect(staker).stake(...await stakeArgs(staking, staker, step));
+      },
+    },
+    stakeWithPermit: {
+      weight: 2,
+      args: { staker: [0, 3], amount: [1, 10000], lock: [0, 4], into: [0, 3] },
+      async run({ staking, suprimeToken }, step) {
+        const staker = stakers[step.staker];
+        const deadline = (await time.latest()) + 3600;
+        const permit = await signPermit(staker, await suprimeToken.getAddress(), await staking.getAddress(),
+          BigInt(step.amount) * WEI, deadline);
+        await staking.connect(staker).stakeWithPermit(...await stakeArgs(staking, staker, step), permit);
+      },
+    },
+    restakeReward: {
+      weight: 2,
+      args: { staker: [0, 3], position: [0, 3] },
+      async run({ staking }, step) {
+        const tokenId = await positionOf(staking, stakers[step.staker], step.position);
+        if (tokenId) {
+          await staking.connect(stakers[step.staker]).restakeReward(tokenId);
+        }
+      },
+    },
+    claimReward: {
+      weight: 2,
+      args: { staker: [0, 3], position: [0, 3] },
+      async run({ staking }, step) {
+        const tokenId = await positionOf(staking, stakers[step.staker], step.position);
+        if (tokenId) {
+          await staking.connect(stakers[step.staker]).claimReward(tokenId);
+        }
+      },
+    },
+    withdraw: {
+      weight: 2,
+      args: { staker: [0, 3], position: [0, 3] },
+      async run({ staking }, step) {
+        const tokenId = await positionOf(staking, stakers[step.staker], step.position);
+        if (tokenId && await staking.canWithdraw(tokenId)) {
+          await staking.connect(stakers[step.staker]).withdraw(tokenId);
+        }
+      },
+    },
+    fund: {
+      args: { amount: [0, 100000] },
+      async run({ staking, suprimeToken }, { amount }) {
+        await suprimeToken.transfer(staking.getAddress(), BigInt(amount) * WEI);
+      },
+    },
+    setRewards: {
+      args: { amount: [0, 100000], days: [1, 60] },
+      async run({ staking }, { amount, days }) {
+        try {
+          await staking.setRewards(BigInt(amount) * WEI, days);
+        } catch (e) {
+          // the rewards are not funded, the owner has to fund them first
+          if (!(decodeStakingError(e) instanceof InsufficientLiquidityError)) {
+            throw e;
+          }
+        }
+      },
+    },
+    recoverNonLockedRewardTokens: {
+      async run({ staking, suprimeToken }) {
+        const totalPool = await staking.totalPool();
+        await staking.recoverNonLockedRewardTokens();
+
+        expect(await staking.totalPool()).to.equal(totalPool);
+        expect(await suprimeToken.balanceOf(staking.getAddress()))
+          .to.equal(totalPool + await staking.rewardTokensLocked());
+      },
+    },
+    increaseTime: {
+      weight: 2,
+      args: { days: [1, 120] },
+      async run(_, { days }) {
+        await increaseTime(days * DAY);
+      },
+    },
+    advanceBlocks: {
+      weight: 2,
+      args: { blocks: [1, 200] },
+      async run(_, { blocks }) {
+        await advanceBlocks(blocks);
+      },
+    },
+  };
+
+  async function positions({ staking }) {
+    const all = [];
+    for (const staker of stakers) {
+      all.push(...await staking.getStakingInfoByStaker(staker, 0, 100));
+    }
+    return all;
+  }
+
+  const sum = (values) => values.reduce((total, value) => total + value, 0n);
+
+  const INVARIANTS = [
+    {
+      name: "totalPool is the sum of staked",
+      async check(world) {
+        expect(await world.staking.totalPool())
+          .to.equal(sum((await positions(world)).map(info => info.staked)));
+      },
+    },
+    {
+      name: "totalPoolWithPower is the sum of staked * multiplier",
+      async check(world) {
+        expect(await world.staking.totalPoolWithPower())
+          .to.equal(sum((await positions(world)).map(info => info.staked * info.stakingMultiplier)));
+      },
+    },
+    {
+      name: "the balance covers the principal and the owed rewards",
+      async check(world) {
+        const { staking, suprimeToken } = world;
+        const owed = sum((await positions(world)).map(info => info.rewards));
+        expect(await suprimeToken.balanceOf(staking.getAddress()))
+          .to.be.gte(await staking.totalPool() + owed);
+      },
+    },
+    {
+      name: "recoverNonLockedRewardTokens never touches the principal",
+      async check({ staking, suprimeToken }) {
+        expect(await suprimeToken.balanceOf(staking.getAddress()) - await staking.rewardTokensLocked())
+          .to.be.gte(await staking.totalPool());
+      },
+    },
+  ];
+
+  const setup = () => loadFixture(deployStaking);
+
+  it("should keep the accounting invariants over random sequences", async function () {
+    this.timeout(0);
+
+    await checkProperty({ setup, actions: ACTIONS, invariants: INVARIANTS, runs: RUNS, steps: 30, seed: SEED });
+  });
+
+  it("should shrink a failing sequence to a minimal reproduction", async function () {
+    this.timeout(0);
+
+    const atMostTwoPositions = {
+      name: "at most two positions",
+      async check(world) {
+        expect(await positions(world)).to.have.lengthOf.at.most(2);
+      },
+    };
+    const error = await checkProperty({
+      setup,
+      actions: ACTIONS,
+      invariants: [atMostTwoPositions],
+      runs: 10,
+      steps: 30,
+      seed: 1,
+    }).catch(e => e);
+
+    expect(error).to.be.an("error");
+    expect(error.key).to.equal("at most two positions");
+    expect(error.message).to.include("(seed ");
+    // three new positions of the smallest stake
+    expect(error.sequence).to.have.lengthOf(3);
+    for (const step of error.sequence) {
+      expect(step.action).to.be.oneOf(["stake", "stakeWithPermit"]);
+      expect(step).to.include({ staker: 0, amount: 1, lock: 0, into: 0 });
+    }
+  });
+});
@@ -0,0 +1,145 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, upgrades } = require('hardhat');
+const { createMetadataGenerator, createMetadataServer } = require('../services/staking_metadata');
+
+describe("Staking metadata", function () {
+
+  const WEI = 10n ** 18n;
+  const THREE_MONTHS = 3 * 30 * 86400;
+
+  let alice;
+  let bob;
+
+  async function deployStaking() {
+    [, alice, bob] = await ethers.getSigners();
+    const startBlock = await ethers.provider.getBlockNumber() + 1;
+
+    const suprimeToken = await ethers.deployContract("SuprimeTokenMock");
+    const staking = await upgrades.deployProxy(await ethers.getContractFactory("SuprimeStaking"),
+      [await suprimeToken.getAddress(), 10], { initializer: '__SuprimeStaking_init' });
+    await suprimeToken.transfer(staking.getAddress(), 100000n * WEI);
+    await staking.setRewards(10000n * WEI, 100);
+    for (const staker of [alice, bob]) {
+      await suprimeToken.mintArbitrary(staker.address, 10000n * WEI);
+      await suprimeToken.connect(staker).approve(staking.getAddress(), ethers.MaxUint256);
+    }
+    await staking.connect(alice).stake(1000n * WEI, 0, 12);
+    await staking.connect(bob).stake(2500n * WEI, 0, 3);
+    return { staking, startBlock };
+  }
+
+  function generatorOf({ staking, startBlock }, dir, options = {}) {
+    return createMetadataGenerator({
+      provider: ethers.provider,
+      staking: staking.target,
+      dir,
+      stateFile: path.join(dir, "..", "state.json"),
+      fromBlock: startBlock,
+      ...options,
+    });
+  }
+
+  const readJSON = (dir, tokenId) => JSON.parse(fs.readFileSync(path.join(dir, tokenId), "utf8"));
+
+  it("should write the metadata of the positions", async () => {
+    const deployed = await loadFixture(deployStaking);
+    const { staking } = deployed;
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "staking-metadata-"));
+    const dir = path.join(root, "metadata");
+
+    const { lastBlock, updated } = await generatorOf(deployed, dir).sync();
+
+    expect(lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(updated).to.deep.equal(["1", "2"]);
+    expect(fs.readdirSync(dir).sort()).to.deep.equal(["1", "1.svg", "2", "2.svg"]);
+    const metadata = readJSON(dir, "1");
+    const info = await staking.getStakingInfoByIndex(1);
+    expect(metadata.name).to.equal("Suprime Staking #1");
+    expect(metadata.decimals).to.equal(0);
+    expect(metadata.properties).to.deep.include({
+      tokenId: "1",
+      staked: info.staked.toString(),
+      rewards: info.rewards.toString(),
+      endTime: info.endTime.toString(),
+      lockingPeriod: 12,
+      stakingMultiplier: 3,
+      status: "locked",
+    });
+    const svg = fs.readFileSync(path.join(dir, "1.svg"), "utf8");
+    expect(svg).to.include("1,000 SUPRIME");
+    expect(metadata.image).to.equal(`data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`);
+    fs.rmSync(root, { recursive: true });
+  });
+
+  it("should write the positions changed since the last sync again", async () => {
+    const deployed = await loadFixture(deployStaking);
+    const { staking } = deployed;
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "staking-metadata-"));
+    const dir = path.join(root, "metadata");
+    const options = { imageBaseURI: "ipfs://images/" };
+    await generatorOf(deployed, dir, options).sync();
+
+    await staking.connect(alice).stake(500n * WEI, 1, 0);
+    // resumes from the state file
+    expect((await generatorOf(deployed, dir, options).sync()).updated).to.deep.equal(["1"]);
+    expect(readJSON(dir, "1").properties.staked).to.equal((1500n * WEI).toString());
+    expect(readJSON(dir, "1").image).to.equal("ipfs://images/1.svg");
+
+    await time.increase(THREE_MONTHS);
+    await staking.connect(bob).withdraw(2);
+    const generator = generatorOf(deployed, dir, options);
+    expect((await generator.sync()).updated).to.deep.equal(["2"]);
+    const withdrawn = readJSON(dir, "2");
+    expect(withdrawn.properties).to.deep.include({
+      staked: "0",
+      withdrawn: (2500n * WEI).toString(),
+      lockingPeriod: 3,
+      stakingMultiplier: 1,
+      status: "withdrawn",
+    });
+    expect(withdrawn.properties.rewardPaid).to.not.equal("0");
+    expect(fs.readFileSync(path.join(dir, "2.svg"), "utf8")).to.include("Withdrawn");
+
+    // nothing changed, the rewards of alice only show after a refresh
+    const before = readJSON(dir, "1").properties.rewards;
+    expect((await generator.sync()).updated).to.be.empty;
+    expect(await generator.refresh()).to.deep.equal(["1", "2"]);
+    expect(BigInt(readJSON(dir, "1").properties.rewards)).to.be.greaterThan(BigInt(before));
+    fs.rmSync(root, { recursive: true });
+  });
+
+  it("should serve the live metadata", async () => {
+    const { staking, startBlock } = await loadFixture(deployStaking);
+    await time.increase(THREE_MONTHS);
+    await staking.connect(bob).withdraw(2);
+
+    const server = createMetadataServer({ provider: ethers.provider, staking: staking.target, fromBlock: startBlock });
+    await new Promise(resolve => server.listen(0, resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    try {
+      let res = await fetch(`${url}/1`);
+      expect(res.status).to.equal(200);
+      const metadata = await res.json();
+      expect(metadata.properties.rewards).to.equal((await staking.earned(1)).toString());
+      expect(metadata.properties.status).to.equal("locked");
+
+      res = await fetch(`${url}/2`);
+      expect((await res.json()).properties.status).to.equal("withdrawn");
+      res = await fetch(`${url}/1.svg`);
+      expect(res.headers.get("content-type")).to.equal("image/svg+xml");
+      expect(await res.text()).to.match(/^<svg /);
+
+      expect((await fetch(`${url}/3`)).status).to.equal(404);
+      expect((await fetch(`${url}/unknown`)).status).to.equal(404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,198 @@
+const {
+  loadFixture,
+  time,
+  mine,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers, upgrades } = require('hardhat');
+const rewards = require('../helpers/staking_rewards');
+
+describe("Staking rewards model", function () {
+
+  // few blocks per day so that reward periods end within the test
+  const BLOCKS_PER_DAY = 10;
+  const WEI = 10n ** 18n;
+
+  let owner;
+  let alice;
+  let bob;
+  let carol;
+
+  async function deployStaking() {
+    [owner, alice, bob, carol] = await ethers.getSigners();
+    const suprimeToken = await ethers.deployContract("SuprimeTokenMock");
+    const staking = await upgrades.deployProxy(await ethers.getContractFactory("SuprimeStaking"),
+      [await suprimeToken.getAddress(), BLOCKS_PER_DAY], { initializer: '__SuprimeStaking_init' });
+    const stakingView = await upgrades.deployProxy(await ethers.getContractFactory("SuprimeStakingView"),
+      [await staking.getAddress()], { initializer: '__SuprimeStakingView_init' });
+
+    for (const staker of [alice, bob, carol]) {
+      await suprimeToken.mintArbitrary(staker.address, 100000n * WEI);
+      await suprimeToken.connect(staker).approve(staking.getAddress(), ethers.MaxUint256);
+    }
+    return { suprimeToken, staking, stakingView };
+  }
+
+  async function compare({ suprimeToken, staking, stakingView }, state, indexes, blockTag) {
+    const at = { blockTag };
+    const number = BigInt(blockTag);
+
+    expect(await staking.totalPool(at)).to.equal(state.totalPool);
+    expect(await staking.totalPoolWithPower(at)).to.equal(state.totalPoolWithPower);
+    expect(await staking.rewardPerBlock(at)).to.equal(state.rewardPerBlock);
+    expect(await staking.lastBlockWithReward(at)).to.equal(state.lastBlockWithReward);
+    expect(await staking.rewardTokensLocked(at)).to.equal(state.rewardTokensLocked);
+    expect(await staking.blocksWithRewardsPassed(at)).to.equal(rewards.blocksWithRewardsPassed(state, number));
+    expect(await staking.rewardPerToken(at)).to.equal(rewards.rewardPerToken(state, number));
+    expect(await suprimeToken.balanceOf(staking.getAddress(), at)).to.equal(state.balance);
+
+    for (const multiplier of [1, 2, 3, 4, 5]) {
+      expect(await stakingView.getExpectedAPY(100n * WEI, multiplier, at))
+        .to.equal(rewards.getAPY(state, 100n * WEI, multiplier, true));
+    }
+
+    for (const index of indexes) {
+      const expected = rewards.getStakingInfoByIndex(state, index, number);
+      const info = await staking.getStakingInfoByIndex(index, at);
+      expect(info.staked).to.equal(expected.staked);
+      expect(info.endTime).to.equal(expected.endTime);
+      expect(info.rewards).to.equal(expected.rewards);
+      expect(info.rewardPerTokenPaid).to.equal(expected.rewardPerTokenPaid);
+      expect(info.stakingMultiplier).to.equal(expected.stakingMultiplier);
+      if (expected.staked > 0n) {
+        expect(await stakingView.getPositionAPY(index, at)).to.equal(rewards.getPositionAPY(state, index));
+      }
+    }
+  }
+
+  it("should match the staking block by block", async () => {
+    const contracts = await loadFixture(deployStaking);
+    const { suprimeToken, staking } = contracts;
+    const state = rewards.createStakingState(BLOCKS_PER_DAY);
+    const indexes = [1n, 2n, 3n, 4n];
+
+    async function send(tx, apply) {
+      const receipt = await (await tx).wait();
+      const { number, timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+      apply({ number: BigInt(number), timestamp: BigInt(timestamp) });
+      await compare(contracts, state, indexes, number);
+    }
+
+    async function mineAndCompare(blocks) {
+      for (let i = 0; i < blocks; i++) {
+        await mine();
+        await compare(contracts, state, indexes, await ethers.provider.getBlockNumber());
+      }
+    }
+
+    // the model must refuse what the staking reverts, without changing its state
+    async function reverts(tx, model, error) {
+      const before = structuredClone(state);
+      await expect(tx).to.be.revertedWithCustomError(staking, error);
+      const { number, timestamp } = await ethers.provider.getBlock("latest");
+      expect(() => model({ number: BigInt(number) + 1n, timestamp: BigInt(timestamp) + 1n })).to.throw(error);
+      expect(state).to.deep.equal(before);
+    }
+
+    await send(suprimeToken.transfer(staking.getAddress(), 10000n * WEI), () => rewards.fund(state, 10000n * WEI));
+    await send(staking.setRewards(3000n * WEI, 3), block => rewards.setRewards(state, 3000n * WEI, 3, block));
+
+    await send(staking.connect(alice).stake(1000n * WEI, 0, 3),
+      block => rewards.stake(state, alice.address, 1000n * WEI, 3, block));
+    await mineAndCompare(2);
+    await send(staking.connect(bob).stake(2500n * WEI, 0, 12),
+      block => rewards.stake(state, bob.address, 2500n * WEI, 12, block));
+    await send(staking.connect(carol).stake(777n * WEI, 0, 36),
+      block => rewards.stake(state, carol.address, 777n * WEI, 36, block));
+    await mineAndCompare(3);
+
+    await send(staking.connect(alice).stake(500n * WEI, 1, 0), block => rewards.addToStake(state, 1n, 500n * WEI, block));
+    await send(staking.connect(bob).restakeReward(2), block => rewards.restakeReward(state, 2n, block));
+    await send(staking.connect(carol).claimReward(3), block => rewards.claimReward(state, 3n, block));
+    await mineAndCompare(2);
+
+    // a new period overlapping the current one
+    await send(staking.setRewards(1000n * WEI, 1), block => rewards.setRewards(state, 1000n * WEI, 1, block));
+    await mineAndCompare(3);
+
+    await reverts(staking.connect(alice).withdraw(1), block => rewards.withdraw(state, 1n, block), "WithdrawNotReady");
+    await reverts(staking.connect(alice).stake(100n * WEI, 0, 7),
+      block => rewards.stake(state, alice.address, 100n * WEI, 7, block), "InvalidInput");
+
+    await time.increase(3 * 30 * 86400);
+    await send(staking.connect(alice).withdraw(1), block => rewards.withdraw(state, 1n, block));
+
+    // past the end of the rewards
+    await mineAndCompare(45);
+    await send(staking.connect(alice).stake(300n * WEI, 0, 6),
+      block => rewards.stake(state, alice.address, 300n * WEI, 6, block));
+    await send(staking.connect(carol).restakeReward(3), block => rewards.restakeReward(state, 3n, block));
+    await mineAndCompare(2);
+
+    await reverts(staking.setRewards(100000n * WEI, 10),
+      block => rewards.setRewards(state, 100000n * WEI, 10, block), "InsufficientLiquidity");
+    await send(staking.setRewards(500n * WEI, 2), block => rewards.setRewards(state, 500n * WEI, 2, block));
+    await mineAndCompare(5);
+  });
+
+  it("should project when the reward budget runs out", async () => {
+    const state = rewards.createStakingState(BLOCKS_PER_DAY);
+    const { rows, positions, rejected, budget } = rewards.simulateRewards({
+      state,
+      start: { number: 100n, timestamp: 1700000000n },
+      days: 20,
+      sampleEvery: 1,
+      events: [
+        { day: 0, action: "fund", amount: 10000n * WEI },
+        { day: 0, action: "setRewards", amount: 1000n * WEI, days: 10 },
+        { day: 1, action: "stake", id: "alice", amount: 1000n * WEI, lock: 3 },
+        { day: 1, action: "stake", id: "bob", amount: 1000n * WEI, lock: 36 },
+        { day: 5, action: "withdraw", id: "alice" },
+        { day: 5, action: "claim", id: "bob" },
+      ],
+    });
+
+    expect(budget.lastBlockWithReward).to.equal(100n + 10n * BigInt(BLOCKS_PER_DAY) - 1n);
+    expect(budget.endsOnDay).to.equal(9.9);
+    expect(rows[9].rewardsActive).to.equal(true);
+    expect(rows[10].rewardsActive).to.equal(false);
+    // bob's earnings stop growing after the budget ran out
+    expect(rows[15].positions.bob).to.equal(rows[20].positions.bob);
+
+    expect(rejected).to.have.lengthOf(1);
+    expect(rejected[0].error).to.match(/^WithdrawNotReady/);
+    // bob has 5 times alice's power, both got rewards for the same blocks
+    const bob = positions.bob.pending + positions.bob.paid;
+    expect(positions.bob.paid).to.be.above(0n);
+    expect(positions.alice.pending * 5n).to.be.closeTo(bob, 10n ** 6n);
+    // 89 blocks of 10 SUPRIME between the stakes and the end of the rewards, minus rounding
+    expect(positions.alice.pending + bob).to.be.closeTo(890n * WEI, 10n ** 6n);
+  });
+
+  it("should apply the events after the last sample and end on the last day", async () => {
+    const state = rewards.createStakingState(BLOCKS_PER_DAY);
+    const { rows, positions, rejected } = rewards.simulateRewards({
+      state,
+      start: { number: 100n, timestamp: 1700000000n },
+      days: 10,
+      sampleEvery: 4,
+      events: [
+        { day: 0, action: "fund", amount: 10000n * WEI },
+        { day: 0, action: "setRewards", amount: 1000n * WEI, days: 20 },
+        { day: 1, action: "stake", id: "bob", amount: 1000n * WEI, lock: 3 },
+        { day: 9, action: "claim", id: "bob" },
+        { day: 11, action: "withdraw", id: "bob" },
+      ],
+    });
+
+    expect(rejected).to.deep.equal([
+      { day: 11, action: "withdraw", id: "bob", error: "after the last projected day 10" },
+    ]);
+    expect(rows.map(row => row.day)).to.deep.equal([0, 4, 8, 10]);
+    expect(rows[3].block).to.equal(100n + 10n * BigInt(BLOCKS_PER_DAY));
+    // bob alone got the rewards of 8 days until the claim, then the ones of a day
+    expect(positions.bob.paid).to.be.closeTo(400n * WEI, 10n ** 6n);
+    expect(positions.bob.pending).to.equal(rows[3].positions.bob);
+    expect(rows[3].positions.bob).to.be.closeTo(50n * WEI, 10n ** 6n);
+  });
+});
@@ -0,0 +1,203 @@
+const {
+  loadFixture,
+  time,
+  mine,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { toWei } = require('../helpers/utils')
+const { ethers, upgrades } = require('hardhat');
+const {
+  createStakingClient,
+  decodeStakingError,
+  InvalidInputError,
+  InvalidSignatureError,
+  TransferNotAllowedError,
+  UnauthorizedError,
+  WithdrawNotReadyError,
+} = require('../sdk/staking');
+
+describe("Staking SDK", function () {
+
+  const THREE_MONTHS = 3 * 30 * 86400;
+
+  let owner;
+  let staker;
+  let other;
+
+  async function deployStaking() {
+    [owner, staker, other] = await ethers.getSigners();
+    const suprimeToken = await ethers.deployContract("SuprimeTokenMock");
+    const SuprimeStaking = await ethers.getContractFactory("SuprimeStaking");
+    const staking = await upgrades.deployProxy(SuprimeStaking,
+      [await suprimeToken.getAddress(), 60 * 60 * 24], { initializer: '__SuprimeStaking_init' });
+
+    await suprimeToken.mintArbitrary(staker.address, toWei('100000'));
+    await suprimeToken.mintArbitrary(other.address, toWei('100000'));
+    await suprimeToken.transfer(staking.getAddress(), toWei("10000000"));
+    await staking.setRewards(toWei((60 * 60 * 24 * 90).toString()), 90);
+
+    const client = createStakingClient(await staking.getAddress(), staker);
+    return { suprimeToken, staking, client };
+  }
+
+  // resolves to the error a promise is rejected with
+  const rejection = (promise) => promise.then(() => expect.fail("should have been rejected"), e => e);
+
+  describe("stake", () => {
+
+    it("should approve and stake", async () => {
+      const { suprimeToken, staking, client } = await loadFixture(deployStaking);
+
+      const { tokenId } = await client.stake(toWei('1000'), 6);
+
+      expect(tokenId).to.equal(1n);
+      expect(await staking.ownerOf(tokenId)).to.equal(staker.address);
+      const info = await client.getStake(tokenId);
+      expect(info.staked).to.equal(toWei('1000'));
+      expect(info.lockingPeriod).to.equal(6);
+      expect(await suprimeToken.balanceOf(staker.address)).to.equal(toWei('99000'));
+    });
+
+    it("should add to a stake", async () => {
+      const { client } = await loadFixture(deployStaking);
+      const { tokenId } = await client.stake(toWei('1000'), 3);
+
+      await client.addToStake(tokenId, toWei('500'));
+
+      expect((await client.getStake(tokenId)).staked).to.equal(toWei('1500'));
+    });
+
+    it("should refuse invalid lock periods and amounts before sending", async () => {
+      const { client } = await loadFixture(deployStaking);
+      const nonce = await staker.getNonce();
+
+      for (const lock of [0, 1, 32, 48]) {
+        const error = await rejection(client.stake(toWei('1'), lock));
+        expect(error).to.be.instanceOf(InvalidInputError);
+        expect(error.value).to.equal(BigInt(lock));
+      }
+      expect(await rejection(client.stake(0, 3))).to.be.instanceOf(InvalidInputError);
+      expect(await rejection(client.addToStake(0, toWei('1')))).to.be.instanceOf(InvalidInputError);
+      expect(await staker.getNonce()).to.equal(nonce);
+    });
+  });
+
+  describe("stakeWithPermit", () => {
+
+    it("should stake with a signed permit", async () => {
+      const { suprimeToken, staking, client } = await loadFixture(deployStaking);
+      expect(await suprimeToken.allowance(staker.address, staking.getAddress())).to.equal(0);
+
+      const { tokenId } = await client.stakeWithPermit(toWei('1000'), { lock: 12 });
+
+      const info = await client.getStake(tokenId);
+      expect(info.staked).to.equal(toWei('1000'));
+      expect(info.lockingPeriod).to.equal(12);
+      expect(await suprimeToken.nonces(staker.address)).to.equal(1);
+    });
+
+    it("should add to a stake with a signed permit", async () => {
+      const { client } = await loadFixture(deployStaking);
+      const { tokenId } = await client.stakeWithPermit(toWei('1000'), { lock: 3 });
+
+      const added = await client.stakeWithPermit(toWei('250'), { tokenId });
+
+      expect(added.tokenId).to.equal(tokenId);
+      expect((await client.getStake(tokenId)).staked).to.equal(toWei('1250'));
+    });
+
+    it("should decode an expired permit to InvalidSignatureError", async () => {
+      const { client } = await loadFixture(deployStaking);
+      const deadline = (await time.latest()) - 1;
+
+      const error = await rejection(client.stakeWithPermit(toWei('1000'), { lock: 3, deadline }));
+
+      expect(error).to.be.instanceOf(InvalidSignatureError);
+      expect(error.cause).to.exist;
+    });
+  });
+
+  describe("rewards", () => {
+
+    it("should claim the rewards", async () => {
+      const { suprimeToken, client } = await loadFixture(deployStaking);
+      const { tokenId } = await client.stake(toWei('1000'), 3);
+      await mine(100);
+      const balance = await suprimeToken.balanceOf(staker.address);
+
+      await client.claimReward(tokenId);
+
+      expect(await suprimeToken.balanceOf(staker.address)).to.be.above(balance);
+      expect(await client.earned(tokenId)).to.equal(0);
+    });
+
+    it("should restake the rewards", async () => {
+      const { client } = await loadFixture(deployStaking);
+      const { tokenId } = await client.stake(toWei('1000'), 3);
+      await mine(100);
+
+      await client.restakeReward(tokenId);
+
+      expect((await client.getStake(tokenId)).staked).to.be.above(toWei('1000'));
+    });
+
+    it("should decode a claim of another staker to UnauthorizedError", async () => {
+      const { staking, client } = await loadFixture(deployStaking);
+      const { tokenId } = await client.stake(toWei('1000'), 3);
+
+      const error = await rejection(createStakingClient(await staking.getAddress(), other).claimReward(tokenId));
+
+      expect(error).to.be.instanceOf(UnauthorizedError);
+      expect(error.caller).to.equal(other.address);
+    });
+  });
+
+  describe("withdraw", () => {
+
+    it("should refuse to withdraw before the end of the lock", async () => {
+      const { client } = await loadFixture(deployStaking);
+      const { tokenId } = await client.stake(toWei('1000'), 3);
+      const { endTime } = await client.getStake(tokenId);
+
+      const error = await rejection(client.withdraw(tokenId));
+
+      expect(error).to.be.instanceOf(WithdrawNotReadyError);
+      expect(error.endTime).to.equal(endTime);
+      expect(error.cause).to.be.undefined;
+    });
+
+    it("should withdraw after the end of the lock", async () => {
+      const { suprimeToken, staking, client } = await loadFixture(deployStaking);
+      const { tokenId } = await client.stake(toWei('1000'), 3);
+      await time.increase(THREE_MONTHS + 1);
+      const balance = await suprimeToken.balanceOf(staker.address);
+
+      await client.withdraw(tokenId);
+
+      expect(await suprimeToken.balanceOf(staker.address)).to.be.above(balance + BigInt(toWei('1000')));
+      expect(await staking.balanceOf(staker.address)).to.equal(0);
+    });
+  });
+
+  describe("decodeStakingError", () => {
+
+    it("should decode the reverts of raw calls", async () => {
+      const { staking, client } = await loadFixture(deployStaking);
+      const { tokenId } = await client.stake(toWei('1000'), 3);
+
+      let error = decodeStakingError(await rejection(staking.connect(staker).withdraw(tokenId)));
+      expect(error).to.be.instanceOf(WithdrawNotReadyError);
+      expect(error.user).to.equal(staker.address);
+
+      error = decodeStakingError(await rejection(
+        staking.connect(staker).safeTransferFrom(staker.address, other.address, tokenId, 1, "0x")
+      ));
+      expect(error).to.be.instanceOf(TransferNotAllowedError);
+    });
+
+    it("should return other errors as they are", async () => {
+      const error = new Error("network error");
+      expect(decodeStakingError(error)).to.equal(error);
+    });
+  });
+});
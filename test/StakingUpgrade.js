@@ -0,0 +1,147 @@
+const {
+  loadFixture,
+  mine,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require('hardhat');
+const { getDeploymentsDir, readEntry, recordDeployment } = require('../helpers/manifest');
+const { takeSnapshot, compareSnapshots } = require('../tasks/upgrade');
+
+describe("Staking upgrade", function () {
+
+  const { ethers, upgrades } = hre;
+  const BLOCKS_PER_DAY = 10;
+  const WEI = 10n ** 18n;
+
+  let owner;
+  let alice;
+  let bob;
+  let carol;
+  let dir;
+
+  async function deployStaking() {
+    [owner, alice, bob, carol] = await ethers.getSigners();
+    const suprimeToken = await ethers.deployContract("SuprimeTokenMock");
+    const staking = await upgrades.deployProxy(await ethers.getContractFactory("SuprimeStaking"),
+      [await suprimeToken.getAddress(), BLOCKS_PER_DAY], { initializer: '__SuprimeStaking_init' });
+    const stakingView = await upgrades.deployProxy(await ethers.getContractFactory("SuprimeStakingView"),
+      [await staking.getAddress()], { initializer: '__SuprimeStakingView_init' });
+
+    await suprimeToken.mintArbitrary(owner.address, 100000n * WEI);
+    await suprimeToken.approve(staking.getAddress(), ethers.MaxUint256);
+    await suprimeToken.transfer(staking.getAddress(), 10000n * WEI);
+    await staking.setRewards(10000n * WEI, 100);
+    for (const staker of [alice, bob, carol]) {
+      await suprimeToken.mintArbitrary(staker.address, 100000n * WEI);
+      await suprimeToken.connect(staker).approve(staking.getAddress(), ethers.MaxUint256);
+    }
+    await staking.connect(alice).stake(1000n * WEI, 0, 3);
+    await staking.connect(bob).stake(2500n * WEI, 0, 12);
+    await staking.connect(alice).stake(700n * WEI, 0, 6);
+    await mine(20);
+    return { suprimeToken, staking, stakingView };
+  }
+
+  /// the fixture chain is reverted between the tests, the manifest is written again every time
+  async function deploy() {
+    const contracts = await loadFixture(deployStaking);
+    const { staking, stakingView, suprimeToken } = contracts;
+    await recordDeployment(hre, "SuprimeStaking", staking,
+      { args: [suprimeToken.target, BLOCKS_PER_DAY], proxy: true });
+    await recordDeployment(hre, "SuprimeStakingView", stakingView, { args: [staking.target], proxy: true });
+    return contracts;
+  }
+
+  const upgrade = (contract, propose = false) => hre.run("upgrade-staking", { contract, propose, sample: 5 });
+
+  beforeEach(async () => {
+    dir = await getDeploymentsDir(hre);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should upgrade SuprimeStaking and record the implementation", async () => {
+    const { staking } = await deploy();
+
+    await upgrade("SuprimeStaking");
+
+    expect((await readEntry(hre, "SuprimeStaking")).proxy.implementation)
+      .to.equal(await upgrades.erc1967.getImplementationAddress(staking.target));
+  });
+
+  it("should upgrade SuprimeStakingView comparing its own getters", async () => {
+    const { staking } = await deploy();
+
+    const snapshot = await takeSnapshot(hre, "SuprimeStakingView", 5);
+    expect(snapshot.constants).to.deep.equal({ suprimeStaking: staking.target });
+    expect(Object.keys(snapshot.totals)).to.deep.equal(["getDefaultAPY"]);
+    expect(snapshot.positions.map(position => position.index)).to.deep.equal(["3", "2", "1"]);
+    expect(snapshot.positions[0]).to.have.all.keys("index", "staker", "getScore", "getPositionAPY");
+    expect(snapshot.positions[0].staker).to.equal(alice.address);
+
+    await upgrade("SuprimeStakingView");
+  });
+
+  it("should refuse the contracts that are not upgradeable", async () => {
+    await deploy();
+
+    const error = await upgrade("LabsRegistry").then(() => expect.fail("should have been rejected"), e => e);
+    expect(error.message)
+      .to.equal("LabsRegistry is not upgradeable, expected one of: SuprimeStaking, SuprimeStakingView");
+  });
+
+  it("should pass the check of a proposal executed along with a stake and a claim", async () => {
+    const { staking } = await deploy();
+
+    await upgrade("SuprimeStaking", true);
+    const [file] = fs.readdirSync(path.join(dir, "upgrades"));
+    const proposal = JSON.parse(fs.readFileSync(path.join(dir, "upgrades", file), "utf8"));
+    expect(proposal.snapshot.positions.map(position => position.index)).to.deep.equal(["3", "2", "1"]);
+
+    // the multisig transaction lands in the same block as a claim of alice and a new stake, bob's position is
+    // the only one still compared
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    let execution;
+    try {
+      execution = await owner.sendTransaction(proposal.transaction);
+      await staking.connect(alice).claimReward(1);
+      await staking.connect(carol).stake(300n * WEI, 0, 6);
+      await mine();
+    } finally {
+      await hre.network.provider.send("evm_setAutomine", [true]);
+    }
+    const receipt = await execution.wait();
+    expect((await ethers.provider.getBlock(receipt.blockNumber)).transactions).to.have.lengthOf(3);
+
+    await hre.run("upgrade-staking-check", { proposal: path.join(dir, "upgrades", file), tx: receipt.hash });
+  });
+
+  it("should report what the upgrade changed", async () => {
+    await deploy();
+    const before = await takeSnapshot(hre, "SuprimeStaking", 5);
+    const after = structuredClone(before);
+    after.totals.totalPool = "1";
+    after.positions[1].staked = "1";
+    after.positions[2].rewards = "0";
+
+    expect(compareSnapshots(before, after)).to.deep.equal([
+      `totalPool: ${before.totals.totalPool} -> 1`,
+      `position 2 staked: ${before.positions[1].staked} -> 1`,
+      `position 1 rewards decreased: ${before.positions[2].rewards} -> 0`,
+    ]);
+
+    // another transaction touched position 2 in the same block
+    const activity = { transactions: new Set(["0x01"]), indexes: new Set(["2"]), users: new Set() };
+    expect(compareSnapshots(before, after, activity)).to.deep.equal([
+      `position 1 rewards decreased: ${before.positions[2].rewards} -> 0`,
+    ]);
+
+    after.constants.blocksPerDay = "1";
+    expect(compareSnapshots(before, after, activity)[0]).to.equal(`blocksPerDay: ${BLOCKS_PER_DAY} -> 1`);
+  });
+});
@@ -0,0 +1,277 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require('hardhat');
+const { convertLbpSpec } = require('../helpers/lbp_planner');
+const { createEventStore, createIndexer } = require('../services/indexer');
+const {
+  WAD,
+  planSplit,
+  previewDistribution,
+  fetchTreasuryEvents,
+  buildIncomeReport,
+  toCsv,
+} = require('../helpers/treasury');
+
+describe("Treasury split and income report", function () {
+
+  const DAY = 86400;
+
+  let owner;
+  let creator;
+  let alice;
+  let ops;
+  let buyback;
+  let dev;
+  let swapFeeRecipient;
+
+  const units = (amount, decimals = 18) => ethers.parseUnits(String(amount), decimals);
+
+  describe("planSplit", () => {
+
+    const names = {
+      ops: "0x1111111111111111111111111111111111111111",
+      buyback: "0x2222222222222222222222222222222222222222",
+      dev: "0x3333333333333333333333333333333333333333",
+    };
+
+    it("should build the exact WAD percentages", async () => {
+      const plan = planSplit("60% ops, 40% buyback", names);
+
+      expect(plan.recipients).to.deep.equal([names.ops, names.buyback]);
+      expect(plan.percentages).to.deep.equal([WAD * 6n / 10n, WAD * 4n / 10n]);
+      expect(plan.dust.amount).to.equal(0n);
+
+      const treasury = await ethers.getContractFactory("Treasury");
+      expect(treasury.interface.decodeFunctionData("updateRecipients", plan.calldata))
+        .to.deep.equal([plan.recipients, plan.percentages]);
+    });
+
+    it("should give the rounding dust to the largest share, the first one on a tie", () => {
+      const thirds = planSplit("1/3 ops, 1/3 buyback, 1/3 dev", names);
+      expect(thirds.percentages).to.deep.equal([WAD / 3n + 1n, WAD / 3n, WAD / 3n]);
+      expect(thirds.dust).to.deep.equal({ recipient: names.ops, amount: 1n });
+
+      const split = planSplit("1/6 ops; 2/3 buyback; 1/6 dev", names);
+      expect(split.percentages).to.deep.equal([WAD / 6n, WAD * 2n / 3n + 2n, WAD / 6n]);
+      expect(split.percentages.reduce((sum, percentage) => sum + percentage, 0n)).to.equal(WAD);
+    });
+
+    it("should reject the splits the Treasury would not take", () => {
+      expect(() => planSplit("60% ops, 30% buyback", names)).to.throw("adds up to 90.0%");
+      expect(() => planSplit("60% ops, 50% buyback", names)).to.throw("adds up to 110.0%");
+      expect(() => planSplit("60% ops, 40% ops", names)).to.throw("listed twice");
+      expect(() => planSplit("60% ops, 40% marketing", names)).to.throw('Unknown recipient "marketing"');
+      expect(() => planSplit("ops 100%", names)).to.throw("Can't parse");
+    });
+
+    it("should preview the dust distributeFee leaves", () => {
+      const { recipients, percentages } = planSplit("1/3 ops, 1/3 buyback, 1/3 dev", names);
+      const { payouts, dust } = previewDistribution(recipients, percentages, 1000n);
+
+      expect(payouts.map(payout => payout.amount)).to.deep.equal([333n, 333n, 333n]);
+      expect(dust).to.equal(1n);
+    });
+  });
+
+  describe("income report", () => {
+
+    async function deployContracts() {
+      [owner, creator, alice, ops, buyback, dev, swapFeeRecipient] = await ethers.getSigners();
+      const startBlock = await ethers.provider.getBlockNumber() + 1;
+
+      const treasury = await ethers.deployContract("Treasury", [owner.address]);
+      const sablier = await ethers.deployContract("SablierV2LockupLinearMock");
+      const fjordMath = await ethers.deployContract("FjordMath");
+      const fixedFactory = await ethers.deployContract("FixedPricePoolFactory",
+        [await treasury.getAddress(), owner.address, await sablier.getAddress()],
+        { libraries: { FjordMath: await fjordMath.getAddress() } });
+      const implementation = await ethers.deployContract("LiquidityBootstrapPool", [await sablier.getAddress()]);
+      const lbpFactory = await ethers.deployContract("LiquidityBootstrapPoolFactory",
+        [await implementation.getAddress(), owner.address, await treasury.getAddress(), 400, 0, 300]);
+
+      const shareToken = await ethers.deployContract("ERC20DecimalsMock", ["Share", "SHR", 18]);
+      const assetToken = await ethers.deployContract("ERC20DecimalsMock", ["Asset", "AST", 6]);
+      await shareToken.mintArbitrary(creator.address, units(10000000));
+      await assetToken.mintArbitrary(creator.address, units(100000, 6));
+      await assetToken.mintArbitrary(alice.address, units(100000, 6));
+      for (const factory of [fixedFactory, lbpFactory]) {
+        await shareToken.connect(creator).approve(factory.getAddress(), ethers.MaxUint256);
+        await assetToken.connect(creator).approve(factory.getAddress(), ethers.MaxUint256);
+      }
+
+      const contracts = {
+        FixedPricePoolFactory: await fixedFactory.getAddress(),
+        LiquidityBootstrapPoolFactory: await lbpFactory.getAddress(),
+      };
+      return { treasury, fixedFactory, lbpFactory, shareToken, assetToken, contracts, startBlock };
+    }
+
+    /// a 3 days LBP bought by alice then closed
+    async function sellLbp({ lbpFactory, shareToken, assetToken }) {
+      const saleStart = (await time.latest()) + 3600;
+      const args = convertLbpSpec({
+        name: `Report ${saleStart}`,
+        creator: creator.address,
+        shareToken: await shareToken.getAddress(),
+        assetToken: await assetToken.getAddress(),
+        shares: 1000000,
+        assets: 10000,
+        weightStart: "90%",
+        weightEnd: "50%",
+        saleStart,
+        saleEnd: saleStart + 3 * DAY,
+        sellingAllowed: true,
+      }, { share: 18, asset: 6 });
+      const address = await lbpFactory.predictDeterministicAddress(args.settings, args.salt);
+      await lbpFactory.connect(creator)
+        .createLiquidityBootstrapPool(args.settings, args.shares, args.assets, args.salt, "ipfs://report");
+      const pool = await ethers.getContractAt("LiquidityBootstrapPool", address);
+
+      await time.increaseTo(saleStart);
+      await assetToken.connect(alice).approve(address, ethers.MaxUint256);
+      await shareToken.connect(alice).approve(address, ethers.MaxUint256);
+      await pool.connect(alice).swapExactAssetsForShares(units(1234, 6), 0, alice.address);
+      await time.increaseTo(saleStart + 3 * DAY);
+      await pool.close();
+      return pool;
+    }
+
+    /// a week long FixedPricePool sale at 0.05 assets per share bought by alice then closed
+    async function sellFixed({ fixedFactory, shareToken, assetToken }, { minimumTokensForSale = 0 } = {}) {
+      const saleStart = (await time.latest()) + 3600;
+      const params = {
+        owner: creator.address,
+        shareToken: await shareToken.getAddress(),
+        assetToken: await assetToken.getAddress(),
+        sharesForSale: units(1000000),
+        minimumTokensForSale,
+        maximumTokensPerUser: 0,
+        minimumTokensPerUser: 0,
+        swapFeeWAD: WAD / 100n,
+        platformFeeWAD: WAD * 5n / 100n,
+        saleStart,
+        saleEnd: saleStart + 7 * DAY,
+        redemptionDelay: 0,
+        vestEnd: 0,
+        vestCliff: 0,
+        antiSnipeEnabled: 0,
+        whitelistMerkleRoot: ethers.ZeroHash,
+      };
+      const receipt = await (await fixedFactory.connect(creator)
+        .createFixedPricePool(params, units("0.05", 6), [], "")).wait();
+      const [created] = receipt.logs
+        .map(log => fixedFactory.interface.parseLog(log))
+        .filter(event => event && event.name === "PoolCreated");
+      const pool = await ethers.getContractAt("FixedPricePool", created.args.poolAddress);
+
+      await time.increaseTo(saleStart);
+      await assetToken.connect(alice).approve(pool.getAddress(), ethers.MaxUint256);
+      await pool.connect(alice).buyExactShares(units(3333), alice.address, 0, "0x", []);
+      await time.increaseTo(params.saleEnd);
+      await pool.close();
+      return pool;
+    }
+
+    async function report(deployed, treasuryEvents) {
+      const { treasury, contracts, startBlock } = deployed;
+      const store = createEventStore();
+      await createIndexer({ provider: ethers.provider, store, contracts, startBlock }).sync();
+      return buildIncomeReport({
+        provider: ethers.provider,
+        store,
+        treasury: await treasury.getAddress(),
+        treasuryEvents: treasuryEvents || await fetchTreasuryEvents(ethers.provider, await treasury.getAddress()),
+        initialRecipient: owner.address,
+      });
+    }
+
+    it("should reconcile the income of every recipient with the split of the time", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { treasury, assetToken } = deployed;
+      const treasuryAddress = await treasury.getAddress();
+      const asset = await assetToken.getAddress();
+
+      // the first pool closes while the owner still gets everything
+      const first = await sellLbp(deployed);
+      const names = { ops: ops.address, buyback: buyback.address, dev: dev.address };
+      const plan = planSplit("1/3 ops, 1/3 buyback, 1/3 dev", names);
+      await treasury.updateRecipients(plan.recipients, plan.percentages);
+      await treasury.updateSwapFeeRecipient(swapFeeRecipient.address);
+      const second = await sellLbp(deployed);
+      const fixed = await sellFixed(deployed);
+
+      const { rows, totals, reconciled } = await report(deployed);
+
+      expect(reconciled).to.equal(true);
+      const firstRows = rows.filter(row => row.pool === first.target);
+      // the swap fees go to the owner as well, no share was sold back
+      expect(firstRows.map(row => [row.role, row.recipient, row.token])).to.deep.equal([
+        ["recipient", owner.address, asset],
+      ]);
+
+      const [closed] = await second.queryFilter(second.filters.Close());
+      const { payouts, dust } = previewDistribution(plan.recipients, plan.percentages, closed.args.platformFees);
+      const secondRows = rows.filter(row => row.pool === second.target);
+      expect(secondRows.filter(row => row.role === "recipient").map(row => [row.recipient, row.expected, row.actual]))
+        .to.deep.equal(payouts.map(payout => [payout.recipient, payout.amount, payout.amount]));
+      expect(await assetToken.balanceOf(ops.address)).to.equal(payouts[0].amount);
+      expect(secondRows.find(row => row.role === "treasury")?.actual ?? 0n).to.equal(dust);
+      expect(secondRows.find(row => row.role === "swapFeeRecipient" && row.token === asset).actual)
+        .to.equal(closed.args.swapFeesAsset);
+
+      // FixedPricePool fees stay in the Treasury
+      const [fixedRow] = rows.filter(row => row.pool === fixed.target);
+      expect(fixedRow).to.include({ role: "treasury", recipient: treasuryAddress, token: asset });
+      // 3333 shares at 0.05 are 166.65 assets, 5% of platform fee and 1% of swap fee
+      expect(fixedRow.expected).to.equal(units("8.3325", 6) + units("1.6665", 6));
+      expect(fixedRow.actual).to.equal(fixedRow.expected);
+
+      const treasuryTotal = totals.find(total => total.recipient === treasuryAddress && total.token === asset);
+      expect(treasuryTotal.actual).to.equal(await assetToken.balanceOf(treasuryAddress));
+
+      const csv = toCsv(rows).trim().split("\n");
+      expect(csv[0]).to.equal("blockNumber,transactionHash,pool,contract,role,recipient,token,expected,actual,difference");
+      expect(csv).to.have.lengthOf(rows.length + 1);
+    });
+
+    it("should report the income that doesn't match the split", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { treasury } = deployed;
+      await treasury.updateRecipients([ops.address, buyback.address], [WAD / 2n, WAD / 2n]);
+      await sellLbp(deployed);
+
+      // replayed without the updates, the owner should have received all of the platform fees
+      const { rows, reconciled } = await report(deployed, []);
+
+      expect(reconciled).to.equal(false);
+      const ownerRow = rows.find(row => row.recipient === owner.address && row.role === "recipient");
+      expect(ownerRow.actual).to.equal(0n);
+      expect(ownerRow.difference).to.equal(-ownerRow.expected);
+      const unexpected = rows.filter(row => row.role === "unexpected");
+      expect(unexpected.map(row => row.recipient)).to.deep.equal([ops.address, buyback.address]);
+      expect(unexpected[0].actual + unexpected[1].actual).to.be.closeTo(ownerRow.expected, 1n);
+    });
+
+    it("should report the swap fees of the sales that missed their minimum", async () => {
+      const deployed = await loadFixture(deployContracts);
+      const { treasury, assetToken } = deployed;
+      const fixed = await sellFixed(deployed, { minimumTokensForSale: units(5000) });
+
+      const { rows, reconciled } = await report(deployed);
+
+      expect(reconciled).to.equal(true);
+      const [missed] = await fixed.queryFilter(fixed.filters.RaiseGoalNotMet());
+      const fixedRows = rows.filter(row => row.pool === fixed.target);
+      expect(fixedRows.map(row => [row.role, row.recipient, row.token])).to.deep.equal([
+        ["treasury", await treasury.getAddress(), await assetToken.getAddress()],
+      ]);
+      // only the 1% of swap fee of the 166.65 assets
+      expect(fixedRows[0].expected).to.equal(missed.args.feesGenerated);
+      expect(fixedRows[0].expected).to.equal(units("1.6665", 6));
+      expect(fixedRows[0].actual).to.equal(fixedRows[0].expected);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, upgrades } = require('hardhat');
+const { getScoreLeaf } = require('../helpers/merkle');
+const { parseXpConfig, parseAwards, verifyScore } = require('../helpers/user_score');
+const { createEventStore, createIndexer } = require('../services/indexer');
+const {
+  createXpLedger,
+  createViewPower,
+  createEventPower,
+  createScoreService,
+} = require('../services/user_score');
+
+describe("User scores", function () {
+
+  const WEI = 10n ** 18n;
+
+  const CONFIG = parseXpConfig({
+    xpWeight: "2",
+    actions: {
+      discord_verified: { xp: 50, limit: 1 },
+      quiz_passed: { xp: 20, limit: 2 },
+      referral: { xp: 100 },
+    },
+  });
+
+  let alice;
+  let bob;
+  let carol;
+
+  /// alice stakes 1000 for 12 months, bob 2500 for 3 months then 500 more
+  async function deployStaking() {
+    [, alice, bob, carol] = await ethers.getSigners();
+    const startBlock = await ethers.provider.getBlockNumber() + 1;
+
+    const suprimeToken = await ethers.deployContract("SuprimeTokenMock");
+    const staking = await upgrades.deployProxy(await ethers.getContractFactory("SuprimeStaking"),
+      [await suprimeToken.getAddress(), 10], { initializer: '__SuprimeStaking_init' });
+    const stakingView = await upgrades.deployProxy(await ethers.getContractFactory("SuprimeStakingView"),
+      [await staking.getAddress()], { initializer: '__SuprimeStakingView_init' });
+    for (const staker of [alice, bob]) {
+      await suprimeToken.mintArbitrary(staker.address, 10000n * WEI);
+      await suprimeToken.connect(staker).approve(staking.getAddress(), ethers.MaxUint256);
+    }
+    await staking.connect(alice).stake(1000n * WEI, 0, 12);
+    await staking.connect(bob).stake(2500n * WEI, 0, 3);
+    await staking.connect(bob).stake(500n * WEI, 2, 0);
+    const merkle = await ethers.deployContract("Merkle");
+    return { staking, stakingView, merkle, startBlock };
+  }
+
+  function serviceOf(deployed, ledger, dir, power) {
+    return createScoreService({
+      provider: ethers.provider,
+      ledger,
+      power: power || createViewPower({
+        provider: ethers.provider,
+        stakingView: deployed.stakingView.target,
+        fromBlock: deployed.startBlock,
+      }),
+      xpWeight: CONFIG.xpWeight,
+      dir,
+    });
+  }
+
+  it("should rank the staking power of getScore plus the weighted XP", async () => {
+    const deployed = await loadFixture(deployStaking);
+    const { staking, stakingView, merkle, startBlock } = deployed;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "user-score-"));
+    const ledger = createXpLedger(undefined, CONFIG);
+    const timestamp = await time.latest();
+    ledger.award({ id: "discord-1", user: carol.address, action: "discord_verified", timestamp });
+    ledger.award({ id: "referral-1", user: bob.address, action: "referral", timestamp });
+
+    const snapshot = await serviceOf(deployed, ledger, dir).snapshot();
+
+    expect(snapshot.id).to.equal(1);
+    expect(snapshot.block).to.equal(await ethers.provider.getBlockNumber());
+    expect(snapshot.leaderboard).to.deep.equal([
+      { rank: 1, user: bob.address, score: 3000n * WEI + 200n * WEI, stakingPower: 3000n * WEI, xp: 100n },
+      { rank: 2, user: alice.address, score: 3000n * WEI, stakingPower: 3000n * WEI, xp: 0n },
+      { rank: 3, user: carol.address, score: 100n * WEI, stakingPower: 0n, xp: 50n },
+    ]);
+    for (const { user, stakingPower } of snapshot.leaderboard) {
+      expect(stakingPower).to.equal(await stakingView.getScore(user));
+    }
+
+    // the staking events of the indexer give the same scores
+    const store = createEventStore();
+    const indexer = createIndexer({ provider: ethers.provider, store, contracts: { SuprimeStaking: staking.target },
+      startBlock });
+    const events = createEventPower({ store, indexer });
+    expect(await events([], { number: snapshot.block })).to.deep.equal(
+      new Map([[alice.address, 3000n * WEI], [bob.address, 3000n * WEI]]));
+
+    // solady MerkleProofLib and Murky verify the proofs
+    for (const { user, score } of snapshot.leaderboard) {
+      const proof = snapshot.proofs[user];
+      expect(verifyScore(snapshot.root, proof, user, score)).to.equal(true);
+      expect(await merkle.verifyProof(snapshot.root, proof, getScoreLeaf(user, score))).to.equal(true);
+    }
+    expect(verifyScore(snapshot.root, snapshot.proofs[carol.address], carol.address, 101n * WEI)).to.equal(false);
+
+    const published = JSON.parse(fs.readFileSync(path.join(dir, "1.json"), "utf8"));
+    expect(published).to.deep.equal(JSON.parse(fs.readFileSync(path.join(dir, "latest.json"), "utf8")));
+    expect(published.leaderboard[0]).to.deep.equal({
+      rank: 1,
+      user: bob.address,
+      score: (3200n * WEI).toString(),
+      stakingPower: (3000n * WEI).toString(),
+      xp: "100",
+    });
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it("should cap the XP of the actions and skip the awards already recorded", async () => {
+    [, alice, bob] = await ethers.getSigners();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "user-score-"));
+    const file = path.join(dir, "xp.json");
+    const ledger = createXpLedger(file, CONFIG);
+
+    expect(ledger.award({ id: "quiz-1", user: alice.address.toLowerCase(), action: "quiz_passed", timestamp: 100 }))
+      .to.deep.equal({ id: "quiz-1", user: alice.address, action: "quiz_passed", xp: 20, timestamp: 100 });
+    expect(ledger.award({ id: "quiz-1", user: alice.address, action: "quiz_passed" })).to.equal(undefined);
+    expect(() => ledger.award({ id: "swap-1", user: alice.address, action: "swap" }))
+      .to.throw("Unknown action swap, expected one of discord_verified, quiz_passed, referral");
+
+    const csv = [
+      "id,user,action,timestamp",
+      `quiz-2,${alice.address},quiz_passed,1970-01-01T00:03:20Z`,
+      `quiz-3,${alice.address},quiz_passed,300`,
+      `quiz-1,${alice.address},quiz_passed,`,
+      `referral-1,${bob.address},referral,`,
+      `referral-2,0x123,referral,`,
+    ].join("\n");
+    const { added, skipped, rejected } = ledger.awardAll(parseAwards(csv, "csv"));
+    expect(added.map(award => award.id)).to.deep.equal(["quiz-2", "referral-1"]);
+    expect(added[0].timestamp).to.equal(200);
+    expect(skipped.map(award => award.id)).to.deep.equal(["quiz-1"]);
+    expect(rejected.map(({ award, error }) => `${award.id}: ${error}`)).to.deep.equal([
+      `quiz-3: ${alice.address} already earned quiz_passed 2 times`,
+      'referral-2: "0x123" is not a valid address (or has a bad checksum)',
+    ]);
+
+    // the XP stays the one of the action when it was recorded
+    const reloaded = createXpLedger(file, parseXpConfig({ actions: { quiz_passed: { xp: 1000 } } }));
+    expect(reloaded.xpOf(alice.address)).to.equal(40n);
+    expect(reloaded.xpOf(alice.address, { until: 150 })).to.equal(20n);
+    expect(reloaded.xpOf(bob.address)).to.equal(100n);
+
+    // changes of another process are read again
+    ledger.award({ id: "referral-3", user: bob.address, action: "referral" });
+    expect(reloaded.xpOf(bob.address)).to.equal(200n);
+
+    expect(() => parseXpConfig({ xpWeight: "-1", actions: { quiz: { xp: 0, limit: 1.5 } } })).to.throw(
+      'Invalid XP config:\n  xpWeight: "-1" is not an amount of SUPRIME\n' +
+      "  actions.quiz.xp: 0 is not a positive integer\n  actions.quiz.limit: 1.5 is not a positive integer");
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it("should only publish the snapshots whose scores changed", async () => {
+    const deployed = await loadFixture(deployStaking);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "user-score-"));
+    const ledger = createXpLedger(undefined, CONFIG);
+    const service = serviceOf(deployed, ledger, dir);
+
+    // equal scores share their rank, ordered by address
+    const first = await service.snapshot();
+    expect(first.leaderboard.map(({ rank, user }) => ({ rank, user }))).to.deep.equal([alice, bob]
+      .map(({ address }) => ({ rank: 1, user: address }))
+      .sort((a, b) => a.user.toLowerCase() < b.user.toLowerCase() ? -1 : 1));
+
+    await time.increase(3600);
+    expect(await service.snapshot()).to.equal(undefined);
+
+    // an award after the snapshot block only counts in the next snapshots
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    ledger.award({ id: "discord-1", user: carol.address, action: "discord_verified", timestamp: timestamp + 60 });
+    expect(await service.snapshot()).to.equal(undefined);
+    await time.increase(60);
+    const second = await service.snapshot();
+    expect(second.id).to.equal(2);
+    expect(second.leaderboard.at(-1)).to.deep.include({ rank: 3, user: carol.address, xp: 50n });
+    expect(service.latest().root).to.equal(second.root);
+    expect(fs.readdirSync(dir).sort()).to.deep.equal(["1.json", "2.json", "latest.json"]);
+
+    // the indexer database must reach the snapshot block
+    const events = createEventPower({ store: createEventStore() });
+    const error = await serviceOf(deployed, ledger, dir, events).snapshot().then(
+      () => expect.fail("should have been rejected"), e => e);
+    expect(error.message).to.include("The indexer database is at block undefined");
+    fs.rmSync(dir, { recursive: true });
+  });
+});
@@ -0,0 +1,201 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require('hardhat');
+const { createEventStore, createIndexer } = require('../services/indexer');
+const {
+  streamedAmount,
+  vestingAt,
+  fetchVestingStreams,
+  buildWithdraw,
+  scheduleRows,
+  toCsv,
+  toJSON,
+} = require('../helpers/vesting');
+
+describe("Vesting stream tracker", function () {
+
+  const DAY = 86400;
+  const WAD = 10n ** 18n;
+
+  let owner;
+  let creator;
+  let alice;
+  let bob;
+  let carol;
+
+  const units = (amount, decimals = 18) => ethers.parseUnits(String(amount), decimals);
+
+  /// a FixedPricePool vesting its shares 180 days after the sale end with a 30 days cliff, bought by alice and bob
+  /// then closed. Alice redeems right away, bob once everything vested
+  async function sellVestedPool() {
+    [owner, creator, alice, bob, carol] = await ethers.getSigners();
+    const startBlock = await ethers.provider.getBlockNumber() + 1;
+
+    const fjordMath = await ethers.deployContract("FjordMath");
+    const sablier = await ethers.deployContract("SablierV2LockupLinearMock");
+    const factory = await ethers.deployContract("FixedPricePoolFactory",
+      [owner.address, owner.address, await sablier.getAddress()],
+      { libraries: { FjordMath: await fjordMath.getAddress() } });
+
+    const shareToken = await ethers.deployContract("ERC20DecimalsMock", ["Share", "SHR", 18]);
+    const assetToken = await ethers.deployContract("ERC20DecimalsMock", ["Asset", "AST", 6]);
+    await shareToken.mintArbitrary(creator.address, units(1000000));
+    await shareToken.connect(creator).approve(factory.getAddress(), ethers.MaxUint256);
+
+    const saleStart = (await time.latest()) + 3600;
+    const saleEnd = saleStart + 7 * DAY;
+    const params = {
+      owner: creator.address,
+      shareToken: await shareToken.getAddress(),
+      assetToken: await assetToken.getAddress(),
+      sharesForSale: units(1000000),
+      minimumTokensForSale: 0,
+      maximumTokensPerUser: 0,
+      minimumTokensPerUser: 0,
+      swapFeeWAD: WAD / 100n,
+      platformFeeWAD: WAD * 5n / 100n,
+      saleStart,
+      saleEnd,
+      redemptionDelay: 0,
+      vestEnd: saleEnd + 180 * DAY,
+      vestCliff: saleEnd + 30 * DAY,
+      antiSnipeEnabled: 0,
+      whitelistMerkleRoot: ethers.ZeroHash,
+    };
+    const receipt = await (await factory.connect(creator)
+      .createFixedPricePool(params, units("0.05", 6), [], "")).wait();
+    const [created] = receipt.logs
+      .map(log => factory.interface.parseLog(log))
+      .filter(event => event && event.name === "PoolCreated");
+    const pool = await ethers.getContractAt("FixedPricePool", created.args.poolAddress);
+
+    await time.increaseTo(saleStart);
+    for (const [buyer, shares] of [[alice, units(1000)], [bob, units(2000)]]) {
+      await assetToken.mintArbitrary(buyer.address, units(1000, 6));
+      await assetToken.connect(buyer).approve(pool.getAddress(), ethers.MaxUint256);
+      await pool.connect(buyer).buyExactShares(shares, buyer.address, 0, "0x", []);
+    }
+    await time.increaseTo(saleEnd);
+    await pool.close();
+    await pool.connect(alice).redeem();
+
+    const store = createEventStore();
+    const contracts = { FixedPricePoolFactory: await factory.getAddress() };
+    await createIndexer({ provider: ethers.provider, store, contracts, startBlock }).sync();
+    return { sablier, pool, params, shareToken, store };
+  }
+
+  it("should link the redemptions to their streams and unlock their shares like Sablier", async () => {
+    const { sablier, pool, params, shareToken, store } = await loadFixture(sellVestedPool);
+
+    const [stream, ...others] = await fetchVestingStreams({ provider: ethers.provider, store });
+    expect(others).to.be.empty;
+    expect(stream).to.deep.include({
+      pool: pool.target,
+      contract: "FixedPricePool",
+      user: alice.address,
+      recipient: alice.address,
+      streamId: 1n,
+      sablier: sablier.target,
+      startTime: params.saleEnd,
+      cliffTime: params.vestCliff,
+      endTime: params.vestEnd,
+      depositAmount: units(1000),
+      withdrawnAmount: 0n,
+    });
+    const onChain = await sablier.streams(1);
+    expect([onChain.startTime, onChain.cliffTime, onChain.endTime])
+      .to.deep.equal([stream.startTime, stream.cliffTime, stream.endTime].map(BigInt));
+
+    expect(streamedAmount(stream, params.vestCliff - 1)).to.equal(0n);
+    expect(vestingAt(stream, params.vestCliff)).to.deep.equal({
+      unlocked: units(1000) * (30n * WAD / 180n) / WAD,
+      withdrawable: units(1000) * (30n * WAD / 180n) / WAD,
+      locked: units(1000) - units(1000) * (30n * WAD / 180n) / WAD,
+    });
+    expect(vestingAt(stream, params.vestEnd + DAY).unlocked).to.equal(units(1000));
+
+    // withdrawMax sends what the mock streamed in the block, which the tracker computes for its timestamp
+    const timestamp = params.vestCliff + 17 * DAY + 1234;
+    await time.setNextBlockTimestamp(timestamp);
+    await expect(sablier.connect(alice).withdrawMax(1, alice.address))
+      .to.emit(sablier, "WithdrawFromLockupStream")
+      .withArgs(1, alice.address, await shareToken.getAddress(), vestingAt(stream, timestamp).withdrawable);
+
+    // bob redeems once vested, his shares are transferred without a stream
+    await time.increaseTo(params.vestEnd);
+    await pool.connect(bob).redeem();
+    await createIndexer({ provider: ethers.provider, store, contracts: {} }).sync();
+    expect(await fetchVestingStreams({ provider: ethers.provider, store, user: bob.address })).to.be.empty;
+    const [withdrawn] = await fetchVestingStreams({ provider: ethers.provider, store, pool: pool.target });
+    expect(withdrawn.withdrawnAmount).to.equal(vestingAt(stream, timestamp).withdrawable);
+  });
+
+  it("should build the withdraw calls of the recipients", async () => {
+    const { sablier, params, shareToken, store } = await loadFixture(sellVestedPool);
+    const [stream] = await fetchVestingStreams({ provider: ethers.provider, store, user: alice.address });
+
+    expect(() => buildWithdraw(stream, { timestamp: params.vestCliff - 1 }))
+      .to.throw("Nothing to withdraw from stream 1, 0 unlocked and 0 withdrawn");
+
+    const timestamp = params.vestCliff + 10 * DAY;
+    const call = buildWithdraw(stream, { timestamp });
+    expect(call.to).to.equal(sablier.target);
+    expect(call.amount).to.equal(vestingAt(stream, timestamp).withdrawable);
+    await time.setNextBlockTimestamp(timestamp);
+    await alice.sendTransaction({ to: call.to, data: call.data });
+    expect(await shareToken.balanceOf(alice.address)).to.equal(call.amount);
+
+    const [withdrawn] = await fetchVestingStreams({ provider: ethers.provider, store, user: alice.address });
+    expect(withdrawn.withdrawnAmount).to.equal(call.amount);
+    expect(() => buildWithdraw(withdrawn, { timestamp })).to.throw("Nothing to withdraw from stream 1");
+
+    // a part of what unlocked since, to another address
+    const later = timestamp + 30 * DAY;
+    const { withdrawable } = vestingAt(withdrawn, later);
+    expect(() => buildWithdraw(withdrawn, { amount: withdrawable + 1n, timestamp: later }))
+      .to.throw(`${withdrawable} is withdrawable`);
+    const partial = buildWithdraw(withdrawn, { to: carol.address, amount: withdrawable / 2n, timestamp: later });
+    await time.setNextBlockTimestamp(later);
+    await alice.sendTransaction({ to: partial.to, data: partial.data });
+    expect(await shareToken.balanceOf(carol.address)).to.equal(withdrawable / 2n);
+    expect(await sablier.getWithdrawnAmount(1)).to.equal(call.amount + withdrawable / 2n);
+  });
+
+  it("should export the schedules as CSV and JSON", async () => {
+    const { params, store } = await loadFixture(sellVestedPool);
+    const streams = await fetchVestingStreams({ provider: ethers.provider, store });
+
+    const rows = scheduleRows(streams, { step: 60 * DAY });
+    expect(rows.map(row => row.timestamp)).to.deep.equal([
+      params.saleEnd,
+      params.vestCliff,
+      params.vestCliff + 60 * DAY,
+      params.vestCliff + 120 * DAY,
+      params.vestEnd,
+    ]);
+    expect(rows.map(row => row.unlocked)).to.deep.equal(
+      rows.map(row => streamedAmount(streams[0], row.timestamp)));
+    expect(rows[0]).to.include({ unlocked: 0n, locked: units(1000), withdrawable: 0n });
+    expect(rows[4]).to.include({ unlocked: units(1000), locked: 0n, withdrawable: units(1000) });
+
+    const csv = toCsv(rows).trim().split("\n");
+    expect(csv[0]).to.equal("pool,user,streamId,timestamp,date,unlocked,locked,withdrawable");
+    expect(csv[5]).to.equal([streams[0].pool, alice.address, 1, params.vestEnd,
+      new Date(params.vestEnd * 1000).toISOString(), units(1000), 0, units(1000)].join(","));
+
+    const report = JSON.parse(toJSON(streams, { step: 60 * DAY, timestamp: params.vestEnd }));
+    expect(report.timestamp).to.equal(params.vestEnd);
+    expect(report.streams[0]).to.include({
+      streamId: "1",
+      depositAmount: units(1000).toString(),
+      unlocked: units(1000).toString(),
+      withdrawable: units(1000).toString(),
+      locked: "0",
+    });
+    expect(report.streams[0].schedule).to.have.length(5);
+  });
+});